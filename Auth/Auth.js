@@ -1,12 +1,38 @@
 // backend/Auth/Auth.js
-// รวมทุกอย่างที่เกี่ยวกับการยืนยันตัวตน: register / login / me / change-password
+// รวมทุกอย่างที่เกี่ยวกับการยืนยันตัวตน: register / verify-email / login / refresh / logout / me /
+// change-password / forgot-password / reset-password / activate (MFA แยกอยู่ใน mfa.js → /auth/mfa)
+import crypto from "crypto";
 import express from "express";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import dotenv from "dotenv";
 
 // middleware ตรวจ JWT
-import authRequired from "./middle.js";
+import authRequired, { can } from "./middle.js";
+import {
+  buildTokenPayload,
+  createSession,
+  hashToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  signAccessToken,
+} from "./session.js";
+import {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  registerFailure,
+  registerSuccess,
+  unlockAccount,
+} from "./loginGuard.js";
+import { consumeInvitation } from "./invitations.js";
+import {
+  sendVerificationEmail,
+  consumeEmailVerification,
+  findCustomerByEmailDomain,
+} from "./registration.js";
+import mfaRoutes, { isMfaRequiredForRole, signMfaToken } from "./mfa.js";
+import { sendMail, frontendUrl } from "../Services/mailer.js";
+import { audit } from "../Services/audit.js";
 
 // การเชื่อมต่อฐานข้อมูล (pool)
 // *** ตรงนี้สมมติว่าคุณมีไฟล์ DB/db.js ที่ export pool ออกมาแล้ว ***
@@ -15,12 +41,21 @@ import pool from "../DB/db.js";
 
 dotenv.config();
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
 
 // ใช้ Router เพราะใน server.js มี app.use("/auth", Routes)
 const Routes = express.Router();
 
+Routes.use("/mfa", mfaRoutes);
+
 // ---------------- Helper ----------------
+const INACTIVE_STATUS_MESSAGES = {
+  disabled: "Account is disabled",
+  invited: "Account is not activated yet",
+  pending_verification: "Please verify your email before logging in",
+  pending_approval: "Your technician application is waiting for admin approval",
+};
+
 function buildUserPayload(row) {
   return {
     id: row.id,
@@ -31,15 +66,11 @@ function buildUserPayload(row) {
   };
 }
 
-function signAccessToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: "8h" });
-}
-
 // ---------------------------------------------------------------------------
 // POST /auth/register  (ผ่าน server.js → app.use('/auth', Routes))
 // ---------------------------------------------------------------------------
 Routes.post("/register", async (req, res) => {
-  const { email, password, name, role, customerId } = req.body || {};
+  const { email, password, name, role, technician } = req.body || {};
 
   if (!email || !password || !name) {
     return res
@@ -47,12 +78,36 @@ Routes.post("/register", async (req, res) => {
       .json({ message: "email, password, name are required" });
   }
 
-  // ตรวจสอบ role ที่ถูกต้อง (customer หรือ technician)
+  if (password.length < 8) {
+    return res
+      .status(400)
+      .json({ message: "password must be at least 8 characters" });
+  }
+
+  // สมัครเองได้แค่ customer หรือ technician (role อื่นต้องให้ admin เชิญ)
+  // ไม่รับ customerId จาก body แล้ว → ผูกกับลูกค้าได้ผ่านคำเชิญ หรือโดเมนอีเมลหลังยืนยันอีเมลเท่านั้น
   const validRole = role === "technician" ? "technician" : "customer";
 
+  // ช่างต้องส่งข้อมูลคำขอสมัครมาพร้อมกัน แล้วรอ admin อนุมัติ (technician_requests)
+  const tech = technician || {};
+  if (
+    validRole === "technician" &&
+    (!tech.phone ||
+      !tech.specialty ||
+      !tech.address ||
+      !tech.date_of_birth ||
+      !tech.experience ||
+      !tech.education)
+  ) {
+    return res
+      .status(400)
+      .json({ message: "Missing required technician fields" });
+  }
+
+  const conn = await pool.getConnection();
   try {
     // เช็กว่า email ซ้ำหรือยัง
-    const [users] = await pool.query("SELECT id FROM users WHERE email = ?", [
+    const [users] = await conn.query("SELECT id FROM users WHERE email = ?", [
       email,
     ]);
     if (users.length > 0) {
@@ -61,39 +116,164 @@ Routes.post("/register", async (req, res) => {
 
     // hash password แล้วบันทึก
     const password_hash = await bcrypt.hash(password, 10);
-    
-    // สำหรับ technician ไม่ต้องมี customer_id (เป็น null)
-    // สำหรับ customer อาจจะมี customer_id หรือ null
-    const finalCustomerId = validRole === "technician" ? null : (customerId || null);
-    
-    const [result] = await pool.query(
-      "INSERT INTO users (email, password_hash, name, role, customer_id) VALUES (?, ?, ?, ?, ?)",
-      [email, password_hash, name, validRole, finalCustomerId]
+
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO users (email, password_hash, name, role, customer_id, status)
+       VALUES (?, ?, ?, ?, NULL, 'pending_verification')`,
+      [email, password_hash, name, validRole]
     );
 
-    const userPayload = {
+    if (validRole === "technician") {
+      await conn.query(
+        `
+        INSERT INTO technician_requests
+        (user_id, phone, specialty, address, date_of_birth, age, experience, education, notes, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+        `,
+        [
+          result.insertId,
+          tech.phone,
+          tech.specialty,
+          tech.address,
+          tech.date_of_birth,
+          tech.age || null,
+          tech.experience,
+          tech.education,
+          tech.notes || null,
+        ]
+      );
+    }
+
+    await conn.commit();
+
+    const user = {
       id: result.insertId,
       email,
       name,
       role: validRole,
-      customer_id: finalCustomerId,
+      status: "pending_verification",
     };
 
-    const token = signAccessToken(userPayload);
+    await sendVerificationEmail(user);
 
     return res.status(201).json({
-      user: userPayload,
-      token,
+      message: "สมัครสมาชิกเรียบร้อย กรุณายืนยันอีเมลจากลิงก์ที่ส่งไปให้",
+      user,
     });
   } catch (error) {
+    await conn.rollback();
     console.error("Register error:", error);
     return res.status(500).json({ message: "Internal server error" });
+  } finally {
+    conn.release();
   }
 });
 
 // ---------------------------------------------------------------------------
-// POST /auth/login
+// POST /auth/verify-email  (ยืนยันอีเมลจากลิงก์ที่ส่งไปตอนสมัคร)
+// customer → เปิดใช้งานทันที (ผูกกับลูกค้าอัตโนมัติถ้าโดเมนอีเมลตรงกับ contact_email)
+// technician → รอ admin อนุมัติคำขอ ถ้ายังไม่ได้อนุมัติ
+// ---------------------------------------------------------------------------
+Routes.post("/verify-email", async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) {
+    return res.status(400).json({ message: "ต้องมี token" });
+  }
+
+  try {
+    const userId = await consumeEmailVerification(token);
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ message: "ลิงก์ยืนยันอีเมลไม่ถูกต้องหรือหมดอายุแล้ว" });
+    }
+
+    const [users] = await pool.query(
+      "SELECT id, email, role, customer_id, status FROM users WHERE id = ?",
+      [userId]
+    );
+    const user = users[0];
+    if (!user || user.status !== "pending_verification") {
+      return res
+        .status(400)
+        .json({ message: "ลิงก์ยืนยันอีเมลไม่ถูกต้องหรือหมดอายุแล้ว" });
+    }
+
+    if (user.role === "technician") {
+      const [requests] = await pool.query(
+        `SELECT status FROM technician_requests
+         WHERE user_id = ? ORDER BY created_at DESC LIMIT 1`,
+        [user.id]
+      );
+      const requestStatus = requests[0]?.status;
+      const nextStatus =
+        requestStatus === "approved"
+          ? "active"
+          : requestStatus === "rejected"
+          ? "disabled"
+          : "pending_approval";
+
+      await pool.query("UPDATE users SET status = ? WHERE id = ?", [
+        nextStatus,
+        user.id,
+      ]);
+
+      return res.json({
+        message:
+          nextStatus === "active"
+            ? "ยืนยันอีเมลเรียบร้อยแล้ว สามารถเข้าสู่ระบบได้"
+            : "ยืนยันอีเมลเรียบร้อยแล้ว กรุณารอผู้ดูแลระบบอนุมัติการสมัครเป็นช่าง",
+        status: nextStatus,
+      });
+    }
+
+    const customerId =
+      user.customer_id || (await findCustomerByEmailDomain(user.email));
+
+    await pool.query(
+      "UPDATE users SET status = 'active', customer_id = ? WHERE id = ?",
+      [customerId || null, user.id]
+    );
+
+    return res.json({
+      message: "ยืนยันอีเมลเรียบร้อยแล้ว สามารถเข้าสู่ระบบได้",
+      status: "active",
+    });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // ---------------------------------------------------------------------------
+// POST /auth/resend-verification  (ตอบข้อความเดียวกันเสมอ เหมือน forgot-password)
+// ---------------------------------------------------------------------------
+Routes.post("/resend-verification", async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ message: "ต้องกรอกอีเมล" });
+  }
+
+  try {
+    const [users] = await pool.query(
+      "SELECT id, email, name FROM users WHERE email = ? AND status = 'pending_verification'",
+      [email]
+    );
+    if (users.length > 0) {
+      await sendVerificationEmail(users[0]);
+    }
+
+    return res.json({
+      message: "หากอีเมลนี้ยังไม่ได้ยืนยัน เราได้ส่งลิงก์ยืนยันไปให้อีกครั้งแล้ว",
+    });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // POST /auth/login
 // ---------------------------------------------------------------------------
@@ -106,64 +286,103 @@ Routes.post("/login", async (req, res) => {
   }
 
   try {
-    const [users] = await pool.query(
-      "SELECT id, email, password_hash, name, role, customer_id FROM users WHERE email = ?",
-      [email]
-    );
+    // ✅ เช็ค lockout / throttle ก่อนตรวจรหัสผ่าน
+    const guard = await checkLoginAllowed(email, req.ip);
+    if (!guard.allowed) {
+      await recordLoginAttempt({
+        email,
+        userId: guard.user?.id,
+        req,
+        success: false,
+        reason: guard.reason,
+      });
+      if (guard.retryAfter) res.set("Retry-After", String(guard.retryAfter));
+      return res
+        .status(guard.status)
+        .json({ message: guard.message, retry_after: guard.retryAfter });
+    }
 
-    if (users.length === 0) {
+    const userRow = guard.user;
+
+    if (!userRow) {
+      await recordLoginAttempt({
+        email,
+        req,
+        success: false,
+        reason: "unknown_email",
+      });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const userRow = users[0];
-
     const match = await bcrypt.compare(password, userRow.password_hash);
     if (!match) {
+      await registerFailure(userRow);
+      await recordLoginAttempt({
+        email,
+        userId: userRow.id,
+        req,
+        success: false,
+        reason: "invalid_password",
+      });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // ✅ จัดการ customer_id ให้ถูกต้อง
-    let customer_id = userRow.customer_id || null;
-
-    // ถ้าใน users.customer_id ยังว่าง แต่ role = customer → ไปหาในตาราง customers เพิ่ม
-    if (!customer_id && userRow.role === "customer") {
-      const [customers] = await pool.query(
-        "SELECT id FROM customers WHERE contact_email = ? LIMIT 1",
-        [email]
-      );
-      if (customers.length > 0) {
-        customer_id = customers[0].id;
-      }
+    // บัญชีที่ยังไม่ active (ถูกปิด / ยังไม่ activate / ยังไม่ยืนยันอีเมล / รออนุมัติ) → login ไม่ได้
+    if (userRow.status !== "active") {
+      await recordLoginAttempt({
+        email,
+        userId: userRow.id,
+        req,
+        success: false,
+        reason: userRow.status,
+      });
+      return res.status(403).json({
+        message: INACTIVE_STATUS_MESSAGES[userRow.status] || "Account is not active",
+        status: userRow.status,
+      });
     }
 
-    // ✅ ใช้ userRow แทน users
-    const tokenPayload = {
-      id: userRow.id,
-      email: userRow.email,
-      name: userRow.name,
-      role: userRow.role,
-    };
+    await registerSuccess(userRow);
+
+    // ✅ เปิด MFA ไว้ → ยังไม่ออก token จริง ให้ไปยืนยันรหัสที่ /auth/mfa/verify
+    if (userRow.mfa_enabled) {
+      await recordLoginAttempt({
+        email,
+        userId: userRow.id,
+        req,
+        success: false,
+        reason: "mfa_pending",
+      });
+      return res.json({
+        mfaRequired: true,
+        mfaToken: signMfaToken(userRow, "mfa"),
+      });
+    }
 
-    if (customer_id) {
-      tokenPayload.customer_id = customer_id;
+    // role นี้บังคับ MFA แต่ยังไม่ได้ตั้งค่า → ต้องตั้งค่าที่ /auth/mfa/setup + /auth/mfa/enable ก่อน
+    if (isMfaRequiredForRole(userRow.role)) {
+      await recordLoginAttempt({
+        email,
+        userId: userRow.id,
+        req,
+        success: false,
+        reason: "mfa_setup_pending",
+      });
+      return res.json({
+        mfaSetupRequired: true,
+        mfaToken: signMfaToken(userRow, "mfa_setup"),
+      });
     }
 
-    const token = signAccessToken(tokenPayload);
+    await recordLoginAttempt({ email, userId: userRow.id, req, success: true });
 
-    const responseUser = {
-      id: userRow.id,
-      email: userRow.email,
-      name: userRow.name,
-      role: userRow.role,
-    };
-
-    if (customer_id) {
-      responseUser.customer_id = customer_id;
-    }
+    const tokenPayload = await buildTokenPayload(userRow);
+    const { token, refreshToken } = await createSession(tokenPayload, req);
 
     return res.json({
-      user: responseUser,
+      user: tokenPayload,
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -171,6 +390,68 @@ Routes.post("/login", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// POST /auth/refresh  (แลก refresh token เป็น access token ใหม่ + refresh token ใหม่)
+// refresh token แต่ละใบใช้ได้ครั้งเดียว ต้องเก็บใบใหม่ที่ได้กลับไปทุกครั้ง
+// ---------------------------------------------------------------------------
+Routes.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) {
+    return res.status(400).json({ message: "refreshToken is required" });
+  }
+
+  try {
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired refresh token" });
+    }
+
+    // ดึงข้อมูล user ล่าสุด เผื่อ role / customer_id ถูกเปลี่ยนระหว่างนั้น
+    const [users] = await pool.query(
+      "SELECT id, email, name, role, customer_id FROM users WHERE id = ? AND status = 'active'",
+      [rotated.userId]
+    );
+    if (users.length === 0) {
+      await revokeSession(rotated.sessionId, "user_inactive");
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired refresh token" });
+    }
+
+    const tokenPayload = await buildTokenPayload(users[0]);
+
+    return res.json({
+      user: tokenPayload,
+      token: signAccessToken(tokenPayload, rotated.sessionId),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/logout  (body: { allDevices: true } = ออกจากระบบทุกอุปกรณ์)
+// ---------------------------------------------------------------------------
+Routes.post("/logout", authRequired, async (req, res) => {
+  const { allDevices } = req.body || {};
+
+  try {
+    if (allDevices) {
+      const count = await revokeAllSessions(req.user.id, "logout_all");
+      return res.json({ message: "Logged out from all devices", sessions: count });
+    }
+
+    await revokeSession(req.user.sid, "logout");
+    return res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
 
 // ---------------------------------------------------------------------------
 // GET /auth/me  (ดึงข้อมูลผู้ใช้จาก token)
@@ -225,6 +506,9 @@ Routes.post("/change-password", authRequired, async (req, res) => {
       userId,
     ]);
 
+    // เปลี่ยนรหัสแล้ว → เตะอุปกรณ์อื่นออกทั้งหมด เหลือไว้แค่ session ปัจจุบัน
+    await revokeAllSessions(userId, "password_changed", req.user.sid);
+
     return res.json({ message: "เปลี่ยนรหัสผ่านเรียบร้อยแล้ว" });
   } catch (err) {
     console.error("Change password error:", err);
@@ -232,4 +516,276 @@ Routes.post("/change-password", authRequired, async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /auth/login-attempts  (Admin: ประวัติการ login ไว้ดูการโจมตี)
+// query: email, ip, userId, success (0/1), from, to, limit (ค่าเริ่มต้น 100, สูงสุด 500)
+// ---------------------------------------------------------------------------
+Routes.get(
+  "/login-attempts",
+  authRequired,
+  can("security:read"),
+  async (req, res) => {
+    const { email, ip, userId, success, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+    try {
+      let sql = `
+        SELECT la.id, la.email, la.user_id, u.name AS user_name,
+               la.ip, la.user_agent, la.success, la.reason, la.created_at
+        FROM login_attempts la
+        LEFT JOIN users u ON la.user_id = u.id
+        WHERE 1 = 1
+      `;
+      const params = [];
+
+      if (email) {
+        sql += " AND la.email = ?";
+        params.push(email);
+      }
+      if (ip) {
+        sql += " AND la.ip = ?";
+        params.push(ip);
+      }
+      if (userId) {
+        sql += " AND la.user_id = ?";
+        params.push(userId);
+      }
+      if (success === "0" || success === "1") {
+        sql += " AND la.success = ?";
+        params.push(Number(success));
+      }
+      if (from) {
+        sql += " AND la.created_at >= ?";
+        params.push(from);
+      }
+      if (to) {
+        sql += " AND la.created_at <= ?";
+        params.push(to);
+      }
+
+      sql += " ORDER BY la.created_at DESC LIMIT ?";
+      params.push(limit);
+
+      const [rows] = await pool.query(sql, params);
+      return res.json(rows);
+    } catch (err) {
+      console.error("Fetch login attempts error:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// POST /auth/users/:id/unlock  (Admin: ปลดล็อกบัญชีที่โดนล็อกจากการ login ผิด)
+// ---------------------------------------------------------------------------
+Routes.post(
+  "/users/:id/unlock",
+  authRequired,
+  can("security:manage"),
+  audit("user", "users", { action: "unlock" }),
+  async (req, res) => {
+    try {
+      const ok = await unlockAccount(req.params.id);
+      if (!ok) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      return res.json({ message: "Account unlocked" });
+    } catch (err) {
+      console.error("Unlock account error:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// POST /auth/forgot-password  (ส่งลิงก์ตั้งรหัสผ่านใหม่ไปทางอีเมล)
+// ตอบข้อความเดียวกันเสมอ ไม่ว่าจะมี email นี้ในระบบหรือไม่ (กันการไล่เดา email)
+// ---------------------------------------------------------------------------
+Routes.post("/forgot-password", async (req, res) => {
+  const { email } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({ message: "ต้องกรอกอีเมล" });
+  }
+
+  const genericReply = {
+    message: "หากอีเมลนี้มีอยู่ในระบบ เราได้ส่งลิงก์สำหรับตั้งรหัสผ่านใหม่ไปให้แล้ว",
+  };
+
+  try {
+    const [users] = await pool.query(
+      "SELECT id, email, name FROM users WHERE email = ? AND status = 'active'",
+      [email]
+    );
+
+    if (users.length === 0) {
+      return res.json(genericReply);
+    }
+
+    const user = users[0];
+
+    // ยกเลิก token เก่าที่ยังไม่ได้ใช้ ให้เหลือลิงก์ล่าสุดลิงก์เดียว
+    await pool.query(
+      "UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+      [user.id]
+    );
+
+    const resetToken = crypto.randomBytes(32).toString("base64url");
+    await pool.query(
+      `INSERT INTO password_resets (user_id, token_hash, requested_ip, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [user.id, hashToken(resetToken), req.ip || null, RESET_TOKEN_TTL_MINUTES]
+    );
+
+    const link = frontendUrl(
+      `/reset-password?token=${encodeURIComponent(resetToken)}`
+    );
+
+    await sendMail({
+      to: user.email,
+      subject: "LiftCare: ตั้งรหัสผ่านใหม่",
+      text:
+        `สวัสดีคุณ ${user.name}\n\n` +
+        `มีคำขอตั้งรหัสผ่านใหม่สำหรับบัญชีของคุณ กรุณาคลิกลิงก์ด้านล่างภายใน ${RESET_TOKEN_TTL_MINUTES} นาที\n` +
+        `${link}\n\n` +
+        "หากคุณไม่ได้เป็นผู้ขอ สามารถละเว้นอีเมลฉบับนี้ได้",
+    });
+
+    return res.json(genericReply);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/reset-password  (ใช้ token จากอีเมลตั้งรหัสผ่านใหม่)
+// ---------------------------------------------------------------------------
+Routes.post("/reset-password", async (req, res) => {
+  const { token, newPassword } = req.body || {};
+
+  if (!token || !newPassword) {
+    return res
+      .status(400)
+      .json({ message: "ต้องมี token และรหัสผ่านใหม่" });
+  }
+
+  if (newPassword.length < 8) {
+    return res
+      .status(400)
+      .json({ message: "รหัสผ่านใหม่ควรมีอย่างน้อย 8 ตัวอักษร" });
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, user_id
+       FROM password_resets
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+
+    if (rows.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "ลิงก์ตั้งรหัสผ่านไม่ถูกต้องหรือหมดอายุแล้ว" });
+    }
+
+    const reset = rows[0];
+
+    // mark ว่าใช้แล้วก่อน (เช็ค affectedRows กันกดซ้ำพร้อมกัน)
+    const [marked] = await pool.query(
+      "UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+      [reset.id]
+    );
+    if (marked.affectedRows === 0) {
+      return res
+        .status(400)
+        .json({ message: "ลิงก์ตั้งรหัสผ่านไม่ถูกต้องหรือหมดอายุแล้ว" });
+    }
+
+    const newHash = await bcrypt.hash(newPassword, 10);
+    await pool.query("UPDATE users SET password_hash = ? WHERE id = ?", [
+      newHash,
+      reset.user_id,
+    ]);
+
+    // ตั้งรหัสใหม่แล้ว → ปลดล็อกบัญชี (ถ้าโดนล็อกอยู่) และออกจากระบบทุกอุปกรณ์
+    await unlockAccount(reset.user_id);
+    await revokeAllSessions(reset.user_id, "password_reset");
+
+    return res.json({ message: "ตั้งรหัสผ่านใหม่เรียบร้อยแล้ว กรุณาเข้าสู่ระบบอีกครั้ง" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/activate  (ผู้ใช้ที่ถูกเชิญตั้งรหัสผ่านครั้งแรกจากลิงก์ในอีเมล)
+// ---------------------------------------------------------------------------
+Routes.post("/activate", async (req, res) => {
+  const { token, password } = req.body || {};
+
+  if (!token || !password) {
+    return res.status(400).json({ message: "ต้องมี token และรหัสผ่าน" });
+  }
+
+  if (password.length < 8) {
+    return res
+      .status(400)
+      .json({ message: "รหัสผ่านควรมีอย่างน้อย 8 ตัวอักษร" });
+  }
+
+  try {
+    const userId = await consumeInvitation(token);
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ message: "ลิงก์เปิดใช้งานไม่ถูกต้องหรือหมดอายุแล้ว" });
+    }
+
+    const password_hash = await bcrypt.hash(password, 10);
+    await pool.query(
+      `UPDATE users SET password_hash = ?, status = 'active'
+       WHERE id = ? AND status = 'invited'`,
+      [password_hash, userId]
+    );
+
+    const [users] = await pool.query(
+      "SELECT id, email, name, role, customer_id, status FROM users WHERE id = ?",
+      [userId]
+    );
+    if (users.length === 0 || users[0].status !== "active") {
+      return res
+        .status(400)
+        .json({ message: "ลิงก์เปิดใช้งานไม่ถูกต้องหรือหมดอายุแล้ว" });
+    }
+
+    // role ที่บังคับ MFA ต้องไปตั้งค่า MFA ก่อน ถึงจะได้ token จริง
+    if (isMfaRequiredForRole(users[0].role)) {
+      return res.json({
+        message: "เปิดใช้งานบัญชีเรียบร้อยแล้ว",
+        mfaSetupRequired: true,
+        mfaToken: signMfaToken(users[0], "mfa_setup"),
+      });
+    }
+
+    const tokenPayload = await buildTokenPayload(users[0]);
+    const { token: accessToken, refreshToken } = await createSession(
+      tokenPayload,
+      req
+    );
+
+    return res.json({
+      message: "เปิดใช้งานบัญชีเรียบร้อยแล้ว",
+      user: tokenPayload,
+      token: accessToken,
+      refreshToken,
+    });
+  } catch (err) {
+    console.error("Activate account error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 export default Routes;
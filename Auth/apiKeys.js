@@ -0,0 +1,69 @@
+// backend/Auth/apiKeys.js
+// API key สำหรับเครื่อง (IoT gateway / BMS) ส่งมาทาง header X-Api-Key
+// รูปแบบ key: lk_<prefix>_<secret> — prefix ไว้ให้ admin จำ key ได้, ในฐานข้อมูลเก็บแค่ hash
+import crypto from "crypto";
+import pool from "../DB/db.js";
+import { hashToken } from "./session.js";
+import { PERMISSIONS } from "./permissions.js";
+
+export const API_KEY_ROLE = "api_key";
+
+// สิทธิ์ที่ให้ key ได้ (allowlist — key ไม่มีคนกำกับ ถ้าหลุดต้องเสียหายให้น้อยที่สุด)
+// สิทธิ์ใหม่ใน PERMISSIONS ให้ key ไม่ได้จนกว่าจะเพิ่มที่นี่
+export const API_KEY_PERMISSIONS = [
+  "telemetry:read",
+  "telemetry:write",
+  "tickets:create",
+  "tickets:read",
+  "elevators:read",
+  "alerts:read",
+  "documents:read",
+].filter((p) => PERMISSIONS[p]);
+
+// อัปเดต last_used_at อย่างมากนาทีละครั้ง ไม่ต้องเขียนทุก request
+const LAST_USED_THROTTLE_SECONDS = 60;
+
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  return { key: `lk_${prefix}_${secret}`, prefix };
+}
+
+// ตรวจ key แล้วคืน principal สำหรับใส่ req.user หรือ null ถ้าไม่ถูกต้อง / ถูก revoke / หมดอายุ
+export async function authenticateApiKey(rawKey, ip) {
+  const [rows] = await pool.query(
+    `SELECT id, name, customer_id, permissions
+     FROM api_keys
+     WHERE key_hash = ?
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashToken(rawKey)]
+  );
+  const apiKey = rows[0];
+  if (!apiKey) return null;
+
+  const [elevators] = await pool.query(
+    "SELECT elevator_id FROM api_key_elevators WHERE api_key_id = ?",
+    [apiKey.id]
+  );
+
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+     WHERE id = ?
+       AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL ? SECOND)`,
+    [ip || null, apiKey.id, LAST_USED_THROTTLE_SECONDS]
+  );
+
+  return {
+    id: null,
+    name: apiKey.name,
+    role: API_KEY_ROLE,
+    api_key_id: apiKey.id,
+    customer_id: apiKey.customer_id || undefined,
+    elevator_ids: elevators.map((e) => e.elevator_id),
+    // key เก่าที่เคยได้สิทธิ์นอก allowlist ใช้สิทธิ์นั้นไม่ได้แล้ว
+    permissions: apiKey.permissions
+      ? apiKey.permissions.split(",").filter((p) => API_KEY_PERMISSIONS.includes(p))
+      : [],
+  };
+}
@@ -0,0 +1,57 @@
+// backend/Auth/invitations.js
+// คำเชิญเข้าใช้งาน: admin สร้างบัญชี (status = invited) → ส่งลิงก์ activate ทางอีเมล
+// → ผู้ใช้ตั้งรหัสผ่านเองที่ /auth/activate (token ใช้ได้ครั้งเดียว เก็บเป็น hash)
+import crypto from "crypto";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { hashToken } from "./session.js";
+import { sendMail, frontendUrl } from "../Services/mailer.js";
+
+dotenv.config();
+
+const INVITE_TOKEN_TTL_HOURS = Number(process.env.INVITE_TOKEN_TTL_HOURS) || 72;
+
+// user: { id, email, name }
+export async function createInvitation(user, invitedBy) {
+  // ลิงก์เก่าที่ยังไม่ได้ใช้ให้หมดอายุทันที เหลือลิงก์ล่าสุดลิงก์เดียว
+  await pool.query(
+    `UPDATE user_invitations SET expires_at = NOW()
+     WHERE user_id = ? AND accepted_at IS NULL AND expires_at > NOW()`,
+    [user.id]
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO user_invitations (user_id, token_hash, invited_by, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [user.id, hashToken(token), invitedBy || null, INVITE_TOKEN_TTL_HOURS]
+  );
+
+  const link = frontendUrl(`/activate?token=${encodeURIComponent(token)}`);
+
+  await sendMail({
+    to: user.email,
+    subject: "LiftCare: คำเชิญเข้าใช้งานระบบ",
+    text:
+      `สวัสดีคุณ ${user.name}\n\n` +
+      "คุณได้รับเชิญให้เข้าใช้งานระบบ LiftCare กรุณาคลิกลิงก์ด้านล่างเพื่อตั้งรหัสผ่าน\n" +
+      `${link}\n\n` +
+      `ลิงก์นี้ใช้ได้ภายใน ${INVITE_TOKEN_TTL_HOURS} ชั่วโมง`,
+  });
+}
+
+// ใช้ token (ครั้งเดียว) คืน user_id หรือ null ถ้าไม่ถูกต้อง/หมดอายุ
+export async function consumeInvitation(token) {
+  const [rows] = await pool.query(
+    `SELECT id, user_id FROM user_invitations
+     WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  if (rows.length === 0) return null;
+
+  const [result] = await pool.query(
+    "UPDATE user_invitations SET accepted_at = NOW() WHERE id = ? AND accepted_at IS NULL",
+    [rows[0].id]
+  );
+  return result.affectedRows > 0 ? rows[0].user_id : null;
+}
@@ -0,0 +1,143 @@
+// backend/Auth/loginGuard.js
+// กัน brute-force ที่ /auth/login
+//   - ต่อบัญชี: login ผิดติดกันเกิน LOGIN_MAX_FAILURES ครั้ง → ล็อก LOGIN_LOCKOUT_MINUTES นาที
+//   - ต่อ IP: ผิดเกิน LOGIN_IP_MAX_FAILURES ครั้งภายใน LOGIN_WINDOW_MINUTES นาที → ปฏิเสธจนพ้นช่วงเวลา
+//   - ก่อนถึงเพดาน จะบังคับให้เว้นระยะระหว่างการลองแต่ละครั้งนานขึ้นเรื่อย ๆ (1s, 2s, 4s, ...)
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+
+dotenv.config();
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+
+// เริ่มหน่วงเวลาหลังผิดกี่ครั้ง และหน่วงได้สูงสุดกี่วินาที
+const ACCOUNT_DELAY_AFTER = 2;
+const IP_DELAY_AFTER = 5;
+const MAX_DELAY_SECONDS = 60;
+
+function requiredDelay(failures, after) {
+  if (failures < after) return 0;
+  return Math.min(2 ** (failures - after), MAX_DELAY_SECONDS);
+}
+
+// บัญชีที่ถูกล็อก / ถูกหน่วงตอบเหมือนอีเมลที่ไม่มีในระบบ (401 ไม่มี Retry-After)
+// ไม่งั้นไล่ยิงอีเมลก็รู้ได้ว่าอีเมลไหนสมัครไว้ การกันเดารหัสของคนที่ไม่รู้อีเมลพึ่งเพดานต่อ IP แทน
+function accountRejection(reason, user) {
+  return { allowed: false, status: 401, reason, message: "Invalid credentials", user };
+}
+
+// เช็คก่อนตรวจรหัสผ่าน
+// คืน { allowed: true, user } หรือ { allowed: false, status, message, retryAfter?, reason }
+export async function checkLoginAllowed(email, ip) {
+  const [[ipStats]] = await pool.query(
+    `SELECT COUNT(*) AS failures,
+            TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last
+     FROM login_attempts
+     WHERE ip = ? AND reason IN ('unknown_email', 'invalid_password', 'invalid_mfa')
+       AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [ip || null, LOGIN_WINDOW_MINUTES]
+  );
+
+  if (ipStats.failures >= LOGIN_IP_MAX_FAILURES) {
+    return {
+      allowed: false,
+      status: 429,
+      reason: "ip_blocked",
+      message: "Too many failed login attempts from this IP. Please try again later.",
+      retryAfter: LOGIN_WINDOW_MINUTES * 60,
+    };
+  }
+
+  const ipWait =
+    requiredDelay(ipStats.failures, IP_DELAY_AFTER) -
+    (ipStats.seconds_since_last ?? Infinity);
+
+  const [users] = await pool.query(
+    `SELECT id, email, password_hash, name, role, customer_id,
+            status, mfa_enabled, failed_login_count,
+            TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS lock_seconds_left,
+            TIMESTAMPDIFF(SECOND, last_failed_login_at, NOW()) AS seconds_since_failure
+     FROM users
+     WHERE email = ?`,
+    [email]
+  );
+  const user = users[0] || null;
+
+  if (ipWait > 0) {
+    return {
+      allowed: false,
+      status: 429,
+      reason: "throttled",
+      message: "Too many login attempts. Please wait before trying again.",
+      retryAfter: Math.ceil(ipWait),
+      user,
+    };
+  }
+
+  if (user && user.lock_seconds_left > 0) {
+    return accountRejection("locked", user);
+  }
+
+  const accountWait = user
+    ? requiredDelay(user.failed_login_count, ACCOUNT_DELAY_AFTER) -
+      (user.seconds_since_failure ?? Infinity)
+    : 0;
+  if (accountWait > 0) {
+    return accountRejection("throttled", user);
+  }
+
+  return { allowed: true, user };
+}
+
+export async function recordLoginAttempt({ email, userId, req, success, reason }) {
+  await pool.query(
+    `INSERT INTO login_attempts (email, user_id, ip, user_agent, success, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      String(email).slice(0, 255),
+      userId || null,
+      req.ip || null,
+      (req.headers["user-agent"] || "").slice(0, 255) || null,
+      success ? 1 : 0,
+      reason || null,
+    ]
+  );
+}
+
+// login ผิด → นับเพิ่ม ถ้าถึงเพดานก็ล็อกบัญชีและเริ่มนับใหม่
+// นับใน UPDATE เดียวจากค่าในแถว (ไม่ใช่ค่าที่อ่านไว้ตอนเช็ค) ไม่งั้นยิงเดาพร้อมกันหลายครั้งจะนับทับกันจนไม่ถึงเพดาน
+// MySQL ประเมิน SET จากซ้ายไปขวา locked_until จึงต้องมาก่อนเพื่อให้เห็น failed_login_count ค่าเดิม
+export async function registerFailure(user) {
+  await pool.query(
+    `UPDATE users
+     SET locked_until = IF(failed_login_count + 1 >= ?,
+                           DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until),
+         failed_login_count = IF(failed_login_count + 1 >= ?, 0, failed_login_count + 1),
+         last_failed_login_at = NOW()
+     WHERE id = ?`,
+    [LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES, LOGIN_MAX_FAILURES, user.id]
+  );
+}
+
+export async function registerSuccess(user) {
+  if (!user.failed_login_count && user.lock_seconds_left == null) return;
+  await pool.query(
+    `UPDATE users
+     SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = ?`,
+    [user.id]
+  );
+}
+
+export async function unlockAccount(userId) {
+  const [result] = await pool.query(
+    `UPDATE users
+     SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  return result.affectedRows > 0;
+}
@@ -0,0 +1,412 @@
+// backend/Auth/mfa.js
+// TOTP two-factor authentication (mount ที่ /auth/mfa)
+//   login ขั้นที่ 1 (/auth/login) ถ้าบัญชีเปิด MFA จะได้ mfaToken อายุสั้นแทน token จริง
+//   login ขั้นที่ 2 (/auth/mfa/verify) ส่ง mfaToken + รหัส 6 หลัก (หรือ recovery code) → ได้ token จริง
+// role ที่อยู่ใน MFA_REQUIRED_ROLES (คั่นด้วย ,) จะบังคับให้ตั้งค่า MFA ก่อนถึงจะ login ได้
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import authRequired from "./middle.js";
+import { buildTokenPayload, createSession, hashToken } from "./session.js";
+import {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  registerFailure,
+} from "./loginGuard.js";
+import { generateSecret, verifyTotp, buildOtpauthUrl } from "./totp.js";
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+const MFA_ISSUER = process.env.MFA_ISSUER || "LiftCare";
+const MFA_TOKEN_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || "")
+  .split(",")
+  .map((r) => r.trim())
+  .filter(Boolean);
+
+const router = express.Router();
+
+// ---------------- Helper ----------------
+export function isMfaRequiredForRole(role) {
+  return MFA_REQUIRED_ROLES.includes(role);
+}
+
+// purpose: "mfa" = รอยืนยันรหัส, "mfa_setup" = role บังคับ MFA แต่ยังไม่ได้ตั้งค่า
+export function signMfaToken(userRow, purpose) {
+  return jwt.sign(
+    { id: userRow.id, email: userRow.email, purpose },
+    JWT_SECRET,
+    { expiresIn: MFA_TOKEN_TTL }
+  );
+}
+
+function verifyMfaToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function loadMfaUser(userId) {
+  const [rows] = await pool.query(
+    `SELECT id, email, name, role, customer_id, password_hash, status,
+            mfa_enabled, mfa_secret, mfa_pending_secret, mfa_last_step
+     FROM users
+     WHERE id = ?`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// สร้าง recovery code ชุดใหม่ (ลบชุดเดิมทิ้ง) คืนค่าจริงให้ผู้ใช้เห็นครั้งเดียว
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = ?", [
+    userId,
+  ]);
+  await pool.query(
+    "INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ?",
+    [codes.map((code) => [userId, hashToken(code)])]
+  );
+
+  return codes;
+}
+
+// ตรวจรหัส TOTP หรือ recovery code ของ user ที่เปิด MFA แล้ว
+async function verifyUserMfaCode(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    const [result] = await pool.query(
+      `UPDATE mfa_recovery_codes
+       SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [user.id, hashToken(normalized)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  const step = verifyTotp(user.mfa_secret, code);
+  if (step == null) return false;
+
+  // กันเอารหัสที่ใช้ไปแล้ว (หรือรหัสที่เก่ากว่า) มาใช้ซ้ำ
+  // เช็คกับเขียนใน UPDATE เดียว → login พร้อมกันด้วยรหัสเดียวกันผ่านได้แค่ครั้งเดียว
+  const [result] = await pool.query(
+    `UPDATE users SET mfa_last_step = ?
+     WHERE id = ? AND (mfa_last_step IS NULL OR mfa_last_step < ?)`,
+    [step, user.id, step]
+  );
+  return result.affectedRows > 0;
+}
+
+// ใช้ได้ทั้ง access token ปกติ และ mfaToken (purpose = mfa_setup) ตอนที่ role บังคับ MFA
+function mfaSetupAuth(req, res, next) {
+  const { mfaToken } = req.body || {};
+  if (!mfaToken) return authRequired(req, res, next);
+
+  const decoded = verifyMfaToken(mfaToken, "mfa_setup");
+  if (!decoded) {
+    return res.status(401).json({ message: "Invalid or expired MFA token" });
+  }
+
+  req.user = { id: decoded.id, email: decoded.email };
+  req.mfaSetupPending = true;
+  next();
+}
+
+// ---------------------------------------------------------------------------
+// GET /auth/mfa/status
+// ---------------------------------------------------------------------------
+router.get("/status", authRequired, async (req, res) => {
+  try {
+    const user = await loadMfaUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "ไม่พบผู้ใช้ในระบบ" });
+    }
+
+    const [[codes]] = await pool.query(
+      `SELECT COUNT(*) AS count FROM mfa_recovery_codes
+       WHERE user_id = ? AND used_at IS NULL`,
+      [user.id]
+    );
+
+    return res.json({
+      enabled: Boolean(user.mfa_enabled),
+      required: isMfaRequiredForRole(user.role),
+      recovery_codes_remaining: codes.count,
+    });
+  } catch (err) {
+    console.error("MFA status error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/mfa/setup  (สร้าง secret ใหม่ คืน otpauthUrl ให้ frontend ทำ QR code)
+// ---------------------------------------------------------------------------
+router.post("/setup", mfaSetupAuth, async (req, res) => {
+  try {
+    const user = await loadMfaUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "ไม่พบผู้ใช้ในระบบ" });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({ message: "เปิดใช้งาน MFA อยู่แล้ว" });
+    }
+
+    const secret = generateSecret();
+    await pool.query("UPDATE users SET mfa_pending_secret = ? WHERE id = ?", [
+      secret,
+      user.id,
+    ]);
+
+    return res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email, MFA_ISSUER),
+    });
+  } catch (err) {
+    console.error("MFA setup error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/mfa/enable  (ยืนยันรหัสจากแอปครั้งแรก → เปิดใช้งาน + ได้ recovery codes)
+// ถ้าเข้ามาด้วย mfaToken (role บังคับ MFA) จะได้ token สำหรับเข้าระบบกลับไปด้วย
+// ---------------------------------------------------------------------------
+router.post("/enable", mfaSetupAuth, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ message: "ต้องกรอกรหัสจากแอป Authenticator" });
+  }
+
+  try {
+    const user = await loadMfaUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "ไม่พบผู้ใช้ในระบบ" });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({ message: "เปิดใช้งาน MFA อยู่แล้ว" });
+    }
+
+    if (!user.mfa_pending_secret) {
+      return res
+        .status(400)
+        .json({ message: "กรุณาเริ่มตั้งค่า MFA ใหม่ (/auth/mfa/setup)" });
+    }
+
+    const step = verifyTotp(user.mfa_pending_secret, code);
+    if (step == null) {
+      return res.status(401).json({ message: "รหัสยืนยันไม่ถูกต้อง" });
+    }
+
+    // เปิดได้ครั้งเดียวด้วย secret ที่เพิ่งยืนยัน กันสองคำขอพร้อมกันออก recovery code / session ซ้อนกัน
+    // หรือ setup ใหม่แทรกมาระหว่างตรวจรหัสกับ UPDATE
+    const [result] = await pool.query(
+      `UPDATE users
+       SET mfa_enabled = 1,
+           mfa_secret = mfa_pending_secret,
+           mfa_pending_secret = NULL,
+           mfa_last_step = ?,
+           mfa_enabled_at = NOW()
+       WHERE id = ? AND mfa_enabled = 0 AND mfa_pending_secret = ?`,
+      [step, user.id, user.mfa_pending_secret]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: "เปิดใช้งาน MFA อยู่แล้ว" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    if (!req.mfaSetupPending) {
+      return res.json({ message: "เปิดใช้งาน MFA เรียบร้อยแล้ว", recoveryCodes });
+    }
+
+    const tokenPayload = await buildTokenPayload(user);
+    const { token, refreshToken } = await createSession(tokenPayload, req);
+    await recordLoginAttempt({
+      email: user.email,
+      userId: user.id,
+      req,
+      success: true,
+    });
+
+    return res.json({
+      message: "เปิดใช้งาน MFA เรียบร้อยแล้ว",
+      recoveryCodes,
+      user: tokenPayload,
+      token,
+      refreshToken,
+    });
+  } catch (err) {
+    console.error("MFA enable error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/mfa/verify  (login ขั้นที่ 2: mfaToken + code หรือ recoveryCode)
+// ---------------------------------------------------------------------------
+router.post("/verify", async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body || {};
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return res
+      .status(400)
+      .json({ message: "mfaToken and code (or recoveryCode) are required" });
+  }
+
+  const decoded = verifyMfaToken(mfaToken, "mfa");
+  if (!decoded) {
+    return res.status(401).json({ message: "Invalid or expired MFA token" });
+  }
+
+  try {
+    // ใช้ lockout / throttle ชุดเดียวกับ /auth/login กันการเดารหัส 6 หลัก
+    const guard = await checkLoginAllowed(decoded.email, req.ip);
+    if (!guard.allowed) {
+      await recordLoginAttempt({
+        email: decoded.email,
+        userId: decoded.id,
+        req,
+        success: false,
+        reason: guard.reason,
+      });
+      if (guard.retryAfter) res.set("Retry-After", String(guard.retryAfter));
+      return res
+        .status(guard.status)
+        .json({ message: guard.message, retry_after: guard.retryAfter });
+    }
+
+    // บัญชีถูกปิดระหว่างรอกรอกรหัส → mfaToken ที่ออกไปแล้วต้องใช้ไม่ได้
+    const user = await loadMfaUser(decoded.id);
+    if (!user || !user.mfa_enabled || user.status !== "active") {
+      return res.status(401).json({ message: "Invalid or expired MFA token" });
+    }
+
+    const ok = await verifyUserMfaCode(user, { code, recoveryCode });
+    if (!ok) {
+      await registerFailure(guard.user);
+      await recordLoginAttempt({
+        email: user.email,
+        userId: user.id,
+        req,
+        success: false,
+        reason: "invalid_mfa",
+      });
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await recordLoginAttempt({
+      email: user.email,
+      userId: user.id,
+      req,
+      success: true,
+    });
+
+    const tokenPayload = await buildTokenPayload(user);
+    const { token, refreshToken } = await createSession(tokenPayload, req);
+
+    return res.json({
+      user: tokenPayload,
+      token,
+      refreshToken,
+    });
+  } catch (err) {
+    console.error("MFA verify error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/mfa/recovery-codes  (สร้าง recovery codes ชุดใหม่ ต้องยืนยันรหัส TOTP)
+// ---------------------------------------------------------------------------
+router.post("/recovery-codes", authRequired, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ message: "ต้องกรอกรหัสจากแอป Authenticator" });
+  }
+
+  try {
+    const user = await loadMfaUser(req.user.id);
+    if (!user || !user.mfa_enabled) {
+      return res.status(400).json({ message: "ยังไม่ได้เปิดใช้งาน MFA" });
+    }
+
+    const ok = await verifyUserMfaCode(user, { code });
+    if (!ok) {
+      return res.status(401).json({ message: "รหัสยืนยันไม่ถูกต้อง" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("MFA recovery codes error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/mfa/disable  (ต้องใช้รหัสผ่าน + รหัส TOTP, role ที่บังคับ MFA ปิดไม่ได้)
+// ---------------------------------------------------------------------------
+router.post("/disable", authRequired, async (req, res) => {
+  const { password, code } = req.body || {};
+  if (!password || !code) {
+    return res
+      .status(400)
+      .json({ message: "ต้องกรอกรหัสผ่านและรหัสจากแอป Authenticator" });
+  }
+
+  try {
+    const user = await loadMfaUser(req.user.id);
+    if (!user || !user.mfa_enabled) {
+      return res.status(400).json({ message: "ยังไม่ได้เปิดใช้งาน MFA" });
+    }
+
+    if (isMfaRequiredForRole(user.role)) {
+      return res
+        .status(403)
+        .json({ message: "บัญชีประเภทนี้ต้องเปิดใช้งาน MFA เสมอ" });
+    }
+
+    const passwordOk = await bcrypt.compare(password, user.password_hash);
+    if (!passwordOk) {
+      return res.status(401).json({ message: "รหัสผ่านไม่ถูกต้อง" });
+    }
+
+    const ok = await verifyUserMfaCode(user, { code });
+    if (!ok) {
+      return res.status(401).json({ message: "รหัสยืนยันไม่ถูกต้อง" });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET mfa_enabled = 0, mfa_secret = NULL, mfa_pending_secret = NULL,
+           mfa_last_step = NULL, mfa_enabled_at = NULL
+       WHERE id = ?`,
+      [user.id]
+    );
+    await pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = ?", [
+      user.id,
+    ]);
+
+    return res.json({ message: "ปิดใช้งาน MFA เรียบร้อยแล้ว" });
+  } catch (err) {
+    console.error("MFA disable error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
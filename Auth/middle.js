@@ -1,33 +1,79 @@
 // backend/Auth/middle.js
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { isSessionActive } from "./session.js";
+import { getRolePermissions } from "./permissions.js";
+import { authenticateApiKey } from "./apiKeys.js";
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
-function authRequired(req, res, next) {
+async function authRequired(req, res, next) {
+  // เครื่อง (gateway / BMS) ใช้ API key แทน JWT
+  const apiKey = req.headers["x-api-key"];
+  if (apiKey) {
+    try {
+      const principal = await authenticateApiKey(apiKey, req.ip);
+      if (!principal) {
+        return res.status(401).json({ message: "Invalid or revoked API key" });
+      }
+      req.user = principal; // { role: "api_key", api_key_id, customer_id, elevator_ids, permissions }
+      return next();
+    } catch (err) {
+      console.error("API key check error:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  }
+
   const h = req.headers.authorization || "";
   const token = h.startsWith("Bearer ") ? h.slice(7) : null;
   if (!token) return res.status(401).json({ message: "Missing token" });
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // { id, email, role, name }
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ message: "Invalid or expired token" });
   }
+  // token เฉพาะกิจ (เช่น stream ticket) ใช้แทน access token ไม่ได้
+  if (decoded.purpose) {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+
+  // ✅ เช็คว่า session ของ token นี้ยังไม่ถูก revoke (logout / ปิดบัญชี)
+  try {
+    const active = await isSessionActive(decoded.sid);
+    if (!active) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+  } catch (err) {
+    console.error("Session check error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+
+  req.user = decoded; // { id, email, role, name, customer_id, sid }
+  next();
 }
-// ✅ เช็ค Role
-export function roleRequired(roles) {
-  return (req, res, next) => {
+// ✅ เช็คสิทธิ์ (permission) ตามชุดสิทธิ์ของ role ที่ตั้งไว้ในตาราง role_permissions
+// ใช้แทนการ hard-code role เช่น can("parts:write") หรือ can("invoices:read", "invoices:write")
+export function can(...permissions) {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
-    const userRole = req.user.role;
-    const allowed = Array.isArray(roles) ? roles : [roles];
-
-    if (!allowed.includes(userRole)) {
-      return res.status(403).json({ message: "Forbidden: insufficient role" });
+    try {
+      // API key ใช้ชุดสิทธิ์ของ key เอง ไม่ได้อิง role
+      const granted = req.user.api_key_id
+        ? new Set(req.user.permissions)
+        : await getRolePermissions(req.user.role);
+      if (!permissions.every((p) => granted.has(p))) {
+        return res
+          .status(403)
+          .json({ message: "Forbidden: insufficient permission" });
+      }
+    } catch (err) {
+      console.error("Permission check error:", err);
+      return res.status(500).json({ message: "Internal server error" });
     }
 
     next();
@@ -0,0 +1,95 @@
+// backend/Auth/permissions.js
+// ทะเบียนสิทธิ์ (permission) ทั้งหมดของระบบ + โหลดชุดสิทธิ์ของแต่ละ role จากตาราง role_permissions
+// role "admin" ได้ทุกสิทธิ์เสมอ (แก้ไขไม่ได้ กันกรณีตัดสิทธิ์จนไม่มีใครเข้าหน้า admin ได้)
+import pool from "../DB/db.js";
+
+export const SUPER_ROLE = "admin";
+
+// key → คำอธิบาย (เพิ่มสิทธิ์ใหม่ต้องเพิ่มที่นี่ก่อน ถึงจะผูกกับ role ได้)
+export const PERMISSIONS = {
+  "customers:read": "ดูรายชื่อลูกค้าทั้งหมด",
+  "customers:write": "เพิ่ม / แก้ไข / ลบลูกค้า",
+  "buildings:read": "ดูอาคาร",
+  "buildings:write": "เพิ่ม / แก้ไข / ลบอาคาร",
+  "elevators:read": "ดูลิฟต์",
+  "elevators:write": "เพิ่ม / แก้ไข / ลบลิฟต์",
+  "elevators:state": "เปลี่ยนสถานะลิฟต์ (ตาม state machine)",
+  "technicians:read": "ดูรายชื่อช่าง",
+  "technicians:write": "เพิ่ม / แก้ไข / ลบข้อมูลช่าง",
+  "technician_requests:submit": "ส่งคำขอสมัครเป็นช่าง",
+  "technician_requests:review": "ดู / อนุมัติคำขอสมัครเป็นช่าง",
+  "contracts:read": "ดูสัญญา",
+  "contracts:write": "เพิ่ม / แก้ไข / ลบสัญญา",
+  "quotations:read": "ดูใบเสนอราคา",
+  "quotations:write": "เพิ่ม / แก้ไข / ลบใบเสนอราคา",
+  "invoices:read": "ดูใบแจ้งหนี้",
+  "invoices:write": "เพิ่ม / แก้ไข / ลบใบแจ้งหนี้",
+  "pricing:read": "ดูการตั้งค่าราคา",
+  "pricing:write": "แก้ไขการตั้งค่าราคา",
+  "maintenance_templates:read": "ดูแม่แบบงานบำรุงรักษา",
+  "maintenance_templates:write": "เพิ่ม / แก้ไข / ลบแม่แบบงานบำรุงรักษา",
+  "maintenance_plans:read": "ดูแผนบำรุงรักษา",
+  "maintenance_plans:write": "เพิ่ม / แก้ไขแผนบำรุงรักษา",
+  "maintenance_plans:delete": "ลบแผนบำรุงรักษา",
+  "maintenance_jobs:read": "ดูงานซ่อม / บำรุงรักษา",
+  "maintenance_jobs:write": "เพิ่ม / แก้ไขงานซ่อม / บำรุงรักษา",
+  "maintenance_jobs:delete": "ลบงานซ่อม / บำรุงรักษา",
+  "tickets:read": "ดูรายการแจ้งซ่อม",
+  "tickets:create": "แจ้งซ่อม",
+  "tickets:manage": "เปลี่ยนสถานะรายการแจ้งซ่อม",
+  "parts:read": "ดูรายการอะไหล่",
+  "parts:write": "เพิ่ม / แก้ไข / ลบอะไหล่",
+  "stock:read": "ดูสต๊อกและความเคลื่อนไหวของอะไหล่",
+  "stock:adjust": "ปรับยอดสต๊อกอะไหล่",
+  "telemetry:read": "ดูข้อมูล telemetry / กราฟของลิฟต์",
+  "telemetry:write": "ส่งข้อมูล telemetry จาก controller ลิฟต์",
+  "alerts:read": "ดูการแจ้งเตือนความผิดปกติของลิฟต์",
+  "alerts:manage": "รับทราบ / ปิดการแจ้งเตือนความผิดปกติ",
+  "escalations:manage": "ตั้งค่าการไล่แจ้ง alert และตารางเวร on-call",
+  "oncall:read": "ดูตารางเวร on-call",
+  "dashboard:read": "ดูหน้าสรุป dashboard",
+  "reports:read": "ดูรายงาน uptime / MTBF / MTTR",
+  "risk:read": "ดูคะแนนความเสี่ยงของลิฟต์ (predictive maintenance)",
+  "documents:read": "ดู / ดาวน์โหลดเอกสารของลิฟต์และอาคาร",
+  "documents:write": "อัปโหลด / แก้ไข / ลบเอกสารของลิฟต์และอาคาร",
+  "notifications:manage": "ดู / ส่งใหม่ notification ที่ส่งทางอีเมล / SMS / LINE ไม่สำเร็จ",
+  "notification_templates:manage": "แก้ข้อความ notification (ไทย / อังกฤษ)",
+  "users:read": "ดูรายชื่อผู้ใช้",
+  "users:write": "เชิญ / แก้ไข / ปิดบัญชีผู้ใช้",
+  "roles:manage": "จัดการ role และสิทธิ์",
+  "security:read": "ดูประวัติการเข้าสู่ระบบ",
+  "security:manage": "ปลดล็อกบัญชีที่ถูกล็อก",
+  "audit:read": "ดูประวัติการแก้ไขข้อมูล (audit log)",
+  "api_keys:manage": "สร้าง / ยกเลิก API key ของเครื่อง (gateway / BMS)",
+};
+
+// cache สิทธิ์ของแต่ละ role ไว้ในหน่วยความจำ ไม่ต้อง query ทุก request
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // role → { permissions: Set, loadedAt }
+
+export function invalidateRolePermissions(role) {
+  if (role) cache.delete(role);
+  else cache.clear();
+}
+
+export async function getRolePermissions(role) {
+  if (role === SUPER_ROLE) return new Set(Object.keys(PERMISSIONS));
+
+  const cached = cache.get(role);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const [rows] = await pool.query(
+    "SELECT permission FROM role_permissions WHERE role = ?",
+    [role]
+  );
+  const permissions = new Set(rows.map((r) => r.permission));
+  cache.set(role, { permissions, loadedAt: Date.now() });
+  return permissions;
+}
+
+export async function hasPermission(role, permission) {
+  const permissions = await getRolePermissions(role);
+  return permissions.has(permission);
+}
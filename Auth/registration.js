@@ -0,0 +1,89 @@
+// backend/Auth/registration.js
+// ตัวช่วยสำหรับ /auth/register: ยืนยันอีเมล + ผูกผู้ใช้กับลูกค้าจากโดเมนอีเมล
+import crypto from "crypto";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { hashToken } from "./session.js";
+import { sendMail, frontendUrl } from "../Services/mailer.js";
+
+dotenv.config();
+
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS) || 24;
+
+// โดเมนอีเมลสาธารณะ ใช้ผูกกับลูกค้าไม่ได้ (ใครก็สมัครได้)
+const PUBLIC_EMAIL_DOMAINS = [
+  "gmail.com",
+  "googlemail.com",
+  "hotmail.com",
+  "hotmail.co.th",
+  "outlook.com",
+  "outlook.co.th",
+  "live.com",
+  "msn.com",
+  "yahoo.com",
+  "yahoo.co.th",
+  "icloud.com",
+  "me.com",
+  "proton.me",
+  "protonmail.com",
+];
+
+function emailDomain(email) {
+  const at = String(email || "").lastIndexOf("@");
+  return at === -1 ? null : email.slice(at + 1).trim().toLowerCase();
+}
+
+export async function sendVerificationEmail(user) {
+  await pool.query(
+    "UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [user.id]
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO email_verifications (user_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [user.id, hashToken(token), VERIFY_TOKEN_TTL_HOURS]
+  );
+
+  const link = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  await sendMail({
+    to: user.email,
+    subject: "LiftCare: ยืนยันอีเมลของคุณ",
+    text:
+      `สวัสดีคุณ ${user.name}\n\n` +
+      "กรุณาคลิกลิงก์ด้านล่างเพื่อยืนยันอีเมลและเปิดใช้งานบัญชี LiftCare\n" +
+      `${link}\n\n` +
+      `ลิงก์นี้ใช้ได้ภายใน ${VERIFY_TOKEN_TTL_HOURS} ชั่วโมง`,
+  });
+}
+
+// ใช้ token ยืนยันอีเมล (ครั้งเดียว) คืน user_id หรือ null
+export async function consumeEmailVerification(token) {
+  const [rows] = await pool.query(
+    `SELECT id, user_id FROM email_verifications
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  if (rows.length === 0) return null;
+
+  const [result] = await pool.query(
+    "UPDATE email_verifications SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [rows[0].id]
+  );
+  return result.affectedRows > 0 ? rows[0].user_id : null;
+}
+
+// หาลูกค้าที่โดเมนของ contact_email ตรงกับโดเมนอีเมลผู้ใช้ (เรียกหลังยืนยันอีเมลแล้วเท่านั้น)
+// ต้องเจอลูกค้าเพียงรายเดียว และไม่ใช่โดเมนสาธารณะ ไม่งั้นคืน null ให้ admin ผูกเอง
+export async function findCustomerByEmailDomain(email) {
+  const domain = emailDomain(email);
+  if (!domain || PUBLIC_EMAIL_DOMAINS.includes(domain)) return null;
+
+  const [rows] = await pool.query(
+    "SELECT id FROM customers WHERE LOWER(contact_email) LIKE ?",
+    [`%@${domain}`]
+  );
+  return rows.length === 1 ? rows[0].id : null;
+}
@@ -0,0 +1,137 @@
+// backend/Auth/scope.js
+// จำกัดข้อมูลระดับแถว (row-level) ให้ทุก route ใช้ชุดเดียวกัน
+//   ผู้ใช้ที่ผูกกับลูกค้า (role = customer หรือมี customer_id) → เห็น/แก้ได้เฉพาะแถวใต้อาคารของลูกค้าตัวเอง
+//   ช่าง (role = technician) → แตะได้เฉพาะงานที่มอบหมายให้ตัวเอง
+//   API key ที่ผูกกับชุดลิฟต์ (elevator_ids) → เห็น/แก้ได้เฉพาะแถวของลิฟต์ในชุดนั้น
+import pool from "../DB/db.js";
+
+export function isCustomerScoped(user) {
+  return user?.role === "customer" || Boolean(user?.customer_id);
+}
+
+export function isTechnicianScoped(user) {
+  return user?.role === "technician";
+}
+
+export function isElevatorScoped(user) {
+  return Array.isArray(user?.elevator_ids) && user.elevator_ids.length > 0;
+}
+
+const DENY_ALL = { sql: "1 = 0", params: [] };
+
+// สร้างเงื่อนไข WHERE ตามผู้ใช้
+// columns: { customer: "b.customer_id", elevator: "e.id", technician: "tech.user_id" }
+// ถ้าผู้ใช้ถูกจำกัดแต่ query นั้นไม่มีคอลัมน์ให้กรอง → ไม่คืนอะไรเลย (1 = 0)
+// คืน { sql, params } — sql เป็น "" ถ้าไม่ต้องกรอง
+export function rowScope(user, columns = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (isCustomerScoped(user)) {
+    if (!columns.customer) return DENY_ALL;
+    clauses.push(`${columns.customer} = ?`);
+    params.push(user.customer_id || 0);
+  }
+
+  if (isElevatorScoped(user)) {
+    if (!columns.elevator) return DENY_ALL;
+    clauses.push(`${columns.elevator} IN (?)`);
+    params.push(user.elevator_ids);
+  }
+
+  if (isTechnicianScoped(user) && columns.technician) {
+    clauses.push(`${columns.technician} = ?`);
+    params.push(user.id);
+  }
+
+  return { sql: clauses.join(" AND "), params };
+}
+
+// ต่อเงื่อนไข scope เข้ากับ sql ที่มี/ไม่มี WHERE อยู่แล้ว
+export function appendScope(sql, params, scope, hasWhere = false) {
+  if (!scope.sql) return sql;
+  params.push(...scope.params);
+  return `${sql} ${hasWhere ? "AND" : "WHERE"} ${scope.sql}`;
+}
+
+function matchesCustomer(user, customerId) {
+  if (!isCustomerScoped(user)) return true;
+  if (!user.customer_id || customerId == null) return false;
+  return Number(customerId) === Number(user.customer_id);
+}
+
+function matchesElevator(user, elevatorId) {
+  if (!isElevatorScoped(user)) return true;
+  return user.elevator_ids.map(String).includes(String(elevatorId));
+}
+
+// แถวที่รู้ customer_id / elevator_id อยู่แล้ว (เช่น event ที่ push ให้ client) ผู้ใช้เห็นได้ไหม
+export function canSeeRow(user, row) {
+  return matchesCustomer(user, row.customer_id) && matchesElevator(user, row.elevator_id);
+}
+
+// ผู้ใช้จัดการข้อมูลของ customer_id นี้ได้ไหม (ผู้ใช้ที่ไม่ถูกจำกัด → ได้ทุกลูกค้า)
+// key ที่ผูกกับชุดลิฟต์แตะข้อมูลระดับลูกค้า (อาคาร / สัญญา / บิล) ไม่ได้
+export function ownsCustomer(user, customerId) {
+  if (isElevatorScoped(user)) return false;
+  return matchesCustomer(user, customerId);
+}
+
+// อาคารที่ผู้ใช้เข้าถึงได้ คืน { id, name, customer_id } หรือ null
+export async function findAccessibleBuilding(user, buildingId) {
+  const [rows] = await pool.query(
+    "SELECT id, name, customer_id FROM buildings WHERE id = ?",
+    [buildingId]
+  );
+  const building = rows[0];
+  if (!building || !ownsCustomer(user, building.customer_id)) return null;
+  return building;
+}
+
+// ลิฟต์ที่ผู้ใช้เข้าถึงได้ คืน { id, name, building_id, customer_id } หรือ null (ไม่มี / ไม่ใช่ของตัวเอง)
+export async function findAccessibleElevator(user, elevatorId) {
+  const [rows] = await pool.query(
+    `SELECT e.id, e.name, e.building_id, b.customer_id
+     FROM elevators e
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE e.id = ?`,
+    [elevatorId]
+  );
+  const elevator = rows[0];
+  if (!elevator) return null;
+
+  if (!matchesCustomer(user, elevator.customer_id)) return null;
+  if (!matchesElevator(user, elevator.id)) return null;
+  return elevator;
+}
+
+// งานซ่อมที่ผู้ใช้เข้าถึงได้ คืน job (พร้อม technician_user_id, customer_id) หรือ null
+export async function findAccessibleJob(user, jobId) {
+  const [rows] = await pool.query(
+    `SELECT mj.*, tech.user_id AS technician_user_id, b.customer_id
+     FROM maintenance_jobs mj
+     LEFT JOIN technicians tech ON mj.technician_id = tech.id
+     LEFT JOIN elevators e ON mj.elevator_id = e.id
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE mj.id = ?`,
+    [jobId]
+  );
+  const job = rows[0];
+  if (!job) return null;
+
+  if (!matchesCustomer(user, job.customer_id)) return null;
+  if (!matchesElevator(user, job.elevator_id)) return null;
+  if (isTechnicianScoped(user) && job.technician_user_id !== user.id) {
+    return null;
+  }
+  return job;
+}
+
+// technicians.id ของผู้ใช้ที่เป็นช่าง (null ถ้ายังไม่มี technician record)
+export async function findTechnicianIdForUser(userId) {
+  const [rows] = await pool.query(
+    "SELECT id FROM technicians WHERE user_id = ? LIMIT 1",
+    [userId]
+  );
+  return rows[0]?.id ?? null;
+}
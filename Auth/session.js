@@ -0,0 +1,220 @@
+// backend/Auth/session.js
+// จัดการ session ฝั่ง server: access token อายุสั้น + refresh token แบบหมุนเวียน
+// refresh token เก็บในฐานข้อมูลเป็น hash (sha256) เท่านั้น ไม่เก็บค่าจริง
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+export function signAccessToken(payload, sessionId) {
+  return jwt.sign({ ...payload, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+async function insertRefreshToken(conn, sessionId) {
+  const refreshToken = generateRefreshToken();
+  await conn.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return refreshToken;
+}
+
+// payload ที่ใส่ใน access token (ใช้ทั้งตอน login และตอน refresh)
+// ถ้าใน users.customer_id ยังว่าง แต่ role = customer → ไปหาในตาราง customers เพิ่ม
+export async function buildTokenPayload(userRow) {
+  let customer_id = userRow.customer_id || null;
+
+  if (!customer_id && userRow.role === "customer") {
+    const [customers] = await pool.query(
+      "SELECT id FROM customers WHERE contact_email = ? LIMIT 1",
+      [userRow.email]
+    );
+    if (customers.length > 0) {
+      customer_id = customers[0].id;
+    }
+  }
+
+  const payload = {
+    id: userRow.id,
+    email: userRow.email,
+    name: userRow.name,
+    role: userRow.role,
+  };
+
+  if (customer_id) {
+    payload.customer_id = customer_id;
+  }
+
+  return payload;
+}
+
+// สร้าง session ใหม่ตอน login/register → คืน access token + refresh token
+export async function createSession(payload, req) {
+  const sessionId = crypto.randomUUID();
+
+  await pool.query(
+    `INSERT INTO auth_sessions (id, user_id, ip, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      sessionId,
+      payload.id,
+      req?.ip || null,
+      (req?.headers?.["user-agent"] || "").slice(0, 255) || null,
+      REFRESH_TOKEN_TTL_DAYS,
+    ]
+  );
+
+  const refreshToken = await insertRefreshToken(pool, sessionId);
+
+  return {
+    sessionId,
+    token: signAccessToken(payload, sessionId),
+    refreshToken,
+  };
+}
+
+// แลก refresh token เก่าเป็นชุดใหม่ (ใช้ได้ครั้งเดียว)
+// ถ้ามีคนเอา token ที่ถูกใช้ไปแล้วมาใช้ซ้ำ = น่าจะโดนขโมย → revoke ทั้ง session
+// คืน { sessionId, userId, refreshToken } หรือ null ถ้าใช้ไม่ได้
+export async function rotateRefreshToken(refreshToken) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT rt.id, rt.session_id, rt.used_at,
+              rt.expires_at < NOW() AS is_expired,
+              s.user_id, s.revoked_at,
+              s.expires_at < NOW() AS session_expired
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON rt.session_id = s.id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return null;
+    }
+
+    const row = rows[0];
+
+    if (row.used_at) {
+      await conn.query(
+        `UPDATE auth_sessions
+         SET revoked_at = NOW(), revoke_reason = 'refresh_reuse'
+         WHERE id = ? AND revoked_at IS NULL`,
+        [row.session_id]
+      );
+      await conn.commit();
+      return null;
+    }
+
+    if (row.revoked_at || row.is_expired || row.session_expired) {
+      await conn.rollback();
+      return null;
+    }
+
+    await conn.query("UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?", [
+      row.id,
+    ]);
+    await conn.query(
+      "UPDATE auth_sessions SET last_used_at = NOW() WHERE id = ?",
+      [row.session_id]
+    );
+    const nextToken = await insertRefreshToken(conn, row.session_id);
+
+    await conn.commit();
+
+    return {
+      sessionId: row.session_id,
+      userId: row.user_id,
+      refreshToken: nextToken,
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  await pool.query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoke_reason = ?
+     WHERE id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+}
+
+// ออกจากระบบทุกอุปกรณ์ (ยกเว้น session ที่ระบุใน exceptSessionId ถ้ามี)
+export async function revokeAllSessions(userId, reason = "logout_all", exceptSessionId = null) {
+  let sql = `UPDATE auth_sessions
+             SET revoked_at = NOW(), revoke_reason = ?
+             WHERE user_id = ? AND revoked_at IS NULL`;
+  const params = [reason, userId];
+
+  if (exceptSessionId) {
+    sql += " AND id <> ?";
+    params.push(exceptSessionId);
+  }
+
+  const [result] = await pool.query(sql, params);
+  return result.affectedRows;
+}
+
+// ใช้ใน authRequired: session ต้องยังไม่ถูก revoke และยังไม่หมดอายุ
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const [rows] = await pool.query(
+    `SELECT id FROM auth_sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+  return rows.length > 0;
+}
+
+// ticket อายุสั้นสำหรับเปิด EventSource ของ browser (ตั้ง header Authorization ไม่ได้)
+// ส่งใน query string แทน access token ตัวจริง (URL ไปโผล่ใน log ได้) ใช้ได้ STREAM_TICKET_TTL_SECONDS วินาที
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+export function signStreamTicket(user) {
+  const { iat, exp, ...payload } = user;
+  return jwt.sign({ ...payload, purpose: "stream" }, JWT_SECRET, {
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+  });
+}
+
+// คืน payload ผู้ใช้ หรือ null ถ้า ticket ผิด / หมดอายุ / session ถูก revoke แล้ว
+export async function verifyStreamTicket(ticket) {
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== "stream") return null;
+  if (!(await isSessionActive(decoded.sid))) return null;
+
+  const { purpose, iat, exp, ...user } = decoded;
+  return user;
+}
@@ -0,0 +1,29 @@
+-- 001: session ที่ revoke ได้ + refresh token แบบหมุนเวียน (rotating)
+-- access token ทุกใบจะผูกกับ session (claim "sid") ถ้า session ถูก revoke
+-- token ที่ยังไม่หมดอายุก็จะใช้ไม่ได้ทันที
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id            CHAR(36)     NOT NULL PRIMARY KEY,
+  user_id       INT          NOT NULL,
+  ip            VARCHAR(64)  NULL,
+  user_agent    VARCHAR(255) NULL,
+  created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at  DATETIME     NULL,
+  expires_at    DATETIME     NOT NULL,
+  revoked_at    DATETIME     NULL,
+  revoke_reason VARCHAR(64)  NULL,
+  INDEX idx_auth_sessions_user (user_id),
+  CONSTRAINT fk_auth_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  session_id  CHAR(36)     NOT NULL,
+  token_hash  CHAR(64)     NOT NULL,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at  DATETIME     NOT NULL,
+  used_at     DATETIME     NULL,
+  UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+  INDEX idx_refresh_tokens_session (session_id),
+  CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE
+);
@@ -0,0 +1,14 @@
+-- 002: token สำหรับลืมรหัสผ่าน (ใช้ได้ครั้งเดียว มีวันหมดอายุ เก็บเป็น hash)
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  id           INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id      INT          NOT NULL,
+  token_hash   CHAR(64)     NOT NULL,
+  requested_ip VARCHAR(64)  NULL,
+  created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at   DATETIME     NOT NULL,
+  used_at      DATETIME     NULL,
+  UNIQUE KEY uq_password_resets_hash (token_hash),
+  INDEX idx_password_resets_user (user_id),
+  CONSTRAINT fk_password_resets_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,21 @@
+-- 003: กัน brute-force ที่ /auth/login
+-- นับครั้งที่ login ผิดติดกันต่อบัญชี + ล็อกชั่วคราว และเก็บประวัติการ login ทุกครั้ง
+
+ALTER TABLE users
+  ADD COLUMN failed_login_count   INT      NOT NULL DEFAULT 0,
+  ADD COLUMN last_failed_login_at DATETIME NULL,
+  ADD COLUMN locked_until         DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id           INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  email        VARCHAR(255) NOT NULL,
+  user_id      INT          NULL,
+  ip           VARCHAR(64)  NULL,
+  user_agent   VARCHAR(255) NULL,
+  success      TINYINT(1)   NOT NULL DEFAULT 0,
+  reason       VARCHAR(32)  NULL,
+  created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_login_attempts_ip_time (ip, created_at),
+  INDEX idx_login_attempts_email_time (email, created_at),
+  INDEX idx_login_attempts_user (user_id)
+);
@@ -0,0 +1,19 @@
+-- 004: TOTP two-factor authentication
+-- mfa_pending_secret = secret ที่ขอตั้งค่าไว้แต่ยังไม่ยืนยันรหัส, mfa_last_step = กันใช้รหัสเดิมซ้ำ
+
+ALTER TABLE users
+  ADD COLUMN mfa_enabled        TINYINT(1)  NOT NULL DEFAULT 0,
+  ADD COLUMN mfa_secret         VARCHAR(64) NULL,
+  ADD COLUMN mfa_pending_secret VARCHAR(64) NULL,
+  ADD COLUMN mfa_last_step      BIGINT      NULL,
+  ADD COLUMN mfa_enabled_at     DATETIME    NULL;
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT          NOT NULL,
+  code_hash   CHAR(64)     NOT NULL,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at     DATETIME     NULL,
+  INDEX idx_mfa_recovery_codes_user (user_id),
+  CONSTRAINT fk_mfa_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
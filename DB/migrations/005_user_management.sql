@@ -0,0 +1,19 @@
+-- 005: จัดการผู้ใช้โดย admin (เชิญทางอีเมล / ปิด-เปิดบัญชี / เปลี่ยน role)
+
+ALTER TABLE users
+  MODIFY COLUMN role ENUM('admin', 'manager', 'technician', 'customer') NOT NULL DEFAULT 'customer',
+  ADD COLUMN status      ENUM('active', 'invited', 'disabled') NOT NULL DEFAULT 'active',
+  ADD COLUMN disabled_at DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT          NOT NULL,
+  token_hash  CHAR(64)     NOT NULL,
+  invited_by  INT          NULL,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at  DATETIME     NOT NULL,
+  accepted_at DATETIME     NULL,
+  UNIQUE KEY uq_user_invitations_hash (token_hash),
+  INDEX idx_user_invitations_user (user_id),
+  CONSTRAINT fk_user_invitations_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
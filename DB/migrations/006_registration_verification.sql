@@ -0,0 +1,18 @@
+-- 006: สมัครสมาชิกต้องยืนยันอีเมลก่อน / ช่างที่สมัครเองต้องรอ admin อนุมัติคำขอ
+--   pending_verification = ยังไม่ได้ยืนยันอีเมล
+--   pending_approval     = ยืนยันอีเมลแล้ว (ช่าง) รอ admin อนุมัติ technician_requests
+
+ALTER TABLE users
+  MODIFY COLUMN status ENUM('active', 'invited', 'disabled', 'pending_verification', 'pending_approval') NOT NULL DEFAULT 'active';
+
+CREATE TABLE IF NOT EXISTS email_verifications (
+  id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT          NOT NULL,
+  token_hash  CHAR(64)     NOT NULL,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at  DATETIME     NOT NULL,
+  used_at     DATETIME     NULL,
+  UNIQUE KEY uq_email_verifications_hash (token_hash),
+  INDEX idx_email_verifications_user (user_id),
+  CONSTRAINT fk_email_verifications_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
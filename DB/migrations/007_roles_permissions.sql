@@ -0,0 +1,77 @@
+-- 007: สิทธิ์แบบละเอียด (permission) แทนการ hard-code role ในแต่ละ route
+-- roles = ชุดสิทธิ์ที่ admin แก้ไขได้ผ่าน /api/roles (รายการ permission ทั้งหมดอยู่ใน Auth/permissions.js)
+-- role "admin" ได้ทุกสิทธิ์เสมอ ไม่ต้องมีแถวใน role_permissions
+
+CREATE TABLE IF NOT EXISTS roles (
+  name        VARCHAR(32)  NOT NULL PRIMARY KEY,
+  description VARCHAR(255) NULL,
+  is_system   TINYINT(1)   NOT NULL DEFAULT 0,
+  created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role        VARCHAR(32)  NOT NULL,
+  permission  VARCHAR(64)  NOT NULL,
+  PRIMARY KEY (role, permission),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role) REFERENCES roles (name) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('admin', 'ผู้ดูแลระบบ (ทุกสิทธิ์)', 1),
+  ('manager', 'ผู้จัดการคลังอะไหล่', 1),
+  ('technician', 'ช่างเทคนิค', 1),
+  ('customer', 'ลูกค้า', 1);
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'buildings:read'),
+  ('manager', 'elevators:read'),
+  ('manager', 'contracts:read'),
+  ('manager', 'quotations:read'),
+  ('manager', 'invoices:read'),
+  ('manager', 'maintenance_plans:read'),
+  ('manager', 'maintenance_jobs:read'),
+  ('manager', 'tickets:read'),
+  ('manager', 'tickets:create'),
+  ('manager', 'alerts:read'),
+  ('manager', 'dashboard:read'),
+  ('manager', 'parts:read'),
+  ('manager', 'parts:write'),
+  ('manager', 'stock:read');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('technician', 'buildings:read'),
+  ('technician', 'elevators:read'),
+  ('technician', 'contracts:read'),
+  ('technician', 'quotations:read'),
+  ('technician', 'invoices:read'),
+  ('technician', 'maintenance_plans:read'),
+  ('technician', 'maintenance_jobs:read'),
+  ('technician', 'tickets:read'),
+  ('technician', 'tickets:create'),
+  ('technician', 'alerts:read'),
+  ('technician', 'dashboard:read'),
+  ('technician', 'technicians:read'),
+  ('technician', 'technician_requests:submit'),
+  ('technician', 'maintenance_templates:read'),
+  ('technician', 'maintenance_plans:write'),
+  ('technician', 'maintenance_jobs:write'),
+  ('technician', 'parts:read'),
+  ('technician', 'stock:read');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('customer', 'buildings:read'),
+  ('customer', 'elevators:read'),
+  ('customer', 'contracts:read'),
+  ('customer', 'quotations:read'),
+  ('customer', 'invoices:read'),
+  ('customer', 'maintenance_plans:read'),
+  ('customer', 'maintenance_jobs:read'),
+  ('customer', 'tickets:read'),
+  ('customer', 'tickets:create'),
+  ('customer', 'alerts:read'),
+  ('customer', 'dashboard:read');
+
+-- role ของผู้ใช้ต้องเป็น role ที่มีอยู่ในตาราง roles
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(32) NOT NULL DEFAULT 'customer',
+  ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles (name) ON UPDATE CASCADE;
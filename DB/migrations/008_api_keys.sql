@@ -0,0 +1,31 @@
+-- 008: API key สำหรับเครื่อง (IoT gateway / ระบบ BMS ของอาคาร) ที่ login ด้วยอีเมล/รหัสผ่านไม่ได้
+-- เก็บเฉพาะ hash (sha256) ของ key ค่าจริงแสดงครั้งเดียวตอนสร้าง
+-- key ต้องผูกกับลูกค้า (customer_id) หรือชุดลิฟต์ (api_key_elevators) อย่างน้อยหนึ่งอย่าง
+-- permissions = รายการ permission คั่นด้วย , (เลือกได้จาก Auth/permissions.js ยกเว้นสิทธิ์ฝั่ง admin)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id            INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name          VARCHAR(100) NOT NULL,
+  key_prefix    VARCHAR(16)  NOT NULL,
+  key_hash      CHAR(64)     NOT NULL,
+  customer_id   INT          NULL,
+  permissions   TEXT         NOT NULL,
+  created_by    INT          NULL,
+  created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at    DATETIME     NULL,
+  last_used_at  DATETIME     NULL,
+  last_used_ip  VARCHAR(45)  NULL,
+  revoked_at    DATETIME     NULL,
+  revoked_by    INT          NULL,
+  UNIQUE KEY uq_api_keys_hash (key_hash),
+  KEY idx_api_keys_customer (customer_id),
+  CONSTRAINT fk_api_keys_customer FOREIGN KEY (customer_id) REFERENCES customers (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS api_key_elevators (
+  api_key_id    INT          NOT NULL,
+  elevator_id   VARCHAR(64)  NOT NULL,
+  PRIMARY KEY (api_key_id, elevator_id),
+  CONSTRAINT fk_api_key_elevators_key FOREIGN KEY (api_key_id) REFERENCES api_keys (id) ON DELETE CASCADE
+);
+
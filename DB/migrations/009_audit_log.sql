@@ -0,0 +1,23 @@
+-- 009: audit log ของทุก route ที่เพิ่ม / แก้ไข / ลบข้อมูล
+-- changes = diff ของแถวก่อน/หลัง { "field": { "from": ..., "to": ... } } (ฟิลด์ลับเช่น password_hash ถูกปิดค่าไว้)
+-- meta    = ข้อมูลประกอบที่ไม่ใช่คอลัมน์ของแถว เช่น จำนวนที่ปรับสต๊อก
+-- ลบแถวเก่าอัตโนมัติตาม AUDIT_RETENTION_DAYS (ดู README)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id                BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  actor_user_id     INT          NULL,
+  actor_api_key_id  INT          NULL,
+  actor_name        VARCHAR(255) NULL,
+  actor_role        VARCHAR(32)  NULL,
+  ip                VARCHAR(45)  NULL,
+  user_agent        VARCHAR(255) NULL,
+  entity            VARCHAR(50)  NOT NULL,
+  entity_id         VARCHAR(64)  NULL,
+  action            VARCHAR(32)  NOT NULL,
+  changes           JSON         NULL,
+  meta              JSON         NULL,
+  created_at        DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_audit_log_entity (entity, entity_id, created_at),
+  KEY idx_audit_log_actor (actor_user_id, created_at),
+  KEY idx_audit_log_created (created_at)
+);
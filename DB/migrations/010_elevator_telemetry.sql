@@ -0,0 +1,44 @@
+-- 010: telemetry จาก controller ของลิฟต์ (time series)
+-- elevator_telemetry          = ค่าดิบทุก sample เก็บไว้ TELEMETRY_RAW_RETENTION_DAYS วัน
+-- elevator_telemetry_hourly   = สรุปรายชั่วโมง (downsample) เก็บไว้ TELEMETRY_ROLLUP_RETENTION_DAYS วัน
+-- elevators.current_floor / current_load อัปเดตจาก sample ล่าสุดอัตโนมัติ
+
+CREATE TABLE IF NOT EXISTS elevator_telemetry (
+  id            BIGINT        NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  elevator_id   VARCHAR(64)   NOT NULL,
+  recorded_at   DATETIME(3)   NOT NULL,
+  floor         INT           NULL,
+  load_kg       DECIMAL(8,2)  NULL,
+  door_state    VARCHAR(16)   NULL,
+  speed_mps     DECIMAL(6,3)  NULL,
+  error_codes   VARCHAR(255)  NULL,
+  api_key_id    INT           NULL,
+  user_id       INT           NULL,
+  received_at   DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_elevator_telemetry_time (elevator_id, recorded_at),
+  KEY idx_elevator_telemetry_recorded (recorded_at)
+);
+
+CREATE TABLE IF NOT EXISTS elevator_telemetry_hourly (
+  elevator_id      VARCHAR(64)   NOT NULL,
+  bucket_start     DATETIME      NOT NULL,
+  sample_count     INT           NOT NULL,
+  floor_min        INT           NULL,
+  floor_max        INT           NULL,
+  load_avg         DECIMAL(8,2)  NULL,
+  load_max         DECIMAL(8,2)  NULL,
+  speed_avg        DECIMAL(6,3)  NULL,
+  speed_max        DECIMAL(6,3)  NULL,
+  door_open_count  INT           NOT NULL DEFAULT 0,
+  error_count      INT           NOT NULL DEFAULT 0,
+  PRIMARY KEY (elevator_id, bucket_start),
+  KEY idx_elevator_telemetry_hourly_bucket (bucket_start)
+);
+
+ALTER TABLE elevators
+  ADD COLUMN last_telemetry_at DATETIME(3) NULL;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('customer', 'telemetry:read'),
+  ('manager', 'telemetry:read'),
+  ('technician', 'telemetry:read');
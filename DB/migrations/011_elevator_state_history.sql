@@ -0,0 +1,25 @@
+-- 011: ประวัติการเปลี่ยนสถานะลิฟต์ (state machine อยู่ใน Services/elevatorState.js)
+-- from_state = NULL คือสถานะแรกตอนสร้างลิฟต์
+-- ลิฟต์ที่มีอยู่แล้วได้แถวเริ่มต้นจากสถานะปัจจุบัน
+
+CREATE TABLE IF NOT EXISTS elevator_state_history (
+  id                  BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  elevator_id         VARCHAR(64)  NOT NULL,
+  from_state          VARCHAR(32)  NULL,
+  to_state            VARCHAR(32)  NOT NULL,
+  reason              VARCHAR(500) NULL,
+  ticket_id           VARCHAR(64)  NULL,
+  job_id              INT          NULL,
+  changed_by          INT          NULL,
+  changed_by_api_key  INT          NULL,
+  changed_at          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_elevator_state_history_elevator (elevator_id, changed_at)
+);
+
+INSERT INTO elevator_state_history (elevator_id, from_state, to_state, reason)
+SELECT id, NULL, state, 'สถานะตั้งต้นก่อนเริ่มเก็บประวัติ'
+FROM elevators;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'elevators:state'),
+  ('technician', 'elevators:state');
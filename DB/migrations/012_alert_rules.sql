@@ -0,0 +1,20 @@
+-- 012: alert อัตโนมัติจาก telemetry (rule อยู่ใน Services/alertRules.js)
+-- rule + elevator_id ที่ยังไม่ resolve มีได้ 1 แถว เจอซ้ำจะเพิ่ม occurrence_count / last_seen_at
+-- ack = รับทราบแล้ว (ยังเปิดอยู่), resolve = ปิด (resolved_by = NULL คือระบบปิดเองเมื่อเงื่อนไขหาย)
+
+ALTER TABLE alerts
+  ADD COLUMN rule             VARCHAR(32)   NULL,
+  ADD COLUMN severity         ENUM('info', 'warning', 'critical') NOT NULL DEFAULT 'warning',
+  ADD COLUMN message          VARCHAR(500)  NULL,
+  ADD COLUMN details          JSON          NULL,
+  ADD COLUMN occurrence_count INT           NOT NULL DEFAULT 1,
+  ADD COLUMN last_seen_at     DATETIME      NULL,
+  ADD COLUMN acknowledged_at  DATETIME      NULL,
+  ADD COLUMN acknowledged_by  INT           NULL,
+  ADD COLUMN resolved_by      INT           NULL,
+  ADD COLUMN resolution_note  VARCHAR(500)  NULL,
+  ADD KEY idx_alerts_open_rule (elevator_id, rule, resolved_at);
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'alerts:manage'),
+  ('technician', 'alerts:manage');
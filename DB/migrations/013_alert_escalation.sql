@@ -0,0 +1,87 @@
+-- 013: escalation ของ alert ที่ยังไม่มีใครรับทราบ + ตารางเวร on-call
+-- escalation_policies          = นโยบายต่อลูกค้า / ภูมิภาค (ทั้งคู่ NULL = ค่าเริ่มต้นของระบบ)
+-- escalation_policy_steps      = ลำดับการแจ้ง เช่น ช่างที่รับงาน → หัวหน้าเวร (หลัง N นาที) → admin
+-- on_call_rotations / members  = เวรหมุนเวียน แต่ละกะยาว shift_hours เริ่มนับจาก starts_at
+-- alerts.escalation_*          = สถานะ escalation ของแต่ละ alert (หยุดเมื่อ acknowledge / resolve)
+-- alert_escalation_events      = ประวัติว่าแจ้งใครไปแล้วในขั้นไหน
+
+ALTER TABLE buildings
+  ADD COLUMN region VARCHAR(64) NULL;
+
+CREATE TABLE IF NOT EXISTS escalation_policies (
+  id            INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name          VARCHAR(100) NOT NULL,
+  customer_id   INT          NULL,
+  region        VARCHAR(64)  NULL,
+  min_severity  ENUM('info', 'warning', 'critical') NOT NULL DEFAULT 'warning',
+  is_active     TINYINT(1)   NOT NULL DEFAULT 1,
+  created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_escalation_policies_scope (customer_id, region)
+);
+
+CREATE TABLE IF NOT EXISTS escalation_policy_steps (
+  id              INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  policy_id       INT          NOT NULL,
+  step_no         INT          NOT NULL,
+  delay_minutes   INT          NOT NULL DEFAULT 0,
+  target          ENUM('assigned_technician', 'on_call_technician', 'on_call_lead', 'admin', 'user') NOT NULL,
+  target_user_id  INT          NULL,
+  UNIQUE KEY uq_escalation_policy_steps (policy_id, step_no),
+  CONSTRAINT fk_escalation_policy_steps_policy FOREIGN KEY (policy_id) REFERENCES escalation_policies (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS on_call_rotations (
+  id            INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name          VARCHAR(100) NOT NULL,
+  level         ENUM('technician', 'lead') NOT NULL,
+  customer_id   INT          NULL,
+  region        VARCHAR(64)  NULL,
+  starts_at     DATETIME     NOT NULL,
+  shift_hours   INT          NOT NULL DEFAULT 168,
+  is_active     TINYINT(1)   NOT NULL DEFAULT 1,
+  created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_on_call_rotations_scope (level, customer_id, region)
+);
+
+CREATE TABLE IF NOT EXISTS on_call_rotation_members (
+  rotation_id  INT  NOT NULL,
+  position     INT  NOT NULL,
+  user_id      INT  NOT NULL,
+  PRIMARY KEY (rotation_id, position),
+  CONSTRAINT fk_on_call_members_rotation FOREIGN KEY (rotation_id) REFERENCES on_call_rotations (id) ON DELETE CASCADE,
+  CONSTRAINT fk_on_call_members_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+ALTER TABLE alerts
+  ADD COLUMN escalation_policy_id  INT       NULL,
+  ADD COLUMN escalation_step       INT       NOT NULL DEFAULT 0,
+  ADD COLUMN escalation_next_at    DATETIME  NULL,
+  ADD COLUMN escalation_done_at    DATETIME  NULL,
+  ADD KEY idx_alerts_escalation (resolved_at, acknowledged_at, escalation_next_at);
+
+CREATE TABLE IF NOT EXISTS alert_escalation_events (
+  id               BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  alert_id         INT          NOT NULL,
+  step_no          INT          NOT NULL,
+  target           VARCHAR(32)  NOT NULL,
+  user_id          INT          NULL,
+  notification_id  INT          NULL,
+  created_at       DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_alert_escalation_events_alert (alert_id)
+);
+
+-- นโยบายเริ่มต้น: ช่างที่รับงานทันที → หัวหน้าเวรหลัง 15 นาที → admin หลังอีก 30 นาที
+INSERT INTO escalation_policies (id, name, min_severity) VALUES
+  (1, 'ค่าเริ่มต้น', 'warning');
+
+INSERT INTO escalation_policy_steps (policy_id, step_no, delay_minutes, target) VALUES
+  (1, 1, 0, 'assigned_technician'),
+  (1, 2, 15, 'on_call_lead'),
+  (1, 3, 30, 'admin');
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'escalations:manage'),
+  ('manager', 'oncall:read'),
+  ('technician', 'oncall:read');
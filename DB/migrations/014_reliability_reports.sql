@@ -0,0 +1,5 @@
+-- 014: รายงาน uptime / MTBF / MTTR (คำนวณสดจาก elevator_state_history ไม่มีตารางใหม่)
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('customer', 'reports:read'),
+  ('manager', 'reports:read');
@@ -0,0 +1,9 @@
+-- 015: risk score สำหรับ predictive maintenance (คำนวณสดใน Services/risk.js)
+-- maintenance_jobs.risk_score = งานที่ระบบแนะนำจากคะแนนความเสี่ยง (NULL = งานที่คนสร้างเอง)
+
+ALTER TABLE maintenance_jobs
+  ADD COLUMN risk_score DECIMAL(5,1) NULL;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'risk:read'),
+  ('technician', 'risk:read');
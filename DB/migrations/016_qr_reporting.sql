@@ -0,0 +1,13 @@
+-- 016: ป้าย QR ต่อลิฟต์ + แจ้งเสียโดยไม่ต้อง login (source = 'qr')
+-- elevators.qr_version  = เพิ่มเลขเมื่อ rotate → ป้าย QR เก่าทั้งหมดใช้ไม่ได้
+-- tickets.contact_*     = ช่องทางติดต่อกลับผู้แจ้งที่ไม่มีบัญชี (reporter_id = NULL)
+
+ALTER TABLE elevators
+  ADD COLUMN qr_version INT NOT NULL DEFAULT 1;
+
+ALTER TABLE tickets
+  MODIFY COLUMN source  VARCHAR(32)  NOT NULL DEFAULT 'internal',
+  ADD COLUMN contact_name   VARCHAR(255) NULL,
+  ADD COLUMN contact_phone  VARCHAR(50)  NULL,
+  ADD COLUMN contact_email  VARCHAR(255) NULL,
+  ADD COLUMN reporter_ip    VARCHAR(45)  NULL;
@@ -0,0 +1,38 @@
+-- 017: เอกสารแนบของลิฟต์ / อาคาร (ใบรับรองการตรวจสอบ คู่มือ แบบวงจร ฯลฯ)
+-- ไฟล์จริงอยู่ใน storage backend (Services/storage.js) ตารางนี้เก็บแค่ metadata + storage_key
+-- แต่ละแถวผูกกับลิฟต์หรืออาคารอย่างใดอย่างหนึ่ง
+-- customer_visible = 0 → เห็นเฉพาะทีมงาน (ลูกค้าไม่เห็น เช่น แบบวงจร)
+-- expiry_notified_at / expired_notified_at = แจ้งเตือนก่อนหมดอายุ / ตอนหมดอายุไปแล้ว (ล้างเมื่อแก้ expires_at)
+
+CREATE TABLE IF NOT EXISTS documents (
+  id                   INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  elevator_id          VARCHAR(64)  NULL,
+  building_id          INT          NULL,
+  doc_type             VARCHAR(32)  NOT NULL,
+  title                VARCHAR(255) NOT NULL,
+  file_name            VARCHAR(255) NOT NULL,
+  content_type         VARCHAR(100) NOT NULL,
+  size_bytes           INT          NOT NULL,
+  checksum             CHAR(64)     NOT NULL,
+  storage_driver       VARCHAR(20)  NOT NULL,
+  storage_key          VARCHAR(255) NOT NULL,
+  issued_at            DATE         NULL,
+  expires_at           DATE         NULL,
+  customer_visible     TINYINT(1)   NOT NULL DEFAULT 1,
+  uploaded_by          INT          NULL,
+  uploaded_by_api_key  INT          NULL,
+  expiry_notified_at   DATETIME     NULL,
+  expired_notified_at  DATETIME     NULL,
+  created_at           DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at           DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_documents_elevator (elevator_id),
+  KEY idx_documents_building (building_id),
+  KEY idx_documents_expires (expires_at)
+);
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('customer', 'documents:read'),
+  ('manager', 'documents:read'),
+  ('manager', 'documents:write'),
+  ('technician', 'documents:read'),
+  ('technician', 'documents:write');
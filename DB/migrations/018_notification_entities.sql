@@ -0,0 +1,14 @@
+-- 018: notification อ้างถึงข้อมูลต้นทางด้วย entity_type / entity_id (Services/notifications.js)
+-- เดิมหา notification ของลิฟต์จาก title LIKE 'สถานะลิฟต์: <id>%' ซึ่งพังเมื่อข้อความเปลี่ยน
+-- แถวเก่าของสถานะลิฟต์ดึง id กลับมาจาก title ที่เหลือเป็น NULL
+
+ALTER TABLE notifications
+  ADD COLUMN entity_type  VARCHAR(32)  NULL,
+  ADD COLUMN entity_id    VARCHAR(64)  NULL,
+  ADD INDEX idx_notifications_entity (entity_type, entity_id),
+  ADD INDEX idx_notifications_user (user_id, sent_at);
+
+UPDATE notifications
+SET entity_type = 'elevator',
+    entity_id   = SUBSTRING_INDEX(SUBSTRING(title, CHAR_LENGTH('สถานะลิฟต์: ') + 1), ' ', 1)
+WHERE type = 'elevator_state' AND title LIKE 'สถานะลิฟต์: %';
@@ -0,0 +1,25 @@
+-- 019: real-time push (Services/realtime.js, GET /api/events/stream)
+-- realtime_events = log ของ event ที่ส่งออกไป id ใช้เป็น SSE id ให้ client resume ได้ด้วย Last-Event-ID
+--   user_id                           ส่งให้คนนั้นคนเดียว
+--   permission + customer_id / elevator_id  ทุกคนที่มีสิทธิ์และอยู่ใน scope เดียวกับ REST
+-- เก็บไว้ REALTIME_EVENT_RETENTION_HOURS ชั่วโมง (ค่าเริ่มต้น 24)
+-- tickets.status รองรับ resolved / closed เพิ่ม + สิทธิ์ tickets:manage สำหรับเปลี่ยนสถานะ
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id           BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  event_type   VARCHAR(40)  NOT NULL,
+  user_id      INT          NULL,
+  customer_id  INT          NULL,
+  elevator_id  VARCHAR(64)  NULL,
+  permission   VARCHAR(64)  NULL,
+  payload      JSON         NOT NULL,
+  created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_realtime_events_created (created_at)
+);
+
+ALTER TABLE tickets
+  MODIFY COLUMN status VARCHAR(32) NOT NULL DEFAULT 'pending';
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'tickets:manage'),
+  ('technician', 'tickets:manage');
@@ -0,0 +1,31 @@
+-- 020: ส่ง notification ทางอีเมล / SMS / LINE (Services/channels.js + Services/notificationDelivery.js)
+-- notification_deliveries = คิวส่งออก หนึ่งแถวต่อข้อความ ต่อช่องทาง ต่อผู้รับ พร้อมสถานะ / จำนวนครั้ง / error ล่าสุด
+--   status: queued / sending / retrying / sent / failed
+--   subject / body คัดลอกมาจาก notification ตอนเข้าคิว (ลบ notification แล้วยังส่ง / ตรวจย้อนหลังได้)
+-- users.phone / users.line_user_id = ปลายทาง SMS / LINE ของผู้ใช้ (ตั้งเองที่ PUT /api/notifications/contacts)
+
+ALTER TABLE users
+  ADD COLUMN phone         VARCHAR(32)  NULL,
+  ADD COLUMN line_user_id  VARCHAR(64)  NULL;
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id                   BIGINT        NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  notification_id      INT           NULL,
+  user_id              INT           NOT NULL,
+  channel              VARCHAR(20)   NOT NULL,
+  recipient            VARCHAR(255)  NOT NULL,
+  subject              VARCHAR(255)  NOT NULL,
+  body                 TEXT          NULL,
+  status               VARCHAR(16)   NOT NULL DEFAULT 'queued',
+  attempts             INT           NOT NULL DEFAULT 0,
+  next_attempt_at      DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at            DATETIME      NULL,
+  last_error           VARCHAR(500)  NULL,
+  provider_message_id  VARCHAR(128)  NULL,
+  sent_at              DATETIME      NULL,
+  created_at           DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at           DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_notification_deliveries_due (status, next_attempt_at),
+  KEY idx_notification_deliveries_notification (notification_id),
+  KEY idx_notification_deliveries_user (user_id, created_at)
+);
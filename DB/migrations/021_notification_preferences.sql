@@ -0,0 +1,27 @@
+-- 021: ผู้ใช้ตั้งค่าการรับ notification เอง (Services/notificationPreferences.js, /api/notifications/preferences)
+-- notification_settings    = ค่ารวมต่อผู้ใช้: timezone, quiet hours (เวลาท้องถิ่น), ความถี่สรุป (instant / hourly / daily)
+-- notification_preferences = เปิด / ปิด ต่อชนิด × ช่องทาง (in_app / email / sms / line) ไม่มีแถว = เปิด
+-- notification_deliveries.digest_id = แถวสรุปที่ข้อความ held ถูกรวมเข้าไป
+
+CREATE TABLE IF NOT EXISTS notification_settings (
+  user_id         INT          NOT NULL PRIMARY KEY,
+  timezone        VARCHAR(64)  NOT NULL DEFAULT 'Asia/Bangkok',
+  quiet_start     TIME         NULL,
+  quiet_end       TIME         NULL,
+  digest          VARCHAR(16)  NOT NULL DEFAULT 'instant',
+  digest_hour     TINYINT      NOT NULL DEFAULT 8,
+  last_digest_at  DATETIME     NULL,
+  updated_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id            INT          NOT NULL,
+  notification_type  VARCHAR(40)  NOT NULL,
+  channel            VARCHAR(20)  NOT NULL,
+  enabled            TINYINT(1)   NOT NULL DEFAULT 1,
+  PRIMARY KEY (user_id, notification_type, channel)
+);
+
+ALTER TABLE notification_deliveries
+  ADD COLUMN digest_id  BIGINT  NULL,
+  ADD INDEX idx_notification_deliveries_held (status, user_id);
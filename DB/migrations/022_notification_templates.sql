@@ -0,0 +1,16 @@
+-- 022: ข้อความ notification แบบ template ไทย / อังกฤษ (Services/notificationTemplates.js)
+-- notification_templates = ข้อความที่ admin แก้ทับค่าเริ่มต้นในโค้ด หนึ่งแถวต่อ template ต่อภาษา (ลบแถว = กลับไปใช้ค่าเริ่มต้น)
+-- notification_settings.locale = ภาษาที่ผู้ใช้รับ notification (th / en)
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+  template_key  VARCHAR(64)    NOT NULL,
+  locale        VARCHAR(8)     NOT NULL,
+  title         VARCHAR(255)   NOT NULL,
+  body          TEXT           NULL,
+  updated_by    INT            NULL,
+  updated_at    DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (template_key, locale)
+);
+
+ALTER TABLE notification_settings
+  ADD COLUMN locale  VARCHAR(8)  NOT NULL DEFAULT 'th' AFTER user_id;
@@ -0,0 +1,8 @@
+-- 023: แจ้งเตือนต่อสัญญา (Services/contracts.js)
+-- renewal_notified_at = แจ้งแล้วสำหรับรอบสัญญานี้ (ล้างเมื่อแก้ end_date / notify_before_days เช่น ต่อสัญญาแล้ว)
+
+ALTER TABLE contracts
+  ADD COLUMN renewal_notified_at  DATETIME  NULL;
+
+ALTER TABLE contracts
+  ADD KEY idx_contracts_end_date (end_date);
@@ -0,0 +1,8 @@
+-- 024: challenge ของฟอร์มแจ้งเสียผ่าน QR ใช้ได้ครั้งเดียว (Services/qrReport.js)
+-- หนึ่งแถวต่อ challenge ที่ถูกใช้แล้ว ลบทิ้งเมื่อเลย expires_at (token หมดอายุแล้วใช้ไม่ได้อยู่ดี)
+
+CREATE TABLE IF NOT EXISTS qr_challenge_nonces (
+  nonce       VARCHAR(32)  NOT NULL PRIMARY KEY,
+  expires_at  DATETIME     NOT NULL,
+  KEY idx_qr_challenge_nonces_expires (expires_at)
+);
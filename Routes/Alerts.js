@@ -0,0 +1,324 @@
+// ---- Alert Routes (ความผิดปกติของลิฟต์ที่ระบบตรวจจับจาก telemetry) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { rowScope, appendScope } from "../Auth/scope.js";
+import { audit } from "../Services/audit.js";
+import { ALERT_RULES, ALERT_SEVERITIES, publishAlertEvent } from "../Services/alertRules.js";
+import { getAlertEscalationEvents } from "../Services/escalation.js";
+
+const router = express.Router();
+
+const ALERT_SELECT = `
+  SELECT a.*, e.name as elevator_name, b.name as building_name
+  FROM alerts a
+  LEFT JOIN elevators e ON a.elevator_id = e.id
+  LEFT JOIN buildings b ON e.building_id = b.id
+`;
+
+const ALERT_STATUSES = ["open", "acknowledged", "resolved", "all"];
+
+// alert ที่ user นี้เข้าถึงได้ (ผ่านลิฟต์ / อาคาร) หรือ null
+async function findAccessibleAlert(user, id) {
+  const params = [id];
+  const sql = appendScope(
+    `${ALERT_SELECT} WHERE a.id = ?`,
+    params,
+    rowScope(user, { customer: "b.customer_id", elevator: "e.id" }),
+    true
+  );
+  const [rows] = await pool.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List alerts
+ *     description: Alerts raised by the telemetry rules (overload, stuck, repeated_error, door_fault). Defaults to unresolved alerts, most severe first.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: open = not resolved (acknowledged or not), acknowledged = acknowledged but not resolved
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved, all]
+ *           default: open
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *       - in: query
+ *         name: rule
+ *         schema:
+ *           type: string
+ *           enum: [overload, stuck, repeated_error, door_fault]
+ *       - in: query
+ *         name: elevator_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of alerts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Alert'
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/alerts", authRequired, can("alerts:read"), async (req, res) => {
+  const { status = "open", severity, rule, elevator_id } = req.query;
+
+  if (!ALERT_STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ message: `status ต้องเป็น ${ALERT_STATUSES.join(" / ")}` });
+  }
+  if (severity && !ALERT_SEVERITIES.includes(severity)) {
+    return res
+      .status(400)
+      .json({ message: `severity ต้องเป็น ${ALERT_SEVERITIES.join(" / ")}` });
+  }
+  if (rule && !ALERT_RULES.includes(rule)) {
+    return res.status(400).json({ message: `rule ต้องเป็น ${ALERT_RULES.join(" / ")}` });
+  }
+
+  try {
+    const where = [];
+    const params = [];
+
+    if (status === "open") where.push("a.resolved_at IS NULL");
+    if (status === "acknowledged") {
+      where.push("a.resolved_at IS NULL AND a.acknowledged_at IS NOT NULL");
+    }
+    if (status === "resolved") where.push("a.resolved_at IS NOT NULL");
+    if (severity) {
+      where.push("a.severity = ?");
+      params.push(severity);
+    }
+    if (rule) {
+      where.push("a.rule = ?");
+      params.push(rule);
+    }
+    if (elevator_id) {
+      where.push("a.elevator_id = ?");
+      params.push(elevator_id);
+    }
+
+    let sql = ALERT_SELECT;
+    if (where.length > 0) sql += ` WHERE ${where.join(" AND ")}`;
+
+    // ลูกค้า / API key เห็นเฉพาะ alert ของลิฟต์ที่ตัวเองเข้าถึงได้
+    sql = appendScope(
+      sql,
+      params,
+      rowScope(req.user, { customer: "b.customer_id", elevator: "e.id" }),
+      where.length > 0
+    );
+
+    sql += `
+      ORDER BY a.resolved_at IS NULL DESC,
+               FIELD(a.severity, 'critical', 'warning', 'info'),
+               a.created_at DESC
+      LIMIT 500
+    `;
+
+    const [alerts] = await pool.query(sql, params);
+    res.json(alerts);
+  } catch (error) {
+    console.error("Fetch alerts error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/{id}/escalations:
+ *   get:
+ *     summary: Alert escalation history
+ *     description: Who was notified at each escalation step, plus the alert's current escalation state
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Escalation state and events
+ *       404:
+ *         description: Alert not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/alerts/:id/escalations", authRequired, can("alerts:read"), async (req, res) => {
+  try {
+    const alert = await findAccessibleAlert(req.user, req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+
+    res.json({
+      alert_id: alert.id,
+      policy_id: alert.escalation_policy_id,
+      step: alert.escalation_step,
+      next_at: alert.escalation_next_at,
+      done_at: alert.escalation_done_at,
+      events: await getAlertEscalationEvents(alert.id),
+    });
+  } catch (error) {
+    console.error("Fetch alert escalations error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an alert
+ *     description: Mark that someone is looking at the alert and stop escalation. It stays open until resolved (requires alerts:manage).
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged (or already acknowledged)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert already resolved
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/alerts/:id/acknowledge",
+  authRequired,
+  can("alerts:manage"),
+  audit("alert", "alerts", { action: "acknowledge" }),
+  async (req, res) => {
+    try {
+      const alert = await findAccessibleAlert(req.user, req.params.id);
+      if (!alert) {
+        return res.status(404).json({ message: "Alert not found" });
+      }
+      if (alert.resolved_at) {
+        return res.status(409).json({ message: "Alert นี้ถูกปิดไปแล้ว" });
+      }
+
+      const [result] = await pool.query(
+        `UPDATE alerts
+         SET acknowledged_at = NOW(), acknowledged_by = ?
+         WHERE id = ? AND acknowledged_at IS NULL`,
+        [req.user.id || null, alert.id]
+      );
+      if (result.affectedRows > 0) await publishAlertEvent("acknowledged", alert.id);
+
+      const [rows] = await pool.query(`${ALERT_SELECT} WHERE a.id = ?`, [alert.id]);
+      res.json(rows[0]);
+    } catch (error) {
+      console.error("Acknowledge alert error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/alerts/{id}/resolve:
+ *   post:
+ *     summary: Resolve an alert
+ *     description: Close the alert manually. If the condition is still present, the next telemetry sample opens a new alert (requires alerts:manage).
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert already resolved
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/alerts/:id/resolve",
+  authRequired,
+  can("alerts:manage"),
+  audit("alert", "alerts", { action: "resolve" }),
+  async (req, res) => {
+    const { note } = req.body || {};
+
+    try {
+      const alert = await findAccessibleAlert(req.user, req.params.id);
+      if (!alert) {
+        return res.status(404).json({ message: "Alert not found" });
+      }
+
+      // ปิดแล้วปิดซ้ำไม่ได้ (กันสองคนกดพร้อมกัน)
+      const [result] = await pool.query(
+        `UPDATE alerts
+         SET resolved_at = NOW(), resolved_by = ?, resolution_note = ?,
+             acknowledged_at = COALESCE(acknowledged_at, NOW()),
+             acknowledged_by = COALESCE(acknowledged_by, ?)
+         WHERE id = ? AND resolved_at IS NULL`,
+        [req.user.id || null, note || null, req.user.id || null, alert.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(409).json({ message: "Alert นี้ถูกปิดไปแล้ว" });
+      }
+      await publishAlertEvent("resolved", alert.id);
+
+      const [rows] = await pool.query(`${ALERT_SELECT} WHERE a.id = ?`, [alert.id]);
+      res.json(rows[0]);
+    } catch (error) {
+      console.error("Resolve alert error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,346 @@
+// ---- API Keys Routes (Admin: key สำหรับ IoT gateway / BMS) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import { hashToken } from "../Auth/session.js";
+import { API_KEY_PERMISSIONS, generateApiKey } from "../Auth/apiKeys.js";
+
+const router = express.Router();
+
+const API_KEY_SELECT = `
+  SELECT k.id, k.name, k.key_prefix, k.customer_id,
+         c.name AS customer_name,
+         k.permissions, k.created_by, k.created_at, k.expires_at,
+         k.last_used_at, k.last_used_ip, k.revoked_at, k.revoked_by,
+         GROUP_CONCAT(ke.elevator_id ORDER BY ke.elevator_id) AS elevator_ids
+  FROM api_keys k
+  LEFT JOIN customers c ON k.customer_id = c.id
+  LEFT JOIN api_key_elevators ke ON ke.api_key_id = k.id
+`;
+
+function formatApiKey(row) {
+  return {
+    ...row,
+    permissions: row.permissions ? row.permissions.split(",") : [],
+    elevator_ids: row.elevator_ids ? row.elevator_ids.split(",") : [],
+  };
+}
+
+async function fetchApiKey(id) {
+  const [rows] = await pool.query(
+    `${API_KEY_SELECT} WHERE k.id = ? GROUP BY k.id`,
+    [id]
+  );
+  return rows[0] ? formatApiKey(rows[0]) : null;
+}
+
+// audit: ใช้ข้อมูลเดียวกับที่ API คืน (ไม่มี key_hash, มีชุดลิฟต์)
+const API_KEY_AUDIT = { snapshot: fetchApiKey };
+
+// คืนข้อความ error ถ้าข้อมูล key ไม่ถูกต้อง (null = ผ่าน)
+async function validateApiKeyScope({ customer_id, elevator_ids, permissions }) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return "permissions ต้องเป็น array และมีอย่างน้อย 1 รายการ";
+  }
+  const notAllowed = permissions.filter((p) => !API_KEY_PERMISSIONS.includes(p));
+  if (notAllowed.length > 0) {
+    return `permission ที่ให้ API key ไม่ได้: ${notAllowed.join(", ")}`;
+  }
+  if (!Array.isArray(elevator_ids)) {
+    return "elevator_ids ต้องเป็น array";
+  }
+  if (!customer_id && elevator_ids.length === 0) {
+    return "API key ต้องผูกกับ customer_id หรือ elevator_ids อย่างน้อยหนึ่งอย่าง";
+  }
+
+  if (customer_id) {
+    const [customers] = await pool.query(
+      "SELECT id FROM customers WHERE id = ?",
+      [customer_id]
+    );
+    if (customers.length === 0) return "Customer not found";
+  }
+
+  if (elevator_ids.length > 0) {
+    // ลิฟต์ต้องมีอยู่จริง และถ้าระบุลูกค้าด้วย ต้องเป็นลิฟต์ของลูกค้านั้น
+    const [elevators] = await pool.query(
+      `SELECT e.id, b.customer_id
+       FROM elevators e
+       LEFT JOIN buildings b ON e.building_id = b.id
+       WHERE e.id IN (?)`,
+      [elevator_ids]
+    );
+    const found = new Map(elevators.map((e) => [String(e.id), e.customer_id]));
+    const missing = elevator_ids.filter((id) => !found.has(String(id)));
+    if (missing.length > 0) {
+      return `Elevator not found: ${missing.join(", ")}`;
+    }
+    if (
+      customer_id &&
+      elevator_ids.some((id) => Number(found.get(String(id))) !== Number(customer_id))
+    ) {
+      return "elevator_ids ต้องเป็นลิฟต์ของลูกค้าที่ระบุ";
+    }
+  }
+
+  return null;
+}
+
+async function replaceApiKeyElevators(conn, apiKeyId, elevatorIds) {
+  await conn.query("DELETE FROM api_key_elevators WHERE api_key_id = ?", [
+    apiKeyId,
+  ]);
+  if (elevatorIds.length > 0) {
+    await conn.query(
+      "INSERT INTO api_key_elevators (api_key_id, elevator_id) VALUES ?",
+      [elevatorIds.map((id) => [apiKeyId, String(id)])]
+    );
+  }
+}
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get API keys
+ *     description: List machine API keys (requires api_keys:manage). The key itself is never returned after creation.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, revoked]
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *       500:
+ *         description: Internal server error
+ */
+// รายการ API key
+router.get("/api-keys", authRequired, can("api_keys:manage"), async (req, res) => {
+  const { customer_id, status } = req.query;
+
+  try {
+    let sql = `${API_KEY_SELECT} WHERE 1 = 1`;
+    const params = [];
+
+    if (customer_id) {
+      sql += " AND k.customer_id = ?";
+      params.push(customer_id);
+    }
+    if (status === "active") {
+      sql += " AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())";
+    } else if (status === "revoked") {
+      sql += " AND k.revoked_at IS NOT NULL";
+    }
+
+    sql += " GROUP BY k.id ORDER BY k.created_at DESC";
+
+    const [rows] = await pool.query(sql, params);
+    res.json(rows.map(formatApiKey));
+  } catch (error) {
+    console.error("Fetch API keys error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ดู API key ตาม id
+router.get("/api-keys/:id", authRequired, can("api_keys:manage"), async (req, res) => {
+  try {
+    const apiKey = await fetchApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+    res.json(apiKey);
+  } catch (error) {
+    console.error("Fetch API key error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Create a key for a gateway or building-management system (requires api_keys:manage). The key must be tied to a customer, a set of elevators, or both. The plain key is returned once in this response only; send it in the X-Api-Key header.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Gateway อาคาร A"
+ *               customer_id:
+ *                 type: integer
+ *               elevator_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               permissions:
+ *                 type: array
+ *                 description: Only telemetry:read, telemetry:write, tickets:create, tickets:read, elevators:read, alerts:read and documents:read can be granted to a key
+ *                 items:
+ *                   type: string
+ *                 example: ["elevators:read", "tickets:create"]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created (includes the plain key)
+ *       400:
+ *         description: Invalid scope or permissions
+ *       500:
+ *         description: Internal server error
+ */
+// สร้าง API key (คืนค่า key จริงครั้งเดียว)
+router.post("/api-keys", authRequired, can("api_keys:manage"), audit("api_key", "api_keys", API_KEY_AUDIT), async (req, res) => {
+  const {
+    name,
+    customer_id,
+    elevator_ids = [],
+    permissions,
+    expires_at,
+  } = req.body || {};
+
+  if (!name) {
+    return res.status(400).json({ message: "name จำเป็นต้องมี" });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const invalid = await validateApiKeyScope({ customer_id, elevator_ids, permissions });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const { key, prefix } = generateApiKey();
+
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO api_keys
+         (name, key_prefix, key_hash, customer_id, permissions, created_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        prefix,
+        hashToken(key),
+        customer_id || null,
+        [...new Set(permissions)].join(","),
+        req.user.id,
+        expires_at ? new Date(expires_at) : null,
+      ]
+    );
+    await replaceApiKeyElevators(conn, result.insertId, [...new Set(elevator_ids)]);
+    await conn.commit();
+
+    res.status(201).json({ ...(await fetchApiKey(result.insertId)), key });
+  } catch (error) {
+    await conn.rollback();
+    console.error("Create API key error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  } finally {
+    conn.release();
+  }
+});
+
+// แก้ไขชื่อ / สิทธิ์ / ชุดลิฟต์ของ key (เปลี่ยนลูกค้าไม่ได้ ต้องสร้าง key ใหม่)
+router.put("/api-keys/:id", authRequired, can("api_keys:manage"), audit("api_key", "api_keys", API_KEY_AUDIT), async (req, res) => {
+  const { id } = req.params;
+  const { name, elevator_ids = [], permissions, expires_at } = req.body || {};
+
+  if (!name) {
+    return res.status(400).json({ message: "name จำเป็นต้องมี" });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const current = await fetchApiKey(id);
+    if (!current) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+    if (current.revoked_at) {
+      return res.status(409).json({ message: "API key ถูกยกเลิกแล้ว" });
+    }
+
+    const invalid = await validateApiKeyScope({
+      customer_id: current.customer_id,
+      elevator_ids,
+      permissions,
+    });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    await conn.beginTransaction();
+    await conn.query(
+      "UPDATE api_keys SET name = ?, permissions = ?, expires_at = ? WHERE id = ?",
+      [
+        name,
+        [...new Set(permissions)].join(","),
+        expires_at ? new Date(expires_at) : null,
+        id,
+      ]
+    );
+    await replaceApiKeyElevators(conn, id, [...new Set(elevator_ids)]);
+    await conn.commit();
+
+    res.json(await fetchApiKey(id));
+  } catch (error) {
+    await conn.rollback();
+    console.error("Update API key error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  } finally {
+    conn.release();
+  }
+});
+
+// ยกเลิก key (มีผลทันทีกับ request ถัดไป)
+router.post(
+  "/api-keys/:id/revoke",
+  authRequired,
+  can("api_keys:manage"),
+  audit("api_key", "api_keys", { ...API_KEY_AUDIT, action: "revoke" }),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const [result] = await pool.query(
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [req.user.id, id]
+      );
+      if (result.affectedRows === 0) {
+        const apiKey = await fetchApiKey(id);
+        return apiKey
+          ? res.status(409).json({ message: "API key ถูกยกเลิกแล้ว" })
+          : res.status(404).json({ message: "API key not found" });
+      }
+
+      res.json(await fetchApiKey(id));
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
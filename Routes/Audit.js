@@ -0,0 +1,150 @@
+// ---- Audit Log Routes (Admin: ดูประวัติการแก้ไขข้อมูล) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { appendScope, rowScope } from "../Auth/scope.js";
+import { getAuditRetentionDays } from "../Services/audit.js";
+
+const router = express.Router();
+
+function parseJson(value) {
+  if (value == null || typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: Who changed what and when, with a before/after diff per field (requires audit:read). Customer- or elevator-scoped users get no entries, since the log spans every customer.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         description: e.g. contract, invoice, elevator
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: apiKeyId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit entries (newest first) and the retention setting
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/audit", authRequired, can("audit:read"), async (req, res) => {
+  const { entity, entityId, userId, apiKeyId, action, from, to } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    let where = " WHERE 1 = 1";
+    const params = [];
+
+    if (entity) {
+      where += " AND al.entity = ?";
+      params.push(entity);
+    }
+    if (entityId) {
+      where += " AND al.entity_id = ?";
+      params.push(entityId);
+    }
+    if (userId) {
+      where += " AND al.actor_user_id = ?";
+      params.push(userId);
+    }
+    if (apiKeyId) {
+      where += " AND al.actor_api_key_id = ?";
+      params.push(apiKeyId);
+    }
+    if (action) {
+      where += " AND al.action = ?";
+      params.push(action);
+    }
+    if (from) {
+      where += " AND al.created_at >= ?";
+      params.push(from);
+    }
+    if (to) {
+      where += " AND al.created_at <= ?";
+      params.push(to);
+    }
+    // audit log ไม่ได้แยกตามลูกค้า / ลิฟต์ ผู้ใช้หรือ key ที่ถูกจำกัดขอบเขตจึงไม่เห็นอะไรเลย
+    where = appendScope(where, params, rowScope(req.user), true);
+
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM audit_log al${where}`,
+      params
+    );
+
+    const [rows] = await pool.query(
+      `SELECT al.id, al.actor_user_id, u.email AS actor_email, al.actor_api_key_id,
+              al.actor_name, al.actor_role, al.ip, al.user_agent,
+              al.entity, al.entity_id, al.action, al.changes, al.meta, al.created_at
+       FROM audit_log al
+       LEFT JOIN users u ON al.actor_user_id = u.id
+       ${where}
+       ORDER BY al.created_at DESC, al.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      total,
+      limit,
+      offset,
+      retention_days: getAuditRetentionDays(),
+      items: rows.map((row) => ({
+        ...row,
+        changes: parseJson(row.changes),
+        meta: parseJson(row.meta),
+      })),
+    });
+  } catch (error) {
+    console.error("Fetch audit log error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,305 @@
+// ---- Bulk Data Routes (import / export ลูกค้า อาคาร ลิฟต์ เป็น CSV / XLSX) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { rowScope } from "../Auth/scope.js";
+import { recordAudit } from "../Services/audit.js";
+import { SHEET_FORMATS, detectFormat, readSheet, writeSheet } from "../Services/spreadsheet.js";
+import {
+  BULK_ENTITIES,
+  IMPORT_MAX_ROWS,
+  entityColumns,
+  exportScopeColumns,
+  validateImport,
+  applyImport,
+  fetchExportRows,
+} from "../Services/bulkData.js";
+
+const router = express.Router();
+
+// ไฟล์ส่งมาเป็น body ตรงๆ (Content-Type: text/csv หรือ xlsx) ไม่ใช่ multipart
+const rawUpload = express.raw({
+  type: [SHEET_FORMATS.xlsx, "text/csv", "text/plain", "application/octet-stream"],
+  limit: "10mb",
+});
+
+// สิทธิ์ตามชนิดข้อมูลใน path เช่น /imports/buildings/... → buildings:write
+function canEntity(access) {
+  return (req, res, next) => {
+    const def = BULK_ENTITIES[req.params.entity];
+    if (!def) {
+      return res
+        .status(404)
+        .json({ message: `ชนิดข้อมูลต้องเป็น ${Object.keys(BULK_ENTITIES).join(" / ")}` });
+    }
+    return can(`${def.permission}:${access}`)(req, res, next);
+  };
+}
+
+// อ่านไฟล์จาก body คืน sheet หรือส่ง 400 แล้วคืน null
+async function readUpload(req, res) {
+  const format = detectFormat(req.query.format, req.headers["content-type"]);
+  if (!format) {
+    res.status(400).json({ message: "รองรับเฉพาะไฟล์ csv / xlsx (ระบุ Content-Type หรือ ?format=)" });
+    return null;
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({ message: "ไม่พบไฟล์ใน request body" });
+    return null;
+  }
+
+  let sheet;
+  try {
+    sheet = await readSheet(req.body, format);
+  } catch (err) {
+    res.status(400).json({ message: "อ่านไฟล์ไม่ได้ กรุณาตรวจสอบรูปแบบไฟล์" });
+    return null;
+  }
+
+  if (sheet.rows.length > IMPORT_MAX_ROWS) {
+    res.status(400).json({ message: `นำเข้าได้ครั้งละไม่เกิน ${IMPORT_MAX_ROWS} แถว` });
+    return null;
+  }
+  const expected = entityColumns(req.params.entity);
+  if (!sheet.headers.some((h) => expected.includes(h))) {
+    res.status(400).json({
+      message: "ไม่พบหัวคอลัมน์ที่รู้จักในแถวแรก",
+      columns: expected,
+    });
+    return null;
+  }
+
+  return { ...sheet, format };
+}
+
+/**
+ * @swagger
+ * /api/exports/{entity}:
+ *   get:
+ *     summary: Export customers, buildings or elevators
+ *     description: |
+ *       Download as CSV or XLSX using the same columns the import accepts, so the file can be edited and imported back.
+ *       Customers only get their own rows (requires customers:read / buildings:read / elevators:read).
+ *     tags: [Bulk Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [customers, buildings, elevators]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: building_id
+ *         description: Elevators only
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file (Content-Disposition attachment)
+ *       400:
+ *         description: Unsupported format
+ *       404:
+ *         description: Unknown entity
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/exports/:entity", authRequired, canEntity("read"), async (req, res) => {
+  const { entity } = req.params;
+  const format = req.query.format || "csv";
+  if (!SHEET_FORMATS[format]) {
+    return res.status(400).json({ message: "format ต้องเป็น csv / xlsx" });
+  }
+
+  try {
+    const rows = await fetchExportRows(entity, {
+      scope: rowScope(req.user, exportScopeColumns(entity)),
+      filters: { customer_id: req.query.customer_id, building_id: req.query.building_id },
+    });
+    const file = await writeSheet(entityColumns(entity), rows, format, entity);
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+
+    res.setHeader("Content-Type", SHEET_FORMATS[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="${entity}-${date}.${format}"`);
+    res.send(file);
+  } catch (error) {
+    console.error("Export bulk data error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/{entity}/validate:
+ *   post:
+ *     summary: Dry-run an import
+ *     description: |
+ *       Check every row of a CSV / XLSX file without writing anything and return a report with row-level errors
+ *       and what would be created or updated. Send the file itself as the request body.
+ *       Rows with an existing id are updated, rows without one (or with a new elevator id) are created.
+ *       Buildings and elevators can reference their customer / building by id or by name.
+ *       Columns missing from the file are left untouched; empty cells clear the value (requires customers:write / buildings:write / elevators:write).
+ *     tags: [Bulk Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [customers, buildings, elevators]
+ *       - in: query
+ *         name: format
+ *         description: Needed when Content-Type is application/octet-stream
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: "{ entity, total_rows, valid, summary: { create, update, error_rows }, errors: [{ row, column, message }], warnings, rows }"
+ *       400:
+ *         description: No file, unreadable file, unknown columns or too many rows
+ *       404:
+ *         description: Unknown entity
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/imports/:entity/validate",
+  authRequired,
+  canEntity("write"),
+  rawUpload,
+  async (req, res) => {
+    const sheet = await readUpload(req, res);
+    if (!sheet) return;
+
+    try {
+      const { report } = await validateImport(pool, req.user, req.params.entity, sheet);
+      res.json({ ...report, format: sheet.format });
+    } catch (error) {
+      console.error("Validate import error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/imports/{entity}/commit:
+ *   post:
+ *     summary: Commit an import
+ *     description: |
+ *       Validate the same file again and write every row in one transaction. If any row has an error nothing is written
+ *       and the report is returned with 422. Each created / updated row is recorded in the audit log.
+ *     tags: [Bulk Data]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [customers, buildings, elevators]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: "{ report, created: [id], updated: [id] }"
+ *       400:
+ *         description: No file, unreadable file, unknown columns or too many rows
+ *       422:
+ *         description: Validation failed, nothing was written
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/imports/:entity/commit",
+  authRequired,
+  canEntity("write"),
+  rawUpload,
+  async (req, res) => {
+    const { entity } = req.params;
+    const sheet = await readUpload(req, res);
+    if (!sheet) return;
+
+    let conn;
+    let written;
+    let report;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const validation = await validateImport(conn, req.user, entity, sheet);
+      report = { ...validation.report, format: sheet.format };
+      if (!report.valid) {
+        await conn.rollback();
+        return res.status(422).json({ message: "ไฟล์มีข้อผิดพลาด ยังไม่ได้นำเข้าข้อมูล", report });
+      }
+
+      written = await applyImport(conn, req.user, entity, validation.plan);
+      await conn.commit();
+    } catch (error) {
+      await conn?.rollback().catch(() => {});
+      console.error("Commit import error:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    } finally {
+      conn?.release();
+    }
+
+    // นำเข้าทีละหลายแถว → บันทึก audit ทีละแถวเอง
+    for (const item of written) {
+      await recordAudit(req, {
+        entity: BULK_ENTITIES[entity].entity,
+        entityId: item.id,
+        action: item.action,
+        before: item.before,
+        after: item.after,
+        meta: { source: "import", format: sheet.format, row: item.row },
+      });
+    }
+
+    res.status(201).json({
+      report,
+      created: written.filter((w) => w.action === "create").map((w) => w.id),
+      updated: written.filter((w) => w.action === "update").map((w) => w.id),
+    });
+  }
+);
+
+export default router;
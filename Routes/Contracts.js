@@ -1,10 +1,22 @@
 // ---- Contracts Routes ----
 import express from "express";
 import pool from "../DB/db.js";
-import authRequired, { roleRequired } from "../Auth/middle.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import { rowScope, appendScope, ownsCustomer } from "../Auth/scope.js";
+import { clearNotifications } from "../Services/notifications.js";
 
 const router = express.Router();
 
+// แถวในตาราง (contracts / quotations / invoices) ที่ผู้ใช้เข้าถึงได้ตาม customer_id
+// table มาจากโค้ดเท่านั้น ไม่ได้มาจาก request
+async function findAccessibleRow(user, table, id) {
+  const [rows] = await pool.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  const row = rows[0];
+  if (!row || !ownsCustomer(user, row.customer_id)) return null;
+  return row;
+}
+
 /**
  * @swagger
  * /api/contracts:
@@ -27,17 +39,14 @@ const router = express.Router();
  *         description: Internal server error
  */
 // สัญญา
-router.get("/contracts", authRequired, async (req, res) => {
-  const { role, customer_id } = req.user || {};
-
+router.get("/contracts", authRequired, can("contracts:read"), async (req, res) => {
   try {
-    let sql = "SELECT * FROM contracts";
     const params = [];
-
-    if (role === "customer") {
-      sql += " WHERE customer_id = ?";
-      params.push(customer_id || 0);
-    }
+    let sql = appendScope(
+      "SELECT * FROM contracts",
+      params,
+      rowScope(req.user, { customer: "customer_id" })
+    );
 
     sql += " ORDER BY start_date DESC";
 
@@ -106,9 +115,10 @@ router.get("/contracts", authRequired, async (req, res) => {
  *         description: Internal server error
  */
 // สร้างสัญญา
-router.post("/contracts", authRequired, roleRequired("admin"), async (req, res) => {
+router.post("/contracts", authRequired, can("contracts:write"), audit("contract", "contracts"), async (req, res) => {
 	const { customer_id, contract_code, contract_type, start_date, end_date, maintenance_times_per_year, included_items, excluded_items, notify_before_days } = req.body || {};
 	if (!customer_id || !contract_code || !contract_type || !start_date || !end_date) return res.status(400).json({ message: 'Missing required fields' });
+	if (!ownsCustomer(req.user, customer_id)) return res.status(403).json({ message: 'Forbidden' });
 	try {
 		const [result] = await pool.query(
 			'INSERT INTO contracts (customer_id, contract_code, contract_type, start_date, end_date, maintenance_times_per_year, included_items, excluded_items, notify_before_days) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
@@ -183,7 +193,7 @@ router.post("/contracts", authRequired, roleRequired("admin"), async (req, res)
  *         description: Internal server error
  */
 // แก้ไขสัญญา
-router.put("/contracts/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.put("/contracts/:id", authRequired, can("contracts:write"), audit("contract", "contracts"), async (req, res) => {
   const { id } = req.params;
   const {
     customer_id,
@@ -200,12 +210,24 @@ router.put("/contracts/:id", authRequired, roleRequired("admin"), async (req, re
   if (!customer_id || !contract_code || !contract_type || !start_date || !end_date) {
     return res.status(400).json({ message: "Missing required fields" });
   }
+  if (!ownsCustomer(req.user, customer_id)) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
 
   try {
+    if (!(await findAccessibleRow(req.user, "contracts", id))) {
+      return res.status(404).json({ message: "Contract not found" });
+    }
+
+    // ต่อสัญญา / เปลี่ยนวันแจ้งล่วงหน้า → แจ้งต่อสัญญารอบใหม่ (Services/contracts.js)
+    // ต้องอยู่ก่อน end_date = ? เพราะ MySQL กำหนดค่าทีละคอลัมน์จากซ้ายไปขวา
     const [result] = await pool.query(
       `
       UPDATE contracts
-      SET customer_id = ?,
+      SET renewal_notified_at = IF(
+            end_date <=> ? AND notify_before_days <=> ?, renewal_notified_at, NULL
+          ),
+          customer_id = ?,
           contract_code = ?,
           contract_type = ?,
           start_date = ?,
@@ -217,6 +239,8 @@ router.put("/contracts/:id", authRequired, roleRequired("admin"), async (req, re
       WHERE id = ?
       `,
       [
+        end_date,
+        notify_before_days || 30,
         customer_id,
         contract_code,
         contract_type,
@@ -268,10 +292,14 @@ router.put("/contracts/:id", authRequired, roleRequired("admin"), async (req, re
  *         description: Internal server error
  */
 // ลบสัญญา
-router.delete("/contracts/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.delete("/contracts/:id", authRequired, can("contracts:write"), audit("contract", "contracts"), async (req, res) => {
   const { id } = req.params;
 
   try {
+    if (!(await findAccessibleRow(req.user, "contracts", id))) {
+      return res.status(404).json({ message: "Contract not found" });
+    }
+
     const [result] = await pool.query("DELETE FROM contracts WHERE id = ?", [
       id,
     ]);
@@ -279,6 +307,7 @@ router.delete("/contracts/:id", authRequired, roleRequired("admin"), async (req,
     if (result.affectedRows === 0) {
       return res.status(404).json({ message: "Contract not found" });
     }
+    await clearNotifications("contract", id);
 
     res.json({ message: "Contract deleted" });
   } catch (error) {
@@ -326,9 +355,7 @@ router.delete("/contracts/:id", authRequired, roleRequired("admin"), async (req,
  *         description: Internal server error
  */
 // ดึงใบเสนอราคา (Admin = ทั้งหมด, Customer = ของตัวเอง)
-router.get("/quotations", authRequired, async (req, res) => {
-  const { role, customer_id } = req.user || {};
-
+router.get("/quotations", authRequired, can("quotations:read"), async (req, res) => {
   try {
     let sql = `
       SELECT q.*, c.name AS customer_name
@@ -337,10 +364,7 @@ router.get("/quotations", authRequired, async (req, res) => {
     `;
     const params = [];
 
-    if (role === "customer") {
-      sql += " WHERE q.customer_id = ?";
-      params.push(customer_id || 0);
-    }
+    sql = appendScope(sql, params, rowScope(req.user, { customer: "q.customer_id" }));
 
     sql += " ORDER BY q.id DESC";
 
@@ -353,7 +377,7 @@ router.get("/quotations", authRequired, async (req, res) => {
 });
 
 // สร้างใบเสนอราคา
-router.post("/quotations", authRequired, roleRequired("admin"), async (req, res) => {
+router.post("/quotations", authRequired, can("quotations:write"), audit("quotation", "quotations"), async (req, res) => {
   const {
     quotation_code,
     customer_id,
@@ -366,6 +390,9 @@ router.post("/quotations", authRequired, roleRequired("admin"), async (req, res)
   if (!customer_id) {
     return res.status(400).json({ message: "customer_id is required" });
   }
+  if (!ownsCustomer(req.user, customer_id)) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
 
   // ถ้าไม่ส่ง code มา จะ generate แบบง่าย ๆ
   const code = quotation_code || `Q-${Date.now()}`;
@@ -398,7 +425,7 @@ router.post("/quotations", authRequired, roleRequired("admin"), async (req, res)
 });
 
 // แก้ไขใบเสนอราคา
-router.put("/quotations/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.put("/quotations/:id", authRequired, can("quotations:write"), audit("quotation", "quotations"), async (req, res) => {
   const { id } = req.params;
   const {
     quotation_code,
@@ -414,8 +441,15 @@ router.put("/quotations/:id", authRequired, roleRequired("admin"), async (req, r
       .status(400)
       .json({ message: "quotation_code และ customer_id จำเป็นต้องมี" });
   }
+  if (!ownsCustomer(req.user, customer_id)) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
 
   try {
+    if (!(await findAccessibleRow(req.user, "quotations", id))) {
+      return res.status(404).json({ message: "Quotation not found" });
+    }
+
     const [result] = await pool.query(
       `
       UPDATE quotations
@@ -454,9 +488,12 @@ router.put("/quotations/:id", authRequired, roleRequired("admin"), async (req, r
 });
 
 // ลบใบเสนอราคา
-router.delete("/quotations/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.delete("/quotations/:id", authRequired, can("quotations:write"), audit("quotation", "quotations"), async (req, res) => {
   const { id } = req.params;
   try {
+    if (!(await findAccessibleRow(req.user, "quotations", id))) {
+      return res.status(404).json({ message: "Quotation not found" });
+    }
     const [result] = await pool.query("DELETE FROM quotations WHERE id = ?", [
       id,
     ]);
@@ -471,17 +508,14 @@ router.delete("/quotations/:id", authRequired, roleRequired("admin"), async (req
 });
 
 // ดึงใบแจ้งหนี้ (พร้อมชื่อลูกค้า)
-router.get("/invoices", authRequired, async (req, res) => {
-  const { role, customer_id } = req.user || {};
-
+router.get("/invoices", authRequired, can("invoices:read"), async (req, res) => {
   try {
-    let sql = "SELECT * FROM invoices";
     const params = [];
-
-    if (role === "customer") {
-      sql += " WHERE customer_id = ?";
-      params.push(customer_id || 0);
-    }
+    let sql = appendScope(
+      "SELECT * FROM invoices",
+      params,
+      rowScope(req.user, { customer: "customer_id" })
+    );
 
     sql += " ORDER BY id DESC";
 
@@ -494,7 +528,7 @@ router.get("/invoices", authRequired, async (req, res) => {
 });
 
 // สร้างใบแจ้งหนี้
-router.post("/invoices", authRequired, roleRequired("admin"), async (req, res) => {
+router.post("/invoices", authRequired, can("invoices:write"), audit("invoice", "invoices"), async (req, res) => {
   const {
     invoice_code,
     customer_id,
@@ -508,6 +542,9 @@ router.post("/invoices", authRequired, roleRequired("admin"), async (req, res) =
   if (!customer_id) {
     return res.status(400).json({ message: "customer_id is required" });
   }
+  if (!ownsCustomer(req.user, customer_id)) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
 
   const code = invoice_code || `I-${Date.now()}`;
 
@@ -541,7 +578,7 @@ router.post("/invoices", authRequired, roleRequired("admin"), async (req, res) =
 });
 
 // แก้ไขใบแจ้งหนี้
-router.put("/invoices/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.put("/invoices/:id", authRequired, can("invoices:write"), audit("invoice", "invoices"), async (req, res) => {
   const { id } = req.params;
   const {
     invoice_code,
@@ -558,8 +595,15 @@ router.put("/invoices/:id", authRequired, roleRequired("admin"), async (req, res
       .status(400)
       .json({ message: "invoice_code และ customer_id จำเป็นต้องมี" });
   }
+  if (!ownsCustomer(req.user, customer_id)) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
 
   try {
+    if (!(await findAccessibleRow(req.user, "invoices", id))) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
     const [result] = await pool.query(
       `
       UPDATE invoices
@@ -600,9 +644,12 @@ router.put("/invoices/:id", authRequired, roleRequired("admin"), async (req, res
 });
 
 // ลบใบแจ้งหนี้
-router.delete("/invoices/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.delete("/invoices/:id", authRequired, can("invoices:write"), audit("invoice", "invoices"), async (req, res) => {
   const { id } = req.params;
   try {
+    if (!(await findAccessibleRow(req.user, "invoices", id))) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
     const [result] = await pool.query("DELETE FROM invoices WHERE id = ?", [
       id,
     ]);
@@ -617,7 +664,7 @@ router.delete("/invoices/:id", authRequired, roleRequired("admin"), async (req,
 });
 
 // ดึง config ล่าสุด (มีแค่ 1 record ก็พอ)
-router.get("/pricing-settings", authRequired, roleRequired("admin") , async (req, res) => {
+router.get("/pricing-settings", authRequired, can("pricing:read"), async (req, res) => {
   try {
     const [rows] = await pool.query(
       `
@@ -644,8 +691,13 @@ router.get("/pricing-settings", authRequired, roleRequired("admin") , async (req
   }
 });
 
+// id ของ row อยู่ใน body (ไม่มีใน path) ถ้าเป็นการ insert ครั้งแรกจะได้ id จาก response
+const PRICING_AUDIT = {
+  resolveId: (req, body) => req.body?.id ?? body?.id,
+};
+
 // บันทึก/อัปเดต config (ถ้ามีแล้ว update, ถ้าไม่มี insert)
-router.put("/pricing-settings", authRequired, roleRequired("admin"), async (req, res) => {
+router.put("/pricing-settings", authRequired, can("pricing:write"), audit("pricing_settings", "pricing_settings", PRICING_AUDIT), async (req, res) => {
   const {
     id,
     call_fee,
@@ -1,10 +1,64 @@
 // ---- Core Routes ----
 import express from "express";
 import pool from "../DB/db.js";
-import authRequired, { roleRequired } from "../Auth/middle.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import {
+  rowScope,
+  appendScope,
+  ownsCustomer,
+  isTechnicianScoped,
+  findAccessibleBuilding,
+  findAccessibleElevator,
+  findAccessibleJob,
+} from "../Auth/scope.js";
+import {
+  ELEVATOR_STATES,
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  changeElevatorState,
+  applyElevatorStateChange,
+  recordInitialState,
+  getStateTimeline,
+} from "../Services/elevatorState.js";
+import { notify, clearNotifications } from "../Services/notifications.js";
 
 const router = express.Router();
 
+const ELEVATOR_SELECT = `
+  SELECT e.*, b.name as building_name
+  FROM elevators e
+  LEFT JOIN buildings b ON e.building_id = b.id
+  WHERE e.id = ?
+`;
+
+// แจ้งทุกคนที่เกี่ยวข้องกับลิฟต์เมื่อเสีย (→ fault) และเมื่อกลับมาใช้งานได้ (→ normal)
+// เก็บไว้ฉบับเดียวต่อลิฟต์ (replace) ไม่ให้ noti สถานะเก่าค้าง
+async function notifyElevatorStateChange(elevator, prevState, newState) {
+  const isToFault = newState === "fault" && prevState !== "fault";
+  const isToNormal = newState === "normal" && prevState !== "normal";
+  if (!(isToFault || isToNormal)) return;
+
+  await notify({
+    type: "elevator_state",
+    template: isToFault ? "elevator_state.fault" : "elevator_state.normal",
+    variables: {
+      elevator_id: elevator.id,
+      elevator_name: elevator.name || elevator.id,
+      building_name: elevator.building_name || "",
+    },
+    entityType: "elevator",
+    entityId: elevator.id,
+    recipients: {
+      relations: ["admins", "customer_users", "assigned_technicians"],
+      elevatorId: elevator.id,
+    },
+    replace: true,
+    // ลิฟต์ขัดข้องต้องถึงทุกคนทันที (ไม่สน quiet hours / digest)
+    critical: isToFault,
+  });
+}
+
 /**
  * @swagger
  * /api/customers:
@@ -32,7 +86,7 @@ const router = express.Router();
 router.get(
   "/customers",
   authRequired,
-  roleRequired("admin"),
+  can("customers:read"),
   async (req, res) => {
     try {
       const [rows] = await pool.query(
@@ -99,7 +153,8 @@ router.get(
 router.post(
   "/customers",
   authRequired,
-  roleRequired("admin"),
+  can("customers:write"),
+  audit("customer", "customers"),
   async (req, res) => {
     const {
       name,
@@ -201,7 +256,8 @@ router.post(
 router.put(
   "/customers/:id",
   authRequired,
-  roleRequired("admin"),
+  can("customers:write"),
+  audit("customer", "customers"),
   async (req, res) => {
     const { id } = req.params;
     const {
@@ -284,7 +340,8 @@ router.put(
 router.delete(
   "/customers/:id",
   authRequired,
-  roleRequired("admin"),
+  can("customers:write"),
+  audit("customer", "customers"),
   async (req, res) => {
     const { id } = req.params;
     try {
@@ -373,9 +430,7 @@ router.get("/customers/me", authRequired, async (req, res) => {
  *         description: Internal server error
  */
 // ดึงอาคารทั้งหมด (filter ตาม role)
-router.get("/buildings", authRequired, async (req, res) => {
-  const { role, customer_id } = req.user || {};
-
+router.get("/buildings", authRequired, can("buildings:read"), async (req, res) => {
   try {
     let sql = `
       SELECT b.*,
@@ -385,11 +440,7 @@ router.get("/buildings", authRequired, async (req, res) => {
     `;
     const params = [];
 
-    if (role === "customer") {
-      sql += " WHERE b.customer_id = ?";
-      params.push(customer_id || 0);
-    }
-
+    sql = appendScope(sql, params, rowScope(req.user, { customer: "b.customer_id" }));
     sql += " ORDER BY b.id DESC";
 
     const [rows] = await pool.query(sql, params);
@@ -427,6 +478,9 @@ router.get("/buildings", authRequired, async (req, res) => {
  *                 type: string
  *               building_type:
  *                 type: string
+ *               region:
+ *                 type: string
+ *                 description: Used to pick the on-call rotation for alert escalation
  *     responses:
  *       201:
  *         description: Building created successfully
@@ -443,23 +497,27 @@ router.get("/buildings", authRequired, async (req, res) => {
 router.post(
   "/buildings",
   authRequired,
-  roleRequired("admin"),
+  can("buildings:write"),
+  audit("building", "buildings"),
   async (req, res) => {
-    const { customer_id, name, address, building_type } = req.body || {};
+    const { customer_id, name, address, building_type, region } = req.body || {};
 
     if (!customer_id || !name) {
       return res
         .status(400)
         .json({ message: "customer_id และ name จำเป็นต้องมี" });
     }
+    if (!ownsCustomer(req.user, customer_id)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
 
     try {
       const [result] = await pool.query(
         `
-      INSERT INTO buildings (customer_id, name, address, building_type)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO buildings (customer_id, name, address, building_type, region)
+      VALUES (?, ?, ?, ?, ?)
       `,
-        [customer_id, name, address || null, building_type || null]
+        [customer_id, name, address || null, building_type || null, region || null]
       );
 
       const [rows] = await pool.query(
@@ -484,28 +542,37 @@ router.post(
 router.put(
   "/buildings/:id",
   authRequired,
-  roleRequired("admin"),
+  can("buildings:write"),
+  audit("building", "buildings"),
   async (req, res) => {
     const { id } = req.params;
-    const { customer_id, name, address, building_type } = req.body || {};
+    const { customer_id, name, address, building_type, region } = req.body || {};
 
     if (!customer_id || !name) {
       return res
         .status(400)
         .json({ message: "customer_id และ name จำเป็นต้องมี" });
     }
+    if (!ownsCustomer(req.user, customer_id)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
 
     try {
+      if (!(await findAccessibleBuilding(req.user, id))) {
+        return res.status(404).json({ message: "Building not found" });
+      }
+
       const [result] = await pool.query(
         `
       UPDATE buildings
       SET customer_id = ?,
           name        = ?,
           address     = ?,
-          building_type = ?
+          building_type = ?,
+          region      = ?
       WHERE id = ?
       `,
-        [customer_id, name, address || null, building_type || null, id]
+        [customer_id, name, address || null, building_type || null, region || null, id]
       );
 
       if (result.affectedRows === 0) {
@@ -534,11 +601,16 @@ router.put(
 router.delete(
   "/buildings/:id",
   authRequired,
-  roleRequired("admin"),
+  can("buildings:write"),
+  audit("building", "buildings"),
   async (req, res) => {
     const { id } = req.params;
 
     try {
+      if (!(await findAccessibleBuilding(req.user, id))) {
+        return res.status(404).json({ message: "Building not found" });
+      }
+
       const [result] = await pool.query("DELETE FROM buildings WHERE id = ?", [
         id,
       ]);
@@ -556,9 +628,7 @@ router.delete(
 );
 
 // ดึงลิฟต์ทั้งหมด (filter ตาม role)
-router.get("/elevators", authRequired, async (req, res) => {
-  const { role, customer_id } = req.user || {};
-
+router.get("/elevators", authRequired, can("elevators:read"), async (req, res) => {
   try {
     let sql = `
       SELECT
@@ -571,11 +641,11 @@ router.get("/elevators", authRequired, async (req, res) => {
     `;
     const params = [];
 
-    if (role === "customer") {
-      sql += " WHERE b.customer_id = ?";
-      params.push(customer_id || 0);
-    }
-
+    sql = appendScope(
+      sql,
+      params,
+      rowScope(req.user, { customer: "b.customer_id", elevator: "e.id" })
+    );
     sql += " ORDER BY e.id DESC";
 
     const [rows] = await pool.query(sql, params);
@@ -586,11 +656,195 @@ router.get("/elevators", authRequired, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/elevators/{id}:
+ *   get:
+ *     summary: Get elevator detail
+ *     description: |
+ *       One elevator with its building, customer and active contract, plus recent tickets,
+ *       maintenance jobs (with technician), parts installed, open alerts and the next planned maintenance.
+ *       Customers only see their own elevators.
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: How many recent tickets / jobs to include
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Elevator detail
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+// รายละเอียดลิฟต์ + ประวัติการบริการ (หน้า detail ไม่ต้องโหลดลิฟต์ทั้งหมดมา filter เอง)
+router.get("/elevators/:id", authRequired, can("elevators:read"), async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  try {
+    const accessible = await findAccessibleElevator(req.user, req.params.id);
+    if (!accessible) {
+      return res.status(404).json({ message: "Elevator not found" });
+    }
+    const id = accessible.id;
+
+    const [[elevator]] = await pool.query(
+      `
+      SELECT
+        e.*,
+        b.name AS building_name,
+        b.address AS building_address,
+        b.region AS building_region,
+        c.id AS customer_id,
+        c.name AS customer_name,
+        c.contact_name AS customer_contact_name,
+        c.contact_phone AS customer_contact_phone
+      FROM elevators e
+      LEFT JOIN buildings b ON e.building_id = b.id
+      LEFT JOIN customers c ON b.customer_id = c.id
+      WHERE e.id = ?
+      `,
+      [id]
+    );
+
+    // สัญญาที่มีผลวันนี้: ผูกกับแผนบำรุงรักษาของลิฟต์ก่อน ถ้าไม่มีใช้สัญญาของลูกค้า
+    const [contracts] = await pool.query(
+      `
+      SELECT ct.*
+      FROM contracts ct
+      LEFT JOIN maintenance_plans mp
+        ON mp.contract_id = ct.id AND mp.elevator_id = ? AND mp.is_active = 1
+      WHERE (mp.id IS NOT NULL OR ct.customer_id = ?)
+        AND ct.start_date <= CURDATE() AND ct.end_date >= CURDATE()
+      ORDER BY mp.id IS NULL, ct.end_date DESC
+      LIMIT 1
+      `,
+      [id, elevator.customer_id]
+    );
+
+    const [tickets] = await pool.query(
+      `
+      SELECT t.*, u.name AS reporter_name
+      FROM tickets t
+      LEFT JOIN users u ON t.reporter_id = u.id
+      WHERE t.elevator_id = ?
+      ORDER BY t.created_at DESC
+      LIMIT ?
+      `,
+      [id, limit]
+    );
+
+    const [jobs] = await pool.query(
+      `
+      SELECT
+        mj.*,
+        u.name AS technician_name,
+        tech.phone AS technician_phone,
+        ct.contract_code
+      FROM maintenance_jobs mj
+      LEFT JOIN technicians tech ON mj.technician_id = tech.id
+      LEFT JOIN users u ON tech.user_id = u.id
+      LEFT JOIN contracts ct ON mj.contract_id = ct.id
+      WHERE mj.elevator_id = ?
+      ORDER BY mj.created_at DESC
+      LIMIT ?
+      `,
+      [id, limit]
+    );
+
+    // อะไหล่ที่เบิกออกไปใช้กับงานของลิฟต์นี้ (part_movements อ้างถึง job ด้วย ref_id)
+    const [parts] = await pool.query(
+      `
+      SELECT
+        pm.id AS movement_id,
+        pm.part_id,
+        p.part_code,
+        p.name AS part_name,
+        -pm.qty AS quantity,
+        p.unit,
+        mj.id AS job_id,
+        pm.created_at AS installed_at
+      FROM part_movements pm
+      JOIN parts p ON pm.part_id = p.id
+      JOIN maintenance_jobs mj
+        ON pm.ref_type = 'maintenance_job' AND pm.ref_id = CAST(mj.id AS CHAR)
+      WHERE mj.elevator_id = ? AND pm.qty < 0
+      ORDER BY pm.created_at DESC
+      `,
+      [id]
+    );
+
+    const [alerts] = await pool.query(
+      `
+      SELECT *
+      FROM alerts
+      WHERE elevator_id = ? AND resolved_at IS NULL
+      ORDER BY FIELD(severity, 'critical', 'warning', 'info'), created_at DESC
+      `,
+      [id]
+    );
+
+    // บำรุงรักษาครั้งถัดไป: งาน planned ที่ยังไม่เสร็จ หรือรอบถัดไปของแผนที่ใกล้สุด
+    const [[pendingJob]] = await pool.query(
+      `
+      SELECT id AS job_id, remarks, created_at
+      FROM maintenance_jobs
+      WHERE elevator_id = ? AND job_type = 'planned' AND finished_at IS NULL
+      ORDER BY created_at
+      LIMIT 1
+      `,
+      [id]
+    );
+    const [[nextPlan]] = await pool.query(
+      `
+      SELECT mp.id AS plan_id, mp.next_run_at, mp.frequency_per_year,
+             mt.name AS template_name
+      FROM maintenance_plans mp
+      LEFT JOIN maintenance_templates mt ON mp.template_id = mt.id
+      WHERE mp.elevator_id = ? AND mp.is_active = 1 AND mp.next_run_at IS NOT NULL
+      ORDER BY mp.next_run_at
+      LIMIT 1
+      `,
+      [id]
+    );
+
+    res.json({
+      ...elevator,
+      active_contract: contracts[0] || null,
+      recent_tickets: tickets,
+      maintenance_jobs: jobs,
+      parts_installed: parts,
+      open_alerts: alerts,
+      next_maintenance: {
+        due_at: nextPlan?.next_run_at || elevator.next_maintenance_at || null,
+        plan: nextPlan || null,
+        pending_job: pendingJob || null,
+      },
+    });
+  } catch (error) {
+    console.error("Fetch elevator detail error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // สร้างลิฟต์ใหม่
 router.post(
   "/elevators",
   authRequired,
-  roleRequired("admin"),
+  can("elevators:write"),
+  audit("elevator", "elevators"),
   async (req, res) => {
     const {
       id,
@@ -614,17 +868,18 @@ router.post(
         .json({ message: "id, name และ building_id จำเป็นต้องมี" });
     }
 
-    // map state ให้ตรง ENUM
-    const allowedStates = [
-      "normal",
-      "fault",
-      "in_maintenance",
-      "waiting_maintenance",
-      "waiting_quotation",
-    ];
-    const safeState = allowedStates.includes(state) ? state : "normal";
+    const initialState = state || "normal";
+    if (!ELEVATOR_STATES.includes(initialState)) {
+      return res
+        .status(400)
+        .json({ message: `state ต้องเป็น ${ELEVATOR_STATES.join(" / ")}` });
+    }
 
     try {
+      if (!(await findAccessibleBuilding(req.user, building_id))) {
+        return res.status(400).json({ message: "Building not found" });
+      }
+
       const [result] = await pool.query(
         `
       INSERT INTO elevators
@@ -645,22 +900,16 @@ router.post(
           install_location || null,
           current_floor || 1,
           current_load || 0,
-          safeState, // ใช้ safeState ที่ผ่านการเช็คแล้ว
+          initialState,
           capacity || null,
           last_maintenance_at || null,
           next_maintenance_at || null,
         ]
       );
 
-      const [rows] = await pool.query(
-        `
-      SELECT e.*, b.name as building_name
-      FROM elevators e
-      LEFT JOIN buildings b ON e.building_id = b.id
-      WHERE e.id = ?
-      `,
-        [id]
-      );
+      await recordInitialState(req.user, id, initialState);
+
+      const [rows] = await pool.query(ELEVATOR_SELECT, [id]);
 
       res.status(201).json(rows[0]);
     } catch (error) {
@@ -674,7 +923,8 @@ router.post(
 router.put(
   "/elevators/:id",
   authRequired,
-  roleRequired("admin"),
+  can("elevators:write"),
+  audit("elevator", "elevators"),
   async (req, res) => {
     const { id } = req.params;
     const {
@@ -698,30 +948,49 @@ router.put(
         .json({ message: "name และ building_id จำเป็นต้องมี" });
     }
 
-    const allowedStates = [
-      "normal",
-      "fault",
-      "in_maintenance",
-      "waiting_maintenance",
-      "waiting_quotation",
-    ];
-    const safeState = allowedStates.includes(state) ? state : "normal";
+    if (state && !ELEVATOR_STATES.includes(state)) {
+      return res
+        .status(400)
+        .json({ message: `state ต้องเป็น ${ELEVATOR_STATES.join(" / ")}` });
+    }
 
+    const conn = await pool.getConnection();
     try {
-      // 1) ดึง state เดิมมาก่อน
-      const [currentRows] = await pool.query(
-        `SELECT state FROM elevators WHERE id = ?`,
+      if (!(await findAccessibleElevator(req.user, id))) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+      if (!(await findAccessibleBuilding(req.user, building_id))) {
+        return res.status(400).json({ message: "Building not found" });
+      }
+
+      // ข้อมูลลิฟต์ + สถานะ + ประวัติสถานะ บันทึกพร้อมกันหรือไม่บันทึกเลย
+      await conn.beginTransaction();
+
+      // 1) ดึง state เดิมมาก่อน (ล็อกแถวไว้จนจบ transaction)
+      const [currentRows] = await conn.query(
+        `SELECT state FROM elevators WHERE id = ? FOR UPDATE`,
         [id]
       );
 
       if (currentRows.length === 0) {
+        await conn.rollback();
         return res.status(404).json({ message: "Elevator not found" });
       }
 
       const prevState = currentRows[0].state;
 
-      // 2) อัปเดตข้อมูลลิฟต์
-      const [result] = await pool.query(
+      // เปลี่ยนสถานะได้เฉพาะตาม state machine (ตรวจก่อนแก้ข้อมูลอื่น)
+      const stateChanged = Boolean(state) && state !== prevState;
+      if (stateChanged && !canTransition(prevState, state)) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: `เปลี่ยนสถานะจาก ${prevState} เป็น ${state} ไม่ได้`,
+          allowed: ALLOWED_TRANSITIONS[prevState] || [],
+        });
+      }
+
+      // 2) อัปเดตข้อมูลลิฟต์ (สถานะเปลี่ยนผ่าน applyElevatorStateChange เพื่อเก็บประวัติ)
+      await conn.query(
         `
       UPDATE elevators
       SET name = ?,
@@ -732,7 +1001,6 @@ router.put(
           install_location = ?,
           current_floor = ?,
           current_load = ?,
-          state = ?,
           capacity = ?,
           last_maintenance_at = ?,
           next_maintenance_at = ?
@@ -747,7 +1015,6 @@ router.put(
           install_location || null,
           current_floor || 1,
           current_load || 0,
-          safeState,
           capacity || null,
           last_maintenance_at || null,
           next_maintenance_at || null,
@@ -755,64 +1022,222 @@ router.put(
         ]
       );
 
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: "Elevator not found" });
+      if (stateChanged) {
+        const transition = await applyElevatorStateChange(conn, {
+          user: req.user,
+          elevatorId: id,
+          toState: state,
+          reason: req.body.state_reason || "แก้ไขผ่านหน้าข้อมูลลิฟต์",
+        });
+        if (transition.error) {
+          await conn.rollback();
+          return res
+            .status(transition.status)
+            .json({ message: transition.error, allowed: transition.allowed });
+        }
       }
 
+      await conn.commit();
+
       // 3) ดึงข้อมูลลิฟต์หลังอัปเดต (เอาไว้ใช้ใน noti)
-      const [rows] = await pool.query(
-        `
-      SELECT e.*, b.name as building_name
-      FROM elevators e
-      LEFT JOIN buildings b ON e.building_id = b.id
-      WHERE e.id = ?
-      `,
-        [id]
-      );
+      const [rows] = await pool.query(ELEVATOR_SELECT, [id]);
 
       const elevator = rows[0];
 
       // 4) ถ้า state เปลี่ยนจาก normal<->fault เท่านั้นค่อยแจ้งเตือน
-      const isToFault = prevState === "normal" && safeState === "fault";
-      const isToNormal = prevState === "fault" && safeState === "normal";
+      if (stateChanged) {
+        await notifyElevatorStateChange(elevator, prevState, state);
+      }
 
-      if (isToFault || isToNormal) {
-        // ลบ noti เก่าเกี่ยวกับ state ของลิฟต์ตัวนี้ (สำหรับ user คนนี้)
-        await pool.query(
-          `
-          DELETE FROM notifications
-          WHERE user_id = ?
-            AND type = 'elevator_state'
-            AND channel = 'in_app'
-            AND title LIKE ?
-          `,
-          [req.user.id, `สถานะลิฟต์: ${elevator.id}%`]
-        );
+      res.json(elevator);
+    } catch (error) {
+      await conn.rollback();
+      console.error("Update elevator error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/elevators/{id}/state:
+ *   post:
+ *     summary: Change elevator state
+ *     description: |
+ *       Move the elevator to another state following the allowed transitions
+ *       (normal → fault → waiting_quotation → waiting_maintenance → in_maintenance → normal, plus shortcuts).
+ *       Every change is kept in the state history. Technicians must link one of their own jobs (requires elevators:state).
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - state
+ *             properties:
+ *               state:
+ *                 type: string
+ *                 enum: [normal, fault, waiting_quotation, waiting_maintenance, in_maintenance]
+ *               reason:
+ *                 type: string
+ *               ticket_id:
+ *                 type: string
+ *               job_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: State changed
+ *       400:
+ *         description: Invalid state, ticket or job
+ *       404:
+ *         description: Elevator not found
+ *       409:
+ *         description: Transition not allowed (response lists allowed target states)
+ *       500:
+ *         description: Internal server error
+ */
+// เปลี่ยนสถานะลิฟต์ตาม state machine
+router.post(
+  "/elevators/:id/state",
+  authRequired,
+  can("elevators:state"),
+  audit("elevator", "elevators", { action: "state_change" }),
+  async (req, res) => {
+    const { id } = req.params;
+    const { state, reason, ticket_id, job_id } = req.body || {};
 
-        const title = isToFault
-          ? `สถานะลิฟต์: ${elevator.id} เปลี่ยนเป็น Fault`
-          : `สถานะลิฟต์: ${elevator.id} กลับสู่ปกติ`;
+    if (!state) {
+      return res.status(400).json({ message: "state จำเป็นต้องมี" });
+    }
+    // ช่างเปลี่ยนสถานะได้เฉพาะลิฟต์ที่มีงานของตัวเองอยู่
+    if (isTechnicianScoped(req.user) && !job_id) {
+      return res
+        .status(400)
+        .json({ message: "ช่างต้องระบุ job_id ของงานที่ได้รับมอบหมาย" });
+    }
 
-        const body = isToFault
-          ? `ลิฟต์ ${elevator.name || elevator.id} อาคาร ${
-              elevator.building_name || ""
-            } เปลี่ยนจากปกติเป็นขัดข้อง`
-          : `ลิฟต์ ${elevator.name || elevator.id} อาคาร ${
-              elevator.building_name || ""
-            } กลับสู่สถานะปกติ`;
+    try {
+      const current = await findAccessibleElevator(req.user, id);
+      if (!current) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
 
-        await pool.query(
-          `
-          INSERT INTO notifications (user_id, type, channel, title, body)
-          VALUES (?, 'elevator_state', 'in_app', ?, ?)
-          `,
-          [req.user.id, title, body]
+      if (ticket_id) {
+        const [tickets] = await pool.query(
+          "SELECT elevator_id FROM tickets WHERE id = ?",
+          [ticket_id]
         );
+        if (tickets.length === 0 || String(tickets[0].elevator_id) !== String(current.id)) {
+          return res.status(400).json({ message: "ticket_id ไม่ใช่ของลิฟต์นี้" });
+        }
+      }
+      if (job_id) {
+        const job = await findAccessibleJob(req.user, job_id);
+        if (!job || String(job.elevator_id) !== String(current.id)) {
+          return res.status(400).json({ message: "job_id ไม่ใช่ของลิฟต์นี้" });
+        }
       }
 
-      res.json(elevator);
+      const transition = await changeElevatorState({
+        user: req.user,
+        elevatorId: current.id,
+        toState: state,
+        reason,
+        ticketId: ticket_id,
+        jobId: job_id,
+      });
+      if (transition.error) {
+        return res
+          .status(transition.status)
+          .json({ message: transition.error, allowed: transition.allowed });
+      }
+
+      const [rows] = await pool.query(ELEVATOR_SELECT, [current.id]);
+      const elevator = rows[0];
+
+      await notifyElevatorStateChange(elevator, transition.from, transition.to);
+
+      res.json({
+        elevator,
+        from_state: transition.from,
+        to_state: transition.to,
+        history_id: transition.historyId,
+      });
     } catch (error) {
-      console.error("Update elevator error:", error);
+      console.error("Change elevator state error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/elevators/{id}/timeline:
+ *   get:
+ *     summary: Elevator state timeline
+ *     description: State changes (newest first) with who, why, linked ticket/job and how long each state lasted
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Current state, allowed next states and history
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+// timeline สถานะของลิฟต์
+router.get(
+  "/elevators/:id/timeline",
+  authRequired,
+  can("elevators:read"),
+  async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+    try {
+      const elevator = await findAccessibleElevator(req.user, req.params.id);
+      if (!elevator) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+
+      const [[{ state }]] = await pool.query(
+        "SELECT state FROM elevators WHERE id = ?",
+        [elevator.id]
+      );
+
+      res.json({
+        elevator_id: elevator.id,
+        state,
+        allowed_transitions: ALLOWED_TRANSITIONS[state] || [],
+        history: await getStateTimeline(elevator.id, { limit }),
+      });
+    } catch (error) {
+      console.error("Fetch elevator timeline error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   }
@@ -822,11 +1247,16 @@ router.put(
 router.delete(
   "/elevators/:id",
   authRequired,
-  roleRequired("admin"),
+  can("elevators:write"),
+  audit("elevator", "elevators"),
   async (req, res) => {
     const { id } = req.params;
 
     try {
+      if (!(await findAccessibleElevator(req.user, id))) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+
       const [result] = await pool.query("DELETE FROM elevators WHERE id = ?", [
         id,
       ]);
@@ -834,6 +1264,7 @@ router.delete(
       if (result.affectedRows === 0) {
         return res.status(404).json({ message: "Elevator not found" });
       }
+      await clearNotifications("elevator", id);
 
       res.json({ message: "Elevator deleted" });
     } catch (error) {
@@ -847,7 +1278,7 @@ router.delete(
 router.get(
   "/technician-users",
   authRequired,
-  roleRequired("admin"),
+  can("users:read"),
   async (req, res) => {
     try {
       const [rows] = await pool.query(
@@ -870,7 +1301,7 @@ router.get(
 router.get(
   "/technicians",
   authRequired,
-  roleRequired(["admin", "technician"]),
+  can("technicians:read"),
   async (req, res) => {
     try {
       const [rows] = await pool.query(`
@@ -906,7 +1337,8 @@ router.get(
 router.post(
   "/technicians",
   authRequired,
-  roleRequired("admin"),
+  can("technicians:write"),
+  audit("technician", "technicians"),
   async (req, res) => {
     const { user_id, phone, specialty, notes } = req.body || {};
 
@@ -954,7 +1386,8 @@ router.post(
 router.put(
   "/technicians/:id",
   authRequired,
-  roleRequired("admin"),
+  can("technicians:write"),
+  audit("technician", "technicians"),
   async (req, res) => {
     const { id } = req.params;
     const { phone, specialty, notes } = req.body || {};
@@ -1025,7 +1458,8 @@ router.delete("/notifications/:id", authRequired, async (req, res) => {
 router.delete(
   "/technicians/:id",
   authRequired,
-  roleRequired("admin"),
+  can("technicians:write"),
+  audit("technician", "technicians"),
   async (req, res) => {
     const { id } = req.params;
 
@@ -1053,7 +1487,7 @@ router.delete(
 router.get(
   "/technician-requests",
   authRequired,
-  roleRequired("admin"),
+  can("technician_requests:review"),
   async (req, res) => {
     try {
       const [rows] = await pool.query(`
@@ -1062,6 +1496,7 @@ router.get(
           tr.user_id,
           u.name,
           u.email,
+          u.status AS user_status,
           tr.phone,
           tr.specialty,
           tr.address,
@@ -1089,7 +1524,8 @@ router.get(
 router.post(
   "/technician-requests",
   authRequired,
-  roleRequired("technician"),
+  can("technician_requests:submit"),
+  audit("technician_request", "technician_requests"),
   async (req, res) => {
     const {
       phone,
@@ -1138,6 +1574,7 @@ router.post(
           tr.user_id,
           u.name,
           u.email,
+          u.status AS user_status,
           tr.phone,
           tr.specialty,
           tr.address,
@@ -1168,7 +1605,8 @@ router.post(
 router.put(
   "/technician-requests/:id",
   authRequired,
-  roleRequired("admin"),
+  can("technician_requests:review"),
+  audit("technician_request", "technician_requests"),
   async (req, res) => {
     const { id } = req.params;
     const { status } = req.body || {};
@@ -1218,6 +1656,21 @@ router.put(
         [status, id]
       );
 
+      // ช่างที่สมัครเองและยืนยันอีเมลแล้ว → อนุมัติ = เปิดใช้งานบัญชี, ปฏิเสธ = ปิดบัญชี
+      // (ถ้ายังไม่ได้ยืนยันอีเมล จะไปเช็คผลอนุมัติอีกทีตอน /auth/verify-email)
+      if (status === "approved") {
+        await pool.query(
+          `UPDATE users SET status = 'active' WHERE id = ? AND status = 'pending_approval'`,
+          [request.user_id]
+        );
+      } else {
+        await pool.query(
+          `UPDATE users SET status = 'disabled', disabled_at = NOW()
+           WHERE id = ? AND status = 'pending_approval'`,
+          [request.user_id]
+        );
+      }
+
       // ดึงข้อมูล request ที่อัปเดตแล้ว
       const [updatedRequests] = await pool.query(
         `
@@ -1226,6 +1679,7 @@ router.put(
           tr.user_id,
           u.name,
           u.email,
+          u.status AS user_status,
           tr.phone,
           tr.specialty,
           tr.address,
@@ -1252,38 +1706,12 @@ router.put(
   }
 );
 
-// Alerts
-router.get("/alerts", authRequired, async (req, res) => {
-  try {
-    let sql = `
-      SELECT a.*, e.name as elevator_name 
-      FROM alerts a
-      LEFT JOIN elevators e ON a.elevator_id = e.id
-      WHERE a.resolved_at IS NULL
-    `;
-    const params = [];
-
-    // ถ้าเป็นลูกค้า → เห็นเฉพาะ alert ของลิฟต์ตัวเอง
-    if (req.user.role === "customer" && req.user.customer_id) {
-      sql += " AND e.customer_id = ?";
-      params.push(req.user.customer_id);
-    }
-
-    sql += " ORDER BY a.created_at DESC";
-
-    const [alerts] = await pool.query(sql, params);
-    res.json(alerts);
-  } catch (error) {
-    console.error("Fetch alerts error:", error);
-    res.status(500).json({ message: "Internal server error" });
-  }
-});
-
 // ADD: Notifications routes (moved from server.js)
 router.get("/notifications", authRequired, async (req, res) => {
   try {
     const [rows] = await pool.query(
-      `SELECT id, type, channel, title, body, is_read, sent_at, read_at
+      `SELECT id, type, channel, title, body, entity_type, entity_id,
+              is_read, sent_at, read_at
        FROM notifications
        WHERE user_id = ?
        ORDER BY sent_at DESC
@@ -1314,18 +1742,25 @@ router.post("/notifications/:id/read", authRequired, async (req, res) => {
 });
 
 // ADD: Dashboard summary (moved from server.js)
-router.get("/dashboard/summary", authRequired, async (req, res) => {
+router.get("/dashboard/summary", authRequired, can("dashboard:read"), async (req, res) => {
   try {
-    let elevatorSql = "SELECT COUNT(*) AS count FROM elevators";
+    let elevatorSql = `
+      SELECT COUNT(*) AS count
+      FROM elevators e
+      LEFT JOIN buildings b ON e.building_id = b.id
+    `;
     let ticketSql = `
       SELECT COUNT(*) AS count 
-      FROM tickets 
-      WHERE status IN ('pending', 'in_progress')
+      FROM tickets t
+      LEFT JOIN elevators e ON t.elevator_id = e.id
+      LEFT JOIN buildings b ON e.building_id = b.id
+      WHERE t.status IN ('pending', 'in_progress')
     `;
     let alertSql = `
       SELECT COUNT(*) AS count 
       FROM alerts a
       LEFT JOIN elevators e ON a.elevator_id = e.id
+      LEFT JOIN buildings b ON e.building_id = b.id
       WHERE a.resolved_at IS NULL
     `;
 
@@ -1333,16 +1768,11 @@ router.get("/dashboard/summary", authRequired, async (req, res) => {
     const ticketParams = [];
     const alertParams = [];
 
-    if (req.user.role === "customer" && req.user.customer_id) {
-      elevatorSql += " WHERE customer_id = ?";
-      elevatorParams.push(req.user.customer_id);
-
-      ticketSql += " AND customer_id = ?";
-      ticketParams.push(req.user.customer_id);
-
-      alertSql += " AND e.customer_id = ?";
-      alertParams.push(req.user.customer_id);
-    }
+    // ทุกตัวเลขนับผ่านอาคาร → ลูกค้าเห็นเฉพาะของตัวเอง
+    const scope = rowScope(req.user, { customer: "b.customer_id", elevator: "e.id" });
+    elevatorSql = appendScope(elevatorSql, elevatorParams, scope);
+    ticketSql = appendScope(ticketSql, ticketParams, scope, true);
+    alertSql = appendScope(alertSql, alertParams, scope, true);
 
     const [[elevatorsCount]] = await pool.query(elevatorSql, elevatorParams);
     const [[openTickets]] = await pool.query(ticketSql, ticketParams);
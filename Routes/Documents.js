@@ -0,0 +1,699 @@
+// ---- Document Routes (ใบรับรองการตรวจสอบ / คู่มือ / แบบวงจร ของลิฟต์และอาคาร) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import {
+  rowScope,
+  appendScope,
+  isCustomerScoped,
+  isTechnicianScoped,
+  findAccessibleElevator,
+  findAccessibleBuilding,
+} from "../Auth/scope.js";
+import { audit } from "../Services/audit.js";
+import {
+  DOCUMENT_TYPES,
+  DOCUMENT_EXTENSIONS,
+  DOCUMENT_MAX_BYTES,
+  DOCUMENT_SELECT,
+  DOCUMENT_EXPIRY_NOTICE_DAYS,
+  fileExtension,
+  withExpiryStatus,
+  storeDocument,
+  openDocument,
+  deleteDocument,
+} from "../Services/documents.js";
+
+const router = express.Router();
+
+const DOCUMENT_SCOPE = { customer: "b.customer_id", elevator: "d.elevator_id" };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ไฟล์ส่งมาเป็น body ตรงๆ metadata อยู่ใน query string
+const rawDocument = express.raw({ type: () => true, limit: DOCUMENT_MAX_BYTES });
+
+// ลูกค้าเห็นเฉพาะเอกสารที่เปิดให้ลูกค้าดู
+function visibilityFilter(user) {
+  return isCustomerScoped(user) ? " AND d.customer_visible = 1" : "";
+}
+
+async function fetchDocument(id) {
+  const [rows] = await pool.query(`${DOCUMENT_SELECT} WHERE d.id = ?`, [id]);
+  return withExpiryStatus(rows[0]) || null;
+}
+
+// เอกสารที่ผู้ใช้เข้าถึงได้ หรือ null
+async function findAccessibleDocument(user, id) {
+  const params = [id];
+  let sql = appendScope(
+    `${DOCUMENT_SELECT} WHERE d.id = ?`,
+    params,
+    rowScope(user, DOCUMENT_SCOPE),
+    true
+  );
+  sql += visibilityFilter(user);
+
+  const [rows] = await pool.query(sql, params);
+  return withExpiryStatus(rows[0]) || null;
+}
+
+// ช่างอัปโหลดได้ แต่แก้ / ลบได้เฉพาะเอกสารที่ตัวเองอัปโหลด
+function canModify(user, doc) {
+  return !isTechnicianScoped(user) || doc.uploaded_by === user.id;
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function parseFlag(value) {
+  if (value === undefined) return undefined;
+  return ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+// ตรวจ metadata คืน { meta } หรือ { error }
+// current = เอกสารเดิม (ตอนแก้ไข ฟิลด์ที่ไม่ส่งมาใช้ค่าเดิม)
+function parseDocumentMeta(input, current = null) {
+  const meta = {
+    doc_type: input.type ?? input.doc_type ?? current?.doc_type,
+    title: input.title ?? current?.title,
+    file_name: current?.file_name ?? input.file_name,
+    issued_at: input.issued_at !== undefined ? input.issued_at || null : current?.issued_at,
+    expires_at: input.expires_at !== undefined ? input.expires_at || null : current?.expires_at,
+    customer_visible: parseFlag(input.customer_visible),
+  };
+
+  const type = DOCUMENT_TYPES[meta.doc_type];
+  if (!type) {
+    return { error: `type ต้องเป็น ${Object.keys(DOCUMENT_TYPES).join(" / ")}` };
+  }
+  if (!current) {
+    if (!meta.file_name || !DOCUMENT_EXTENSIONS.includes(fileExtension(meta.file_name))) {
+      return { error: `file_name ต้องมีนามสกุล ${DOCUMENT_EXTENSIONS.join(" / ")}` };
+    }
+    meta.file_name = String(meta.file_name).split(/[\\/]/).pop().slice(0, 255);
+  }
+  meta.title = String(meta.title || meta.file_name.replace(/\.[^.]+$/, "")).slice(0, 255);
+
+  // ค่าเดิมจาก DB เป็น Date → แปลงกลับเป็น YYYY-MM-DD ก่อนตรวจ
+  for (const field of ["issued_at", "expires_at"]) {
+    const value = meta[field];
+    if (value instanceof Date) {
+      meta[field] = value.toLocaleDateString("sv-SE");
+    } else if (value && !isValidDate(value)) {
+      return { error: `${field} ต้องเป็นวันที่รูปแบบ YYYY-MM-DD` };
+    }
+  }
+  if (type.requiresExpiry && !meta.expires_at) {
+    return { error: `${type.label} ต้องมี expires_at` };
+  }
+  if (meta.issued_at && meta.expires_at && meta.expires_at < meta.issued_at) {
+    return { error: "expires_at ต้องไม่ก่อน issued_at" };
+  }
+
+  if (meta.customer_visible === undefined) {
+    meta.customer_visible = current ? Boolean(current.customer_visible) : type.customerVisible;
+  }
+  return { meta };
+}
+
+const DOCUMENT_AUDIT = { snapshot: fetchDocument };
+// อัปโหลด: req.params.id เป็นของลิฟต์ / อาคาร → เอา id เอกสารจาก response
+const UPLOAD_AUDIT = { snapshot: fetchDocument, resolveId: (req, body) => body?.id };
+
+async function listDocuments(req, res, where, params) {
+  const { type, status } = req.query;
+  let sql = `${DOCUMENT_SELECT} WHERE ${where}`;
+
+  if (type) {
+    sql += " AND d.doc_type = ?";
+    params.push(type);
+  }
+  if (status === "expired") {
+    sql += " AND d.expires_at < CURDATE()";
+  } else if (status === "expiring") {
+    sql += " AND d.expires_at >= CURDATE() AND d.expires_at <= CURDATE() + INTERVAL ? DAY";
+    params.push(Number(req.query.days) || DOCUMENT_EXPIRY_NOTICE_DAYS);
+  }
+  sql = appendScope(sql, params, rowScope(req.user, DOCUMENT_SCOPE), true);
+  sql += visibilityFilter(req.user);
+  sql += " ORDER BY d.expires_at IS NULL, d.expires_at, d.created_at DESC";
+
+  const [rows] = await pool.query(sql, params);
+  res.json(rows.map(withExpiryStatus));
+}
+
+async function uploadDocument(req, res, target) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ message: "ไม่พบไฟล์ใน request body" });
+  }
+  const { meta, error } = parseDocumentMeta(req.query);
+  if (error) return res.status(400).json({ message: error });
+
+  const id = await storeDocument(req.user, target, meta, req.body);
+  res.status(201).json(await fetchDocument(id));
+}
+
+/**
+ * @swagger
+ * /api/elevators/{id}/documents:
+ *   get:
+ *     summary: List elevator documents
+ *     description: |
+ *       Inspection certificates, manuals, wiring diagrams and other files attached to one elevator, soonest expiry first.
+ *       Customers only see documents marked customer_visible (requires documents:read).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [inspection_certificate, manual, wiring_diagram, contract, photo, other]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [expiring, expired]
+ *     responses:
+ *       200:
+ *         description: Documents with expiry_status (valid / expiring / expired / null)
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/elevators/:id/documents",
+  authRequired,
+  can("documents:read"),
+  async (req, res) => {
+    try {
+      if (!(await findAccessibleElevator(req.user, req.params.id))) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+      await listDocuments(req, res, "d.elevator_id = ?", [req.params.id]);
+    } catch (error) {
+      console.error("Fetch elevator documents error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/elevators/{id}/documents:
+ *   post:
+ *     summary: Upload an elevator document
+ *     description: |
+ *       Send the file itself as the request body and the details as query parameters.
+ *       Inspection certificates need expires_at; reminders are sent before they expire (requires documents:write).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [inspection_certificate, manual, wiring_diagram, contract, photo, other]
+ *       - in: query
+ *         name: file_name
+ *         required: true
+ *         description: Original file name, the extension decides the content type (pdf, png, jpg, docx, xlsx, dwg, zip ...)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: issued_at
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: expires_at
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: customer_visible
+ *         description: Default depends on type (wiring diagrams and "other" are internal)
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Document created
+ *       400:
+ *         description: Missing file or invalid details
+ *       404:
+ *         description: Elevator not found
+ *       413:
+ *         description: File larger than DOCUMENT_MAX_MB
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/elevators/:id/documents",
+  authRequired,
+  can("documents:write"),
+  audit("document", "documents", UPLOAD_AUDIT),
+  rawDocument,
+  async (req, res) => {
+    try {
+      const elevator = await findAccessibleElevator(req.user, req.params.id);
+      if (!elevator) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+      await uploadDocument(req, res, { elevator_id: elevator.id });
+    } catch (error) {
+      console.error("Upload elevator document error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/buildings/{id}/documents:
+ *   get:
+ *     summary: List building documents
+ *     description: Documents attached to the building itself (not to its elevators). Requires documents:read.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [expiring, expired]
+ *     responses:
+ *       200:
+ *         description: Documents with expiry_status
+ *       404:
+ *         description: Building not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/buildings/:id/documents",
+  authRequired,
+  can("documents:read"),
+  async (req, res) => {
+    try {
+      if (!(await findAccessibleBuilding(req.user, req.params.id))) {
+        return res.status(404).json({ message: "Building not found" });
+      }
+      await listDocuments(req, res, "d.building_id = ?", [req.params.id]);
+    } catch (error) {
+      console.error("Fetch building documents error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/buildings/{id}/documents:
+ *   post:
+ *     summary: Upload a building document
+ *     description: Same as uploading an elevator document, attached to the building (requires documents:write).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: file_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: issued_at
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: expires_at
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: customer_visible
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Document created
+ *       400:
+ *         description: Missing file or invalid details
+ *       404:
+ *         description: Building not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/buildings/:id/documents",
+  authRequired,
+  can("documents:write"),
+  audit("document", "documents", UPLOAD_AUDIT),
+  rawDocument,
+  async (req, res) => {
+    try {
+      const building = await findAccessibleBuilding(req.user, req.params.id);
+      if (!building) {
+        return res.status(404).json({ message: "Building not found" });
+      }
+      await uploadDocument(req, res, { building_id: building.id });
+    } catch (error) {
+      console.error("Upload building document error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/documents:
+ *   get:
+ *     summary: List documents across elevators and buildings
+ *     description: |
+ *       For compliance follow-up, e.g. ?type=inspection_certificate&status=expiring&days=60.
+ *       Customers only see their own visible documents (requires documents:read).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [expiring, expired]
+ *       - in: query
+ *         name: days
+ *         description: Window for status=expiring (default DOCUMENT_EXPIRY_NOTICE_DAYS)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Documents with expiry_status
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/documents", authRequired, can("documents:read"), async (req, res) => {
+  try {
+    await listDocuments(req, res, "1 = 1", []);
+  } catch (error) {
+    console.error("Fetch documents error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   get:
+ *     summary: Get document details
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document metadata
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/documents/:id",
+  authRequired,
+  can("documents:read"),
+  async (req, res) => {
+    try {
+      const doc = await findAccessibleDocument(req.user, req.params.id);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+      res.json(doc);
+    } catch (error) {
+      console.error("Fetch document error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/documents/{id}/download:
+ *   get:
+ *     summary: Download a document
+ *     description: Streams the stored file. Add ?inline=1 to open it in the browser instead of downloading.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The file
+ *       404:
+ *         description: Document not found or file missing from storage
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/documents/:id/download",
+  authRequired,
+  can("documents:read"),
+  async (req, res) => {
+    try {
+      const doc = await findAccessibleDocument(req.user, req.params.id);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+
+      const stream = await openDocument(doc.id);
+      if (!stream) {
+        console.error(`Document ${doc.id} missing from storage`);
+        return res.status(404).json({ message: "File not found" });
+      }
+
+      const disposition = parseFlag(req.query.inline) ? "inline" : "attachment";
+      res.setHeader("Content-Type", doc.content_type);
+      res.setHeader("Content-Length", doc.size_bytes);
+      res.setHeader(
+        "Content-Disposition",
+        `${disposition}; filename*=UTF-8''${encodeURIComponent(doc.file_name)}`
+      );
+      stream.on("error", (err) => {
+        console.error("Stream document error:", err);
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error("Download document error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   put:
+ *     summary: Update document details
+ *     description: |
+ *       Change type, title, dates or customer visibility (the file itself cannot be replaced — upload a new document).
+ *       Changing expires_at re-arms the expiry reminders. Technicians can only edit documents they uploaded (requires documents:write).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               issued_at:
+ *                 type: string
+ *                 format: date
+ *               expires_at:
+ *                 type: string
+ *                 format: date
+ *               customer_visible:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Document updated
+ *       400:
+ *         description: Invalid details
+ *       403:
+ *         description: Not allowed to edit this document
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put(
+  "/documents/:id",
+  authRequired,
+  can("documents:write"),
+  audit("document", "documents", DOCUMENT_AUDIT),
+  async (req, res) => {
+    try {
+      const doc = await findAccessibleDocument(req.user, req.params.id);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+      if (!canModify(req.user, doc)) return res.status(403).json({ message: "Forbidden" });
+
+      const { meta, error } = parseDocumentMeta(req.body || {}, doc);
+      if (error) return res.status(400).json({ message: error });
+
+      const previousExpiry = doc.expires_at ? doc.expires_at.toLocaleDateString("sv-SE") : null;
+      const expiryChanged = previousExpiry !== meta.expires_at;
+
+      await pool.query(
+        `UPDATE documents
+         SET doc_type = ?, title = ?, issued_at = ?, expires_at = ?, customer_visible = ?
+             ${expiryChanged ? ", expiry_notified_at = NULL, expired_notified_at = NULL" : ""}
+         WHERE id = ?`,
+        [
+          meta.doc_type,
+          meta.title,
+          meta.issued_at || null,
+          meta.expires_at || null,
+          meta.customer_visible ? 1 : 0,
+          doc.id,
+        ]
+      );
+
+      res.json(await fetchDocument(doc.id));
+    } catch (error) {
+      console.error("Update document error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   delete:
+ *     summary: Delete a document
+ *     description: Removes the record and the stored file. Technicians can only delete documents they uploaded (requires documents:write).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       403:
+ *         description: Not allowed to delete this document
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  "/documents/:id",
+  authRequired,
+  can("documents:write"),
+  audit("document", "documents", DOCUMENT_AUDIT),
+  async (req, res) => {
+    try {
+      const doc = await findAccessibleDocument(req.user, req.params.id);
+      if (!doc) return res.status(404).json({ message: "Document not found" });
+      if (!canModify(req.user, doc)) return res.status(403).json({ message: "Forbidden" });
+
+      await deleteDocument(doc.id);
+      res.json({ message: "Document deleted" });
+    } catch (error) {
+      console.error("Delete document error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
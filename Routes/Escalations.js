@@ -0,0 +1,590 @@
+// ---- Escalation Routes (นโยบายไล่แจ้ง alert + ตารางเวร on-call) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import { ALERT_SEVERITIES } from "../Services/alertRules.js";
+import {
+  ESCALATION_TARGETS,
+  ON_CALL_LEVELS,
+  currentShift,
+  fetchRotationMembers,
+  findOnCall,
+} from "../Services/escalation.js";
+
+const router = express.Router();
+
+async function fetchPolicy(id) {
+  const [rows] = await pool.query(
+    `SELECT p.*, c.name AS customer_name
+     FROM escalation_policies p
+     LEFT JOIN customers c ON p.customer_id = c.id
+     WHERE p.id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+
+  const [steps] = await pool.query(
+    `SELECT s.step_no, s.delay_minutes, s.target, s.target_user_id,
+            u.name AS target_user_name
+     FROM escalation_policy_steps s
+     LEFT JOIN users u ON s.target_user_id = u.id
+     WHERE s.policy_id = ?
+     ORDER BY s.step_no`,
+    [id]
+  );
+  return { ...rows[0], steps };
+}
+
+async function fetchRotation(id) {
+  const [rows] = await pool.query(
+    `SELECT r.*, c.name AS customer_name
+     FROM on_call_rotations r
+     LEFT JOIN customers c ON r.customer_id = c.id
+     WHERE r.id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+
+  const members = await fetchRotationMembers(id);
+  return { ...rows[0], members, on_call: currentShift(rows[0], members) };
+}
+
+const POLICY_AUDIT = { snapshot: fetchPolicy };
+const ROTATION_AUDIT = { snapshot: fetchRotation };
+
+async function validateCustomer(customerId) {
+  if (!customerId) return null;
+  const [rows] = await pool.query("SELECT id FROM customers WHERE id = ?", [customerId]);
+  return rows.length === 0 ? "Customer not found" : null;
+}
+
+// คืนข้อความ error ถ้าข้อมูล policy ไม่ถูกต้อง (null = ผ่าน)
+async function validatePolicy({ name, customer_id, min_severity, steps }) {
+  if (!name) return "name จำเป็นต้องมี";
+  if (min_severity && !ALERT_SEVERITIES.includes(min_severity)) {
+    return `min_severity ต้องเป็น ${ALERT_SEVERITIES.join(" / ")}`;
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return "steps ต้องเป็น array และมีอย่างน้อย 1 ขั้น";
+  }
+  for (const [i, step] of steps.entries()) {
+    if (!ESCALATION_TARGETS.includes(step?.target)) {
+      return `steps[${i}].target ต้องเป็น ${ESCALATION_TARGETS.join(" / ")}`;
+    }
+    const delay = Number(step.delay_minutes ?? 0);
+    if (!Number.isInteger(delay) || delay < 0) {
+      return `steps[${i}].delay_minutes ต้องเป็นจำนวนเต็มไม่ติดลบ`;
+    }
+    if (step.target === "user" && !step.target_user_id) {
+      return `steps[${i}].target_user_id จำเป็นต้องมีเมื่อ target = user`;
+    }
+  }
+
+  const userIds = steps.filter((s) => s.target === "user").map((s) => s.target_user_id);
+  if (userIds.length > 0) {
+    const [users] = await pool.query("SELECT id FROM users WHERE id IN (?)", [userIds]);
+    if (users.length !== new Set(userIds.map(Number)).size) return "User not found";
+  }
+  return validateCustomer(customer_id);
+}
+
+// คืนข้อความ error ถ้าข้อมูลเวรไม่ถูกต้อง (null = ผ่าน)
+async function validateRotation({ name, level, customer_id, starts_at, shift_hours, member_ids }) {
+  if (!name) return "name จำเป็นต้องมี";
+  if (!ON_CALL_LEVELS.includes(level)) {
+    return `level ต้องเป็น ${ON_CALL_LEVELS.join(" / ")}`;
+  }
+  if (!starts_at || Number.isNaN(new Date(starts_at).getTime())) {
+    return "starts_at ไม่ถูกต้อง";
+  }
+  const hours = Number(shift_hours ?? 168);
+  if (!Number.isInteger(hours) || hours <= 0) {
+    return "shift_hours ต้องเป็นจำนวนเต็มมากกว่า 0";
+  }
+  if (!Array.isArray(member_ids) || member_ids.length === 0) {
+    return "member_ids ต้องเป็น array และมีอย่างน้อย 1 คน";
+  }
+
+  const [users] = await pool.query("SELECT id FROM users WHERE id IN (?)", [member_ids]);
+  if (users.length !== new Set(member_ids.map(Number)).size) return "User not found";
+  return validateCustomer(customer_id);
+}
+
+async function replacePolicySteps(conn, policyId, steps) {
+  await conn.query("DELETE FROM escalation_policy_steps WHERE policy_id = ?", [policyId]);
+  await conn.query(
+    `INSERT INTO escalation_policy_steps
+       (policy_id, step_no, delay_minutes, target, target_user_id)
+     VALUES ?`,
+    [
+      steps.map((s, i) => [
+        policyId,
+        i + 1,
+        Number(s.delay_minutes ?? 0),
+        s.target,
+        s.target === "user" ? s.target_user_id : null,
+      ]),
+    ]
+  );
+}
+
+// ลำดับใน member_ids = ลำดับการอยู่เวร (คนเดิมซ้ำได้)
+async function replaceRotationMembers(conn, rotationId, memberIds) {
+  await conn.query("DELETE FROM on_call_rotation_members WHERE rotation_id = ?", [rotationId]);
+  await conn.query(
+    "INSERT INTO on_call_rotation_members (rotation_id, position, user_id) VALUES ?",
+    [memberIds.map((userId, i) => [rotationId, i + 1, userId])]
+  );
+}
+
+/**
+ * @swagger
+ * /api/escalation-policies:
+ *   get:
+ *     summary: Get escalation policies
+ *     description: Who gets notified, in which order, while an alert stays unacknowledged (requires escalations:manage)
+ *     tags: [Escalation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policies with their steps
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/escalation-policies", authRequired, can("escalations:manage"), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT id FROM escalation_policies ORDER BY customer_id IS NULL, region IS NULL, id"
+    );
+    res.json(await Promise.all(rows.map((r) => fetchPolicy(r.id))));
+  } catch (error) {
+    console.error("Fetch escalation policies error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.get("/escalation-policies/:id", authRequired, can("escalations:manage"), async (req, res) => {
+  try {
+    const policy = await fetchPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ message: "Escalation policy not found" });
+    }
+    res.json(policy);
+  } catch (error) {
+    console.error("Fetch escalation policy error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/escalation-policies:
+ *   post:
+ *     summary: Create an escalation policy
+ *     description: |
+ *       The most specific active policy for the alert's building is used (customer + region > customer > region > default).
+ *       Each step waits delay_minutes after the previous one; steps with nobody to notify are skipped immediately.
+ *       Escalation stops when the alert is acknowledged or resolved.
+ *     tags: [Escalation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: string
+ *               customer_id:
+ *                 type: integer
+ *               region:
+ *                 type: string
+ *               min_severity:
+ *                 type: string
+ *                 enum: [info, warning, critical]
+ *                 default: warning
+ *               is_active:
+ *                 type: boolean
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - target
+ *                   properties:
+ *                     delay_minutes:
+ *                       type: integer
+ *                       example: 15
+ *                     target:
+ *                       type: string
+ *                       enum: [assigned_technician, on_call_technician, on_call_lead, admin, user]
+ *                     target_user_id:
+ *                       type: integer
+ *                       description: Required when target is user
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         description: Invalid policy
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/escalation-policies",
+  authRequired,
+  can("escalations:manage"),
+  audit("escalation_policy", "escalation_policies", POLICY_AUDIT),
+  async (req, res) => {
+    const { name, customer_id, region, min_severity, is_active, steps } = req.body || {};
+
+    const conn = await pool.getConnection();
+    try {
+      const invalid = await validatePolicy({ name, customer_id, min_severity, steps });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      await conn.beginTransaction();
+      const [result] = await conn.query(
+        `INSERT INTO escalation_policies (name, customer_id, region, min_severity, is_active)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          name,
+          customer_id || null,
+          region || null,
+          min_severity || "warning",
+          is_active === false ? 0 : 1,
+        ]
+      );
+      await replacePolicySteps(conn, result.insertId, steps);
+      await conn.commit();
+
+      res.status(201).json(await fetchPolicy(result.insertId));
+    } catch (error) {
+      await conn.rollback();
+      console.error("Create escalation policy error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+// แก้ไข policy (แทนที่ steps ทั้งชุด, alert ที่กำลังไล่แจ้งอยู่ใช้ steps ใหม่ตั้งแต่ขั้นถัดไป)
+router.put(
+  "/escalation-policies/:id",
+  authRequired,
+  can("escalations:manage"),
+  audit("escalation_policy", "escalation_policies", POLICY_AUDIT),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, customer_id, region, min_severity, is_active, steps } = req.body || {};
+
+    const conn = await pool.getConnection();
+    try {
+      if (!(await fetchPolicy(id))) {
+        return res.status(404).json({ message: "Escalation policy not found" });
+      }
+      const invalid = await validatePolicy({ name, customer_id, min_severity, steps });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      await conn.beginTransaction();
+      await conn.query(
+        `UPDATE escalation_policies
+         SET name = ?, customer_id = ?, region = ?, min_severity = ?, is_active = ?
+         WHERE id = ?`,
+        [
+          name,
+          customer_id || null,
+          region || null,
+          min_severity || "warning",
+          is_active === false ? 0 : 1,
+          id,
+        ]
+      );
+      await replacePolicySteps(conn, id, steps);
+      await conn.commit();
+
+      res.json(await fetchPolicy(id));
+    } catch (error) {
+      await conn.rollback();
+      console.error("Update escalation policy error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+router.delete(
+  "/escalation-policies/:id",
+  authRequired,
+  can("escalations:manage"),
+  audit("escalation_policy", "escalation_policies", POLICY_AUDIT),
+  async (req, res) => {
+    try {
+      const [result] = await pool.query("DELETE FROM escalation_policies WHERE id = ?", [
+        req.params.id,
+      ]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "Escalation policy not found" });
+      }
+      res.json({ message: "Escalation policy deleted successfully" });
+    } catch (error) {
+      console.error("Delete escalation policy error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/on-call/now:
+ *   get:
+ *     summary: Who is on call
+ *     description: Current on-call technician and lead for a customer / region (most specific rotation wins). Requires oncall:read.
+ *     tags: [Escalation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ technician, lead } (null when nobody is on call)"
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/on-call/now", authRequired, can("oncall:read"), async (req, res) => {
+  const scope = { customerId: req.query.customer_id, region: req.query.region };
+
+  try {
+    res.json({
+      technician: await findOnCall("technician", scope),
+      lead: await findOnCall("lead", scope),
+    });
+  } catch (error) {
+    console.error("Fetch on-call error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/on-call/rotations:
+ *   get:
+ *     summary: Get on-call rotations
+ *     description: Rotations with members in order and who is on call right now (requires oncall:read)
+ *     tags: [Escalation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of rotations
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/on-call/rotations", authRequired, can("oncall:read"), async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT id FROM on_call_rotations ORDER BY level, id");
+    res.json(await Promise.all(rows.map((r) => fetchRotation(r.id))));
+  } catch (error) {
+    console.error("Fetch on-call rotations error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.get("/on-call/rotations/:id", authRequired, can("oncall:read"), async (req, res) => {
+  try {
+    const rotation = await fetchRotation(req.params.id);
+    if (!rotation) {
+      return res.status(404).json({ message: "Rotation not found" });
+    }
+    res.json(rotation);
+  } catch (error) {
+    console.error("Fetch on-call rotation error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/on-call/rotations:
+ *   post:
+ *     summary: Create an on-call rotation
+ *     description: Members take turns in the order of member_ids, each for shift_hours, starting at starts_at (requires escalations:manage)
+ *     tags: [Escalation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - level
+ *               - starts_at
+ *               - member_ids
+ *             properties:
+ *               name:
+ *                 type: string
+ *               level:
+ *                 type: string
+ *                 enum: [technician, lead]
+ *               customer_id:
+ *                 type: integer
+ *               region:
+ *                 type: string
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               shift_hours:
+ *                 type: integer
+ *                 default: 168
+ *               is_active:
+ *                 type: boolean
+ *               member_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Rotation created
+ *       400:
+ *         description: Invalid rotation
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/on-call/rotations",
+  authRequired,
+  can("escalations:manage"),
+  audit("on_call_rotation", "on_call_rotations", ROTATION_AUDIT),
+  async (req, res) => {
+    const body = req.body || {};
+
+    const conn = await pool.getConnection();
+    try {
+      const invalid = await validateRotation(body);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      await conn.beginTransaction();
+      const [result] = await conn.query(
+        `INSERT INTO on_call_rotations
+           (name, level, customer_id, region, starts_at, shift_hours, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          body.name,
+          body.level,
+          body.customer_id || null,
+          body.region || null,
+          new Date(body.starts_at),
+          Number(body.shift_hours ?? 168),
+          body.is_active === false ? 0 : 1,
+        ]
+      );
+      await replaceRotationMembers(conn, result.insertId, body.member_ids);
+      await conn.commit();
+
+      res.status(201).json(await fetchRotation(result.insertId));
+    } catch (error) {
+      await conn.rollback();
+      console.error("Create on-call rotation error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+router.put(
+  "/on-call/rotations/:id",
+  authRequired,
+  can("escalations:manage"),
+  audit("on_call_rotation", "on_call_rotations", ROTATION_AUDIT),
+  async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    const conn = await pool.getConnection();
+    try {
+      if (!(await fetchRotation(id))) {
+        return res.status(404).json({ message: "Rotation not found" });
+      }
+      const invalid = await validateRotation(body);
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+
+      await conn.beginTransaction();
+      await conn.query(
+        `UPDATE on_call_rotations
+         SET name = ?, level = ?, customer_id = ?, region = ?,
+             starts_at = ?, shift_hours = ?, is_active = ?
+         WHERE id = ?`,
+        [
+          body.name,
+          body.level,
+          body.customer_id || null,
+          body.region || null,
+          new Date(body.starts_at),
+          Number(body.shift_hours ?? 168),
+          body.is_active === false ? 0 : 1,
+          id,
+        ]
+      );
+      await replaceRotationMembers(conn, id, body.member_ids);
+      await conn.commit();
+
+      res.json(await fetchRotation(id));
+    } catch (error) {
+      await conn.rollback();
+      console.error("Update on-call rotation error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    } finally {
+      conn.release();
+    }
+  }
+);
+
+router.delete(
+  "/on-call/rotations/:id",
+  authRequired,
+  can("escalations:manage"),
+  audit("on_call_rotation", "on_call_rotations", ROTATION_AUDIT),
+  async (req, res) => {
+    try {
+      const [result] = await pool.query("DELETE FROM on_call_rotations WHERE id = ?", [
+        req.params.id,
+      ]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "Rotation not found" });
+      }
+      res.json({ message: "Rotation deleted successfully" });
+    } catch (error) {
+      console.error("Delete on-call rotation error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
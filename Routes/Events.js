@@ -0,0 +1,176 @@
+// ---- Real-time Routes (Server-Sent Events: notification / alert / ticket) ----
+import express from "express";
+import authRequired from "../Auth/middle.js";
+import { getRolePermissions } from "../Auth/permissions.js";
+import { signStreamTicket, verifyStreamTicket, isSessionActive } from "../Auth/session.js";
+import {
+  MAX_REPLAY_EVENTS,
+  canReceive,
+  fetchEventsSince,
+  fetchLatestEventId,
+  subscribe,
+} from "../Services/realtime.js";
+
+const router = express.Router();
+
+// comment เปล่าๆ กัน proxy / load balancer ตัด connection ที่เงียบนาน + เช็ค session ที่ถูก revoke ระหว่างทาง
+const HEARTBEAT_MS = 25 * 1000;
+
+// EventSource ของ browser ตั้ง header ไม่ได้ → รับ ?ticket= (จาก POST /events/ticket) แทน Authorization ได้
+async function streamAuth(req, res, next) {
+  if (!req.query.ticket) return authRequired(req, res, next);
+
+  try {
+    const user = await verifyStreamTicket(String(req.query.ticket));
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or expired stream ticket" });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("Stream ticket check error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    ...event.payload,
+    created_at: event.created_at,
+  })}\n\n`);
+}
+
+/**
+ * @swagger
+ * /api/events/ticket:
+ *   post:
+ *     summary: Issue a short-lived stream ticket
+ *     description: |
+ *       Browsers cannot set the Authorization header on an EventSource. Exchange the access token for a
+ *       ticket valid for 60 seconds and open /api/events/stream?ticket=... with it.
+ *       API keys send the X-API-Key header to the stream directly.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stream ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ticket:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *       400:
+ *         description: API keys do not use tickets
+ *       401:
+ *         description: Not authenticated
+ */
+router.post("/events/ticket", authRequired, (req, res) => {
+  if (req.user.api_key_id) {
+    return res.status(400).json({ message: "API key ให้ส่ง X-API-Key กับ /api/events/stream โดยตรง" });
+  }
+  res.json({ ticket: signStreamTicket(req.user), expires_in: 60 });
+});
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Real-time event stream (Server-Sent Events)
+ *     description: |
+ *       Pushes events the caller may see under the same role and customer scoping as the REST endpoints:
+ *       `notification` (the caller's own notifications), `alert.opened`, `alert.acknowledged`, `alert.resolved`
+ *       (alerts:read), `ticket.created` and `ticket.status_changed` (tickets:read).
+ *       Every event has an id. After a reconnect the browser sends Last-Event-ID automatically
+ *       (or pass last_event_id) and missed events are replayed first. If more than 500 events were missed
+ *       a single `resync` event is sent instead and the client should reload its data.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Stream ticket from POST /api/events/ticket (instead of the Authorization header)
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: integer
+ *         description: Resume after this event id (same as the Last-Event-ID header)
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/events/stream", streamAuth, async (req, res) => {
+  const user = req.user;
+  let permissions;
+  try {
+    permissions = user.api_key_id
+      ? new Set(user.permissions)
+      : await getRolePermissions(user.role);
+  } catch (err) {
+    console.error("Event stream error:", err);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: อย่า buffer stream
+  });
+  res.write("retry: 5000\n\n");
+
+  // subscribe ก่อน replay แล้วพัก event สดไว้ใน buffer จน replay เสร็จ (ไม่ตกหล่นช่วงรอยต่อ)
+  let lastSentId = Number(req.get("Last-Event-ID") || req.query.last_event_id) || 0;
+  let buffer = [];
+  const deliver = (event) => {
+    if (event.id <= lastSentId || !canReceive(user, permissions, event)) return;
+    writeEvent(res, event);
+    lastSentId = event.id;
+  };
+  const unsubscribe = subscribe((event) => (buffer ? buffer.push(event) : deliver(event)));
+
+  const heartbeat = setInterval(async () => {
+    res.write(": ping\n\n");
+    if (user.sid && !(await isSessionActive(user.sid).catch(() => true))) res.end();
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    if (lastSentId > 0) {
+      const missed = await fetchEventsSince(lastSentId, MAX_REPLAY_EVENTS + 1);
+      if (missed.length > MAX_REPLAY_EVENTS) {
+        // หลุดนานเกิน → ให้ client โหลดข้อมูลใหม่ แล้วรับต่อจาก event ล่าสุดจริง (ไม่ใช่ตัวท้ายของชุดที่ดึงมา)
+        const latestId = await fetchLatestEventId();
+        res.write(`id: ${latestId}\nevent: resync\ndata: {}\n\n`);
+        lastSentId = latestId;
+      } else {
+        missed.forEach(deliver);
+      }
+    }
+  } catch (err) {
+    console.error("Event replay error:", err);
+  }
+
+  const pending = buffer;
+  buffer = null;
+  pending.forEach(deliver);
+});
+
+export default router;
@@ -1,7 +1,21 @@
 // ---- Maintenance Routes ----
 import express from "express";
 import pool from "../DB/db.js";
-import authRequired, { roleRequired } from "../Auth/middle.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import {
+  rowScope,
+  appendScope,
+  isTechnicianScoped,
+  findAccessibleElevator,
+  findAccessibleJob,
+  findTechnicianIdForUser,
+} from "../Auth/scope.js";
+import {
+  TICKET_STATUSES,
+  notifyEmergencyTicket,
+  publishTicketEvent,
+} from "../Services/tickets.js";
 
 // Helper function to format ISO date string ('YYYY-MM-DDTHH:mm:ss.sssZ') for MySQL DATETIME ('YYYY-MM-DD HH:MM:SS')
 function formatIsoToMysqlDatetime(isoString) {
@@ -13,6 +27,45 @@ function formatIsoToMysqlDatetime(isoString) {
 
 const router = express.Router();
 
+const JOB_SELECT = `
+  SELECT
+    mj.*,
+    e.name AS elevator_name,
+    b.name AS building_name,
+    u.name AS technician_name,
+    c.contract_code
+  FROM maintenance_jobs mj
+  LEFT JOIN elevators e ON mj.elevator_id = e.id
+  LEFT JOIN buildings b ON e.building_id = b.id
+  LEFT JOIN technicians tech ON mj.technician_id = tech.id
+  LEFT JOIN users u ON tech.user_id = u.id
+  LEFT JOIN contracts c ON mj.contract_id = c.id
+`;
+
+// แผนที่ผู้ใช้เข้าถึงได้ (ผ่านลิฟต์ของแผน) คืน plan หรือ null
+async function findAccessiblePlan(user, planId) {
+  const [rows] = await pool.query(
+    "SELECT * FROM maintenance_plans WHERE id = ?",
+    [planId]
+  );
+  const plan = rows[0];
+  if (!plan || !(await findAccessibleElevator(user, plan.elevator_id))) {
+    return null;
+  }
+  return plan;
+}
+
+// ช่างสร้าง / แก้งานได้เฉพาะงานที่มอบหมายให้ตัวเอง
+// คืน technician_id ที่จะบันทึก หรือ undefined ถ้าไม่อนุญาต
+async function resolveJobTechnician(user, technicianId) {
+  if (!isTechnicianScoped(user)) return technicianId || null;
+
+  const ownId = await findTechnicianIdForUser(user.id);
+  if (!ownId) return undefined;
+  if (technicianId && Number(technicianId) !== Number(ownId)) return undefined;
+  return ownId;
+}
+
 /**
  * @swagger
  * /api/maintenance/templates:
@@ -36,7 +89,7 @@ const router = express.Router();
  */
 // Template + Checklist (Maintenance Templates)
 // GET: ดึงทั้งหมด
-router.get("/maintenance/templates", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.get("/maintenance/templates", authRequired, can("maintenance_templates:read"), async (req, res) => {
   try {
     const [rows] = await pool.query(
       "SELECT * FROM maintenance_templates ORDER BY id DESC"
@@ -84,7 +137,7 @@ router.get("/maintenance/templates", authRequired, roleRequired(["admin", "techn
  *         description: Internal server error
  */
 // POST: สร้าง template ใหม่
-router.post("/maintenance/templates", authRequired, roleRequired("admin"), async (req, res) => {
+router.post("/maintenance/templates", authRequired, can("maintenance_templates:write"), audit("maintenance_template", "maintenance_templates"), async (req, res) => {
   const { name, description } = req.body || {};
   if (!name) {
     return res.status(400).json({ message: "Missing name" });
@@ -147,7 +200,7 @@ router.post("/maintenance/templates", authRequired, roleRequired("admin"), async
  *         description: Internal server error
  */
 // PUT: แก้ไข template ตาม id
-router.put("/maintenance/templates/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.put("/maintenance/templates/:id", authRequired, can("maintenance_templates:write"), audit("maintenance_template", "maintenance_templates"), async (req, res) => {
   const { id } = req.params;
   const { name, description } = req.body || {};
 
@@ -204,7 +257,7 @@ router.put("/maintenance/templates/:id", authRequired, roleRequired("admin"), as
  *         description: Internal server error
  */
 // DELETE: ลบ template ตาม id
-router.delete("/maintenance/templates/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.delete("/maintenance/templates/:id", authRequired, can("maintenance_templates:write"), audit("maintenance_template", "maintenance_templates"), async (req, res) => {
   const { id } = req.params;
   try {
     const [result] = await pool.query(
@@ -243,9 +296,7 @@ router.delete("/maintenance/templates/:id", authRequired, roleRequired("admin"),
  *         description: Internal server error
  */
 // Plan
-router.get("/maintenance/plans", authRequired, async (req, res) => {
-  const { role, customer_id } = req.user || {};
-
+router.get("/maintenance/plans", authRequired, can("maintenance_plans:read"), async (req, res) => {
   try {
     let sql = `
       SELECT
@@ -259,11 +310,11 @@ router.get("/maintenance/plans", authRequired, async (req, res) => {
     `;
     const params = [];
 
-    if (role === "customer") {
-      sql += " WHERE b.customer_id = ?";
-      params.push(customer_id || 0);
-    }
-
+    sql = appendScope(
+      sql,
+      params,
+      rowScope(req.user, { customer: "b.customer_id", elevator: "mp.elevator_id" })
+    );
     sql += " ORDER BY mp.id DESC";
 
     const [rows] = await pool.query(sql, params);
@@ -274,7 +325,7 @@ router.get("/maintenance/plans", authRequired, async (req, res) => {
   }
 });
 
-router.post("/maintenance/plans", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.post("/maintenance/plans", authRequired, can("maintenance_plans:write"), audit("maintenance_plan", "maintenance_plans"), async (req, res) => {
   const {
     contract_id,
     elevator_id,
@@ -291,6 +342,10 @@ router.post("/maintenance/plans", authRequired, roleRequired(["admin", "technici
   }
 
   try {
+    if (!(await findAccessibleElevator(req.user, elevator_id))) {
+      return res.status(400).json({ message: "Elevator not found" });
+    }
+
     const [result] = await pool.query(
       `
       INSERT INTO maintenance_plans
@@ -318,7 +373,7 @@ router.post("/maintenance/plans", authRequired, roleRequired(["admin", "technici
   }
 });
 
-router.put("/maintenance/plans/:id", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.put("/maintenance/plans/:id", authRequired, can("maintenance_plans:write"), audit("maintenance_plan", "maintenance_plans"), async (req, res) => {
   const { id } = req.params;
   const {
     contract_id,
@@ -336,6 +391,13 @@ router.put("/maintenance/plans/:id", authRequired, roleRequired(["admin", "techn
   }
 
   try {
+    if (!(await findAccessiblePlan(req.user, id))) {
+      return res.status(404).json({ message: "Plan not found" });
+    }
+    if (!(await findAccessibleElevator(req.user, elevator_id))) {
+      return res.status(400).json({ message: "Elevator not found" });
+    }
+
     const [result] = await pool.query(
       `
       UPDATE maintenance_plans
@@ -384,10 +446,14 @@ router.put("/maintenance/plans/:id", authRequired, roleRequired(["admin", "techn
   }
 });
 
-router.delete("/maintenance/plans/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.delete("/maintenance/plans/:id", authRequired, can("maintenance_plans:delete"), audit("maintenance_plan", "maintenance_plans"), async (req, res) => {
   const { id } = req.params;
 
   try {
+    if (!(await findAccessiblePlan(req.user, id))) {
+      return res.status(404).json({ message: "Plan not found" });
+    }
+
     const [result] = await pool.query(
       "DELETE FROM maintenance_plans WHERE id = ?",
       [id]
@@ -425,33 +491,18 @@ router.delete("/maintenance/plans/:id", authRequired, roleRequired("admin"), asy
  *       500:
  *         description: Internal server error
  */
-router.get("/maintenance/jobs", authRequired, async (req, res) => {
-  const { role, id: userId, customer_id } = req.user || {};
+router.get("/maintenance/jobs", authRequired, can("maintenance_jobs:read"), async (req, res) => {
   try {
-    let sql = `
-      SELECT
-        mj.*,
-        e.name AS elevator_name,
-        b.name AS building_name,
-        u.name AS technician_name,
-        c.contract_code
-      FROM maintenance_jobs mj
-      LEFT JOIN elevators e ON mj.elevator_id = e.id
-      LEFT JOIN buildings b ON e.building_id = b.id
-      LEFT JOIN technicians tech ON mj.technician_id = tech.id
-      LEFT JOIN users u ON tech.user_id = u.id
-      LEFT JOIN contracts c ON mj.contract_id = c.id
-    `;
     const params = [];
-
-    if (role === "technician") {
-      sql += " WHERE u.id = ?";
-      params.push(userId);
-    } else if (role === "customer") {
-      sql += " WHERE b.customer_id = ?";
-      params.push(customer_id || 0);
-    }
-
+    let sql = appendScope(
+      JOB_SELECT,
+      params,
+      rowScope(req.user, {
+        customer: "b.customer_id",
+        elevator: "mj.elevator_id",
+        technician: "tech.user_id",
+      })
+    );
     sql += " ORDER BY mj.created_at DESC";
 
     const [rows] = await pool.query(sql, params);
@@ -462,7 +513,7 @@ router.get("/maintenance/jobs", authRequired, async (req, res) => {
   }
 });
 
-router.post("/maintenance/jobs", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.post("/maintenance/jobs", authRequired, can("maintenance_jobs:write"), audit("maintenance_job", "maintenance_jobs"), async (req, res) => {
   const {
     elevator_id,
     job_type, // planned / emergency
@@ -488,6 +539,17 @@ router.post("/maintenance/jobs", authRequired, roleRequired(["admin", "technicia
   const safeTotal = total_cost != null ? Number(total_cost) : labor + parts;
 
   try {
+    if (!(await findAccessibleElevator(req.user, elevator_id))) {
+      return res.status(400).json({ message: "Elevator not found" });
+    }
+
+    const assignedTechnician = await resolveJobTechnician(req.user, technician_id);
+    if (assignedTechnician === undefined) {
+      return res
+        .status(403)
+        .json({ message: "ช่างสร้างงานได้เฉพาะงานที่มอบหมายให้ตัวเอง" });
+    }
+
     const [result] = await pool.query(
       `
       INSERT INTO maintenance_jobs
@@ -513,7 +575,7 @@ router.post("/maintenance/jobs", authRequired, roleRequired(["admin", "technicia
         elevator_id,
         contract_id || null,
         ticket_id || null,
-        technician_id || null,
+        assignedTechnician,
         job_type,
         remarks || null,
         total_labor_hours || 0,
@@ -523,24 +585,9 @@ router.post("/maintenance/jobs", authRequired, roleRequired(["admin", "technicia
       ]
     );
 
-    const [rows] = await pool.query(
-      `
-      SELECT
-        mj.*,
-        e.name AS elevator_name,
-        b.name AS building_name,
-        u.name AS technician_name,
-        c.contract_code
-      FROM maintenance_jobs mj
-      LEFT JOIN elevators e ON mj.elevator_id = e.id
-      LEFT JOIN buildings b ON e.building_id = b.id
-      LEFT JOIN technicians tech ON mj.technician_id = tech.id
-      LEFT JOIN users u ON tech.user_id = u.id
-      LEFT JOIN contracts c ON mj.contract_id = c.id
-      WHERE mj.id = ?
-      `,
-      [result.insertId]
-    );
+    const [rows] = await pool.query(`${JOB_SELECT} WHERE mj.id = ?`, [
+      result.insertId,
+    ]);
 
     res.status(201).json(rows[0]);
   } catch (error) {
@@ -550,7 +597,7 @@ router.post("/maintenance/jobs", authRequired, roleRequired(["admin", "technicia
 });
 
 // แก้ไข job
-router.put("/maintenance/jobs/:id", authRequired, async (req, res) => {
+router.put("/maintenance/jobs/:id", authRequired, can("maintenance_jobs:write"), audit("maintenance_job", "maintenance_jobs"), async (req, res) => {
   const { id } = req.params;
   const {
     elevator_id,
@@ -567,7 +614,11 @@ router.put("/maintenance/jobs/:id", authRequired, async (req, res) => {
     finished_at,
   } = req.body || {};
 
-// ... (omitted role check logic)
+  if (!elevator_id || !job_type) {
+    return res
+      .status(400)
+      .json({ message: "elevator_id และ job_type จำเป็นต้องมี" });
+  }
 
   const labor = Number(labor_cost || 0);
   const parts = Number(parts_cost || 0);
@@ -578,7 +629,20 @@ router.put("/maintenance/jobs/:id", authRequired, async (req, res) => {
   const mysqlFinishedAt = formatIsoToMysqlDatetime(finished_at);
   
   try {
-    // ... (omitted permission check logic)
+    // ช่างแก้ได้เฉพาะงานของตัวเอง, ลูกค้าเฉพาะงานในอาคารตัวเอง
+    if (!(await findAccessibleJob(req.user, id))) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+    if (!(await findAccessibleElevator(req.user, elevator_id))) {
+      return res.status(400).json({ message: "Elevator not found" });
+    }
+
+    const assignedTechnician = await resolveJobTechnician(req.user, technician_id);
+    if (assignedTechnician === undefined) {
+      return res
+        .status(403)
+        .json({ message: "ช่างไม่สามารถโอนงานให้ช่างคนอื่นได้" });
+    }
 
     const [result] = await pool.query(
       `
@@ -602,7 +666,7 @@ router.put("/maintenance/jobs/:id", authRequired, async (req, res) => {
         elevator_id,
         contract_id || null,
         ticket_id || null,
-        technician_id || null,
+        assignedTechnician,
         job_type,
         remarks || null,
         total_labor_hours || 0,
@@ -620,15 +684,21 @@ router.put("/maintenance/jobs/:id", authRequired, async (req, res) => {
       return res.status(404).json({ message: "Job not found" });
     }
 
+    const [rows] = await pool.query(`${JOB_SELECT} WHERE mj.id = ?`, [id]);
+    res.json(rows[0]);
   } catch (error) {
     console.error("Update maintenance job error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-router.delete("/maintenance/jobs/:id", authRequired, roleRequired("admin"), async (req, res) => {
+router.delete("/maintenance/jobs/:id", authRequired, can("maintenance_jobs:delete"), audit("maintenance_job", "maintenance_jobs"), async (req, res) => {
   const { id } = req.params;
   try {
+    if (!(await findAccessibleJob(req.user, id))) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
     const [result] = await pool.query(
       "DELETE FROM maintenance_jobs WHERE id = ?",
       [id]
@@ -679,7 +749,7 @@ router.delete("/maintenance/jobs/:id", authRequired, roleRequired("admin"), asyn
  */
 // REPLACE: Tickets endpoints (moved from server.js)
 // GET /api/tickets
-router.get("/tickets", authRequired, async (req, res) => {
+router.get("/tickets", authRequired, can("tickets:read"), async (req, res) => {
   try {
     let sql = `
       SELECT 
@@ -687,14 +757,16 @@ router.get("/tickets", authRequired, async (req, res) => {
         e.name AS elevator_name
       FROM tickets t
       LEFT JOIN elevators e ON t.elevator_id = e.id
+      LEFT JOIN buildings b ON e.building_id = b.id
     `;
     const params = [];
 
-    // ถ้าเป็นลูกค้า → เห็นเฉพาะของตัวเอง
-    if (req.user.role === "customer" && req.user.customer_id) {
-      sql += " WHERE t.customer_id = ?";
-      params.push(req.user.customer_id);
-    }
+    // ถ้าเป็นลูกค้า → เห็นเฉพาะ ticket ของลิฟต์ในอาคารตัวเอง
+    sql = appendScope(
+      sql,
+      params,
+      rowScope(req.user, { customer: "b.customer_id", elevator: "t.elevator_id" })
+    );
 
     sql += " ORDER BY t.created_at DESC LIMIT 100";
 
@@ -711,10 +783,11 @@ router.get("/tickets", authRequired, async (req, res) => {
  * /api/tickets:
  *   post:
  *     summary: Create a new ticket
- *     description: Create a new support ticket
+ *     description: Create a new support ticket (users or machine API keys with tickets:create)
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -734,16 +807,19 @@ router.get("/tickets", authRequired, async (req, res) => {
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high, critical]
+ *                 description: critical = emergency, notifies admins, managers and the assigned / on-call technician right away
  *     responses:
  *       201:
  *         description: Ticket created successfully
  *       400:
  *         description: Missing required fields
+ *       404:
+ *         description: Elevator not found (or not owned by the customer)
  *       500:
  *         description: Internal server error
  */
 // POST /api/tickets
-router.post("/tickets", authRequired, async (req, res) => {
+router.post("/tickets", authRequired, can("tickets:create"), audit("ticket", "tickets", { resolveId: (req, body) => body?.ticket?.id }), async (req, res) => {
   const { elevatorId, description, title, priority } = req.body || {};
   if (!elevatorId || !description) {
     return res.status(400).json({ message: "Missing data" });
@@ -752,6 +828,12 @@ router.post("/tickets", authRequired, async (req, res) => {
   const ticketId = `T-${Date.now()}`;
 
   try {
+    // ลูกค้าแจ้งซ่อมได้เฉพาะลิฟต์ในอาคารของตัวเอง
+    const elevator = await findAccessibleElevator(req.user, elevatorId);
+    if (!elevator) {
+      return res.status(404).json({ message: "Elevator not found" });
+    }
+
     await pool.query(
       `INSERT INTO tickets 
         (id, elevator_id, reporter_id, customer_id, description, title, priority, source) 
@@ -760,7 +842,7 @@ router.post("/tickets", authRequired, async (req, res) => {
         ticketId,
         elevatorId,
         req.user.id,
-        req.user.customer_id || null, // ผูก ticket กับ customer ถ้ามี
+        elevator.customer_id || null, // ผูก ticket กับลูกค้าเจ้าของอาคาร
         description,
         title || null,
         priority || "medium",
@@ -768,19 +850,112 @@ router.post("/tickets", authRequired, async (req, res) => {
       ]
     );
 
-    const [tickets] = await pool.query(
-      `SELECT t.*, e.name AS elevator_name
-       FROM tickets t
-       LEFT JOIN elevators e ON t.elevator_id = e.id
-       WHERE t.id = ?`,
-      [ticketId]
-    );
+    const ticket = await findAccessibleTicket(req.user, ticketId);
+    await publishTicketEvent("created", ticket);
+    try {
+      await notifyEmergencyTicket(ticket);
+    } catch (err) {
+      console.error("Notify emergency ticket error:", err);
+    }
 
-    return res.status(201).json({ message: "Ticket created", ticket: tickets[0] });
+    return res.status(201).json({ message: "Ticket created", ticket });
   } catch (error) {
     console.error("Create ticket error:", error);
     return res.status(500).json({ message: "Internal server error" });
   }
 });
 
+// ticket ที่ผู้ใช้เข้าถึงได้ (ผ่านลิฟต์ / อาคาร) หรือ null
+// building_customer_id = ลูกค้าเจ้าของอาคารตอนนี้ (ตัวเดียวกับที่ใช้กรองสิทธิ์) ใช้ส่ง event
+// t.customer_id เป็น NULL ใน ticket เก่า / ticket ที่ admin สร้าง
+async function findAccessibleTicket(user, id) {
+  const params = [id];
+  const sql = appendScope(
+    `SELECT t.*, e.name AS elevator_name, b.customer_id AS building_customer_id
+     FROM tickets t
+     LEFT JOIN elevators e ON t.elevator_id = e.id
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE t.id = ?`,
+    params,
+    rowScope(user, { customer: "b.customer_id", elevator: "t.elevator_id" }),
+    true
+  );
+  const [rows] = await pool.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * @swagger
+ * /api/tickets/{id}/status:
+ *   put:
+ *     summary: Change ticket status
+ *     description: |
+ *       pending → in_progress → resolved → closed. Connected clients receive a ticket.status_changed event
+ *       on the real-time stream (requires tickets:manage).
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, resolved, closed]
+ *     responses:
+ *       200:
+ *         description: Updated ticket
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Ticket not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put(
+  "/tickets/:id/status",
+  authRequired,
+  can("tickets:manage"),
+  audit("ticket", "tickets", { action: "status_change" }),
+  async (req, res) => {
+    const { status } = req.body || {};
+    if (!TICKET_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: `status ต้องเป็น ${TICKET_STATUSES.join(" / ")}` });
+    }
+
+    try {
+      const ticket = await findAccessibleTicket(req.user, req.params.id);
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found" });
+      }
+      if (ticket.status === status) {
+        return res.json(ticket);
+      }
+
+      await pool.query("UPDATE tickets SET status = ? WHERE id = ?", [status, ticket.id]);
+
+      const updated = { ...ticket, status };
+      await publishTicketEvent("status_changed", updated, { previous_status: ticket.status });
+
+      res.json(updated);
+    } catch (error) {
+      console.error("Update ticket status error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,303 @@
+// ---- Notification Template Routes (Admin: แก้ข้อความ notification ภาษาไทย / อังกฤษ) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { recordAudit } from "../Services/audit.js";
+import {
+  NOTIFICATION_TEMPLATES,
+  NOTIFICATION_LOCALES,
+  getTemplate,
+  interpolate,
+  invalidateTemplateCache,
+  listTemplates,
+  unknownPlaceholders,
+} from "../Services/notificationTemplates.js";
+
+const router = express.Router();
+
+const TITLE_MAX_LENGTH = 255;
+const BODY_MAX_LENGTH = 2000;
+
+// :key / :locale ต้องมีอยู่ในทะเบียน
+function checkTemplateParams(req, res, next) {
+  if (!Object.hasOwn(NOTIFICATION_TEMPLATES, req.params.key)) {
+    return res.status(404).json({ message: "Template not found" });
+  }
+  if (!NOTIFICATION_LOCALES.includes(req.params.locale)) {
+    return res
+      .status(400)
+      .json({ message: `locale ต้องเป็น ${NOTIFICATION_LOCALES.join(" / ")}` });
+  }
+  next();
+}
+
+async function findCustomTemplate(key, locale) {
+  const [rows] = await pool.query(
+    "SELECT * FROM notification_templates WHERE template_key = ? AND locale = ?",
+    [key, locale]
+  );
+  return rows[0] || null;
+}
+
+async function fetchTemplateEntry(key) {
+  invalidateTemplateCache();
+  return (await listTemplates()).find((t) => t.key === key);
+}
+
+/**
+ * @swagger
+ * /api/notification-templates:
+ *   get:
+ *     summary: List notification templates
+ *     description: |
+ *       Every template with its variables and the current title / body per locale (th, en), the built-in default
+ *       and whether an admin has customised it. The title is also the email subject (requires notification_templates:manage).
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/notification-templates",
+  authRequired,
+  can("notification_templates:manage"),
+  async (req, res) => {
+    try {
+      res.json({ locales: NOTIFICATION_LOCALES, templates: await listTemplates() });
+    } catch (error) {
+      console.error("Fetch notification templates error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notification-templates/{key}/{locale}:
+ *   put:
+ *     summary: Customise a notification template
+ *     description: Replace the title / body of one template in one language. Variables are written as {{name}} and must be listed in the template's variables (requires notification_templates:manage).
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: ticket_qr
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "แจ้งเสียผ่าน QR: {{elevator_name}}"
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated template
+ *       400:
+ *         description: Invalid text or unknown variable
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put(
+  "/notification-templates/:key/:locale",
+  authRequired,
+  can("notification_templates:manage"),
+  checkTemplateParams,
+  async (req, res) => {
+    const { key, locale } = req.params;
+    const title = String(req.body?.title ?? "").trim();
+    const body = req.body?.body == null ? "" : String(req.body.body);
+
+    if (!title) {
+      return res.status(400).json({ message: "title จำเป็นต้องมี" });
+    }
+    if (title.length > TITLE_MAX_LENGTH || body.length > BODY_MAX_LENGTH) {
+      return res.status(400).json({
+        message: `title ยาวได้ไม่เกิน ${TITLE_MAX_LENGTH} และ body ไม่เกิน ${BODY_MAX_LENGTH} ตัวอักษร`,
+      });
+    }
+    const unknown = [...unknownPlaceholders(key, title), ...unknownPlaceholders(key, body)];
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `ไม่มีตัวแปร ${[...new Set(unknown)].join(", ")} ใน template นี้`,
+        variables: Object.keys(NOTIFICATION_TEMPLATES[key].variables),
+      });
+    }
+
+    try {
+      const before = await findCustomTemplate(key, locale);
+      await pool.query(
+        `INSERT INTO notification_templates (template_key, locale, title, body, updated_by)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE title = VALUES(title), body = VALUES(body), updated_by = VALUES(updated_by)`,
+        [key, locale, title, body, req.user.id || null]
+      );
+      await recordAudit(req, {
+        entity: "notification_template",
+        entityId: `${key}:${locale}`,
+        action: before ? "update" : "create",
+        before,
+        after: await findCustomTemplate(key, locale),
+      });
+
+      res.json(await fetchTemplateEntry(key));
+    } catch (error) {
+      console.error("Update notification template error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notification-templates/{key}/{locale}:
+ *   delete:
+ *     summary: Reset a notification template to the default
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *     responses:
+ *       200:
+ *         description: Template after reset
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  "/notification-templates/:key/:locale",
+  authRequired,
+  can("notification_templates:manage"),
+  checkTemplateParams,
+  async (req, res) => {
+    const { key, locale } = req.params;
+
+    try {
+      const before = await findCustomTemplate(key, locale);
+      if (before) {
+        await pool.query(
+          "DELETE FROM notification_templates WHERE template_key = ? AND locale = ?",
+          [key, locale]
+        );
+        await recordAudit(req, {
+          entity: "notification_template",
+          entityId: `${key}:${locale}`,
+          action: "delete",
+          before,
+        });
+      }
+
+      res.json(await fetchTemplateEntry(key));
+    } catch (error) {
+      console.error("Reset notification template error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notification-templates/{key}/{locale}/preview:
+ *   post:
+ *     summary: Preview a notification template
+ *     description: Render the given title / body (or the current text when omitted) with sample values, overridable via variables (requires notification_templates:manage).
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [th, en]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Rendered title and body
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/notification-templates/:key/:locale/preview",
+  authRequired,
+  can("notification_templates:manage"),
+  checkTemplateParams,
+  async (req, res) => {
+    const { key, locale } = req.params;
+    const { title, body, variables } = req.body || {};
+
+    try {
+      const current = await getTemplate(key, locale);
+      const values = { ...NOTIFICATION_TEMPLATES[key].variables, ...(variables || {}) };
+      res.json({
+        title: interpolate(title ?? current.title, values, locale),
+        body: interpolate(body ?? current.body, values, locale),
+        unknown_variables: [
+          ...new Set([
+            ...unknownPlaceholders(key, title ?? current.title),
+            ...unknownPlaceholders(key, body ?? current.body),
+          ]),
+        ],
+      });
+    } catch (error) {
+      console.error("Preview notification template error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
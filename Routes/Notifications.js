@@ -0,0 +1,555 @@
+// ---- Notification delivery Routes (ช่องทางติดต่อ / การตั้งค่าการรับของผู้ใช้ + สถานะการส่งอีเมล / SMS / LINE) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import { getChannelAdapter } from "../Services/channels.js";
+import { DELIVERY_STATUSES, retryDelivery } from "../Services/notificationDelivery.js";
+import {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  preferenceChannels,
+  isValidTimezone,
+  parseTimeOfDay,
+  getNotificationSettings,
+  getPreferenceMatrix,
+  saveNotificationPreferences,
+} from "../Services/notificationPreferences.js";
+import { NOTIFICATION_LOCALES } from "../Services/notificationTemplates.js";
+
+const router = express.Router();
+
+const PHONE_PATTERN = /^\+?[0-9]{9,15}$/;
+// LINE user id ของ Messaging API = "U" + hex 32 ตัว
+const LINE_USER_ID_PATTERN = /^U[0-9a-f]{32}$/;
+
+const DELIVERY_SELECT = `
+  SELECT nd.id, nd.notification_id, nd.digest_id, nd.user_id, u.name AS user_name,
+         u.email AS user_email, nd.channel, nd.recipient, nd.subject, nd.status, nd.attempts,
+         nd.next_attempt_at, nd.last_error, nd.provider_message_id, nd.sent_at,
+         nd.created_at, nd.updated_at
+  FROM notification_deliveries nd
+  LEFT JOIN users u ON nd.user_id = u.id
+`;
+
+async function fetchContacts(userId) {
+  const [rows] = await pool.query(
+    "SELECT email, phone, line_user_id FROM users WHERE id = ?",
+    [userId]
+  );
+  return rows[0] ? { ...rows[0], channels: preferenceChannels() } : null;
+}
+
+/**
+ * @swagger
+ * /api/notifications/contacts:
+ *   get:
+ *     summary: My notification contacts
+ *     description: Email, phone (SMS) and LINE user id used for notifications, plus the channels enabled on this server
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Contacts and enabled channels
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/notifications/contacts", authRequired, async (req, res) => {
+  try {
+    const contacts = await fetchContacts(req.user.id);
+    if (!contacts) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(contacts);
+  } catch (error) {
+    console.error("Fetch notification contacts error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/contacts:
+ *   put:
+ *     summary: Update my notification contacts
+ *     description: Set or clear (null) the phone number for SMS and the LINE user id for LINE messages
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "+66812345678"
+ *               line_user_id:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated contacts
+ *       400:
+ *         description: Invalid phone / LINE user id
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put(
+  "/notifications/contacts",
+  authRequired,
+  audit("user", "users", { action: "update_contacts", resolveId: (req) => req.user.id }),
+  async (req, res) => {
+    const updates = {};
+    const body = req.body || {};
+
+    if (body.phone !== undefined) {
+      const phone = body.phone ? String(body.phone).replace(/[\s-]/g, "") : null;
+      if (phone && !PHONE_PATTERN.test(phone)) {
+        return res.status(400).json({ message: "เบอร์โทรศัพท์ไม่ถูกต้อง" });
+      }
+      updates.phone = phone;
+    }
+    if (body.line_user_id !== undefined) {
+      const lineUserId = body.line_user_id ? String(body.line_user_id).trim() : null;
+      if (lineUserId && !LINE_USER_ID_PATTERN.test(lineUserId)) {
+        return res.status(400).json({ message: "LINE user id ไม่ถูกต้อง" });
+      }
+      updates.line_user_id = lineUserId;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: "ระบุ phone หรือ line_user_id" });
+    }
+
+    try {
+      const [result] = await pool.query("UPDATE users SET ? WHERE id = ?", [
+        updates,
+        req.user.id,
+      ]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      res.json(await fetchContacts(req.user.id));
+    } catch (error) {
+      console.error("Update notification contacts error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+function formatTime(value) {
+  return value ? String(value).slice(0, 5) : null;
+}
+
+async function fetchPreferences(userId) {
+  const settings = await getNotificationSettings(userId);
+  return {
+    locale: settings.locale,
+    timezone: settings.timezone,
+    quiet_hours:
+      settings.quiet_start && settings.quiet_end
+        ? { start: formatTime(settings.quiet_start), end: formatTime(settings.quiet_end) }
+        : null,
+    digest: settings.digest,
+    digest_hour: settings.digest_hour,
+    channels: preferenceChannels(),
+    types: await getPreferenceMatrix(userId),
+  };
+}
+
+// คืน { settings, preferences } หรือ { error }
+function parsePreferencesBody(body) {
+  const settings = {};
+
+  if (body.locale !== undefined) {
+    if (!NOTIFICATION_LOCALES.includes(body.locale)) {
+      return { error: `locale ต้องเป็น ${NOTIFICATION_LOCALES.join(" / ")}` };
+    }
+    settings.locale = body.locale;
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) return { error: "timezone ไม่ถูกต้อง (เช่น Asia/Bangkok)" };
+    settings.timezone = body.timezone;
+  }
+
+  if (body.quiet_hours !== undefined) {
+    if (body.quiet_hours === null) {
+      settings.quiet_start = null;
+      settings.quiet_end = null;
+    } else {
+      const start = parseTimeOfDay(body.quiet_hours?.start);
+      const end = parseTimeOfDay(body.quiet_hours?.end);
+      if (start == null || end == null || start === end) {
+        return { error: "quiet_hours ต้องมี start / end รูปแบบ HH:MM และไม่เท่ากัน" };
+      }
+      settings.quiet_start = body.quiet_hours.start;
+      settings.quiet_end = body.quiet_hours.end;
+    }
+  }
+
+  if (body.digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(body.digest)) {
+      return { error: `digest ต้องเป็น ${DIGEST_FREQUENCIES.join(" / ")}` };
+    }
+    settings.digest = body.digest;
+  }
+
+  if (body.digest_hour !== undefined) {
+    const hour = Number(body.digest_hour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return { error: "digest_hour ต้องเป็น 0–23" };
+    }
+    settings.digest_hour = hour;
+  }
+
+  const preferences = body.preferences ?? [];
+  if (!Array.isArray(preferences)) return { error: "preferences ต้องเป็น array" };
+  for (const pref of preferences) {
+    if (!NOTIFICATION_TYPES[pref?.type]) {
+      return { error: `ไม่รู้จักชนิด notification: ${pref?.type}` };
+    }
+    if (pref.channel !== "in_app" && !getChannelAdapter(pref.channel)) {
+      return { error: `ไม่รู้จักช่องทาง: ${pref.channel}` };
+    }
+    if (typeof pref.enabled !== "boolean") {
+      return { error: "enabled ต้องเป็น true / false" };
+    }
+  }
+
+  return { settings, preferences };
+}
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: My notification preferences
+ *     description: |
+ *       Preferred language, every notification type × channel with on/off (missing = on),
+ *       quiet hours in the user's timezone and the digest frequency. Critical notifications (elevator fault, critical alert escalation) ignore these settings.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/notifications/preferences", authRequired, async (req, res) => {
+  try {
+    res.json(await fetchPreferences(req.user.id));
+  } catch (error) {
+    console.error("Fetch notification preferences error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Update my notification preferences
+ *     description: |
+ *       Send only what changes. During quiet hours email / SMS / LINE messages wait until the quiet period ends
+ *       (in-app notifications still appear). With digest hourly / daily, messages are combined into one per channel
+ *       (daily = at digest_hour local time).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 enum: [th, en]
+ *                 description: Language of notification texts (in-app, email, SMS, LINE)
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Bangkok
+ *               quiet_hours:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                     example: "22:00"
+ *                   end:
+ *                     type: string
+ *                     example: "07:00"
+ *               digest:
+ *                 type: string
+ *                 enum: [instant, hourly, daily]
+ *               digest_hour:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 23
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       example: document_expiring
+ *                     channel:
+ *                       type: string
+ *                       example: line
+ *                     enabled:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *       400:
+ *         description: Invalid settings
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/notifications/preferences", authRequired, async (req, res) => {
+  if (!req.user.id) {
+    return res.status(400).json({ message: "API key ไม่มีการตั้งค่า notification" });
+  }
+
+  const { settings, preferences, error } = parsePreferencesBody(req.body || {});
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    await saveNotificationPreferences(req.user.id, settings, preferences);
+    res.json(await fetchPreferences(req.user.id));
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/deliveries:
+ *   get:
+ *     summary: Delivery status of one of my notifications
+ *     description: One row per channel (email / sms / line) with status queued, sending, retrying, sent, failed, held (waiting for the digest) or digested
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deliveries of the notification
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/notifications/:id/deliveries", authRequired, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, channel, recipient, status, attempts, next_attempt_at, last_error, digest_id,
+              sent_at, created_at
+       FROM notification_deliveries
+       WHERE notification_id = ? AND user_id = ?
+       ORDER BY id`,
+      [req.params.id, req.user.id]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error("Fetch notification deliveries error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notification-deliveries:
+ *   get:
+ *     summary: Query outgoing notification deliveries
+ *     description: Email / SMS / LINE sends across all users, e.g. status=failed to find sends that gave up (requires notifications:manage)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sending, retrying, sent, failed, held, digested]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deliveries (newest first) and counts per status
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/notification-deliveries",
+  authRequired,
+  can("notifications:manage"),
+  async (req, res) => {
+    const { status, channel, userId, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: `status ต้องเป็น ${DELIVERY_STATUSES.join(" / ")}` });
+    }
+
+    try {
+      let where = " WHERE 1 = 1";
+      const params = [];
+
+      if (channel) {
+        where += " AND nd.channel = ?";
+        params.push(channel);
+      }
+      if (userId) {
+        where += " AND nd.user_id = ?";
+        params.push(userId);
+      }
+      if (from) {
+        where += " AND nd.created_at >= ?";
+        params.push(from);
+      }
+      if (to) {
+        where += " AND nd.created_at <= ?";
+        params.push(to);
+      }
+
+      // นับแยกสถานะจากตัวกรองอื่น (ไม่รวม status) ไว้ทำ badge "ส่งไม่สำเร็จ N รายการ"
+      const [counts] = await pool.query(
+        `SELECT nd.status, COUNT(*) AS count FROM notification_deliveries nd${where} GROUP BY nd.status`,
+        params
+      );
+
+      if (status) {
+        where += " AND nd.status = ?";
+        params.push(status);
+      }
+
+      const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total FROM notification_deliveries nd${where}`,
+        params
+      );
+      const [rows] = await pool.query(
+        `${DELIVERY_SELECT}${where}
+         ORDER BY nd.created_at DESC, nd.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      res.json({
+        total,
+        limit,
+        offset,
+        by_status: Object.fromEntries(
+          DELIVERY_STATUSES.map((s) => [s, counts.find((c) => c.status === s)?.count || 0])
+        ),
+        items: rows,
+      });
+    } catch (error) {
+      console.error("Fetch notification deliveries error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/notification-deliveries/{id}/retry:
+ *   post:
+ *     summary: Retry a failed delivery
+ *     description: Put a failed send back in the queue with a fresh attempt count (requires notifications:manage)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery queued again
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Delivery is not in failed status
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/notification-deliveries/:id/retry",
+  authRequired,
+  can("notifications:manage"),
+  audit("notification_delivery", "notification_deliveries", { action: "retry" }),
+  async (req, res) => {
+    try {
+      const [existing] = await pool.query(
+        "SELECT id, status FROM notification_deliveries WHERE id = ?",
+        [req.params.id]
+      );
+      if (existing.length === 0) {
+        return res.status(404).json({ message: "Delivery not found" });
+      }
+      if (!(await retryDelivery(existing[0].id))) {
+        return res.status(409).json({ message: "ส่งใหม่ได้เฉพาะรายการที่ส่งไม่สำเร็จ (failed)" });
+      }
+
+      const [rows] = await pool.query(`${DELIVERY_SELECT} WHERE nd.id = ?`, [existing[0].id]);
+      res.json(rows[0]);
+    } catch (error) {
+      console.error("Retry notification delivery error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
@@ -1,7 +1,8 @@
 // ---- Parts Routes ----
 import express from "express";
 import pool from "../DB/db.js";
-import authRequired, { roleRequired } from "../Auth/middle.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
 
 const router = express.Router();
 
@@ -29,7 +30,7 @@ const router = express.Router();
  *         description: Internal server error
  */
 // อะไหล่
-router.get("/parts", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.get("/parts", authRequired, can("parts:read"), async (req, res) => {
 	try {
 		const [rows] = await pool.query('SELECT * FROM parts ORDER BY id DESC');
 		res.json(rows);
@@ -90,7 +91,7 @@ router.get("/parts", authRequired, roleRequired(["admin", "technician"]), async
  *         description: Internal server error
  */
 // สร้างอะไหล่ใหม่
-router.post("/parts", authRequired, roleRequired(["admin", "manager"]) , async (req, res) => {
+router.post("/parts", authRequired, can("parts:write"), audit("part", "parts"), async (req, res) => {
   const {
     part_code,
     name,
@@ -189,7 +190,7 @@ router.post("/parts", authRequired, roleRequired(["admin", "manager"]) , async (
  *         description: Internal server error
  */
 // แก้ไขอะไหล่
-router.put("/parts/:id", authRequired, roleRequired(["admin", "manager"]), async (req, res) => {
+router.put("/parts/:id", authRequired, can("parts:write"), audit("part", "parts"), async (req, res) => {
   const { id } = req.params;
   const {
     part_code,
@@ -272,7 +273,7 @@ router.put("/parts/:id", authRequired, roleRequired(["admin", "manager"]), async
  *         description: Internal server error
  */
 // ลบอะไหล่
-router.delete("/parts/:id", authRequired, roleRequired(["admin", "manager"]), async (req, res) => {
+router.delete("/parts/:id", authRequired, can("parts:write"), audit("part", "parts"), async (req, res) => {
   const { id } = req.params;
   try {
     const [result] = await pool.query("DELETE FROM parts WHERE id = ?", [
@@ -319,7 +320,7 @@ router.delete("/parts/:id", authRequired, roleRequired(["admin", "manager"]), as
  *         description: Internal server error
  */
 // สต๊อก
-router.get("/parts/stocks", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.get("/parts/stocks", authRequired, can("stock:read"), async (req, res) => {
   try {
     const [rows] = await pool.query(
       `
@@ -341,6 +342,16 @@ router.get("/parts/stocks", authRequired, roleRequired(["admin", "technician"]),
   }
 });
 
+// สต๊อกคำนวณจาก part_movements → เก็บจำนวนที่ปรับไว้ใน meta ของ audit
+const STOCK_ADJUST_AUDIT = {
+  action: "stock_adjust",
+  resolveId: (req) => req.body?.part_id,
+  meta: (req) => ({
+    change_qty: Number(req.body?.change_qty),
+    note: req.body?.note || null,
+  }),
+};
+
 /**
  * @swagger
  * /api/parts/stocks/adjust:
@@ -374,7 +385,7 @@ router.get("/parts/stocks", authRequired, roleRequired(["admin", "technician"]),
  *       500:
  *         description: Internal server error
  */
-router.post("/parts/stocks/adjust", authRequired, roleRequired("admin"), async (req, res) => {
+router.post("/parts/stocks/adjust", authRequired, can("stock:adjust"), audit("part", "parts", STOCK_ADJUST_AUDIT), async (req, res) => {
   const { part_id, change_qty, note } = req.body || {};
 
   if (!part_id || change_qty == null) {
@@ -447,7 +458,7 @@ router.post("/parts/stocks/adjust", authRequired, roleRequired("admin"), async (
  *         description: Internal server error
  */
 // movement
-router.get("/parts/movements", authRequired, roleRequired(["admin", "technician"]), async (req, res) => {
+router.get("/parts/movements", authRequired, can("stock:read"), async (req, res) => {
   try {
     const [rows] = await pool.query(
       `
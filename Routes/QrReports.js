@@ -0,0 +1,397 @@
+// ---- QR Report Routes (ป้าย QR ต่อลิฟต์ + แจ้งเสียโดยไม่ต้อง login) ----
+import express from "express";
+import rateLimit from "express-rate-limit";
+import QRCode from "qrcode";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { findAccessibleElevator } from "../Auth/scope.js";
+import { audit, recordAudit } from "../Services/audit.js";
+import {
+  qrReportUrl,
+  verifyQrToken,
+  createChallenge,
+  verifyChallenge,
+  consumeChallenge,
+} from "../Services/qrReport.js";
+import { notify } from "../Services/notifications.js";
+import { publishTicketEvent } from "../Services/tickets.js";
+
+dotenv.config();
+
+const router = express.Router();
+
+const QR_REPORT_RATE_LIMIT = Number(process.env.QR_REPORT_RATE_LIMIT) || 5;
+const QR_REPORTS_PER_ELEVATOR_HOUR = Number(process.env.QR_REPORTS_PER_ELEVATOR_HOUR) || 10;
+const QR_FORMATS = ["png", "svg", "json"];
+
+// ต่อ IP: เปิดฟอร์มได้บ่อยกว่าส่ง
+const publicViewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: "Too many requests" },
+});
+const publicReportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: QR_REPORT_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: "ส่งรายงานบ่อยเกินไป กรุณาลองใหม่ภายหลัง" },
+});
+
+// ลิฟต์ของ QR token ที่ยังใช้ได้ (version ตรงกับปัจจุบัน) หรือ null
+async function findElevatorByQrToken(token) {
+  const decoded = verifyQrToken(token);
+  if (!decoded) return null;
+
+  const [rows] = await pool.query(
+    `SELECT e.id, e.name, e.qr_version, b.name AS building_name, b.customer_id
+     FROM elevators e
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE e.id = ?`,
+    [decoded.elevatorId]
+  );
+  const elevator = rows[0];
+  if (!elevator || Number(elevator.qr_version) !== decoded.version) return null;
+  return elevator;
+}
+
+// แจ้งในแอปให้ผู้ใช้ของลูกค้าเจ้าของอาคาร + admin
+async function notifyQrReport(elevator, ticketId) {
+  await notify({
+    type: "ticket_qr",
+    template: "ticket_qr",
+    variables: {
+      elevator_name: elevator.name || elevator.id,
+      building_name: elevator.building_name || "-",
+      ticket_id: ticketId,
+    },
+    entityType: "ticket",
+    entityId: ticketId,
+    recipients: {
+      relations: ["admins", "customer_users"],
+      customerId: elevator.customer_id,
+    },
+  });
+}
+
+/**
+ * @swagger
+ * /api/elevators/{id}/qr:
+ *   get:
+ *     summary: Elevator QR label
+ *     description: Signed QR code that opens the public fault report page for this elevator. Print the PNG / SVG as a label.
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg, json]
+ *           default: png
+ *       - in: query
+ *         name: size
+ *         description: Width in pixels (PNG)
+ *         schema:
+ *           type: integer
+ *           default: 512
+ *     responses:
+ *       200:
+ *         description: image/png, image/svg+xml or { url } for json
+ *       400:
+ *         description: Invalid format
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/elevators/:id/qr", authRequired, can("elevators:read"), async (req, res) => {
+  const format = req.query.format || "png";
+  const size = Math.min(Math.max(Number(req.query.size) || 512, 128), 2048);
+
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format ต้องเป็น ${QR_FORMATS.join(" / ")}` });
+  }
+
+  try {
+    const elevator = await findAccessibleElevator(req.user, req.params.id);
+    if (!elevator) {
+      return res.status(404).json({ message: "Elevator not found" });
+    }
+
+    const [[{ qr_version }]] = await pool.query(
+      "SELECT qr_version FROM elevators WHERE id = ?",
+      [elevator.id]
+    );
+    const url = qrReportUrl(elevator.id, qr_version);
+
+    if (format === "json") {
+      return res.json({ elevator_id: elevator.id, qr_version, url });
+    }
+
+    const filename = `elevator-${elevator.id}-qr.${format}`;
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+
+    if (format === "svg") {
+      const svg = await QRCode.toString(url, { type: "svg", errorCorrectionLevel: "M", margin: 2 });
+      return res.type("image/svg+xml").send(svg);
+    }
+
+    const png = await QRCode.toBuffer(url, { errorCorrectionLevel: "M", margin: 2, width: size });
+    res.type("image/png").send(png);
+  } catch (error) {
+    console.error("Generate elevator QR error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/elevators/{id}/qr/rotate:
+ *   post:
+ *     summary: Rotate elevator QR
+ *     description: Invalidate every printed label of this elevator and return the new URL (requires elevators:write)
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ elevator_id, qr_version, url }"
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/elevators/:id/qr/rotate",
+  authRequired,
+  can("elevators:write"),
+  audit("elevator", "elevators", { action: "qr_rotate" }),
+  async (req, res) => {
+    try {
+      const elevator = await findAccessibleElevator(req.user, req.params.id);
+      if (!elevator) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+
+      await pool.query("UPDATE elevators SET qr_version = qr_version + 1 WHERE id = ?", [
+        elevator.id,
+      ]);
+      const [[{ qr_version }]] = await pool.query(
+        "SELECT qr_version FROM elevators WHERE id = ?",
+        [elevator.id]
+      );
+
+      res.json({ elevator_id: elevator.id, qr_version, url: qrReportUrl(elevator.id, qr_version) });
+    } catch (error) {
+      console.error("Rotate elevator QR error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/public/qr/{token}:
+ *   get:
+ *     summary: Open a QR fault report form (public)
+ *     description: No login. Returns which elevator the QR belongs to and a challenge that must be answered when submitting.
+ *     tags: [Public]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ elevator: { id, name, building_name }, challenge: { question, challenge_token } }"
+ *       404:
+ *         description: Invalid or rotated QR
+ *       429:
+ *         description: Too many requests
+ */
+router.get("/public/qr/:token", publicViewLimiter, async (req, res) => {
+  try {
+    const elevator = await findElevatorByQrToken(req.params.token);
+    if (!elevator) {
+      return res.status(404).json({ message: "QR ไม่ถูกต้องหรือถูกยกเลิกแล้ว" });
+    }
+
+    res.json({
+      elevator: { id: elevator.id, name: elevator.name, building_name: elevator.building_name },
+      challenge: createChallenge(req.params.token),
+    });
+  } catch (error) {
+    console.error("Open QR report error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/qr/{token}/report:
+ *   post:
+ *     summary: Report a fault via QR (public)
+ *     description: |
+ *       No login. Creates a ticket with source = qr and notifies the building's customer and admins.
+ *       Rate limited per IP (QR_REPORT_RATE_LIMIT per 15 minutes) and per elevator (QR_REPORTS_PER_ELEVATOR_HOUR).
+ *     tags: [Public]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *               - challenge_token
+ *               - answer
+ *             properties:
+ *               description:
+ *                 type: string
+ *               contact_name:
+ *                 type: string
+ *               contact_phone:
+ *                 type: string
+ *               contact_email:
+ *                 type: string
+ *               challenge_token:
+ *                 type: string
+ *               answer:
+ *                 type: integer
+ *               website:
+ *                 type: string
+ *                 description: Honeypot, leave empty
+ *     responses:
+ *       201:
+ *         description: Report received
+ *       400:
+ *         description: Missing data, wrong challenge answer or challenge already used
+ *       404:
+ *         description: Invalid or rotated QR
+ *       429:
+ *         description: Too many reports
+ */
+router.post("/public/qr/:token/report", publicReportLimiter, async (req, res) => {
+  const { token } = req.params;
+  const {
+    description,
+    contact_name,
+    contact_phone,
+    contact_email,
+    challenge_token,
+    answer,
+    website,
+  } = req.body || {};
+
+  // บอทกรอกช่องที่ซ่อนไว้ → ตอบเหมือนสำเร็จแต่ไม่สร้าง ticket
+  if (website) {
+    return res.status(201).json({ message: "ได้รับการแจ้งแล้ว ขอบคุณครับ" });
+  }
+
+  if (!description || String(description).trim().length < 5) {
+    return res.status(400).json({ message: "กรุณาอธิบายอาการเสีย" });
+  }
+  if (!contact_phone && !contact_email) {
+    return res.status(400).json({ message: "กรุณาระบุเบอร์โทรหรืออีเมลสำหรับติดต่อกลับ" });
+  }
+  if (contact_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact_email)) {
+    return res.status(400).json({ message: "อีเมลไม่ถูกต้อง" });
+  }
+
+  const challengeError = verifyChallenge(token, challenge_token, answer);
+  if (challengeError) {
+    return res.status(400).json({ message: challengeError });
+  }
+
+  try {
+    if (!(await consumeChallenge(challenge_token))) {
+      return res.status(400).json({ message: "challenge ถูกใช้ไปแล้ว กรุณาโหลดหน้าใหม่" });
+    }
+
+    const elevator = await findElevatorByQrToken(token);
+    if (!elevator) {
+      return res.status(404).json({ message: "QR ไม่ถูกต้องหรือถูกยกเลิกแล้ว" });
+    }
+
+    const [[recent]] = await pool.query(
+      `SELECT COUNT(*) AS count FROM tickets
+       WHERE elevator_id = ? AND source = 'qr' AND created_at >= NOW() - INTERVAL 1 HOUR`,
+      [elevator.id]
+    );
+    if (recent.count >= QR_REPORTS_PER_ELEVATOR_HOUR) {
+      return res.status(429).json({ message: "ลิฟต์ตัวนี้มีผู้แจ้งเข้ามาแล้ว เจ้าหน้าที่กำลังตรวจสอบ" });
+    }
+
+    const ticketId = `T-${Date.now()}`;
+    await pool.query(
+      `INSERT INTO tickets
+        (id, elevator_id, reporter_id, customer_id, description, title, priority, source,
+         contact_name, contact_phone, contact_email, reporter_ip)
+       VALUES (?, ?, NULL, ?, ?, ?, 'medium', 'qr', ?, ?, ?, ?)`,
+      [
+        ticketId,
+        elevator.id,
+        elevator.customer_id || null,
+        String(description).trim().slice(0, 2000),
+        "แจ้งเสียผ่าน QR",
+        contact_name || null,
+        contact_phone || null,
+        contact_email || null,
+        req.ip,
+      ]
+    );
+
+    const [tickets] = await pool.query("SELECT * FROM tickets WHERE id = ?", [ticketId]);
+    await recordAudit(req, {
+      entity: "ticket",
+      entityId: ticketId,
+      action: "create",
+      after: tickets[0],
+      meta: { source: "qr" },
+    });
+
+    await publishTicketEvent("created", {
+      ...tickets[0],
+      elevator_name: elevator.name,
+      building_customer_id: elevator.customer_id,
+    });
+
+    try {
+      await notifyQrReport(elevator, ticketId);
+    } catch (err) {
+      console.error("Notify QR report error:", err);
+    }
+
+    res.status(201).json({ message: "ได้รับการแจ้งแล้ว ขอบคุณครับ", ticket_id: ticketId });
+  } catch (error) {
+    console.error("QR report error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
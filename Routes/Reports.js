@@ -0,0 +1,99 @@
+// ---- Report Routes ----
+import express from "express";
+import authRequired, { can } from "../Auth/middle.js";
+import { rowScope } from "../Auth/scope.js";
+import { RELIABILITY_GROUPS, getReliabilityReport } from "../Services/reliability.js";
+
+const router = express.Router();
+
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 3 * 366;
+
+/**
+ * @swagger
+ * /api/reports/reliability:
+ *   get:
+ *     summary: Reliability report (uptime, MTBF, MTTR)
+ *     description: |
+ *       Availability per elevator, building or customer over any period, computed from the elevator state history,
+ *       tickets and maintenance jobs. Planned maintenance (in_maintenance linked to a planned job) is not counted as downtime.
+ *       MTBF = up time / failures, MTTR = mean time from failure back to normal, counted for repairs completed in the period
+ *       with their full duration (even when the failure started before from). Customers only see their own elevators (requires reports:read).
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         description: Default 30 days before "to"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Default now
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [elevator, building, customer]
+ *           default: elevator
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: building_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: elevator_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ from, to, group_by, totals, items } — each with uptime_percent, mtbf_hours, mttr_hours and the underlying counts"
+ *       400:
+ *         description: Invalid period or group_by
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/reports/reliability", authRequired, can("reports:read"), async (req, res) => {
+  const { group_by = "elevator", customer_id, building_id, elevator_id } = req.query;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 86400 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({ message: "from / to ไม่ถูกต้อง" });
+  }
+  if (to - from > MAX_PERIOD_DAYS * 86400 * 1000) {
+    return res.status(400).json({ message: `ช่วงเวลายาวได้ไม่เกิน ${MAX_PERIOD_DAYS} วัน` });
+  }
+  if (!RELIABILITY_GROUPS.includes(group_by)) {
+    return res
+      .status(400)
+      .json({ message: `group_by ต้องเป็น ${RELIABILITY_GROUPS.join(" / ")}` });
+  }
+
+  try {
+    const report = await getReliabilityReport({
+      from,
+      to,
+      groupBy: group_by,
+      filters: { customer_id, building_id, elevator_id },
+      scope: rowScope(req.user, { customer: "b.customer_id", elevator: "e.id" }),
+    });
+    res.json(report);
+  } catch (error) {
+    console.error("Reliability report error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,146 @@
+// ---- Risk Routes (predictive maintenance) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { rowScope, isTechnicianScoped } from "../Auth/scope.js";
+import { recordAudit } from "../Services/audit.js";
+import {
+  RISK_AUTO_JOB_THRESHOLD,
+  rankElevatorsByRisk,
+  createSuggestedJobs,
+} from "../Services/risk.js";
+
+const router = express.Router();
+
+const ELEVATOR_SCOPE = { customer: "b.customer_id", elevator: "e.id" };
+
+/**
+ * @swagger
+ * /api/elevators/risk:
+ *   get:
+ *     summary: Elevator risk ranking
+ *     description: |
+ *       Predictive maintenance score (0–100, higher = service sooner) per elevator, highest first.
+ *       Combines age, time since last maintenance, fault frequency, parts replaced and telemetry alerts;
+ *       "factors" explains how many points each one contributed (requires risk:read).
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: min_score
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: building_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Ranked elevators with score, level (low / medium / high) and factors
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/elevators/risk", authRequired, can("risk:read"), async (req, res) => {
+  const { customer_id, building_id } = req.query;
+  const minScore = Number(req.query.min_score) || 0;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+  try {
+    const ranking = await rankElevatorsByRisk({
+      filters: { customer_id, building_id },
+      scope: rowScope(req.user, ELEVATOR_SCOPE),
+      minScore,
+      limit,
+    });
+    res.json({ auto_job_threshold: RISK_AUTO_JOB_THRESHOLD || null, items: ranking });
+  } catch (error) {
+    console.error("Fetch elevator risk error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/elevators/risk/suggested-jobs:
+ *   post:
+ *     summary: Create suggested maintenance jobs
+ *     description: |
+ *       Create a planned maintenance job for every elevator whose risk score is at or above the threshold
+ *       and that has no unfinished job yet. The same runs daily when RISK_AUTO_JOB_THRESHOLD is set (requires maintenance_jobs:write).
+ *     tags: [Elevators]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               threshold:
+ *                 type: number
+ *                 description: Default RISK_AUTO_JOB_THRESHOLD
+ *                 example: 70
+ *     responses:
+ *       201:
+ *         description: "{ created: [{ job_id, elevator_id, score }] }"
+ *       400:
+ *         description: Missing threshold
+ *       403:
+ *         description: Technicians cannot create unassigned jobs
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/elevators/risk/suggested-jobs",
+  authRequired,
+  can("maintenance_jobs:write"),
+  async (req, res) => {
+    const threshold = Number(req.body?.threshold ?? RISK_AUTO_JOB_THRESHOLD);
+
+    if (!threshold || threshold <= 0 || threshold > 100) {
+      return res.status(400).json({ message: "threshold ต้องอยู่ระหว่าง 1–100" });
+    }
+    // งานที่แนะนำยังไม่มีช่างรับ → ช่างสร้างเองไม่ได้
+    if (isTechnicianScoped(req.user)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    try {
+      const created = await createSuggestedJobs({
+        threshold,
+        scope: rowScope(req.user, ELEVATOR_SCOPE),
+      });
+
+      // สร้างหลายงานในครั้งเดียว → บันทึก audit ทีละงานเอง
+      for (const job of created) {
+        const [rows] = await pool.query("SELECT * FROM maintenance_jobs WHERE id = ?", [
+          job.job_id,
+        ]);
+        await recordAudit(req, {
+          entity: "maintenance_job",
+          entityId: job.job_id,
+          action: "create",
+          after: rows[0],
+          meta: { risk_score: job.score, threshold },
+        });
+      }
+
+      res.status(201).json({ threshold, created });
+    } catch (error) {
+      console.error("Create suggested jobs error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
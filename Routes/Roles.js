@@ -0,0 +1,320 @@
+// ---- Roles & Permissions Routes (Admin: กำหนดชุดสิทธิ์ของแต่ละ role) ----
+import express from "express";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import {
+  PERMISSIONS,
+  SUPER_ROLE,
+  invalidateRolePermissions,
+} from "../Auth/permissions.js";
+
+const router = express.Router();
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+async function fetchRoles(name) {
+  let sql = `
+    SELECT r.name, r.description, r.is_system, r.created_at,
+           GROUP_CONCAT(rp.permission ORDER BY rp.permission) AS permissions,
+           (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role = r.name
+  `;
+  const params = [];
+
+  if (name) {
+    sql += " WHERE r.name = ?";
+    params.push(name);
+  }
+
+  sql += " GROUP BY r.name ORDER BY r.is_system DESC, r.name";
+
+  const [rows] = await pool.query(sql, params);
+  return rows.map((row) => ({
+    ...row,
+    permissions:
+      row.name === SUPER_ROLE
+        ? Object.keys(PERMISSIONS)
+        : row.permissions
+        ? row.permissions.split(",")
+        : [],
+  }));
+}
+
+// audit: เก็บชุดสิทธิ์ไว้ใน snapshot ด้วย จะได้เห็น diff ของ permissions
+const ROLE_AUDIT = {
+  idParam: "name",
+  idColumn: "name",
+  resolveId: (req, body) => req.params.name ?? body?.name,
+  snapshot: async (name) => (await fetchRoles(name))[0] || null,
+};
+
+// คืน permission ที่ไม่มีอยู่ในทะเบียน (ถ้ามี)
+function unknownPermissions(permissions) {
+  return permissions.filter((p) => !Object.hasOwn(PERMISSIONS, p));
+}
+
+async function replaceRolePermissions(conn, role, permissions) {
+  await conn.query("DELETE FROM role_permissions WHERE role = ?", [role]);
+  if (permissions.length > 0) {
+    await conn.query(
+      "INSERT INTO role_permissions (role, permission) VALUES ?",
+      [permissions.map((p) => [role, p])]
+    );
+  }
+}
+
+/**
+ * @swagger
+ * /api/permissions:
+ *   get:
+ *     summary: Get permission registry
+ *     description: List every permission key that can be granted to a role (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permissions
+ */
+// ทะเบียนสิทธิ์ทั้งหมด
+router.get("/permissions", authRequired, can("roles:manage"), (req, res) => {
+  res.json(
+    Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description,
+    }))
+  );
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get roles
+ *     description: List roles with their permission sets (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *       500:
+ *         description: Internal server error
+ */
+// รายการ role พร้อมสิทธิ์
+router.get("/roles", authRequired, can("roles:manage"), async (req, res) => {
+  try {
+    res.json(await fetchRoles());
+  } catch (error) {
+    console.error("Fetch roles error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: Create a custom role with a permission set (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "dispatcher"
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["tickets:read", "maintenance_jobs:write"]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid name or unknown permission
+ *       409:
+ *         description: Role already exists
+ *       500:
+ *         description: Internal server error
+ */
+// สร้าง role ใหม่
+router.post("/roles", authRequired, can("roles:manage"), audit("role", "roles", ROLE_AUDIT), async (req, res) => {
+  const { name, description, permissions = [] } = req.body || {};
+
+  if (!name || !ROLE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({
+      message: "name ต้องเป็นตัวพิมพ์เล็ก a-z, 0-9 หรือ _ (2-32 ตัวอักษร)",
+    });
+  }
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({ message: "permissions must be an array" });
+  }
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return res
+      .status(400)
+      .json({ message: "Unknown permissions", permissions: unknown });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    const [existing] = await conn.query("SELECT name FROM roles WHERE name = ?", [
+      name,
+    ]);
+    if (existing.length > 0) {
+      return res.status(409).json({ message: "Role already exists" });
+    }
+
+    await conn.beginTransaction();
+    await conn.query(
+      "INSERT INTO roles (name, description, is_system) VALUES (?, ?, 0)",
+      [name, description || null]
+    );
+    await replaceRolePermissions(conn, name, [...new Set(permissions)]);
+    await conn.commit();
+
+    invalidateRolePermissions(name);
+
+    const [role] = await fetchRoles(name);
+    res.status(201).json(role);
+  } catch (error) {
+    await conn.rollback();
+    console.error("Create role error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  } finally {
+    conn.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a role
+ *     description: Replace a role's description and permission set (requires roles:manage). The admin role always has every permission and cannot be edited.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Unknown permission or admin role
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Internal server error
+ */
+// แก้ไขชุดสิทธิ์ของ role
+router.put("/roles/:name", authRequired, can("roles:manage"), audit("role", "roles", ROLE_AUDIT), async (req, res) => {
+  const { name } = req.params;
+  const { description, permissions } = req.body || {};
+
+  if (name === SUPER_ROLE) {
+    return res
+      .status(400)
+      .json({ message: "role admin ได้ทุกสิทธิ์เสมอ แก้ไขไม่ได้" });
+  }
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({ message: "permissions must be an array" });
+  }
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return res
+      .status(400)
+      .json({ message: "Unknown permissions", permissions: unknown });
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      "UPDATE roles SET description = COALESCE(?, description) WHERE name = ?",
+      [description ?? null, name]
+    );
+    if (result.affectedRows === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    await replaceRolePermissions(conn, name, [...new Set(permissions)]);
+    await conn.commit();
+
+    invalidateRolePermissions(name);
+
+    const [role] = await fetchRoles(name);
+    res.json(role);
+  } catch (error) {
+    await conn.rollback();
+    console.error("Update role error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  } finally {
+    conn.release();
+  }
+});
+
+// ลบ role (เฉพาะที่สร้างเอง และไม่มีผู้ใช้คนไหนใช้อยู่)
+router.delete("/roles/:name", authRequired, can("roles:manage"), audit("role", "roles", ROLE_AUDIT), async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const [role] = await fetchRoles(name);
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+    if (role.is_system) {
+      return res.status(400).json({ message: "role ของระบบลบไม่ได้" });
+    }
+    if (role.user_count > 0) {
+      return res
+        .status(409)
+        .json({ message: "ยังมีผู้ใช้ที่ใช้ role นี้อยู่", user_count: role.user_count });
+    }
+
+    await pool.query("DELETE FROM roles WHERE name = ?", [name]);
+    invalidateRolePermissions(name);
+
+    res.json({ message: "Role deleted" });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
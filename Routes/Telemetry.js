@@ -0,0 +1,254 @@
+// ---- Telemetry Routes (ข้อมูลจาก controller ลิฟต์) ----
+import express from "express";
+import authRequired, { can } from "../Auth/middle.js";
+import { findAccessibleElevator } from "../Auth/scope.js";
+import {
+  MAX_BATCH_SIZE,
+  RESOLUTIONS,
+  normalizeSample,
+  ingestSamples,
+  pickResolution,
+  queryTelemetry,
+} from "../Services/telemetry.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/elevators/{id}/telemetry:
+ *   post:
+ *     summary: Push one telemetry sample
+ *     description: Store a sample from the elevator controller and update current_floor / current_load (requires telemetry:write)
+ *     tags: [Telemetry]
+ *     security:
+ *       - apiKeyAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TelemetrySample'
+ *     responses:
+ *       201:
+ *         description: Sample stored
+ *       400:
+ *         description: Invalid sample
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/elevators/:id/telemetry",
+  authRequired,
+  can("telemetry:write"),
+  async (req, res) => {
+    const { sample, error } = normalizeSample(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      const elevator = await findAccessibleElevator(req.user, req.params.id);
+      if (!elevator) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+
+      await ingestSamples(req.user, elevator.id, [sample]);
+      res.status(201).json({ accepted: 1 });
+    } catch (err) {
+      console.error("Ingest telemetry error:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/telemetry/batch:
+ *   post:
+ *     summary: Push telemetry samples in bulk
+ *     description: For gateways that buffer samples for one or more elevators. Each sample carries its own elevator_id. Valid samples are stored; invalid ones are returned in "rejected" (requires telemetry:write).
+ *     tags: [Telemetry]
+ *     security:
+ *       - apiKeyAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - samples
+ *             properties:
+ *               samples:
+ *                 type: array
+ *                 items:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TelemetrySample'
+ *                     - type: object
+ *                       required:
+ *                         - elevator_id
+ *                       properties:
+ *                         elevator_id:
+ *                           type: string
+ *     responses:
+ *       201:
+ *         description: At least one sample stored
+ *       400:
+ *         description: No valid samples
+ *       413:
+ *         description: Batch too large
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/telemetry/batch", authRequired, can("telemetry:write"), async (req, res) => {
+  const { samples } = req.body || {};
+
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return res.status(400).json({ message: "samples ต้องเป็น array ที่ไม่ว่าง" });
+  }
+  if (samples.length > MAX_BATCH_SIZE) {
+    return res
+      .status(413)
+      .json({ message: `ส่งได้ไม่เกิน ${MAX_BATCH_SIZE} samples ต่อครั้ง` });
+  }
+
+  try {
+    const rejected = [];
+    const byElevator = new Map(); // elevator_id → samples
+    const accessible = new Map(); // elevator_id → elevator | null (cache)
+
+    for (const [index, raw] of samples.entries()) {
+      const elevatorId = raw?.elevator_id;
+      if (!elevatorId) {
+        rejected.push({ index, message: "elevator_id จำเป็นต้องมี" });
+        continue;
+      }
+
+      if (!accessible.has(String(elevatorId))) {
+        accessible.set(
+          String(elevatorId),
+          await findAccessibleElevator(req.user, elevatorId)
+        );
+      }
+      const elevator = accessible.get(String(elevatorId));
+      if (!elevator) {
+        rejected.push({ index, elevator_id: elevatorId, message: "Elevator not found" });
+        continue;
+      }
+
+      const { sample, error } = normalizeSample(raw);
+      if (error) {
+        rejected.push({ index, elevator_id: elevatorId, message: error });
+        continue;
+      }
+
+      if (!byElevator.has(elevator.id)) byElevator.set(elevator.id, []);
+      byElevator.get(elevator.id).push(sample);
+    }
+
+    let accepted = 0;
+    for (const [elevatorId, elevatorSamples] of byElevator) {
+      accepted += await ingestSamples(req.user, elevatorId, elevatorSamples);
+    }
+
+    res.status(accepted > 0 ? 201 : 400).json({ accepted, rejected });
+  } catch (err) {
+    console.error("Ingest telemetry batch error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/elevators/{id}/telemetry:
+ *   get:
+ *     summary: Query telemetry
+ *     description: Time range of samples or bucketed aggregates for charts, plus a summary for the whole range. Ranges older than the raw retention window are served from hourly rollups, with the hours still inside the window computed from raw samples (requires telemetry:read).
+ *     tags: [Telemetry]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Default 24 hours before "to"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Default now
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *           enum: [auto, raw, 1m, 5m, 1h, 1d]
+ *           default: auto
+ *     responses:
+ *       200:
+ *         description: Points and summary
+ *       400:
+ *         description: Invalid range or resolution
+ *       404:
+ *         description: Elevator not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/elevators/:id/telemetry",
+  authRequired,
+  can("telemetry:read"),
+  async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 24 * 3600 * 1000);
+    const resolution = req.query.resolution || "auto";
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ message: "from / to ไม่ถูกต้อง" });
+    }
+    if (resolution !== "auto" && !Object.hasOwn(RESOLUTIONS, resolution)) {
+      return res.status(400).json({
+        message: `resolution ต้องเป็น auto / ${Object.keys(RESOLUTIONS).join(" / ")}`,
+      });
+    }
+
+    try {
+      const elevator = await findAccessibleElevator(req.user, req.params.id);
+      if (!elevator) {
+        return res.status(404).json({ message: "Elevator not found" });
+      }
+
+      const result = await queryTelemetry(elevator.id, {
+        from,
+        to,
+        resolution: resolution === "auto" ? pickResolution(from, to) : resolution,
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("Query telemetry error:", err);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,464 @@
+// ---- Users Routes (Admin: จัดการผู้ใช้) ----
+import crypto from "crypto";
+import express from "express";
+import bcrypt from "bcryptjs";
+import pool from "../DB/db.js";
+import authRequired, { can } from "../Auth/middle.js";
+import { audit } from "../Services/audit.js";
+import { SUPER_ROLE, getRolePermissions, hasPermission } from "../Auth/permissions.js";
+import { revokeAllSessions } from "../Auth/session.js";
+import { createInvitation } from "../Auth/invitations.js";
+
+const router = express.Router();
+
+const USER_SELECT = `
+  SELECT u.id, u.email, u.name, u.role, u.customer_id,
+         c.name AS customer_name,
+         u.status, u.disabled_at, u.mfa_enabled, u.locked_until,
+         u.created_at
+  FROM users u
+  LEFT JOIN customers c ON u.customer_id = c.id
+`;
+
+async function fetchUser(id) {
+  const [rows] = await pool.query(`${USER_SELECT} WHERE u.id = ?`, [id]);
+  return rows[0] || null;
+}
+
+// role ต้องมีอยู่ในตาราง roles (จัดการได้ที่ /api/roles)
+async function roleExists(role) {
+  const [rows] = await pool.query("SELECT name FROM roles WHERE name = ?", [
+    role,
+  ]);
+  return rows.length > 0;
+}
+
+// ตั้ง / ถอด role admin ได้เฉพาะ admin หรือผู้ที่จัดการ role ได้อยู่แล้ว
+// users:write มอบให้ role อื่นได้ (PUT /roles/:name) ไม่งั้นผู้ได้รับจะเชิญ / ตั้งใครเป็น admin ก็ได้
+async function canManageSuperRole(user) {
+  return user.role === SUPER_ROLE || (await hasPermission(user.role, "roles:manage"));
+}
+
+// ผู้เรียกให้ role นี้กับใคร (หรือแตะบัญชีของคนที่มี role นี้) ได้ไหม
+// ได้เฉพาะ role ที่สิทธิ์ไม่เกินของตัวเอง กันให้ role ที่มี roles:manage / users:write แล้วไต่ไปเป็น admin อีกทอด
+async function canGrantRole(user, role) {
+  if (role === SUPER_ROLE) return canManageSuperRole(user);
+  if (user.role === SUPER_ROLE) return true;
+
+  const [granted, required] = await Promise.all([
+    getRolePermissions(user.role),
+    getRolePermissions(role),
+  ]);
+  return [...required].every((p) => granted.has(p));
+}
+
+// โหลดผู้ใช้เป้าหมายแล้วเช็คว่าผู้เรียกจัดการบัญชีนี้ได้ คืน { user } หรือ { status, message }
+async function findManageableUser(caller, id) {
+  const user = await fetchUser(id);
+  if (!user) return { status: 404, message: "User not found" };
+  if (!(await canGrantRole(caller, user.role))) {
+    return { status: 403, message: "ไม่มีสิทธิ์จัดการบัญชีที่มีสิทธิ์มากกว่าตัวเอง" };
+  }
+  return { user };
+}
+
+// เช็คว่า customer_id มีอยู่จริง (null = ไม่ผูกกับลูกค้า)
+async function customerExists(customerId) {
+  if (!customerId) return true;
+  const [rows] = await pool.query("SELECT id FROM customers WHERE id = ?", [
+    customerId,
+  ]);
+  return rows.length > 0;
+}
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Get users
+ *     description: List users with optional filters (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, invited, disabled, pending_verification, pending_approval]
+ *       - in: query
+ *         name: q
+ *         description: Search by name or email
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of users
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Internal server error
+ */
+// รายชื่อผู้ใช้ทั้งหมด (Admin เท่านั้น)
+router.get("/users", authRequired, can("users:read"), async (req, res) => {
+  const { role, status, q } = req.query;
+
+  try {
+    let sql = `${USER_SELECT} WHERE 1 = 1`;
+    const params = [];
+
+    if (role) {
+      sql += " AND u.role = ?";
+      params.push(role);
+    }
+    if (status) {
+      sql += " AND u.status = ?";
+      params.push(status);
+    }
+    if (q) {
+      sql += " AND (u.name LIKE ? OR u.email LIKE ?)";
+      params.push(`%${q}%`, `%${q}%`);
+    }
+
+    sql += " ORDER BY u.created_at DESC";
+
+    const [rows] = await pool.query(sql, params);
+    res.json(rows);
+  } catch (error) {
+    console.error("Fetch users error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ดูผู้ใช้ตาม id
+router.get("/users/:id", authRequired, can("users:read"), async (req, res) => {
+  try {
+    const user = await fetchUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error("Fetch user error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/invite:
+ *   post:
+ *     summary: Invite a user
+ *     description: Create an account in "invited" status and email a one-time activation link (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - name
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 example: technician
+ *               customer_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: User invited
+ *       400:
+ *         description: Invalid data
+ *       403:
+ *         description: Role grants permissions the caller does not hold
+ *       409:
+ *         description: Email already in use
+ *       500:
+ *         description: Internal server error
+ */
+// เชิญผู้ใช้ใหม่ทางอีเมล
+router.post("/users/invite", authRequired, can("users:write"), audit("user", "users", { action: "invite" }), async (req, res) => {
+  const { email, name, role, customer_id } = req.body || {};
+
+  if (!email || !name || !role) {
+    return res.status(400).json({ message: "email, name และ role จำเป็นต้องมี" });
+  }
+  if (role === "customer" && !customer_id) {
+    return res
+      .status(400)
+      .json({ message: "ผู้ใช้ประเภทลูกค้าต้องระบุ customer_id" });
+  }
+
+  try {
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    if (!(await canGrantRole(req.user, role))) {
+      return res.status(403).json({ message: "ไม่มีสิทธิ์เชิญผู้ใช้ด้วย role ที่มีสิทธิ์มากกว่าตัวเอง" });
+    }
+    if (!(await customerExists(customer_id))) {
+      return res.status(400).json({ message: "Customer not found" });
+    }
+
+    const [existing] = await pool.query("SELECT id FROM users WHERE email = ?", [
+      email,
+    ]);
+    if (existing.length > 0) {
+      return res.status(409).json({ message: "Email already in use" });
+    }
+
+    // ยังไม่มีรหัสผ่านจริง → ใส่ hash ของค่าสุ่มไว้ (login ไม่ได้จนกว่าจะ activate)
+    const placeholderHash = await bcrypt.hash(
+      crypto.randomBytes(32).toString("hex"),
+      10
+    );
+
+    const [result] = await pool.query(
+      `INSERT INTO users (email, password_hash, name, role, customer_id, status)
+       VALUES (?, ?, ?, ?, ?, 'invited')`,
+      [email, placeholderHash, name, role, customer_id || null]
+    );
+
+    await createInvitation({ id: result.insertId, email, name }, req.user.id);
+
+    res.status(201).json(await fetchUser(result.insertId));
+  } catch (error) {
+    console.error("Invite user error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ส่งลิงก์เชิญใหม่ (ลิงก์เดิมจะใช้ไม่ได้)
+router.post(
+  "/users/:id/resend-invite",
+  authRequired,
+  can("users:write"),
+  audit("user", "users", { action: "resend_invite" }),
+  async (req, res) => {
+    try {
+      const { user, status, message } = await findManageableUser(req.user, req.params.id);
+      if (!user) {
+        return res.status(status).json({ message });
+      }
+      if (user.status !== "invited") {
+        return res
+          .status(409)
+          .json({ message: "ผู้ใช้นี้เปิดใช้งานบัญชีแล้ว" });
+      }
+
+      await createInvitation(user, req.user.id);
+      res.json({ message: "Invitation sent" });
+    } catch (error) {
+      console.error("Resend invite error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update a user
+ *     description: Change name, role or linked customer (Admin only). Changing role or customer signs the user out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 example: technician
+ *               customer_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Invalid data or changing your own role
+ *       403:
+ *         description: Target user or new role holds permissions the caller does not hold
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+// แก้ไขผู้ใช้ (ชื่อ / role / ผูกกับลูกค้า)
+router.put("/users/:id", authRequired, can("users:write"), audit("user", "users"), async (req, res) => {
+  const { id } = req.params;
+  const { name, role, customer_id } = req.body || {};
+
+  if (!name || !role) {
+    return res.status(400).json({ message: "name และ role จำเป็นต้องมี" });
+  }
+  if (role === "customer" && !customer_id) {
+    return res
+      .status(400)
+      .json({ message: "ผู้ใช้ประเภทลูกค้าต้องระบุ customer_id" });
+  }
+
+  try {
+    const { user: current, status, message } = await findManageableUser(req.user, id);
+    if (!current) {
+      return res.status(status).json({ message });
+    }
+
+    // กันเพิ่มสิทธิ์ให้ตัวเอง และกัน admin ลดสิทธิ์ตัวเองจนไม่มีใครเข้าหน้า admin ได้
+    if (String(id) === String(req.user.id) && role !== current.role) {
+      return res.status(400).json({ message: "ไม่สามารถเปลี่ยน role ของตัวเองได้" });
+    }
+    if (role !== current.role && !(await canGrantRole(req.user, role))) {
+      return res.status(403).json({ message: "ไม่มีสิทธิ์ตั้ง role ที่มีสิทธิ์มากกว่าตัวเอง" });
+    }
+
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    if (!(await customerExists(customer_id))) {
+      return res.status(400).json({ message: "Customer not found" });
+    }
+
+    const finalCustomerId = customer_id ? Number(customer_id) : null;
+
+    await pool.query(
+      "UPDATE users SET name = ?, role = ?, customer_id = ? WHERE id = ?",
+      [name, role, finalCustomerId, id]
+    );
+
+    // role / ลูกค้าที่ผูกเปลี่ยน → token เดิมมีสิทธิ์ไม่ตรงแล้ว ให้ login ใหม่
+    if (current.role !== role || current.customer_id !== finalCustomerId) {
+      await revokeAllSessions(id, "role_changed");
+    }
+
+    res.json(await fetchUser(id));
+  } catch (error) {
+    console.error("Update user error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ปิดบัญชี → ออกจากระบบทุกอุปกรณ์ทันที
+router.post(
+  "/users/:id/disable",
+  authRequired,
+  can("users:write"),
+  audit("user", "users", { action: "disable" }),
+  async (req, res) => {
+    const { id } = req.params;
+
+    if (String(id) === String(req.user.id)) {
+      return res.status(400).json({ message: "ไม่สามารถปิดบัญชีของตัวเองได้" });
+    }
+
+    try {
+      const { user: target, status, message } = await findManageableUser(req.user, id);
+      if (!target) {
+        return res.status(status).json({ message });
+      }
+
+      const [result] = await pool.query(
+        `UPDATE users SET status = 'disabled', disabled_at = NOW()
+         WHERE id = ?`,
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      await revokeAllSessions(id, "account_disabled");
+
+      res.json(await fetchUser(id));
+    } catch (error) {
+      console.error("Disable user error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// เปิดบัญชีที่ถูกปิดไว้
+router.post(
+  "/users/:id/enable",
+  authRequired,
+  can("users:write"),
+  audit("user", "users", { action: "enable" }),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const { user: target, status, message } = await findManageableUser(req.user, id);
+      if (!target) {
+        return res.status(status).json({ message });
+      }
+
+      const [result] = await pool.query(
+        `UPDATE users SET status = 'active', disabled_at = NULL
+         WHERE id = ? AND status = 'disabled'`,
+        [id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(409).json({ message: "User is not disabled" });
+      }
+
+      res.json(await fetchUser(id));
+    } catch (error) {
+      console.error("Enable user error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// ลบผู้ใช้
+router.delete("/users/:id", authRequired, can("users:write"), audit("user", "users"), async (req, res) => {
+  const { id } = req.params;
+
+  if (String(id) === String(req.user.id)) {
+    return res.status(400).json({ message: "ไม่สามารถลบบัญชีของตัวเองได้" });
+  }
+
+  try {
+    const { user: target, status, message } = await findManageableUser(req.user, id);
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const [result] = await pool.query("DELETE FROM users WHERE id = ?", [id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json({ message: "User deleted" });
+  } catch (error) {
+    console.error("Delete user error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,266 @@
+// ---- Alert rules ----
+// ประเมิน telemetry ล่าสุดของลิฟต์หลังรับ sample ทุกครั้ง (เรียกจาก ingestSamples)
+//   overload       น้ำหนักเกิน capacity ของลิฟต์
+//   stuck          หยุดนิ่ง ประตูปิด และมีน้ำหนักในตู้ นานเกิน ALERT_STUCK_MINUTES (น่าจะค้างระหว่างชั้น)
+//   repeated_error error code เดิมซ้ำ ALERT_ERROR_REPEAT ครั้งใน ALERT_ERROR_WINDOW_MINUTES นาที
+//   door_fault     ประตูติดขัด (blocked) หรือเปิดอยู่ขณะลิฟต์เคลื่อนที่
+// แต่ละ rule มี alert ที่ยังเปิดอยู่ได้ครั้งละ 1 รายการต่อลิฟต์ (เจอซ้ำ = นับเพิ่ม)
+// และปิดเองเมื่อเงื่อนไขหายไป
+// เปิด / ปิด alert แล้ว push event alert.* ไปยัง real-time stream (Services/realtime.js)
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { publishEvent } from "./realtime.js";
+
+dotenv.config();
+
+const STUCK_MINUTES = Number(process.env.ALERT_STUCK_MINUTES) || 3;
+const ERROR_REPEAT = Number(process.env.ALERT_ERROR_REPEAT) || 3;
+const ERROR_WINDOW_MINUTES = Number(process.env.ALERT_ERROR_WINDOW_MINUTES) || 15;
+// น้ำหนักเกินกี่ % ของ capacity ถึงเป็น critical
+const OVERLOAD_CRITICAL_RATIO = 1.1;
+const MAX_WINDOW_SAMPLES = 2000;
+
+export const ALERT_SEVERITIES = ["info", "warning", "critical"];
+export const ALERT_RULES = ["overload", "stuck", "repeated_error", "door_fault"];
+
+// ---- rules ----
+// แต่ละ rule รับ samples (เก่า → ใหม่) + ลิฟต์ แล้วคืน
+//   { severity, message, details } = เงื่อนไขเกิด
+//   false                          = เงื่อนไขหายไปแล้ว (ปิด alert ที่เปิดอยู่)
+//   null                           = ข้อมูลไม่พอจะตัดสิน (ไม่เปลี่ยนอะไร)
+
+function evaluateOverload(samples, elevator) {
+  const capacity = parseFloat(elevator.capacity);
+  const latest = [...samples].reverse().find((s) => s.load_kg != null);
+  if (!latest || !(capacity > 0)) return null;
+
+  const load = Number(latest.load_kg);
+  if (load <= capacity) return false;
+
+  return {
+    severity: load > capacity * OVERLOAD_CRITICAL_RATIO ? "critical" : "warning",
+    message: `น้ำหนักเกินพิกัด ${load} / ${capacity} kg`,
+    details: { load_kg: load, capacity_kg: capacity, recorded_at: latest.recorded_at },
+  };
+}
+
+function isStopped(sample) {
+  return (
+    Number(sample.speed_mps) === 0 &&
+    sample.door_state === "closed" &&
+    Number(sample.load_kg) > 0
+  );
+}
+
+function evaluateStuck(samples) {
+  const relevant = samples.filter(
+    (s) => s.speed_mps != null && s.door_state != null && s.load_kg != null
+  );
+  const latest = relevant.at(-1);
+  if (!latest) return null;
+  if (!isStopped(latest)) return false;
+
+  // ย้อนหาจุดเริ่มที่หยุดนิ่งต่อเนื่องกันมา
+  let since = latest;
+  for (let i = relevant.length - 2; i >= 0 && isStopped(relevant[i]); i--) {
+    since = relevant[i];
+  }
+
+  const minutes = (new Date(latest.recorded_at) - new Date(since.recorded_at)) / 60000;
+  if (minutes < STUCK_MINUTES) return null;
+
+  return {
+    severity: "critical",
+    message: `ลิฟต์หยุดนิ่ง ประตูปิด มีผู้โดยสาร นาน ${Math.floor(minutes)} นาที (อาจค้างระหว่างชั้น)`,
+    details: { floor: latest.floor, since: since.recorded_at, load_kg: Number(latest.load_kg) },
+  };
+}
+
+function evaluateRepeatedError(samples) {
+  const cutoff = Date.now() - ERROR_WINDOW_MINUTES * 60000;
+  const counts = {};
+  for (const s of samples) {
+    if (!s.error_codes || new Date(s.recorded_at).getTime() < cutoff) continue;
+    for (const code of s.error_codes.split(",")) {
+      counts[code] = (counts[code] || 0) + 1;
+    }
+  }
+
+  const repeated = Object.entries(counts).filter(([, n]) => n >= ERROR_REPEAT);
+  if (repeated.length === 0) return false;
+
+  const worst = Math.max(...repeated.map(([, n]) => n));
+  return {
+    severity: worst >= ERROR_REPEAT * 2 ? "critical" : "warning",
+    message: `error code ซ้ำ: ${repeated.map(([code, n]) => `${code} (${n})`).join(", ")}`,
+    details: { codes: Object.fromEntries(repeated), window_minutes: ERROR_WINDOW_MINUTES },
+  };
+}
+
+function evaluateDoorFault(samples) {
+  const latest = [...samples].reverse().find((s) => s.door_state != null);
+  if (!latest) return null;
+
+  const moving = Number(latest.speed_mps) > 0;
+  if (moving && ["open", "opening"].includes(latest.door_state)) {
+    return {
+      severity: "critical",
+      message: "ประตูเปิดขณะลิฟต์เคลื่อนที่",
+      details: { door_state: latest.door_state, speed_mps: Number(latest.speed_mps) },
+    };
+  }
+  if (latest.door_state === "blocked") {
+    return {
+      severity: "warning",
+      message: "ประตูลิฟต์ติดขัด",
+      details: { door_state: latest.door_state, floor: latest.floor },
+    };
+  }
+  return false;
+}
+
+const RULE_EVALUATORS = {
+  overload: evaluateOverload,
+  stuck: evaluateStuck,
+  repeated_error: evaluateRepeatedError,
+  door_fault: evaluateDoorFault,
+};
+
+// ---- alert rows ----
+
+function higherSeverity(a, b) {
+  return ALERT_SEVERITIES.indexOf(a) >= ALERT_SEVERITIES.indexOf(b) ? a : b;
+}
+
+// เปิด alert ใหม่ หรือนับเพิ่มใน alert เดิมที่ยังไม่ปิด (ความรุนแรงขึ้นได้ ไม่ลด)
+async function openOrRefreshAlert(elevatorId, rule, finding) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [open] = await conn.query(
+      `SELECT id, severity FROM alerts
+       WHERE elevator_id = ? AND rule = ? AND resolved_at IS NULL
+       ORDER BY id DESC LIMIT 1
+       FOR UPDATE`,
+      [elevatorId, rule]
+    );
+
+    let alertId;
+    let opened = false;
+    if (open.length > 0) {
+      alertId = open[0].id;
+      await conn.query(
+        `UPDATE alerts
+         SET severity = ?, message = ?, details = ?,
+             occurrence_count = occurrence_count + 1, last_seen_at = NOW()
+         WHERE id = ?`,
+        [
+          higherSeverity(open[0].severity, finding.severity),
+          finding.message,
+          JSON.stringify(finding.details),
+          alertId,
+        ]
+      );
+    } else {
+      const [result] = await conn.query(
+        `INSERT INTO alerts
+           (elevator_id, rule, severity, message, details,
+            occurrence_count, created_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+        [elevatorId, rule, finding.severity, finding.message, JSON.stringify(finding.details)]
+      );
+      alertId = result.insertId;
+      opened = true;
+    }
+
+    await conn.commit();
+    return { id: alertId, opened };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function autoResolveAlerts(elevatorId, rule) {
+  const [open] = await pool.query(
+    "SELECT id FROM alerts WHERE elevator_id = ? AND rule = ? AND resolved_at IS NULL",
+    [elevatorId, rule]
+  );
+
+  let resolved = 0;
+  for (const { id } of open) {
+    const [result] = await pool.query(
+      `UPDATE alerts
+       SET resolved_at = NOW(), resolution_note = 'ปิดอัตโนมัติ: เงื่อนไขกลับสู่ปกติ'
+       WHERE id = ? AND resolved_at IS NULL`,
+      [id]
+    );
+    if (result.affectedRows === 0) continue;
+    resolved += 1;
+    await publishAlertEvent("resolved", id);
+  }
+  return resolved;
+}
+
+// push alert.<type> (opened / acknowledged / resolved) ให้ผู้ที่มี alerts:read และเห็นลิฟต์ตัวนั้น
+export async function publishAlertEvent(type, alertId) {
+  const [rows] = await pool.query(
+    `SELECT a.id, a.elevator_id, e.name AS elevator_name, b.customer_id, a.rule, a.severity,
+            a.message, a.created_at, a.acknowledged_at, a.resolved_at
+     FROM alerts a
+     LEFT JOIN elevators e ON a.elevator_id = e.id
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE a.id = ?`,
+    [alertId]
+  );
+  if (!rows[0]) return null;
+
+  const { customer_id: customerId, ...payload } = rows[0];
+  return publishEvent({
+    type: `alert.${type}`,
+    payload,
+    customerId,
+    elevatorId: payload.elevator_id,
+    permission: "alerts:read",
+  });
+}
+
+// ประเมินทุก rule จาก telemetry ช่วงล่าสุดของลิฟต์
+// คืน { opened: [alertId], refreshed: [alertId], resolved: จำนวน }
+export async function evaluateAlertRules(elevatorId) {
+  const [elevators] = await pool.query(
+    "SELECT id, capacity FROM elevators WHERE id = ?",
+    [elevatorId]
+  );
+  if (elevators.length === 0) return { opened: [], refreshed: [], resolved: 0 };
+
+  const windowMinutes = Math.max(STUCK_MINUTES, ERROR_WINDOW_MINUTES) + 1;
+  const [rows] = await pool.query(
+    `SELECT recorded_at, floor, load_kg, door_state, speed_mps, error_codes
+     FROM elevator_telemetry
+     WHERE elevator_id = ? AND recorded_at >= NOW() - INTERVAL ? MINUTE
+     ORDER BY recorded_at DESC
+     LIMIT ?`,
+    [elevatorId, windowMinutes, MAX_WINDOW_SAMPLES]
+  );
+  const samples = rows.reverse();
+
+  const outcome = { opened: [], refreshed: [], resolved: 0 };
+  for (const rule of ALERT_RULES) {
+    const finding = RULE_EVALUATORS[rule](samples, elevators[0]);
+    if (finding === null) continue;
+
+    if (finding === false) {
+      outcome.resolved += await autoResolveAlerts(elevatorId, rule);
+      continue;
+    }
+
+    const { id, opened } = await openOrRefreshAlert(elevatorId, rule, finding);
+    (opened ? outcome.opened : outcome.refreshed).push(id);
+    if (opened) await publishAlertEvent("opened", id);
+  }
+  return outcome;
+}
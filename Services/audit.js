@@ -0,0 +1,203 @@
+// ---- Audit log ----
+// บันทึกว่าใคร (ผู้ใช้ / API key) ทำอะไรกับข้อมูลไหน จาก IP ไหน พร้อม diff ก่อน/หลัง
+// ใช้เป็น middleware ต่อท้าย can(...) ใน route ที่แก้ไขข้อมูล เช่น
+//   router.put("/contracts/:id", authRequired, can("contracts:write"), audit("contract", "contracts"), handler)
+// ถ้าบันทึก audit ไม่สำเร็จจะแค่ log error ไว้ ไม่ทำให้ request ล้ม
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+
+dotenv.config();
+
+// 0 = เก็บตลอดไป
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 365);
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 5000;
+
+// ฟิลด์ที่ห้ามเก็บค่าจริงลง log (บอกแค่ว่าเปลี่ยน)
+const REDACTED_FIELDS = new Set([
+  "password_hash",
+  "key_hash",
+  "token_hash",
+  "code_hash",
+  "mfa_secret",
+  "mfa_pending_secret",
+]);
+// ฟิลด์ที่เปลี่ยนเองทุกครั้ง ไม่ต้องนับเป็น diff
+const IGNORED_FIELDS = new Set(["updated_at"]);
+
+const METHOD_ACTIONS = { POST: "create", PUT: "update", PATCH: "update", DELETE: "delete" };
+
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString("hex");
+  return value;
+}
+
+// { field: { from, to } } เฉพาะฟิลด์ที่ค่าต่างกัน
+export function diffRows(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.has(field)
+      ? { from: "[redacted]", to: "[redacted]" }
+      : { from, to };
+  }
+
+  return changes;
+}
+
+// entry: { entity, entityId, action, before, after, meta }
+export async function recordAudit(req, entry) {
+  const { entity, entityId, action, before = null, after = null, meta = null } = entry;
+  const changes = diffRows(before, after);
+
+  // update ที่ไม่มีอะไรเปลี่ยนจริง ไม่ต้องบันทึก
+  if (action === "update" && Object.keys(changes).length === 0 && !meta) return;
+
+  const actor = req.user || {};
+
+  try {
+    await pool.query(
+      `INSERT INTO audit_log
+         (actor_user_id, actor_api_key_id, actor_name, actor_role, ip, user_agent,
+          entity, entity_id, action, changes, meta)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor.id || null,
+        actor.api_key_id || null,
+        actor.name || actor.email || null,
+        actor.role || null,
+        req.ip || null,
+        (req.headers["user-agent"] || "").slice(0, 255) || null,
+        entity,
+        entityId != null ? String(entityId) : null,
+        action,
+        JSON.stringify(changes),
+        meta ? JSON.stringify(meta) : null,
+      ]
+    );
+  } catch (err) {
+    console.error("Audit log error:", err);
+  }
+}
+
+async function selectRow(table, idColumn, id) {
+  const [rows] = await pool.query(
+    `SELECT * FROM ${table} WHERE ${idColumn} = ?`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// middleware: จับแถวก่อนแก้ → รอ response สำเร็จ → จับแถวหลังแก้ แล้วบันทึก diff
+// table / idColumn มาจากโค้ดเท่านั้น
+// options:
+//   action     ชื่อ action (ค่าเริ่มต้นตาม method: create / update / delete)
+//   idParam    ชื่อ req.params ที่เป็น id (ค่าเริ่มต้น "id")
+//   idColumn   คอลัมน์ primary key (ค่าเริ่มต้น "id")
+//   resolveId  (req, body) => id — หา id เอง เช่น route ที่สร้างแถวใหม่ / id อยู่ใน body
+//              body = response body (ก่อน handler ทำงานจะเป็น undefined)
+//   snapshot   async (id) => row — ดึงแถวเอง เช่น ต้อง join ตารางลูก
+//   meta       (req, body) => object — ข้อมูลประกอบเพิ่มเติม
+export function audit(entity, table, options = {}) {
+  const {
+    idParam = "id",
+    idColumn = "id",
+    resolveId = (req, body) => req.params[idParam] ?? body?.id,
+    snapshot = (id) => selectRow(table, idColumn, id),
+    meta,
+  } = options;
+
+  return async (req, res, next) => {
+    const action = options.action || METHOD_ACTIONS[req.method] || "update";
+
+    let before = null;
+    const beforeId = resolveId(req, undefined);
+    if (beforeId != null && action !== "create") {
+      try {
+        before = await snapshot(beforeId);
+      } catch (err) {
+        console.error("Audit snapshot error:", err);
+      }
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) return;
+
+      const entityId = resolveId(req, responseBody) ?? beforeId;
+      let after = null;
+      if (action !== "delete" && entityId != null) {
+        try {
+          after = await snapshot(entityId);
+        } catch (err) {
+          console.error("Audit snapshot error:", err);
+        }
+      }
+
+      await recordAudit(req, {
+        entity,
+        entityId,
+        action,
+        before,
+        after,
+        meta: meta ? meta(req, responseBody) : null,
+      });
+    });
+
+    next();
+  };
+}
+
+// ลบ log ที่เก่ากว่า AUDIT_RETENTION_DAYS (ทีละ batch กันล็อกตารางนาน)
+export async function purgeExpiredAuditLogs() {
+  if (!AUDIT_RETENTION_DAYS) return 0;
+
+  let total = 0;
+  for (;;) {
+    const [result] = await pool.query(
+      `DELETE FROM audit_log
+       WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+       LIMIT ?`,
+      [AUDIT_RETENTION_DAYS, PURGE_BATCH_SIZE]
+    );
+    total += result.affectedRows;
+    if (result.affectedRows < PURGE_BATCH_SIZE) return total;
+  }
+}
+
+// เรียกครั้งเดียวตอน server start → purge ทันที แล้ววันละครั้ง
+export function startAuditRetention() {
+  if (!AUDIT_RETENTION_DAYS) return;
+
+  const run = () =>
+    purgeExpiredAuditLogs()
+      .then((count) => {
+        if (count > 0) console.log(`🧹 purged ${count} audit log rows`);
+      })
+      .catch((err) => console.error("Audit purge error:", err));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+export function getAuditRetentionDays() {
+  return AUDIT_RETENTION_DAYS;
+}
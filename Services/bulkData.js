@@ -0,0 +1,480 @@
+// ---- Bulk import / export (ลูกค้า / อาคาร / ลิฟต์) ----
+// ใช้ตอนรับลูกค้ารายใหญ่เข้าระบบ: อัปโหลด CSV/XLSX ทีละชนิด (customers → buildings → elevators)
+// ไฟล์ export กับ import ใช้คอลัมน์ชุดเดียวกัน → export ไปแก้ใน Excel แล้ว import กลับได้
+//   แถวที่มี id ของที่มีอยู่แล้ว = แก้ไข, ไม่มี id (หรือ id ลิฟต์ใหม่) = สร้างใหม่
+//   คอลัมน์ที่ไม่อยู่ในไฟล์ = ไม่แตะ, เซลล์ว่าง = ล้างค่า (ยกเว้นช่องที่บังคับ)
+//   อ้างอิงลูกค้า / อาคารได้ทั้งด้วย id หรือชื่อ (customer_name / building_name)
+// validateImport ตรวจทุกแถวโดยไม่เขียนอะไร, applyImport เขียนตามผลตรวจ (ให้ route ครอบด้วย transaction)
+import pool from "../DB/db.js";
+import { ownsCustomer } from "../Auth/scope.js";
+import { ELEVATOR_STATES, recordInitialState } from "./elevatorState.js";
+
+export const IMPORT_MAX_ROWS = 5000;
+
+const THIS_YEAR = new Date().getFullYear();
+
+// type: text | int | date | email | enum
+// ref = คอลัมน์ที่ใช้หาแถวอื่น ไม่ได้เขียนลงตารางตรงๆ
+export const BULK_ENTITIES = {
+  customers: {
+    entity: "customer",
+    table: "customers",
+    permission: "customers",
+    columns: [
+      { name: "id", type: "int", ref: true },
+      { name: "name", type: "text", required: true, max: 255 },
+      { name: "business_type", type: "text", required: true, max: 100 },
+      { name: "address", type: "text", max: 500 },
+      { name: "contact_name", type: "text", max: 255 },
+      { name: "contact_phone", type: "text", max: 50 },
+      { name: "contact_email", type: "email", max: 255 },
+    ],
+  },
+  buildings: {
+    entity: "building",
+    table: "buildings",
+    permission: "buildings",
+    columns: [
+      { name: "id", type: "int", ref: true },
+      { name: "customer_id", type: "int", ref: true },
+      { name: "customer_name", type: "text", ref: true },
+      { name: "name", type: "text", required: true, max: 255 },
+      { name: "address", type: "text", max: 500 },
+      { name: "building_type", type: "text", max: 100 },
+      { name: "region", type: "text", max: 100 },
+    ],
+  },
+  elevators: {
+    entity: "elevator",
+    table: "elevators",
+    permission: "elevators",
+    columns: [
+      { name: "id", type: "text", ref: true, max: 50 },
+      { name: "name", type: "text", required: true, max: 255 },
+      { name: "building_id", type: "int", ref: true },
+      { name: "building_name", type: "text", ref: true },
+      { name: "brand", type: "text", max: 100 },
+      { name: "model", type: "text", max: 100 },
+      { name: "install_year", type: "int", min: 1900, max: THIS_YEAR + 1 },
+      { name: "install_location", type: "text", max: 255 },
+      { name: "capacity", type: "int", min: 1, max: 100000 },
+      { name: "state", type: "enum", values: ELEVATOR_STATES, ref: true },
+      { name: "last_maintenance_at", type: "date" },
+      { name: "next_maintenance_at", type: "date" },
+    ],
+  },
+};
+
+export function entityColumns(entity) {
+  return BULK_ENTITIES[entity].columns.map((c) => c.name);
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// คืน { value } หรือ { error }
+function parseCell(column, raw) {
+  if (raw === "") {
+    return column.required ? { error: "จำเป็นต้องมี" } : { value: null };
+  }
+
+  switch (column.type) {
+    case "int": {
+      if (!/^-?\d+$/.test(raw)) return { error: "ต้องเป็นจำนวนเต็ม" };
+      const n = Number(raw);
+      if (column.min != null && n < column.min) return { error: `ต้องไม่น้อยกว่า ${column.min}` };
+      if (column.max != null && n > column.max) return { error: `ต้องไม่เกิน ${column.max}` };
+      return { value: n };
+    }
+    case "date": {
+      const m = DATE_PATTERN.exec(raw);
+      if (!m) return { error: "รูปแบบวันที่ต้องเป็น YYYY-MM-DD หรือ YYYY-MM-DD HH:MM:SS" };
+      const [, y, mo, d, h = "00", mi = "00", s = "00"] = m;
+      const check = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+      if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== Number(d) || Number(h) > 23) {
+        return { error: "วันที่ไม่ถูกต้อง" };
+      }
+      return { value: `${y}-${mo}-${d} ${h}:${mi}:${s}` };
+    }
+    case "email":
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) return { error: "อีเมลไม่ถูกต้อง" };
+      break;
+    case "enum":
+      if (!column.values.includes(raw)) return { error: `ต้องเป็น ${column.values.join(" / ")}` };
+      break;
+  }
+
+  if (column.max != null && raw.length > column.max) {
+    return { error: `ยาวเกิน ${column.max} ตัวอักษร` };
+  }
+  return { value: raw };
+}
+
+function key(...parts) {
+  return parts.map((p) => String(p ?? "").trim().toLowerCase()).join("\u0000");
+}
+
+// หาแถวจาก id หรือชื่อ (ชื่อต้องตรงแถวเดียว) คืน { row } หรือ { error }
+function resolveRef({ id, name, byId, byName, label }) {
+  if (id != null) {
+    const row = byId.get(String(id));
+    if (!row) return { error: `ไม่พบ${label} id ${id}` };
+    if (name != null && key(row.name) !== key(name)) {
+      return { error: `${label} id ${id} ชื่อ "${row.name}" ไม่ตรงกับ "${name}"` };
+    }
+    return { row };
+  }
+  if (name != null) {
+    const matches = byName.get(key(name)) || [];
+    if (matches.length === 0) return { error: `ไม่พบ${label}ชื่อ "${name}"` };
+    if (matches.length > 1) return { error: `มี${label}ชื่อ "${name}" หลายแห่ง ให้ระบุ id แทน` };
+    return { row: matches[0] };
+  }
+  return { error: `ต้องระบุ id หรือชื่อ${label}` };
+}
+
+function indexRows(rows, nameKey = (r) => key(r.name)) {
+  const byId = new Map(rows.map((r) => [String(r.id), r]));
+  const byName = new Map();
+  for (const r of rows) {
+    const k = nameKey(r);
+    byName.set(k, [...(byName.get(k) || []), r]);
+  }
+  return { byId, byName };
+}
+
+// ---- โหลดข้อมูลอ้างอิงที่ต้องใช้ตรวจ ----
+const LOADERS = {
+  async customers(conn) {
+    const [customers] = await conn.query("SELECT * FROM customers");
+    return { customers: indexRows(customers) };
+  },
+
+  async buildings(conn) {
+    const [customers] = await conn.query("SELECT id, name FROM customers");
+    const [buildings] = await conn.query("SELECT * FROM buildings");
+    return {
+      customers: indexRows(customers),
+      buildings: indexRows(buildings, (b) => key(b.customer_id, b.name)),
+    };
+  },
+
+  async elevators(conn, sheetRows) {
+    const [buildings] = await conn.query(
+      `SELECT b.id, b.name, b.customer_id
+       FROM buildings b`
+    );
+    const ids = [...new Set(sheetRows.map((r) => r.values.id).filter(Boolean))];
+    let elevators = [];
+    if (ids.length > 0) {
+      [elevators] = await conn.query(
+        `SELECT e.*, b.customer_id
+         FROM elevators e
+         LEFT JOIN buildings b ON e.building_id = b.id
+         WHERE e.id IN (?)`,
+        [ids]
+      );
+    }
+    return {
+      buildings: indexRows(buildings),
+      // id ลิฟต์เทียบแบบไม่สนตัวพิมพ์เล็ก/ใหญ่ เหมือน collation ของ MySQL
+      elevators: new Map(elevators.map((e) => [key(e.id), e])),
+    };
+  },
+};
+
+// ---- ตรวจทีละแถว: คืน { identity, before, data } หรือ null (บันทึกเหตุผลผ่าน fail(column, message)) ----
+// identity ใช้จับแถวซ้ำในไฟล์เดียวกัน, data = ค่าที่ได้จากการอ้างอิง (customer_id / building_id / state)
+const RESOLVERS = {
+  customers(user, parsed, ctx, seen, fail) {
+    let before = null;
+    if (parsed.id != null) {
+      before = ctx.customers.byId.get(String(parsed.id));
+      if (!before) return fail("id", `ไม่พบลูกค้า id ${parsed.id}`);
+      if (!ownsCustomer(user, before.id)) return fail("id", "ไม่มีสิทธิ์แก้ไขลูกค้านี้");
+    } else if (parsed.name != null) {
+      const existing = ctx.customers.byName.get(key(parsed.name));
+      if (existing) {
+        return fail("name", `มีลูกค้าชื่อนี้แล้ว (id ${existing[0].id}) ใส่ id ถ้าต้องการแก้ไข`);
+      }
+    }
+
+    const identity = parsed.id != null ? `id:${parsed.id}` : `name:${key(parsed.name)}`;
+    if (seen.has(identity)) return fail(parsed.id != null ? "id" : "name", `ซ้ำกับแถว ${seen.get(identity)}`);
+
+    return { identity, before };
+  },
+
+  buildings(user, parsed, ctx, seen, fail, has) {
+    let before = null;
+    if (parsed.id != null) {
+      before = ctx.buildings.byId.get(String(parsed.id));
+      if (!before) return fail("id", `ไม่พบอาคาร id ${parsed.id}`);
+      if (!ownsCustomer(user, before.customer_id)) return fail("id", "ไม่มีสิทธิ์แก้ไขอาคารนี้");
+    }
+
+    // อาคารเดิมไม่ต้องระบุลูกค้าซ้ำ (ถ้าไม่ใส่ = ลูกค้าเดิม)
+    let customerId = before?.customer_id;
+    if (parsed.customer_id != null || parsed.customer_name != null || !before) {
+      const ref = resolveRef({
+        id: parsed.customer_id,
+        name: parsed.customer_name,
+        ...ctx.customers,
+        label: "ลูกค้า",
+      });
+      if (ref.error) return fail(has("customer_id") ? "customer_id" : "customer_name", ref.error);
+      customerId = ref.row.id;
+    }
+    if (!ownsCustomer(user, customerId)) return fail("customer_id", "ไม่มีสิทธิ์กับลูกค้านี้");
+
+    const name = parsed.name ?? before?.name;
+    const sameName = ctx.buildings.byName.get(key(customerId, name)) || [];
+    const clash = sameName.find((b) => !before || b.id !== before.id);
+    if (clash) {
+      return fail("name", `ลูกค้านี้มีอาคารชื่อนี้แล้ว (id ${clash.id}) ใส่ id ถ้าต้องการแก้ไข`);
+    }
+
+    const identity = parsed.id != null ? `id:${parsed.id}` : `name:${key(customerId, name)}`;
+    if (seen.has(identity)) return fail(parsed.id != null ? "id" : "name", `ซ้ำกับแถว ${seen.get(identity)}`);
+
+    return { identity, before, data: { customer_id: customerId } };
+  },
+
+  elevators(user, parsed, ctx, seen, fail, has) {
+    if (parsed.id == null) return fail("id", "จำเป็นต้องมี");
+    const identity = `id:${key(parsed.id)}`;
+    if (seen.has(identity)) return fail("id", `ซ้ำกับแถว ${seen.get(identity)}`);
+
+    const before = ctx.elevators.get(key(parsed.id)) || null;
+    if (before && !ownsCustomer(user, before.customer_id)) {
+      return fail("id", "ไม่มีสิทธิ์แก้ไขลิฟต์นี้");
+    }
+
+    const data = {};
+    if (parsed.building_id != null || parsed.building_name != null || !before) {
+      const ref = resolveRef({
+        id: parsed.building_id,
+        name: parsed.building_name,
+        ...ctx.buildings,
+        label: "อาคาร",
+      });
+      if (ref.error) return fail(has("building_id") ? "building_id" : "building_name", ref.error);
+      if (!ownsCustomer(user, ref.row.customer_id)) {
+        return fail("building_id", "ไม่มีสิทธิ์กับอาคารนี้");
+      }
+      data.building_id = ref.row.id;
+    }
+
+    // สถานะเปลี่ยนผ่าน state machine เท่านั้น (POST /api/elevators/:id/state)
+    if (before) {
+      if (parsed.state != null && parsed.state !== before.state) {
+        return fail("state", "เปลี่ยนสถานะลิฟต์เดิมผ่าน POST /api/elevators/:id/state");
+      }
+    } else {
+      data.state = parsed.state || "normal";
+      data.current_floor = 1;
+      data.current_load = 0;
+    }
+
+    return { identity, before, data };
+  },
+};
+
+// sheet = ผลจาก readSheet (Services/spreadsheet.js)
+// คืน { report, plan } — plan ใช้กับ applyImport ได้เมื่อ report.valid = true
+export async function validateImport(conn, user, entity, sheet) {
+  const def = BULK_ENTITIES[entity];
+  const known = new Set(def.columns.map((c) => c.name));
+  const present = def.columns.filter((c) => sheet.headers.includes(c.name));
+  const has = (name) => sheet.headers.includes(name);
+
+  const errors = [];
+  const warnings = [];
+  const plan = [];
+
+  const unknown = sheet.headers.filter((h) => h && !known.has(h));
+  if (unknown.length > 0) {
+    warnings.push({ row: 1, message: `ไม่รู้จักคอลัมน์ ${unknown.join(", ")} (ข้าม)` });
+  }
+
+  const ctx = await LOADERS[entity](conn, sheet.rows);
+  const seen = new Map();
+
+  for (const { row, values } of sheet.rows) {
+    const rowErrors = [];
+    const parsed = {};
+
+    for (const column of present) {
+      const result = parseCell(column, values[column.name] ?? "");
+      if (result.error) {
+        rowErrors.push({ row, column: column.name, message: result.error });
+      } else {
+        parsed[column.name] = result.value;
+      }
+    }
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      continue;
+    }
+
+    let failure = null;
+    const fail = (column, message) => {
+      failure = { row, column, message };
+      return null;
+    };
+    const resolved = RESOLVERS[entity](user, parsed, ctx, seen, fail, has);
+    if (!resolved) {
+      errors.push(failure);
+      continue;
+    }
+
+    // แก้ไขแถวเดิม: ช่องที่บังคับต้องไม่ถูกล้าง / สร้างใหม่: ช่องที่บังคับต้องมีในไฟล์
+    const missing = def.columns.filter(
+      (c) => c.required && !has(c.name) && !resolved.before
+    );
+    if (missing.length > 0) {
+      errors.push({
+        row,
+        column: missing[0].name,
+        message: `ต้องมีคอลัมน์ ${missing.map((c) => c.name).join(", ")} สำหรับการสร้างใหม่`,
+      });
+      continue;
+    }
+
+    const data = { ...resolved.data };
+    for (const column of present) {
+      if (!column.ref) data[column.name] = parsed[column.name];
+    }
+
+    seen.set(resolved.identity, row);
+    plan.push({
+      row,
+      action: resolved.before ? "update" : "create",
+      id: resolved.before?.id ?? (entity === "elevators" ? parsed.id : null),
+      before: resolved.before,
+      data,
+    });
+  }
+
+  const report = {
+    entity,
+    total_rows: sheet.rows.length,
+    valid: errors.length === 0 && sheet.rows.length > 0,
+    summary: {
+      create: plan.filter((p) => p.action === "create").length,
+      update: plan.filter((p) => p.action === "update").length,
+      error_rows: new Set(errors.map((e) => e.row)).size,
+    },
+    errors,
+    warnings,
+    rows: plan.map(({ row, action, id }) => ({ row, action, id })),
+  };
+
+  return { report, plan };
+}
+
+// เขียนตาม plan ภายใน transaction ของ conn
+// คืนรายการที่เขียน [{ row, action, id, before, after }] สำหรับบันทึก audit
+export async function applyImport(conn, user, entity, plan) {
+  const { table } = BULK_ENTITIES[entity];
+  const written = [];
+
+  for (const item of plan) {
+    let id = item.id;
+
+    if (item.action === "update") {
+      if (Object.keys(item.data).length > 0) {
+        await conn.query(`UPDATE ${table} SET ? WHERE id = ?`, [item.data, id]);
+      }
+    } else if (entity === "elevators") {
+      await conn.query(`INSERT INTO ${table} SET ?`, [{ id, ...item.data }]);
+      await recordInitialState(user, id, item.data.state, conn);
+    } else {
+      const [result] = await conn.query(`INSERT INTO ${table} SET ?`, [item.data]);
+      id = result.insertId;
+    }
+
+    written.push({
+      row: item.row,
+      action: item.action,
+      id,
+      before: item.before,
+      after: { ...item.before, ...item.data, id },
+    });
+  }
+
+  return written;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// วันที่จาก mysql2 เป็นเวลา local → เขียนออกแบบเดียวกับที่ import รับ
+function formatDateTime(value) {
+  if (!(value instanceof Date)) return value;
+  return (
+    `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+    `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`
+  );
+}
+
+const EXPORT_QUERIES = {
+  customers: {
+    sql: "SELECT c.* FROM customers c",
+    scope: { customer: "c.id" },
+    customerColumn: "c.id",
+    order: "c.id",
+  },
+  buildings: {
+    sql: `SELECT b.*, c.name AS customer_name
+          FROM buildings b
+          LEFT JOIN customers c ON b.customer_id = c.id`,
+    scope: { customer: "b.customer_id" },
+    customerColumn: "b.customer_id",
+    order: "b.id",
+  },
+  elevators: {
+    sql: `SELECT e.*, b.name AS building_name
+          FROM elevators e
+          LEFT JOIN buildings b ON e.building_id = b.id`,
+    scope: { customer: "b.customer_id", elevator: "e.id" },
+    customerColumn: "b.customer_id",
+    order: "e.id",
+  },
+};
+
+export function exportScopeColumns(entity) {
+  return EXPORT_QUERIES[entity].scope;
+}
+
+// แถวสำหรับ export ตามคอลัมน์ของ entity (scope = rowScope(user, exportScopeColumns(entity)))
+export async function fetchExportRows(entity, { scope, filters = {} } = {}) {
+  const query = EXPORT_QUERIES[entity];
+  const where = [];
+  const params = [];
+
+  if (filters.customer_id) {
+    where.push(`${query.customerColumn} = ?`);
+    params.push(filters.customer_id);
+  }
+  if (filters.building_id && entity === "elevators") {
+    where.push("e.building_id = ?");
+    params.push(filters.building_id);
+  }
+  if (scope?.sql) {
+    where.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  const [rows] = await pool.query(
+    `${query.sql}
+     ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY ${query.order}`,
+    params
+  );
+
+  const columns = entityColumns(entity);
+  return rows.map((r) =>
+    Object.fromEntries(columns.map((c) => [c, formatDateTime(r[c])]))
+  );
+}
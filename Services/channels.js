@@ -0,0 +1,141 @@
+// ---- Notification channels ----
+// ช่องทางส่ง notification ออกนอกแอป (คิวและการ retry อยู่ใน Services/notificationDelivery.js)
+// adapter ต้องมี
+//   address(user)                  → ปลายทางของผู้ใช้ (อีเมล / เบอร์ / LINE user id) หรือ null ถ้าไม่มี
+//   send({ to, subject, text })    → id ของข้อความจากผู้ให้บริการ (ถ้ามี)
+// send ที่ throw = ส่งไม่สำเร็จ (retry ภายหลัง) ถ้า err.permanent = true จะไม่ retry (เช่น ปลายทางผิด)
+// เพิ่มผู้ให้บริการอื่นด้วย registerChannelAdapter("ชื่อ", adapter) แล้วใส่ชื่อใน NOTIFICATION_CHANNELS
+import dotenv from "dotenv";
+import { sendMail } from "./mailer.js";
+
+dotenv.config();
+
+const LINE_PUSH_URL = "https://api.line.me/v2/bot/message/push";
+const LINE_TEXT_MAX = 5000;
+const SMS_TEXT_MAX = 480;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+function channelError(message, permanent = false) {
+  const err = new Error(message);
+  err.permanent = permanent;
+  return err;
+}
+
+// 4xx (ยกเว้น 408 / 429) = ข้อความ / ปลายทางผิด ส่งซ้ำก็ไม่ผ่าน
+async function postJson(url, headers, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => "")).slice(0, 300);
+    throw channelError(
+      `HTTP ${res.status} ${detail}`.trim(),
+      res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status)
+    );
+  }
+  return res;
+}
+
+const emailAdapter = {
+  address: (user) => user.email || null,
+  send: ({ to, subject, text }) => sendMail({ to, subject, text }),
+};
+
+// SMS gateway แบบ HTTP: POST SMS_API_URL { to, sender, message } + Authorization: Bearer SMS_API_KEY
+// ผู้ให้บริการที่รูปแบบต่างจากนี้ให้ register adapter "sms" ของตัวเองทับ
+const smsAdapter = {
+  address: (user) => user.phone || null,
+  async send({ to, subject, text }) {
+    if (!process.env.SMS_API_URL) throw channelError("SMS_API_URL is not set");
+    const res = await postJson(
+      process.env.SMS_API_URL,
+      process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {},
+      {
+        to,
+        sender: process.env.SMS_SENDER || "LiftCare",
+        message: [subject, text].filter(Boolean).join("\n").slice(0, SMS_TEXT_MAX),
+      }
+    );
+    const data = await res.json().catch(() => ({}));
+    return data.message_id || data.id || null;
+  },
+};
+
+// LINE Messaging API (push message) ผู้ใช้ต้องเป็นเพื่อนกับ LINE OA และมี users.line_user_id
+const lineAdapter = {
+  address: (user) => user.line_user_id || null,
+  async send({ to, subject, text }) {
+    if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
+      throw channelError("LINE_CHANNEL_ACCESS_TOKEN is not set");
+    }
+    const res = await postJson(
+      LINE_PUSH_URL,
+      { Authorization: `Bearer ${process.env.LINE_CHANNEL_ACCESS_TOKEN}` },
+      {
+        to,
+        messages: [
+          {
+            type: "text",
+            text: [subject, text].filter(Boolean).join("\n\n").slice(0, LINE_TEXT_MAX),
+          },
+        ],
+      }
+    );
+    return res.headers.get("x-line-request-id");
+  },
+};
+
+// ---- fake (ใช้ตอน dev / ทดสอบ) ----
+// เก็บข้อความไว้ในหน่วยความจำแทนการส่งจริง ทุกคนมีปลายทาง "user:<id>"
+// failNext(n, { permanent }) ให้ n ครั้งถัดไปส่งไม่สำเร็จ ไว้ลอง retry / failed
+const fakeOutbox = [];
+let fakeFailures = [];
+
+export const fakeChannel = {
+  outbox: fakeOutbox,
+  failNext(count = 1, { permanent = false } = {}) {
+    fakeFailures.push(...Array.from({ length: count }, () => permanent));
+  },
+  reset() {
+    fakeOutbox.length = 0;
+    fakeFailures = [];
+  },
+};
+
+const fakeAdapter = {
+  address: (user) => `user:${user.id}`,
+  async send(message) {
+    if (fakeFailures.length > 0) {
+      throw channelError("fake channel failure", fakeFailures.shift());
+    }
+    fakeOutbox.push({ ...message, sent_at: new Date() });
+    return `fake-${fakeOutbox.length}`;
+  },
+};
+
+const adapters = new Map([
+  ["email", emailAdapter],
+  ["sms", smsAdapter],
+  ["line", lineAdapter],
+  ["fake", fakeAdapter],
+]);
+
+export function registerChannelAdapter(name, adapter) {
+  adapters.set(name, adapter);
+}
+
+export function getChannelAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+// ช่องทางที่เปิดใช้ (NOTIFICATION_CHANNELS คั่นด้วย , เช่น "email,line") ที่มี adapter จริง
+// in_app มีเสมอ ไม่ต้องใส่
+export function enabledChannels() {
+  return (process.env.NOTIFICATION_CHANNELS || "")
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => c && adapters.has(c));
+}
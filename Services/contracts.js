@@ -0,0 +1,68 @@
+// ---- Contract renewal reminders ----
+// แจ้ง admin / manager + ผู้ใช้ของลูกค้าก่อนสัญญาสิ้นสุด contracts.notify_before_days วัน (ครั้งเดียวต่อรอบสัญญา)
+// แก้ end_date / notify_before_days (เช่น ต่อสัญญาแล้ว) → ล้าง renewal_notified_at ให้แจ้งรอบใหม่ได้ (Routes/Contracts.js)
+import pool from "../DB/db.js";
+import { notify } from "./notifications.js";
+
+const RENEWAL_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_NOTICE_DAYS = 30;
+
+async function notifyRenewal(contract) {
+  await notify({
+    type: "contract_renewal",
+    template: "contract_renewal",
+    variables: {
+      contract_code: contract.contract_code,
+      customer_name: contract.customer_name || "-",
+      end_date: new Date(contract.end_date),
+    },
+    entityType: "contract",
+    entityId: contract.id,
+    recipients: {
+      relations: ["admins", "managers", "customer_users"],
+      customerId: contract.customer_id,
+    },
+    replace: true,
+  });
+}
+
+// แจ้งสัญญาที่ใกล้สิ้นสุดที่ยังไม่เคยแจ้ง คืนจำนวนที่แจ้ง
+export async function runContractRenewalCheck() {
+  const [contracts] = await pool.query(
+    `SELECT c.id, c.customer_id, c.contract_code, c.end_date, cu.name AS customer_name
+     FROM contracts c
+     LEFT JOIN customers cu ON c.customer_id = cu.id
+     WHERE c.renewal_notified_at IS NULL
+       AND c.end_date >= CURDATE()
+       AND c.end_date <= CURDATE() + INTERVAL COALESCE(c.notify_before_days, ?) DAY`,
+    [DEFAULT_NOTICE_DAYS]
+  );
+
+  for (const contract of contracts) {
+    await notifyRenewal(contract);
+    await pool.query("UPDATE contracts SET renewal_notified_at = NOW() WHERE id = ?", [
+      contract.id,
+    ]);
+  }
+  return contracts.length;
+}
+
+// เรียกครั้งเดียวตอน server start
+export function startContractRenewalReminders() {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const count = await runContractRenewalCheck();
+      if (count > 0) console.log(`📑 sent ${count} contract renewal reminders`);
+    } catch (err) {
+      console.error("Contract renewal check error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, RENEWAL_CHECK_INTERVAL_MS).unref();
+}
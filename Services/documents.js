@@ -0,0 +1,247 @@
+// ---- Elevator / building documents ----
+// ใบรับรองการตรวจสอบความปลอดภัยประจำปี คู่มือ แบบวงจร ฯลฯ แนบกับลิฟต์หรืออาคาร (ไฟล์อยู่ใน Services/storage.js)
+// ใบรับรองการตรวจสอบต้องมีวันหมดอายุ และระบบแจ้งเตือนล่วงหน้า DOCUMENT_EXPIRY_NOTICE_DAYS วัน + อีกครั้งเมื่อหมดอายุ
+// ชนิดที่ customerVisible = false (เช่น แบบวงจร) ลูกค้าไม่เห็นโดยค่าเริ่มต้น
+import crypto from "crypto";
+import path from "path";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { STORAGE_DRIVER, getStorage, createStorageKey } from "./storage.js";
+import { notify, clearNotifications } from "./notifications.js";
+
+dotenv.config();
+
+export const DOCUMENT_MAX_BYTES = (Number(process.env.DOCUMENT_MAX_MB) || 20) * 1024 * 1024;
+export const DOCUMENT_EXPIRY_NOTICE_DAYS = Number(process.env.DOCUMENT_EXPIRY_NOTICE_DAYS ?? 30);
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const DOCUMENT_TYPES = {
+  inspection_certificate: {
+    label: "ใบรับรองการตรวจสอบ",
+    labelEn: "Inspection certificate",
+    requiresExpiry: true,
+    customerVisible: true,
+  },
+  manual: { label: "คู่มือ", labelEn: "Manual", requiresExpiry: false, customerVisible: true },
+  wiring_diagram: {
+    label: "แบบวงจร",
+    labelEn: "Wiring diagram",
+    requiresExpiry: false,
+    customerVisible: false,
+  },
+  contract: {
+    label: "สัญญา / เอกสารประกอบ",
+    labelEn: "Contract document",
+    requiresExpiry: false,
+    customerVisible: true,
+  },
+  photo: { label: "รูปถ่าย", labelEn: "Photo", requiresExpiry: false, customerVisible: true },
+  other: { label: "อื่นๆ", labelEn: "Document", requiresExpiry: false, customerVisible: false },
+};
+
+// ชนิดไฟล์ที่รับ (เดาจากนามสกุล ไม่เชื่อ Content-Type จาก client)
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  dwg: "application/acad",
+  dxf: "application/dxf",
+  zip: "application/zip",
+  txt: "text/plain",
+};
+
+export const DOCUMENT_EXTENSIONS = Object.keys(CONTENT_TYPES);
+
+export function fileExtension(fileName) {
+  return path.extname(String(fileName || "")).slice(1).toLowerCase();
+}
+
+export function contentTypeFor(fileName) {
+  return CONTENT_TYPES[fileExtension(fileName)] || null;
+}
+
+// valid / expiring / expired / null (ไม่มีวันหมดอายุ)
+export function expiryStatus(expiresAt, now = new Date()) {
+  if (!expiresAt) return null;
+  const days = Math.ceil((new Date(expiresAt) - now) / 86400000);
+  if (days < 0) return "expired";
+  return days <= DOCUMENT_EXPIRY_NOTICE_DAYS ? "expiring" : "valid";
+}
+
+export function withExpiryStatus(doc) {
+  return doc && { ...doc, expiry_status: expiryStatus(doc.expires_at) };
+}
+
+// SELECT เอกสารพร้อมชื่อลิฟต์ / อาคาร และ customer_id ของเจ้าของ (ไว้ใช้กับ rowScope)
+export const DOCUMENT_SELECT = `
+  SELECT d.id, d.elevator_id, e.name AS elevator_name,
+         COALESCE(d.building_id, e.building_id) AS building_id, b.name AS building_name,
+         b.customer_id, d.doc_type, d.title, d.file_name, d.content_type, d.size_bytes,
+         d.checksum, d.issued_at, d.expires_at, d.customer_visible,
+         d.uploaded_by, u.name AS uploaded_by_name, d.created_at, d.updated_at
+  FROM documents d
+  LEFT JOIN elevators e ON d.elevator_id = e.id
+  LEFT JOIN buildings b ON b.id = COALESCE(d.building_id, e.building_id)
+  LEFT JOIN users u ON d.uploaded_by = u.id
+`;
+
+// เก็บไฟล์ + บันทึก metadata คืน id เอกสาร
+// target = { elevator_id } หรือ { building_id }
+export async function storeDocument(user, target, meta, buffer) {
+  const extension = fileExtension(meta.file_name);
+  const storageKey = createStorageKey("documents", extension);
+  const storage = getStorage();
+
+  await storage.put(storageKey, buffer, { contentType: contentTypeFor(meta.file_name) });
+
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO documents
+         (elevator_id, building_id, doc_type, title, file_name, content_type, size_bytes,
+          checksum, storage_driver, storage_key, issued_at, expires_at, customer_visible,
+          uploaded_by, uploaded_by_api_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        target.elevator_id || null,
+        target.building_id || null,
+        meta.doc_type,
+        meta.title,
+        meta.file_name,
+        contentTypeFor(meta.file_name),
+        buffer.length,
+        crypto.createHash("sha256").update(buffer).digest("hex"),
+        STORAGE_DRIVER,
+        storageKey,
+        meta.issued_at || null,
+        meta.expires_at || null,
+        meta.customer_visible ? 1 : 0,
+        user?.id || null,
+        user?.api_key_id || null,
+      ]
+    );
+    return result.insertId;
+  } catch (err) {
+    // บันทึก metadata ไม่ได้ → ไม่ทิ้งไฟล์กำพร้าไว้ใน storage
+    await storage.remove(storageKey).catch(() => {});
+    throw err;
+  }
+}
+
+// คืน Readable ของไฟล์ หรือ null ถ้าไม่มีเอกสาร / ไฟล์หายจาก storage
+export async function openDocument(id) {
+  const [rows] = await pool.query(
+    "SELECT storage_driver, storage_key FROM documents WHERE id = ?",
+    [id]
+  );
+  if (!rows[0]) return null;
+
+  return getStorage(rows[0].storage_driver).get(rows[0].storage_key);
+}
+
+export async function deleteDocument(id) {
+  const [rows] = await pool.query(
+    "SELECT storage_driver, storage_key FROM documents WHERE id = ?",
+    [id]
+  );
+  if (!rows[0]) return false;
+
+  await pool.query("DELETE FROM documents WHERE id = ?", [id]);
+  await clearNotifications("document", id);
+  try {
+    await getStorage(rows[0].storage_driver).remove(rows[0].storage_key);
+  } catch (err) {
+    console.error("Remove stored document error:", err);
+  }
+  return true;
+}
+
+// แจ้ง admin / manager + ผู้ใช้ของลูกค้าเจ้าของ (ถ้าเอกสารนั้นลูกค้าเห็นได้)
+async function notifyExpiry(doc, stage) {
+  const type = DOCUMENT_TYPES[doc.doc_type];
+  const building = doc.building_name || "-";
+
+  await notify({
+    type: `document_${stage}`,
+    template: `document_${stage}`,
+    variables: {
+      label: type ? { th: type.label, en: type.labelEn } : doc.title,
+      target: doc.elevator_id
+        ? {
+            th: `ลิฟต์ ${doc.elevator_name || doc.elevator_id} (${building})`,
+            en: `elevator ${doc.elevator_name || doc.elevator_id} (${building})`,
+          }
+        : {
+            th: `อาคาร ${doc.building_name || doc.building_id}`,
+            en: `building ${doc.building_name || doc.building_id}`,
+          },
+      document_title: doc.title,
+      expires_at: new Date(doc.expires_at),
+    },
+    entityType: "document",
+    entityId: doc.id,
+    recipients: {
+      relations: doc.customer_visible
+        ? ["admins", "managers", "customer_users"]
+        : ["admins", "managers"],
+      customerId: doc.customer_id,
+    },
+  });
+}
+
+// แจ้งเตือนเอกสารที่ใกล้หมดอายุ / หมดอายุแล้วที่ยังไม่เคยแจ้ง คืนจำนวนที่แจ้ง
+export async function runDocumentExpiryCheck() {
+  const [expiring] = await pool.query(
+    `${DOCUMENT_SELECT}
+     WHERE d.expires_at IS NOT NULL AND d.expiry_notified_at IS NULL
+       AND d.expires_at >= CURDATE() AND d.expires_at <= CURDATE() + INTERVAL ? DAY`,
+    [DOCUMENT_EXPIRY_NOTICE_DAYS]
+  );
+  const [expired] = await pool.query(
+    `${DOCUMENT_SELECT}
+     WHERE d.expires_at IS NOT NULL AND d.expired_notified_at IS NULL
+       AND d.expires_at < CURDATE()`
+  );
+
+  for (const doc of expiring) {
+    await notifyExpiry(doc, "expiring");
+    await pool.query("UPDATE documents SET expiry_notified_at = NOW() WHERE id = ?", [doc.id]);
+  }
+  for (const doc of expired) {
+    await notifyExpiry(doc, "expired");
+    // หมดอายุแล้วไม่ต้องแจ้ง "ใกล้หมดอายุ" ย้อนหลัง
+    await pool.query(
+      `UPDATE documents
+       SET expired_notified_at = NOW(), expiry_notified_at = COALESCE(expiry_notified_at, NOW())
+       WHERE id = ?`,
+      [doc.id]
+    );
+  }
+
+  return expiring.length + expired.length;
+}
+
+// เรียกครั้งเดียวตอน server start
+export function startDocumentExpiryReminders() {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const count = await runDocumentExpiryCheck();
+      if (count > 0) console.log(`📄 sent ${count} document expiry reminders`);
+    } catch (err) {
+      console.error("Document expiry check error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, EXPIRY_CHECK_INTERVAL_MS).unref();
+}
@@ -0,0 +1,159 @@
+// ---- Elevator state machine ----
+// สถานะลิฟต์เปลี่ยนได้เฉพาะตาม ALLOWED_TRANSITIONS และทุกครั้งบันทึกลง elevator_state_history
+// (ใคร / เมื่อไหร่ / เพราะอะไร / ticket หรือ job ที่เกี่ยวข้อง)
+import pool from "../DB/db.js";
+
+export const ELEVATOR_STATES = [
+  "normal",
+  "fault",
+  "waiting_quotation",
+  "waiting_maintenance",
+  "in_maintenance",
+];
+
+// ปกติ: fault → waiting_quotation → waiting_maintenance → in_maintenance → normal
+export const ALLOWED_TRANSITIONS = {
+  normal: ["fault", "waiting_maintenance", "in_maintenance"],
+  fault: ["waiting_quotation", "waiting_maintenance", "in_maintenance", "normal"],
+  waiting_quotation: ["waiting_maintenance", "fault"],
+  waiting_maintenance: ["in_maintenance", "fault"],
+  in_maintenance: ["normal", "fault", "waiting_quotation"],
+};
+
+export function canTransition(from, to) {
+  return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+}
+
+async function insertHistory(conn, entry) {
+  const [result] = await conn.query(
+    `INSERT INTO elevator_state_history
+       (elevator_id, from_state, to_state, reason, ticket_id, job_id,
+        changed_by, changed_by_api_key)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.elevatorId,
+      entry.from,
+      entry.to,
+      entry.reason || null,
+      entry.ticketId || null,
+      entry.jobId || null,
+      entry.user?.id || null,
+      entry.user?.api_key_id || null,
+    ]
+  );
+  return result.insertId;
+}
+
+// บันทึกสถานะแรกตอนสร้างลิฟต์ (from_state = NULL)
+// conn = connection ของ transaction ที่สร้างลิฟต์อยู่ (ถ้ามี)
+export async function recordInitialState(user, elevatorId, state, conn = pool) {
+  return insertHistory(conn, {
+    user,
+    elevatorId,
+    from: null,
+    to: state,
+    reason: "สร้างลิฟต์",
+  });
+}
+
+// เปลี่ยนสถานะใน transaction ของผู้เรียก (ล็อกแถวลิฟต์กันสองคนเปลี่ยนพร้อมกัน) ผู้เรียก commit / rollback เอง
+// เช่น PUT /elevators/:id ที่แก้ข้อมูลลิฟต์กับสถานะพร้อมกัน
+// คืน { from, to, historyId } หรือ { error, status } ถ้าเปลี่ยนไม่ได้
+export async function applyElevatorStateChange(
+  conn,
+  { user, elevatorId, toState, reason, ticketId, jobId }
+) {
+  if (!ELEVATOR_STATES.includes(toState)) {
+    return {
+      status: 400,
+      error: `state ต้องเป็น ${ELEVATOR_STATES.join(" / ")}`,
+    };
+  }
+
+  const [rows] = await conn.query(
+    "SELECT id, state FROM elevators WHERE id = ? FOR UPDATE",
+    [elevatorId]
+  );
+  if (rows.length === 0) {
+    return { status: 404, error: "Elevator not found" };
+  }
+
+  const from = rows[0].state;
+  if (!canTransition(from, toState)) {
+    return {
+      status: 409,
+      error: `เปลี่ยนสถานะจาก ${from} เป็น ${toState} ไม่ได้`,
+      allowed: ALLOWED_TRANSITIONS[from] || [],
+    };
+  }
+
+  await conn.query("UPDATE elevators SET state = ? WHERE id = ?", [
+    toState,
+    elevatorId,
+  ]);
+  const historyId = await insertHistory(conn, {
+    user,
+    elevatorId,
+    from,
+    to: toState,
+    reason,
+    ticketId,
+    jobId,
+  });
+
+  return { from, to: toState, historyId };
+}
+
+// เปลี่ยนสถานะอย่างเดียวใน transaction ของตัวเอง
+// คืน { from, to, historyId } หรือ { error, status } ถ้าเปลี่ยนไม่ได้
+export async function changeElevatorState(change) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const result = await applyElevatorStateChange(conn, change);
+    if (result.error) await conn.rollback();
+    else await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// timeline สถานะของลิฟต์ (ใหม่สุดก่อน) พร้อมระยะเวลาที่อยู่ในแต่ละสถานะ
+export async function getStateTimeline(elevatorId, { limit = 100 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT h.id, h.from_state, h.to_state, h.reason,
+            h.ticket_id, t.title AS ticket_title,
+            h.job_id, mj.job_type,
+            h.changed_by, u.name AS changed_by_name,
+            h.changed_by_api_key, k.name AS changed_by_api_key_name,
+            h.changed_at
+     FROM elevator_state_history h
+     LEFT JOIN tickets t ON h.ticket_id = t.id
+     LEFT JOIN maintenance_jobs mj ON h.job_id = mj.id
+     LEFT JOIN users u ON h.changed_by = u.id
+     LEFT JOIN api_keys k ON h.changed_by_api_key = k.id
+     WHERE h.elevator_id = ?
+     ORDER BY h.changed_at DESC, h.id DESC
+     LIMIT ?`,
+    [elevatorId, limit]
+  );
+
+  // แถวใหม่กว่าคือจุดสิ้นสุดของสถานะในแถวถัดไป
+  let endedAt = null;
+  return rows.map((row) => {
+    const until = endedAt;
+    endedAt = row.changed_at;
+    return {
+      ...row,
+      until,
+      duration_seconds: Math.round(
+        ((until ? new Date(until) : new Date()) - new Date(row.changed_at)) / 1000
+      ),
+    };
+  });
+}
@@ -0,0 +1,302 @@
+// ---- Alert escalation + on-call ----
+// alert ที่ยังไม่มีใคร acknowledge / resolve จะถูกแจ้งต่อไล่ตามขั้นของ escalation policy
+// เช่น ช่างที่รับงานลิฟต์ตัวนั้น → หัวหน้าเวร (หลัง N นาที) → admin
+// policy / เวร on-call เลือกตามลูกค้าและภูมิภาคของอาคาร (ตรงที่สุดก่อน, ไม่ระบุ = ใช้ได้ทุกที่)
+// งานตรวจ alert ที่ถึงเวลาแจ้งรันทุกนาที (startAlertEscalation ใน server.js)
+import pool from "../DB/db.js";
+import { ALERT_SEVERITIES } from "./alertRules.js";
+import { notify } from "./notifications.js";
+
+const ESCALATION_INTERVAL_MS = 60 * 1000;
+const ESCALATION_BATCH_SIZE = 100;
+
+export const ESCALATION_TARGETS = [
+  "assigned_technician",
+  "on_call_technician",
+  "on_call_lead",
+  "admin",
+  "user",
+];
+export const ON_CALL_LEVELS = ["technician", "lead"];
+
+// ตรงกับลูกค้า + ภูมิภาค > ลูกค้า > ภูมิภาค > ทั่วไป
+const SPECIFICITY = "(customer_id IS NOT NULL) * 2 + (region IS NOT NULL)";
+
+// ---- on-call ----
+
+// ใครอยู่เวรในกะที่ครอบเวลา at (หมุนตาม position ทีละ shift_hours นับจาก starts_at)
+export function currentShift(rotation, members, at = new Date()) {
+  if (members.length === 0) return null;
+  const shiftMs = rotation.shift_hours * 3600 * 1000;
+  const elapsed = at - new Date(rotation.starts_at);
+  if (elapsed < 0) return null;
+
+  const shiftIndex = Math.floor(elapsed / shiftMs);
+  const member = members[shiftIndex % members.length];
+  const shiftStart = new Date(new Date(rotation.starts_at).getTime() + shiftIndex * shiftMs);
+  return {
+    ...member,
+    shift_started_at: shiftStart,
+    shift_ends_at: new Date(shiftStart.getTime() + shiftMs),
+  };
+}
+
+export async function fetchRotationMembers(rotationId, { activeOnly = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT m.position, m.user_id, u.name, u.email
+     FROM on_call_rotation_members m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.rotation_id = ? ${activeOnly ? "AND u.status = 'active'" : ""}
+     ORDER BY m.position`,
+    [rotationId]
+  );
+  return rows;
+}
+
+// คนที่อยู่เวรระดับ level สำหรับลูกค้า / ภูมิภาคนี้ หรือ null
+export async function findOnCall(level, { customerId, region } = {}, at = new Date()) {
+  const [rotations] = await pool.query(
+    `SELECT id, name, starts_at, shift_hours
+     FROM on_call_rotations
+     WHERE is_active = 1 AND level = ?
+       AND (customer_id IS NULL OR customer_id = ?)
+       AND (region IS NULL OR region = ?)
+     ORDER BY ${SPECIFICITY} DESC, id`,
+    [level, customerId ?? null, region ?? null]
+  );
+
+  // rotation ที่ตรงที่สุดแต่ยังไม่เริ่ม / ไม่มีคน → ใช้ตัวถัดไป
+  for (const rotation of rotations) {
+    const members = await fetchRotationMembers(rotation.id, { activeOnly: true });
+    const shift = currentShift(rotation, members, at);
+    if (shift) {
+      return { rotation_id: rotation.id, rotation_name: rotation.name, level, ...shift };
+    }
+  }
+  return null;
+}
+
+// ---- escalation ----
+
+// policy ที่เจาะจงที่สุดที่รับ severity นี้ (กรองก่อน LIMIT ไม่งั้น policy เฉพาะลูกค้าที่ตั้ง min_severity สูง
+// จะบังนโยบายกว้างกว่าที่ควรรับ alert นี้แทน)
+async function pickPolicy(alert) {
+  const severities = ALERT_SEVERITIES.slice(0, ALERT_SEVERITIES.indexOf(alert.severity) + 1);
+  if (severities.length === 0) return null;
+
+  const [rows] = await pool.query(
+    `SELECT id, min_severity
+     FROM escalation_policies
+     WHERE is_active = 1
+       AND (customer_id IS NULL OR customer_id = ?)
+       AND (region IS NULL OR region = ?)
+       AND min_severity IN (?)
+     ORDER BY ${SPECIFICITY} DESC, id
+     LIMIT 1`,
+    [alert.customer_id ?? null, alert.region ?? null, severities]
+  );
+  return rows[0] || null;
+}
+
+// user_id ที่ต้องแจ้งในขั้นนี้
+async function resolveRecipients(alert, step) {
+  const scope = { customerId: alert.customer_id, region: alert.region };
+
+  switch (step.target) {
+    case "assigned_technician": {
+      // ช่างของงานซ่อม / บำรุงรักษาที่ยังไม่ปิดของลิฟต์ตัวนี้ ไม่มีงานค้าง → ช่างเวร
+      const [rows] = await pool.query(
+        `SELECT t.user_id
+         FROM maintenance_jobs mj
+         JOIN technicians t ON mj.technician_id = t.id
+         WHERE mj.elevator_id = ? AND mj.finished_at IS NULL
+         ORDER BY mj.id DESC
+         LIMIT 1`,
+        [alert.elevator_id]
+      );
+      if (rows[0]?.user_id) return [rows[0].user_id];
+      const onCall = await findOnCall("technician", scope);
+      return onCall ? [onCall.user_id] : [];
+    }
+    case "on_call_technician":
+    case "on_call_lead": {
+      const onCall = await findOnCall(step.target === "on_call_lead" ? "lead" : "technician", scope);
+      return onCall ? [onCall.user_id] : [];
+    }
+    case "admin": {
+      const [rows] = await pool.query(
+        "SELECT id FROM users WHERE role = 'admin' AND status = 'active'"
+      );
+      return rows.map((r) => r.id);
+    }
+    case "user":
+      return step.target_user_id ? [step.target_user_id] : [];
+    default:
+      return [];
+  }
+}
+
+// แจ้งผู้รับของขั้นนี้ทาง in-app notification คืนจำนวนคนที่แจ้ง
+async function notifyStep(alert, step) {
+  const recipients = await resolveRecipients(alert, step);
+
+  const sent = await notify({
+    type: "alert_escalation",
+    template: "alert_escalation",
+    variables: {
+      severity: alert.severity,
+      elevator_name: alert.elevator_name || alert.elevator_id,
+      message: alert.message || alert.rule,
+      building_name: alert.building_name || "-",
+      step_no: step.step_no,
+    },
+    entityType: "alert",
+    entityId: alert.id,
+    recipients: { userIds: recipients },
+    critical: alert.severity === "critical",
+  });
+
+  // ไม่มีใครรับ (ไม่มีช่าง / เวรว่าง / บัญชีถูกปิด) → บันทึกไว้ว่าข้ามขั้นนี้
+  if (sent.length === 0) {
+    await pool.query(
+      `INSERT INTO alert_escalation_events (alert_id, step_no, target, user_id)
+       VALUES (?, ?, ?, NULL)`,
+      [alert.id, step.step_no, step.target]
+    );
+    return 0;
+  }
+
+  for (const { user_id, notification_id } of sent) {
+    await pool.query(
+      `INSERT INTO alert_escalation_events
+         (alert_id, step_no, target, user_id, notification_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [alert.id, step.step_no, step.target, user_id, notification_id]
+    );
+  }
+  return sent.length;
+}
+
+async function finishEscalation(alertId) {
+  await pool.query(
+    "UPDATE alerts SET escalation_done_at = NOW(), escalation_next_at = NULL WHERE id = ?",
+    [alertId]
+  );
+}
+
+// ทำขั้นที่ถึงเวลาของ alert หนึ่งตัว (ขั้นที่ไม่มีผู้รับข้ามไปขั้นถัดไปทันที)
+async function escalateAlert(alert) {
+  let policyId = alert.escalation_policy_id;
+  if (!policyId) {
+    const policy = await pickPolicy(alert);
+    if (!policy) return finishEscalation(alert.id);
+    policyId = policy.id;
+  }
+
+  const [steps] = await pool.query(
+    `SELECT step_no, delay_minutes, target, target_user_id
+     FROM escalation_policy_steps
+     WHERE policy_id = ?
+     ORDER BY step_no`,
+    [policyId]
+  );
+
+  // alert ใหม่: รอ delay ของขั้นแรกนับจากเวลาที่ alert เปิด
+  if (!alert.escalation_policy_id && steps.length > 0) {
+    const firstDueAt = new Date(
+      new Date(alert.created_at).getTime() + steps[0].delay_minutes * 60000
+    );
+    if (firstDueAt > new Date()) {
+      await pool.query(
+        "UPDATE alerts SET escalation_policy_id = ?, escalation_next_at = ? WHERE id = ?",
+        [policyId, firstDueAt, alert.id]
+      );
+      return;
+    }
+  }
+
+  let stepIndex = alert.escalation_step;
+  while (stepIndex < steps.length) {
+    const notified = await notifyStep(alert, steps[stepIndex]);
+    stepIndex += 1;
+    if (notified > 0) break;
+  }
+
+  const next = steps[stepIndex];
+  if (!next) {
+    await pool.query(
+      `UPDATE alerts
+       SET escalation_policy_id = ?, escalation_step = ?,
+           escalation_next_at = NULL, escalation_done_at = NOW()
+       WHERE id = ?`,
+      [policyId, stepIndex, alert.id]
+    );
+    return;
+  }
+
+  await pool.query(
+    `UPDATE alerts
+     SET escalation_policy_id = ?, escalation_step = ?,
+         escalation_next_at = NOW() + INTERVAL ? MINUTE
+     WHERE id = ?`,
+    [policyId, stepIndex, next.delay_minutes, alert.id]
+  );
+}
+
+// แจ้ง alert ทุกตัวที่ถึงเวลา (ยังไม่ ack / resolve) คืนจำนวน alert ที่ทำ
+export async function runDueEscalations() {
+  const [alerts] = await pool.query(
+    `SELECT a.id, a.elevator_id, a.rule, a.severity, a.message, a.created_at,
+            a.escalation_policy_id, a.escalation_step,
+            e.name AS elevator_name, b.name AS building_name,
+            b.customer_id, b.region
+     FROM alerts a
+     LEFT JOIN elevators e ON a.elevator_id = e.id
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE a.resolved_at IS NULL
+       AND a.acknowledged_at IS NULL
+       AND a.escalation_done_at IS NULL
+       AND (a.escalation_policy_id IS NULL OR a.escalation_next_at <= NOW())
+     ORDER BY a.id
+     LIMIT ?`,
+    [ESCALATION_BATCH_SIZE]
+  );
+
+  for (const alert of alerts) {
+    await escalateAlert(alert);
+  }
+  return alerts.length;
+}
+
+// ประวัติการแจ้งของ alert หนึ่งตัว
+export async function getAlertEscalationEvents(alertId) {
+  const [rows] = await pool.query(
+    `SELECT ev.id, ev.step_no, ev.target, ev.user_id, u.name AS user_name,
+            ev.notification_id, ev.created_at
+     FROM alert_escalation_events ev
+     LEFT JOIN users u ON ev.user_id = u.id
+     WHERE ev.alert_id = ?
+     ORDER BY ev.id`,
+    [alertId]
+  );
+  return rows;
+}
+
+// เรียกครั้งเดียวตอน server start → ตรวจทุกนาที (รอบก่อนยังไม่จบไม่เริ่มรอบใหม่)
+export function startAlertEscalation() {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueEscalations();
+    } catch (err) {
+      console.error("Alert escalation error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, ESCALATION_INTERVAL_MS).unref();
+}
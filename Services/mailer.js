@@ -0,0 +1,84 @@
+// ---- Mailer ----
+// ส่งอีเมลผ่าน transport ที่เลือกด้วย env MAIL_TRANSPORT
+//   console (ค่าเริ่มต้น) → พิมพ์ลง log
+//   file               → เขียนต่อท้ายไฟล์ MAIL_OUTBOX_FILE (JSON ทีละบรรทัด)
+//   smtp               → ส่งจริงผ่าน SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// ถ้าจะใช้ผู้ให้บริการอื่น ให้ registerMailTransport("ชื่อ", fn) แล้วตั้ง MAIL_TRANSPORT ตามชื่อนั้น
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+import nodemailer from "nodemailer";
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || "LiftCare <no-reply@liftcare.local>";
+const MAIL_OUTBOX_FILE = process.env.MAIL_OUTBOX_FILE || "mail-outbox.log";
+// server ที่ไม่ตอบต้องล้มเร็วกว่ารอบกู้แถวค้าง sending ของคิว (Services/notificationDelivery.js) มาก
+// ไม่งั้นแถวที่ยังส่งอยู่จะถูกส่งซ้ำ
+const SMTP_CONNECTION_TIMEOUT_MS = 10 * 1000;
+const SMTP_SOCKET_TIMEOUT_MS = 30 * 1000;
+
+const transports = {
+  console: async (message) => {
+    console.log(
+      `📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+  },
+
+  file: async (message) => {
+    const file = path.resolve(MAIL_OUTBOX_FILE);
+    await fs.appendFile(
+      file,
+      JSON.stringify({ ...message, queued_at: new Date().toISOString() }) + "\n"
+    );
+  },
+};
+
+// สร้าง connection pool ครั้งแรกที่ส่ง (ไม่ได้ใช้ smtp ก็ไม่ต้องตั้งค่า)
+let smtpTransporter = null;
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not set");
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      pool: true,
+      connectionTimeout: SMTP_CONNECTION_TIMEOUT_MS,
+      greetingTimeout: SMTP_CONNECTION_TIMEOUT_MS,
+      socketTimeout: SMTP_SOCKET_TIMEOUT_MS,
+    });
+  }
+  return smtpTransporter;
+}
+
+transports.smtp = async (message) => {
+  const info = await getSmtpTransporter().sendMail(message);
+  return info.messageId;
+};
+
+export function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+// message: { to, subject, text, html? }
+// คืน message id จาก transport (ถ้ามี เช่น smtp)
+export async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return send({ from: MAIL_FROM, ...message });
+}
+
+// ลิงก์ไปหน้า frontend (เช่นหน้า reset password) — ใช้ APP_URL ถ้ามี ไม่งั้นใช้ CORS_ORIGIN
+export function frontendUrl(pathname) {
+  let base = process.env.APP_URL || process.env.CORS_ORIGIN || "http://localhost:5173";
+  if (base === "*") base = "http://localhost:5173";
+  if (base.endsWith("/")) base = base.slice(0, -1);
+  return `${base}${pathname}`;
+}
@@ -0,0 +1,289 @@
+// ---- Notification delivery queue ----
+// notification ทุกแถวอยู่ในแอป (in_app) เสมอ แล้วต่อคิวส่งออกทางช่องทางอื่นที่เปิดใช้ (Services/channels.js)
+// หนึ่งแถวใน notification_deliveries = หนึ่งข้อความต่อหนึ่งช่องทางต่อหนึ่งผู้รับ เก็บสถานะแยกกัน
+//   queued → sending → sent
+//                    ↘ retrying (รอส่งใหม่แบบ backoff) → ... → failed (ครบ NOTIFICATION_MAX_ATTEMPTS / ปลายทางผิด)
+//   held (รอรวมเป็นสรุป ตาม digest ของผู้ใช้) → digested (อยู่ในแถวสรุป digest_id แล้ว)
+// ข้อความถูกคัดลอกลงแถวตอนเข้าคิว ลบ notification ต้นทางแล้วก็ยังส่ง / ดูประวัติได้
+// การตั้งค่าของผู้รับ (ปิดช่องทาง / quiet hours / digest) อยู่ใน Services/notificationPreferences.js
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { enabledChannels, getChannelAdapter } from "./channels.js";
+import {
+  getNotificationSettings,
+  isDigestDue,
+  markDigestSent,
+  minutesUntilQuietEnds,
+} from "./notificationPreferences.js";
+import { dateLocale, renderTemplate } from "./notificationTemplates.js";
+
+dotenv.config();
+
+export const DELIVERY_STATUSES = [
+  "queued",
+  "sending",
+  "retrying",
+  "sent",
+  "failed",
+  "held",
+  "digested",
+];
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const WORKER_INTERVAL_MS = 15 * 1000;
+const DIGEST_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+// 1, 2, 4, 8 ... นาที ไม่เกิน 1 ชั่วโมง
+const RETRY_BASE_MINUTES = 1;
+const RETRY_MAX_MINUTES = 60;
+// แถวที่ค้าง sending นานเกินนี้ (process ตายระหว่างส่ง) กลับไปรอส่งใหม่
+// adapter ทุกตัวต้อง timeout เร็วกว่านี้มาก (HTTP 15 วินาที, SMTP 30 วินาที) ไม่งั้นแถวที่ยังส่งอยู่จะถูกส่งซ้ำ
+const STALE_SENDING_MINUTES = 10;
+
+export function retryDelayMinutes(attempts) {
+  return Math.min(RETRY_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MINUTES);
+}
+
+// ต่อคิวส่งให้ notification ที่เพิ่งสร้าง
+// messages = [{ user_id, notification_id, subject, text }] จาก notify() (ข้อความตามภาษาของแต่ละคนแล้ว)
+// options.preferences = Map จาก loadRecipientPreferences, options.critical = ข้ามการตั้งค่าของผู้รับ
+// ผู้รับที่ไม่มีปลายทางของช่องทางนั้น (เช่น ไม่มีเบอร์) ข้ามไป คืน Set ของ user id ที่มีอย่างน้อยหนึ่งแถวเข้าคิว
+export async function queueDeliveries(messages, { preferences = new Map(), critical = false } = {}) {
+  const queuedUsers = new Set();
+  const channels = enabledChannels();
+  if (channels.length === 0 || messages.length === 0) return queuedUsers;
+
+  const [users] = await pool.query(
+    "SELECT id, email, phone, line_user_id FROM users WHERE id IN (?)",
+    [messages.map((m) => m.user_id)]
+  );
+  const usersById = new Map(users.map((u) => [Number(u.id), u]));
+
+  let sendNow = false;
+  for (const message of messages) {
+    const { user_id: userId, notification_id: notificationId } = message;
+    const user = usersById.get(Number(userId));
+    if (!user) continue;
+    const { settings = {}, disabled = new Set() } = preferences.get(Number(userId)) || {};
+    const held = !critical && settings.digest && settings.digest !== "instant";
+    const delayMinutes = critical || held ? 0 : minutesUntilQuietEnds(settings);
+
+    for (const channel of channels) {
+      if (!critical && disabled.has(channel)) continue;
+      const recipient = getChannelAdapter(channel).address(user);
+      if (!recipient) continue;
+
+      await pool.query(
+        `INSERT INTO notification_deliveries
+           (notification_id, user_id, channel, recipient, subject, body, status, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+        [
+          notificationId,
+          userId,
+          channel,
+          recipient,
+          String(message.subject).slice(0, 255),
+          message.text,
+          held ? "held" : "queued",
+          delayMinutes,
+        ]
+      );
+      queuedUsers.add(Number(userId));
+      if (!held && delayMinutes === 0) sendNow = true;
+    }
+  }
+
+  if (sendNow) kickDeliveryWorker();
+  return queuedUsers;
+}
+
+async function attemptDelivery(delivery) {
+  const adapter = getChannelAdapter(delivery.channel);
+  const attempts = delivery.attempts + 1;
+
+  try {
+    if (!adapter) {
+      throw Object.assign(new Error(`Unknown channel: ${delivery.channel}`), { permanent: true });
+    }
+
+    const providerMessageId = await adapter.send({
+      to: delivery.recipient,
+      subject: delivery.subject,
+      text: delivery.body || "",
+    });
+    await pool.query(
+      `UPDATE notification_deliveries
+       SET status = 'sent', attempts = ?, sent_at = NOW(), locked_at = NULL,
+           provider_message_id = ?, last_error = NULL
+       WHERE id = ?`,
+      [attempts, providerMessageId ? String(providerMessageId).slice(0, 128) : null, delivery.id]
+    );
+    return true;
+  } catch (err) {
+    const giveUp = err.permanent || attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE notification_deliveries
+       SET status = ?, attempts = ?, locked_at = NULL, last_error = ?,
+           next_attempt_at = NOW() + INTERVAL ? MINUTE
+       WHERE id = ?`,
+      [
+        giveUp ? "failed" : "retrying",
+        attempts,
+        String(err.message || err).slice(0, 500),
+        giveUp ? 0 : retryDelayMinutes(attempts),
+        delivery.id,
+      ]
+    );
+    return false;
+  }
+}
+
+// ส่งแถวที่ถึงกำหนดหนึ่งรอบ คืน { sent, failed }
+// จองแถวด้วย UPDATE ... WHERE status เดิม ก่อนส่ง (รันหลาย instance ก็ไม่ส่งซ้ำ)
+export async function processDeliveryQueue() {
+  await pool.query(
+    `UPDATE notification_deliveries
+     SET status = 'retrying', locked_at = NULL
+     WHERE status = 'sending' AND locked_at < NOW() - INTERVAL ? MINUTE`,
+    [STALE_SENDING_MINUTES]
+  );
+
+  const [due] = await pool.query(
+    `SELECT * FROM notification_deliveries
+     WHERE status IN ('queued', 'retrying') AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at, id
+     LIMIT ?`,
+    [BATCH_SIZE]
+  );
+
+  const outcome = { sent: 0, failed: 0 };
+  for (const delivery of due) {
+    const [claimed] = await pool.query(
+      `UPDATE notification_deliveries
+       SET status = 'sending', locked_at = NOW()
+       WHERE id = ? AND status IN ('queued', 'retrying')`,
+      [delivery.id]
+    );
+    if (claimed.affectedRows === 0) continue;
+
+    if (await attemptDelivery(delivery)) outcome.sent += 1;
+    else outcome.failed += 1;
+  }
+  return outcome;
+}
+
+// admin สั่งส่งใหม่ (เฉพาะแถว failed) นับจำนวนครั้งใหม่ คืน false ถ้าไม่มีแถว / ยังไม่ failed
+export async function retryDelivery(id) {
+  const [result] = await pool.query(
+    `UPDATE notification_deliveries
+     SET status = 'queued', attempts = 0, next_attempt_at = NOW()
+     WHERE id = ? AND status = 'failed'`,
+    [id]
+  );
+  if (result.affectedRows === 0) return false;
+  kickDeliveryWorker();
+  return true;
+}
+
+function formatDigestItems(rows, settings) {
+  return rows
+    .map((row) => {
+      const at = new Date(row.created_at).toLocaleString(dateLocale(settings.locale), {
+        timeZone: settings.timezone,
+        dateStyle: "short",
+        timeStyle: "short",
+      });
+      return `• ${at} ${row.subject}`;
+    })
+    .join("\n");
+}
+
+// รวมแถว held ของผู้ใช้ที่ถึงรอบสรุปเป็นข้อความเดียวต่อช่องทาง คืนจำนวนข้อความสรุปที่เข้าคิว
+export async function processDigests(now = new Date()) {
+  const [users] = await pool.query(
+    "SELECT DISTINCT user_id FROM notification_deliveries WHERE status = 'held'"
+  );
+
+  let queued = 0;
+  for (const { user_id: userId } of users) {
+    const settings = await getNotificationSettings(userId);
+    if (!isDigestDue(settings, now)) continue;
+
+    const [held] = await pool.query(
+      `SELECT id, channel, recipient, subject, created_at
+       FROM notification_deliveries
+       WHERE user_id = ? AND status = 'held'
+       ORDER BY id`,
+      [userId]
+    );
+    const byChannel = new Map();
+    for (const row of held) {
+      if (!byChannel.has(row.channel)) byChannel.set(row.channel, []);
+      byChannel.get(row.channel).push(row);
+    }
+
+    for (const [channel, rows] of byChannel) {
+      const digest = await renderTemplate("digest", settings.locale, {
+        count: rows.length,
+        items: formatDigestItems(rows, settings),
+      });
+      const [result] = await pool.query(
+        `INSERT INTO notification_deliveries
+           (notification_id, user_id, channel, recipient, subject, body, next_attempt_at)
+         VALUES (NULL, ?, ?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+        [
+          userId,
+          channel,
+          rows[rows.length - 1].recipient,
+          digest.title.slice(0, 255),
+          digest.body,
+          minutesUntilQuietEnds(settings, now),
+        ]
+      );
+      await pool.query(
+        `UPDATE notification_deliveries
+         SET status = 'digested', digest_id = ?
+         WHERE id IN (?) AND status = 'held'`,
+        [result.insertId, rows.map((r) => r.id)]
+      );
+      queued += 1;
+    }
+    await markDigestSent(userId);
+  }
+
+  if (queued > 0) kickDeliveryWorker();
+  return queued;
+}
+
+let running = false;
+async function runWorker() {
+  if (running) return;
+  running = true;
+  try {
+    const { sent, failed } = await processDeliveryQueue();
+    if (failed > 0) console.log(`📨 notification delivery: ${sent} sent, ${failed} failed`);
+  } catch (err) {
+    console.error("Notification delivery error:", err);
+  } finally {
+    running = false;
+  }
+}
+
+// ส่งทันทีหลังเข้าคิว ไม่ต้องรอรอบถัดไป
+function kickDeliveryWorker() {
+  setImmediate(runWorker);
+}
+
+async function runDigests() {
+  try {
+    await processDigests();
+  } catch (err) {
+    console.error("Notification digest error:", err);
+  }
+}
+
+// เรียกครั้งเดียวตอน server start
+export function startNotificationDelivery() {
+  runWorker();
+  setInterval(runWorker, WORKER_INTERVAL_MS).unref();
+  setInterval(runDigests, DIGEST_INTERVAL_MS).unref();
+}
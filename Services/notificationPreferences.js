@@ -0,0 +1,210 @@
+// ---- Notification preferences ----
+// ผู้ใช้แต่ละคนเลือกได้ว่า notification ชนิดไหนส่งทางช่องทางไหน (ค่าเริ่มต้น = เปิดทุกช่องทาง)
+// + ช่วงเวลางดส่ง (quiet hours ตาม timezone ของผู้ใช้) + ส่งทันที / สรุปรายชั่วโมง / สรุปรายวัน
+// + ภาษาของข้อความ (th / en ตาม Services/notificationTemplates.js)
+//   quiet hours  ข้อความนอกแอปที่เกิดช่วงนั้นรอส่งตอนหมดช่วง (ในแอปยังเห็นทันที)
+//   digest       ข้อความนอกแอปถูกพักไว้แล้วรวมเป็นข้อความเดียวต่อช่องทาง (Services/notificationDelivery.js)
+// notify({ critical: true }) ข้ามการตั้งค่าทั้งหมด (เช่น ลิฟต์ขัดข้อง / alert ระดับ critical)
+import pool from "../DB/db.js";
+import { enabledChannels } from "./channels.js";
+import { DEFAULT_LOCALE } from "./notificationTemplates.js";
+
+export const NOTIFICATION_TYPES = {
+  elevator_state: "ลิฟต์ขัดข้อง / กลับมาใช้งานได้",
+  alert_escalation: "alert ที่ยังไม่มีผู้รับทราบ (ไล่แจ้งตามขั้น)",
+  ticket_qr: "มีผู้แจ้งเสียผ่าน QR",
+  ticket_emergency: "แจ้งซ่อมเร่งด่วน (priority critical)",
+  document_expiring: "เอกสาร / ใบรับรองใกล้หมดอายุ",
+  document_expired: "เอกสาร / ใบรับรองหมดอายุแล้ว",
+  contract_renewal: "สัญญาใกล้สิ้นสุด (ต่อสัญญา)",
+};
+
+export const DIGEST_FREQUENCIES = ["instant", "hourly", "daily"];
+export const DEFAULT_TIMEZONE = "Asia/Bangkok";
+
+const DEFAULT_SETTINGS = {
+  locale: DEFAULT_LOCALE,
+  timezone: DEFAULT_TIMEZONE,
+  quiet_start: null,
+  quiet_end: null,
+  digest: "instant",
+  digest_hour: 8,
+  last_digest_at: null,
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/;
+
+// ช่องทางที่ผู้ใช้ตั้งค่าได้ = ในแอป + ช่องทางที่เปิดบน server
+export function preferenceChannels() {
+  return ["in_app", ...enabledChannels()];
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "HH:MM" หรือ "HH:MM:00" (TIME จาก MySQL) → นาทีนับจากเที่ยงคืน / null ถ้ารูปแบบผิด
+export function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(String(value ?? ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// วันที่ / นาทีของวัน ตามเวลาท้องถิ่นของ timezone
+export function localClock(timezone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// ตอนนี้อยู่ใน quiet hours ไหม (ช่วงข้ามเที่ยงคืนได้ เช่น 22:00–07:00)
+export function isQuietTime(settings, now = new Date()) {
+  const start = parseTimeOfDay(settings.quiet_start);
+  const end = parseTimeOfDay(settings.quiet_end);
+  if (start == null || end == null || start === end) return false;
+
+  const { minutes } = localClock(settings.timezone, now);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// อีกกี่นาทีถึงจะหมด quiet hours (ไม่ได้อยู่ในช่วง = 0)
+// คิดจากนาฬิกาท้องถิ่น ช่วงเปลี่ยนเวลา (DST) อาจคลาดได้ไม่เกินหนึ่งชั่วโมง
+export function minutesUntilQuietEnds(settings, now = new Date()) {
+  if (!isQuietTime(settings, now)) return 0;
+  const { minutes } = localClock(settings.timezone, now);
+  return (parseTimeOfDay(settings.quiet_end) - minutes + 1440) % 1440;
+}
+
+// ถึงเวลาส่งสรุปของผู้ใช้นี้หรือยัง (instant = ส่งที่ค้างอยู่ได้เลย เช่น เพิ่งเปลี่ยนกลับมาเป็นส่งทันที)
+export function isDigestDue(settings, now = new Date()) {
+  const last = settings.last_digest_at ? new Date(settings.last_digest_at) : null;
+
+  switch (settings.digest) {
+    case "hourly":
+      return !last || now - last >= 60 * 60 * 1000;
+    case "daily": {
+      const today = localClock(settings.timezone, now);
+      if (today.minutes < settings.digest_hour * 60) return false;
+      return !last || localClock(settings.timezone, last).date !== today.date;
+    }
+    default:
+      return true;
+  }
+}
+
+export async function getNotificationSettings(userId) {
+  const [rows] = await pool.query(
+    "SELECT * FROM notification_settings WHERE user_id = ?",
+    [userId]
+  );
+  return { ...DEFAULT_SETTINGS, ...rows[0], user_id: userId };
+}
+
+// ตั้งค่าของผู้รับหลายคนสำหรับ notification ชนิดนี้
+// คืน Map userId → { settings, disabled: Set ของช่องทางที่ปิดไว้ }
+export async function loadRecipientPreferences(userIds, type) {
+  const result = new Map(
+    userIds.map((id) => [
+      Number(id),
+      { settings: { ...DEFAULT_SETTINGS, user_id: id }, disabled: new Set() },
+    ])
+  );
+  if (userIds.length === 0) return result;
+
+  const [settings] = await pool.query(
+    "SELECT * FROM notification_settings WHERE user_id IN (?)",
+    [userIds]
+  );
+  for (const row of settings) {
+    const entry = result.get(Number(row.user_id));
+    if (entry) entry.settings = { ...DEFAULT_SETTINGS, ...row };
+  }
+
+  const [disabled] = await pool.query(
+    `SELECT user_id, channel FROM notification_preferences
+     WHERE user_id IN (?) AND notification_type = ? AND enabled = 0`,
+    [userIds, type]
+  );
+  for (const row of disabled) {
+    result.get(Number(row.user_id))?.disabled.add(row.channel);
+  }
+  return result;
+}
+
+// ตารางชนิด × ช่องทาง ของผู้ใช้ สำหรับหน้าตั้งค่า
+export async function getPreferenceMatrix(userId) {
+  const [rows] = await pool.query(
+    "SELECT notification_type, channel, enabled FROM notification_preferences WHERE user_id = ?",
+    [userId]
+  );
+  const channels = preferenceChannels();
+
+  return Object.entries(NOTIFICATION_TYPES).map(([type, label]) => ({
+    type,
+    label,
+    channels: Object.fromEntries(
+      channels.map((channel) => {
+        const row = rows.find((r) => r.notification_type === type && r.channel === channel);
+        return [channel, row ? Boolean(row.enabled) : true];
+      })
+    ),
+  }));
+}
+
+// settings = ฟิลด์ของ notification_settings ที่จะเปลี่ยน, preferences = [{ type, channel, enabled }]
+// ผ่านการตรวจจาก route มาแล้ว
+export async function saveNotificationPreferences(userId, settings, preferences = []) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    if (Object.keys(settings).length > 0) {
+      await conn.query(
+        `INSERT INTO notification_settings SET ?
+         ON DUPLICATE KEY UPDATE ?`,
+        [{ user_id: userId, ...settings }, settings]
+      );
+    }
+    for (const { type, channel, enabled } of preferences) {
+      await conn.query(
+        `INSERT INTO notification_preferences (user_id, notification_type, channel, enabled)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+        [userId, type, channel, enabled ? 1 : 0]
+      );
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function markDigestSent(userId) {
+  await pool.query(
+    `INSERT INTO notification_settings (user_id, last_digest_at) VALUES (?, NOW())
+     ON DUPLICATE KEY UPDATE last_digest_at = NOW()`,
+    [userId]
+  );
+}
@@ -0,0 +1,245 @@
+// ---- Notification templates ----
+// ข้อความ notification (title = หัวข้อ / subject อีเมล, body = เนื้อความ) แยกตาม template และภาษา
+// แทนการต่อ string ในแต่ละ route ตัวแปรเขียนเป็น {{name}} ค่าที่ไม่มี = ว่าง
+// ค่าตัวแปรเป็น Date → จัดรูปแบบวันที่ตามภาษา, เป็น object { th, en } → เลือกตามภาษาผู้รับ
+// admin แก้ข้อความได้ที่ /api/notification-templates (ตาราง notification_templates ทับค่าเริ่มต้นด้านล่าง)
+import pool from "../DB/db.js";
+
+export const NOTIFICATION_LOCALES = ["th", "en"];
+export const DEFAULT_LOCALE = "th";
+
+const DATE_LOCALES = { th: "th-TH", en: "en-GB" };
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+const CACHE_TTL_MS = 60 * 1000;
+
+// key → { description, variables: { name: ตัวอย่างค่าสำหรับ preview }, th: { title, body }, en: { title, body } }
+export const NOTIFICATION_TEMPLATES = {
+  "elevator_state.fault": {
+    description: "ลิฟต์เปลี่ยนเป็นขัดข้อง",
+    variables: { elevator_id: "E-001", elevator_name: "ลิฟต์โดยสาร 1", building_name: "อาคาร A" },
+    th: {
+      title: "สถานะลิฟต์: {{elevator_id}} เปลี่ยนเป็น Fault",
+      body: "ลิฟต์ {{elevator_name}} อาคาร {{building_name}} เปลี่ยนเป็นขัดข้อง",
+    },
+    en: {
+      title: "Elevator {{elevator_id}} is now in Fault",
+      body: "Elevator {{elevator_name}} at {{building_name}} has broken down",
+    },
+  },
+  "elevator_state.normal": {
+    description: "ลิฟต์กลับมาใช้งานได้",
+    variables: { elevator_id: "E-001", elevator_name: "ลิฟต์โดยสาร 1", building_name: "อาคาร A" },
+    th: {
+      title: "สถานะลิฟต์: {{elevator_id}} กลับสู่ปกติ",
+      body: "ลิฟต์ {{elevator_name}} อาคาร {{building_name}} กลับสู่สถานะปกติ",
+    },
+    en: {
+      title: "Elevator {{elevator_id}} is back to normal",
+      body: "Elevator {{elevator_name}} at {{building_name}} is back in service",
+    },
+  },
+  alert_escalation: {
+    description: "ไล่แจ้ง alert ที่ยังไม่มีผู้รับทราบ",
+    variables: {
+      severity: "critical",
+      elevator_name: "ลิฟต์โดยสาร 1",
+      message: "ลิฟต์ค้างระหว่างชั้น",
+      building_name: "อาคาร A",
+      step_no: 2,
+    },
+    th: {
+      title: "[{{severity}}] ลิฟต์ {{elevator_name}}: {{message}}",
+      body: "อาคาร {{building_name}} ยังไม่มีผู้รับทราบ (แจ้งขั้นที่ {{step_no}})",
+    },
+    en: {
+      title: "[{{severity}}] Elevator {{elevator_name}}: {{message}}",
+      body: "{{building_name}}: not acknowledged yet (escalation step {{step_no}})",
+    },
+  },
+  ticket_qr: {
+    description: "มีผู้แจ้งเสียผ่าน QR",
+    variables: { elevator_name: "ลิฟต์โดยสาร 1", building_name: "อาคาร A", ticket_id: "T-1760000000000" },
+    th: {
+      title: "มีผู้แจ้งเสียผ่าน QR: ลิฟต์ {{elevator_name}}",
+      body: "อาคาร {{building_name}} (ticket {{ticket_id}})",
+    },
+    en: {
+      title: "Fault reported via QR: elevator {{elevator_name}}",
+      body: "{{building_name}} (ticket {{ticket_id}})",
+    },
+  },
+  ticket_emergency: {
+    description: "แจ้งซ่อมเร่งด่วน (priority critical)",
+    variables: {
+      elevator_name: "ลิฟต์โดยสาร 1",
+      building_name: "อาคาร A",
+      description: "ลิฟต์ค้าง มีผู้โดยสารติดอยู่ด้านใน",
+      ticket_id: "T-1760000000000",
+    },
+    th: {
+      title: "แจ้งซ่อมเร่งด่วน: ลิฟต์ {{elevator_name}}",
+      body: "อาคาร {{building_name}}: {{description}} (ticket {{ticket_id}})",
+    },
+    en: {
+      title: "Emergency ticket: elevator {{elevator_name}}",
+      body: "{{building_name}}: {{description}} (ticket {{ticket_id}})",
+    },
+  },
+  document_expiring: {
+    description: "เอกสาร / ใบรับรองใกล้หมดอายุ",
+    variables: {
+      label: "ใบรับรองการตรวจสอบ",
+      target: "ลิฟต์ ลิฟต์โดยสาร 1 (อาคาร A)",
+      document_title: "ใบรับรองปี 2568",
+      expires_at: new Date("2026-01-31"),
+    },
+    th: {
+      title: "{{label}} ใกล้หมดอายุ: {{target}}",
+      body: "{{document_title}} หมดอายุวันที่ {{expires_at}}",
+    },
+    en: {
+      title: "{{label}} expiring soon: {{target}}",
+      body: "{{document_title}} expires on {{expires_at}}",
+    },
+  },
+  document_expired: {
+    description: "เอกสาร / ใบรับรองหมดอายุแล้ว",
+    variables: {
+      label: "ใบรับรองการตรวจสอบ",
+      target: "ลิฟต์ ลิฟต์โดยสาร 1 (อาคาร A)",
+      document_title: "ใบรับรองปี 2568",
+      expires_at: new Date("2026-01-31"),
+    },
+    th: {
+      title: "{{label}} หมดอายุแล้ว: {{target}}",
+      body: "{{document_title}} หมดอายุวันที่ {{expires_at}}",
+    },
+    en: {
+      title: "{{label}} has expired: {{target}}",
+      body: "{{document_title}} expired on {{expires_at}}",
+    },
+  },
+  contract_renewal: {
+    description: "สัญญาใกล้สิ้นสุด (ต่อสัญญา)",
+    variables: {
+      contract_code: "CT-2025-001",
+      customer_name: "บริษัท ตัวอย่าง จำกัด",
+      end_date: new Date("2026-12-31"),
+    },
+    th: {
+      title: "สัญญา {{contract_code}} ใกล้สิ้นสุด",
+      body: "สัญญาบำรุงรักษาของ {{customer_name}} สิ้นสุดวันที่ {{end_date}} กรุณาดำเนินการต่อสัญญา",
+    },
+    en: {
+      title: "Contract {{contract_code}} is due for renewal",
+      body: "The maintenance contract for {{customer_name}} ends on {{end_date}}. Please arrange the renewal.",
+    },
+  },
+  digest: {
+    description: "ข้อความสรุป (hourly / daily digest)",
+    variables: { count: 3, items: "• 19/10/69 08:00 มีผู้แจ้งเสียผ่าน QR: ลิฟต์โดยสาร 1" },
+    th: { title: "สรุปการแจ้งเตือน {{count}} รายการ", body: "{{items}}" },
+    en: { title: "Notification summary: {{count}} items", body: "{{items}}" },
+  },
+};
+
+export function normalizeLocale(locale) {
+  return NOTIFICATION_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+export function dateLocale(locale) {
+  return DATE_LOCALES[normalizeLocale(locale)];
+}
+
+// ชื่อตัวแปรใน text ที่ template นี้ไม่มี (ไว้ตรวจตอน admin แก้)
+export function unknownPlaceholders(key, text) {
+  // hasOwn: ชื่ออย่าง constructor / __proto__ ต้องไม่หลุดมาเป็น template หรือตัวแปรที่ "มีอยู่"
+  const known = Object.hasOwn(NOTIFICATION_TEMPLATES, key)
+    ? NOTIFICATION_TEMPLATES[key].variables
+    : {};
+  return [...String(text ?? "").matchAll(PLACEHOLDER_PATTERN)]
+    .map((m) => m[1])
+    .filter((name) => !Object.hasOwn(known, name));
+}
+
+function formatValue(value, locale) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toLocaleDateString(dateLocale(locale));
+  if (typeof value === "object") return formatValue(value[locale] ?? value[DEFAULT_LOCALE], locale);
+  return String(value);
+}
+
+export function interpolate(text, variables, locale) {
+  return String(text ?? "").replace(PLACEHOLDER_PATTERN, (_, name) =>
+    formatValue(variables[name], locale)
+  );
+}
+
+// ---- ข้อความที่ admin แก้ (cache ไว้ ไม่ต้อง query ทุก notification) ----
+let overrides = null; // Map "key:locale" → { title, body, updated_by, updated_at }
+let loadedAt = 0;
+
+export function invalidateTemplateCache() {
+  overrides = null;
+}
+
+async function loadOverrides() {
+  if (overrides && Date.now() - loadedAt < CACHE_TTL_MS) return overrides;
+
+  const [rows] = await pool.query(
+    "SELECT template_key, locale, title, body, updated_by, updated_at FROM notification_templates"
+  );
+  overrides = new Map(rows.map((r) => [`${r.template_key}:${r.locale}`, r]));
+  loadedAt = Date.now();
+  return overrides;
+}
+
+// ข้อความที่ใช้จริงของ template + ภาษา (ที่ admin แก้ ถ้ามี ไม่งั้นค่าเริ่มต้น)
+export async function getTemplate(key, locale) {
+  if (!Object.hasOwn(NOTIFICATION_TEMPLATES, key)) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+  const template = NOTIFICATION_TEMPLATES[key];
+
+  const lang = normalizeLocale(locale);
+  const custom = (await loadOverrides()).get(`${key}:${lang}`);
+  return custom
+    ? { title: custom.title, body: custom.body, customized: true }
+    : { ...template[lang], customized: false };
+}
+
+// คืน { title, body } ที่แทนค่าตัวแปรแล้ว
+export async function renderTemplate(key, locale, variables = {}) {
+  const lang = normalizeLocale(locale);
+  const { title, body } = await getTemplate(key, lang);
+  return {
+    title: interpolate(title, variables, lang),
+    body: interpolate(body, variables, lang),
+  };
+}
+
+// ทุก template × ภาษา สำหรับหน้า admin
+export async function listTemplates() {
+  const custom = await loadOverrides();
+  return Object.entries(NOTIFICATION_TEMPLATES).map(([key, template]) => ({
+    key,
+    description: template.description,
+    variables: Object.keys(template.variables),
+    locales: Object.fromEntries(
+      NOTIFICATION_LOCALES.map((locale) => {
+        const row = custom.get(`${key}:${locale}`);
+        return [
+          locale,
+          {
+            title: row ? row.title : template[locale].title,
+            body: row ? row.body : template[locale].body,
+            customized: Boolean(row),
+            updated_by: row?.updated_by ?? null,
+            updated_at: row?.updated_at ?? null,
+            default: template[locale],
+          },
+        ];
+      })
+    ),
+  }));
+}
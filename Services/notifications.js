@@ -0,0 +1,221 @@
+// ---- Notifications ----
+// จุดเดียวที่สร้าง notification ในแอป ใช้ได้จากทุก route / service
+// ผู้รับหาจาก "ความสัมพันธ์" กับลิฟต์ / อาคาร / ลูกค้า / งาน แทนการส่งให้คนที่กดเท่านั้น
+//   admins               ผู้ใช้ role admin
+//   managers             ผู้ใช้ role manager
+//   customer_users       ผู้ใช้ของลูกค้าเจ้าของอาคาร (users.customer_id)
+//   assigned_technicians ช่างของงานที่ยังไม่ปิดของลิฟต์ตัวนั้น (หรือช่างของ jobId)
+// ทุกแถวอ้างถึงข้อมูลต้นทางด้วย entity_type / entity_id (ไม่ต้องเดาจาก title)
+// ข้อความมาจาก template ตามภาษาที่ผู้รับเลือก (Services/notificationTemplates.js)
+// แต่ละแถวถูก push ให้ผู้รับแบบ real-time ด้วย (event "notification" ใน Services/realtime.js)
+// และต่อคิวส่งทางอีเมล / SMS / LINE ตาม NOTIFICATION_CHANNELS (Services/notificationDelivery.js)
+import pool from "../DB/db.js";
+import { publishEvent } from "./realtime.js";
+import { queueDeliveries } from "./notificationDelivery.js";
+import { loadRecipientPreferences } from "./notificationPreferences.js";
+import { normalizeLocale, renderTemplate } from "./notificationTemplates.js";
+
+export const RECIPIENT_RELATIONS = [
+  "admins",
+  "managers",
+  "customer_users",
+  "assigned_technicians",
+];
+
+const ROLE_RELATIONS = { admins: "admin", managers: "manager" };
+
+// หา customer_id จากลิฟต์ / อาคาร (ถ้าไม่ได้ส่งมาตรงๆ)
+async function resolveCustomerId({ customerId, buildingId, elevatorId, jobId }) {
+  if (customerId) return customerId;
+
+  let rows = [];
+  if (buildingId) {
+    [rows] = await pool.query("SELECT customer_id FROM buildings WHERE id = ?", [buildingId]);
+  } else if (elevatorId) {
+    [rows] = await pool.query(
+      `SELECT b.customer_id
+       FROM elevators e
+       JOIN buildings b ON e.building_id = b.id
+       WHERE e.id = ?`,
+      [elevatorId]
+    );
+  } else if (jobId) {
+    [rows] = await pool.query(
+      `SELECT b.customer_id
+       FROM maintenance_jobs mj
+       JOIN elevators e ON mj.elevator_id = e.id
+       JOIN buildings b ON e.building_id = b.id
+       WHERE mj.id = ?`,
+      [jobId]
+    );
+  }
+  return rows[0]?.customer_id ?? null;
+}
+
+async function assignedTechnicianIds({ elevatorId, jobId }) {
+  if (jobId) {
+    const [rows] = await pool.query(
+      `SELECT t.user_id
+       FROM maintenance_jobs mj
+       JOIN technicians t ON mj.technician_id = t.id
+       WHERE mj.id = ?`,
+      [jobId]
+    );
+    return rows.map((r) => r.user_id);
+  }
+  if (!elevatorId) return [];
+
+  const [rows] = await pool.query(
+    `SELECT DISTINCT t.user_id
+     FROM maintenance_jobs mj
+     JOIN technicians t ON mj.technician_id = t.id
+     WHERE mj.elevator_id = ? AND mj.finished_at IS NULL`,
+    [elevatorId]
+  );
+  return rows.map((r) => r.user_id);
+}
+
+// คืน user id (ไม่ซ้ำ เฉพาะบัญชี active) ตาม spec
+// spec: { relations: [...RECIPIENT_RELATIONS], elevatorId, buildingId, customerId, jobId,
+//         userIds: [..] เพิ่มคนเฉพาะเจาะจง, excludeUserIds: [..] }
+export async function resolveRecipients(spec = {}) {
+  const { relations = [], userIds = [], excludeUserIds = [] } = spec;
+  const ids = [...userIds];
+
+  const roles = relations.map((r) => ROLE_RELATIONS[r]).filter(Boolean);
+  if (roles.length > 0) {
+    const [rows] = await pool.query("SELECT id FROM users WHERE role IN (?)", [roles]);
+    ids.push(...rows.map((r) => r.id));
+  }
+
+  if (relations.includes("customer_users")) {
+    const customerId = await resolveCustomerId(spec);
+    if (customerId) {
+      const [rows] = await pool.query("SELECT id FROM users WHERE customer_id = ?", [customerId]);
+      ids.push(...rows.map((r) => r.id));
+    }
+  }
+
+  if (relations.includes("assigned_technicians")) {
+    ids.push(...(await assignedTechnicianIds(spec)));
+  }
+
+  const excluded = new Set(excludeUserIds.map(Number));
+  const unique = [...new Set(ids.filter(Boolean).map(Number))].filter((id) => !excluded.has(id));
+  if (unique.length === 0) return [];
+
+  const [active] = await pool.query(
+    "SELECT id FROM users WHERE id IN (?) AND status = 'active'",
+    [unique]
+  );
+  return active.map((r) => r.id);
+}
+
+// สร้าง notification ให้ผู้รับทุกคน ตามการตั้งค่าของแต่ละคน (Services/notificationPreferences.js)
+// options: { type, template + variables: ข้อความจาก Services/notificationTemplates.js ตามภาษาของผู้รับ
+//              (หรือ title / body ตรงๆ ภาษาเดียวทุกคน),
+//            entityType, entityId, recipients: spec ของ resolveRecipients,
+//            replace: true = ลบ notification เดิมชนิดเดียวกันของ entity เดียวกันก่อน (เหลือฉบับล่าสุดฉบับเดียว),
+//            critical: true = ส่งทุกช่องทางทันที ไม่สนการปิดแจ้งเตือน / quiet hours / digest ของผู้รับ }
+// คืน [{ user_id, notification_id }] เฉพาะคนที่ได้รับทางใดทางหนึ่ง
+// (notification_id = null ถ้าผู้รับปิดการแจ้งในแอปของชนิดนี้ไว้ แต่ยังรับทางช่องทางอื่น)
+export async function notify({
+  type,
+  template = null,
+  variables = {},
+  title = null,
+  body = null,
+  entityType = null,
+  entityId = null,
+  recipients,
+  replace = false,
+  critical = false,
+}) {
+  const userIds = await resolveRecipients(recipients);
+  if (userIds.length === 0) return [];
+
+  if (replace && entityType && entityId != null) {
+    await pool.query(
+      `DELETE FROM notifications
+       WHERE type = ? AND entity_type = ? AND entity_id = ? AND user_id IN (?)`,
+      [type, entityType, String(entityId), userIds]
+    );
+  }
+
+  const preferences = await loadRecipientPreferences(userIds, type);
+
+  // render ครั้งเดียวต่อภาษา
+  const rendered = new Map();
+  async function messageFor(userId) {
+    if (!template) return { title, body };
+    const locale = normalizeLocale(preferences.get(Number(userId))?.settings.locale);
+    if (!rendered.has(locale)) {
+      rendered.set(locale, await renderTemplate(template, locale, variables));
+    }
+    return rendered.get(locale);
+  }
+
+  // ทีละแถวเพื่อได้ id ของแต่ละคน (บาง caller ต้องเก็บอ้างอิง เช่น escalation)
+  const messages = [];
+  for (const userId of userIds) {
+    const message = await messageFor(userId);
+    if (!critical && preferences.get(Number(userId))?.disabled.has("in_app")) {
+      messages.push({ user_id: userId, notification_id: null, subject: message.title, text: message.body });
+      continue;
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO notifications (user_id, type, channel, title, body, entity_type, entity_id)
+       VALUES (?, ?, 'in_app', ?, ?, ?, ?)`,
+      [
+        userId,
+        type,
+        message.title,
+        message.body,
+        entityType,
+        entityId != null ? String(entityId) : null,
+      ]
+    );
+    messages.push({
+      user_id: userId,
+      notification_id: result.insertId,
+      subject: message.title,
+      text: message.body,
+    });
+    await publishEvent({
+      type: "notification",
+      userId,
+      payload: {
+        id: result.insertId,
+        type,
+        title: message.title,
+        body: message.body,
+        entity_type: entityType,
+        entity_id: entityId != null ? String(entityId) : null,
+      },
+    });
+  }
+
+  // ส่งช่องทางอื่นไม่ได้ไม่ทำให้ notification ในแอปล้มตาม
+  let queued = new Set();
+  try {
+    queued = await queueDeliveries(messages, { preferences, critical });
+  } catch (err) {
+    console.error("Queue notification deliveries error:", err);
+  }
+  return messages
+    .filter((m) => m.notification_id != null || queued.has(Number(m.user_id)))
+    .map(({ user_id, notification_id }) => ({ user_id, notification_id }));
+}
+
+// ลบ notification ของ entity (เช่น ลบลิฟต์ / เอกสารแล้ว) type = null → ทุกชนิด
+export async function clearNotifications(entityType, entityId, type = null) {
+  const params = [entityType, String(entityId)];
+  let sql = "DELETE FROM notifications WHERE entity_type = ? AND entity_id = ?";
+  if (type) {
+    sql += " AND type = ?";
+    params.push(type);
+  }
+  const [result] = await pool.query(sql, params);
+  return result.affectedRows;
+}
@@ -0,0 +1,94 @@
+// ---- QR fault reporting ----
+// ลิฟต์แต่ละตัวมี QR ที่ลิงก์ไปหน้าแจ้งเสียของ frontend: APP_URL/report/<token>
+// token = base64url(elevator_id).qr_version.HMAC → แก้ id / version เองไม่ได้
+// เพิ่ม elevators.qr_version (rotate) = ป้ายเก่าทั้งหมดใช้ไม่ได้ทันที
+// ฟอร์มแจ้งเสียไม่ต้อง login จึงกันบอทด้วย challenge โจทย์บวกเลขที่เซ็นไว้ (ใช้ได้ครั้งเดียว ดู consumeChallenge)
+// + ช่อง honeypot + เวลาขั้นต่ำก่อนส่ง (ดู Routes/QrReports.js สำหรับ rate limit)
+import crypto from "crypto";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { frontendUrl } from "./mailer.js";
+
+dotenv.config();
+
+const QR_SECRET =
+  process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET || "dev-secret";
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+// ส่งฟอร์มเร็วกว่านี้หลังได้โจทย์ = น่าจะเป็นบอท
+const CHALLENGE_MIN_AGE_MS = 3 * 1000;
+
+function sign(value) {
+  return crypto.createHmac("sha256", QR_SECRET).update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function createQrToken(elevatorId, version) {
+  const payload = `${Buffer.from(String(elevatorId)).toString("base64url")}.${version}`;
+  return `${payload}.${sign(`qr:${payload}`).slice(0, 22)}`;
+}
+
+// คืน { elevatorId, version } หรือ null ถ้า token ถูกแก้ / รูปแบบผิด
+// (ยังต้องเทียบ version กับ elevators.qr_version เอง)
+export function verifyQrToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [encodedId, version, signature] = parts;
+  const expected = sign(`qr:${encodedId}.${version}`).slice(0, 22);
+  if (!safeEqual(signature, expected)) return null;
+
+  return {
+    elevatorId: Buffer.from(encodedId, "base64url").toString(),
+    version: Number(version),
+  };
+}
+
+export function qrReportUrl(elevatorId, version) {
+  return frontendUrl(`/report/${createQrToken(elevatorId, version)}`);
+}
+
+// โจทย์บวกเลข + token ที่เซ็นคำตอบและเวลาที่ออกโจทย์ไว้ (ผูกกับ QR token ตัวเดียว)
+export function createChallenge(qrToken) {
+  const a = crypto.randomInt(1, 10);
+  const b = crypto.randomInt(1, 10);
+  const issuedAt = Date.now();
+  const nonce = crypto.randomBytes(8).toString("base64url");
+  const payload = `${issuedAt}.${nonce}`;
+
+  return {
+    question: `${a} + ${b} = ?`,
+    challenge_token: `${payload}.${sign(`challenge:${qrToken}:${payload}:${a + b}`)}`,
+  };
+}
+
+// คืนข้อความ error หรือ null ถ้าตอบถูก
+export function verifyChallenge(qrToken, challengeToken, answer) {
+  const parts = String(challengeToken || "").split(".");
+  if (parts.length !== 3) return "challenge ไม่ถูกต้อง";
+
+  const [issuedAt, nonce, signature] = parts;
+  const age = Date.now() - Number(issuedAt);
+  if (!(age >= 0) || age > CHALLENGE_TTL_MS) return "challenge หมดอายุ กรุณาโหลดหน้าใหม่";
+
+  const expected = sign(`challenge:${qrToken}:${issuedAt}.${nonce}:${Number(answer)}`);
+  if (!safeEqual(signature, expected)) return "คำตอบไม่ถูกต้อง";
+  if (age < CHALLENGE_MIN_AGE_MS) return "ส่งเร็วเกินไป กรุณาลองใหม่";
+  return null;
+}
+
+// บันทึกว่า challenge (ที่ verifyChallenge ผ่านแล้ว) ถูกใช้ไปแล้ว คืน false ถ้าเคยใช้ (ส่งซ้ำด้วยคำตอบเดิม)
+export async function consumeChallenge(challengeToken) {
+  const [issuedAt, nonce] = String(challengeToken).split(".");
+
+  await pool.query("DELETE FROM qr_challenge_nonces WHERE expires_at < NOW()");
+  const [result] = await pool.query(
+    "INSERT IGNORE INTO qr_challenge_nonces (nonce, expires_at) VALUES (?, ?)",
+    [nonce, new Date(Number(issuedAt) + CHALLENGE_TTL_MS)]
+  );
+  return result.affectedRows > 0;
+}
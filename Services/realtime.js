@@ -0,0 +1,124 @@
+// ---- Real-time events (Server-Sent Events) ----
+// ทุก event ถูกเก็บลง realtime_events ก่อน แล้วค่อยกระจายให้ connection ที่เปิดอยู่ใน process นี้
+// id ของแถว = id ของ event ใน SSE → client ที่หลุดส่ง Last-Event-ID กลับมาเพื่อรับส่วนที่พลาดไปได้
+// event แต่ละตัวระบุผู้รับได้สองแบบ
+//   user_id                          ส่งให้คนนั้นคนเดียว (เช่น notification)
+//   permission + customer/elevator   ทุกคนที่มีสิทธิ์และเห็นลิฟต์ / ลูกค้านั้นตาม scope เดียวกับ REST
+// หมายเหตุ: กระจายสดเฉพาะใน process เดียว ถ้ารันหลาย instance ต้องเปลี่ยน bus เป็นตัวกลาง (เช่น Redis pub/sub)
+import { EventEmitter } from "events";
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { canSeeRow } from "../Auth/scope.js";
+
+dotenv.config();
+
+const EVENT_RETENTION_HOURS = Number(process.env.REALTIME_EVENT_RETENTION_HOURS) || 24;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// ส่งย้อนหลังตอน resume ได้สูงสุดเท่านี้ (หลุดนานกว่านั้นให้ client โหลดหน้าใหม่)
+export const MAX_REPLAY_EVENTS = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function toEvent(row) {
+  return {
+    id: Number(row.id),
+    type: row.event_type,
+    user_id: row.user_id,
+    customer_id: row.customer_id,
+    elevator_id: row.elevator_id,
+    permission: row.permission,
+    payload: typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload,
+    created_at: row.created_at,
+  };
+}
+
+// บันทึก + กระจาย event (ล้มเหลวแค่ log ไม่ทำให้ request / job ที่เรียกล้ม)
+// options: { type, payload, userId, customerId, elevatorId, permission }
+export async function publishEvent({
+  type,
+  payload,
+  userId = null,
+  customerId = null,
+  elevatorId = null,
+  permission = null,
+}) {
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO realtime_events
+         (event_type, user_id, customer_id, elevator_id, permission, payload)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        type,
+        userId,
+        customerId,
+        elevatorId != null ? String(elevatorId) : null,
+        permission,
+        JSON.stringify(payload ?? {}),
+      ]
+    );
+    const event = {
+      id: result.insertId,
+      type,
+      user_id: userId,
+      customer_id: customerId,
+      elevator_id: elevatorId != null ? String(elevatorId) : null,
+      permission,
+      payload,
+      created_at: new Date(),
+    };
+    bus.emit("event", event);
+    return event;
+  } catch (err) {
+    console.error("Publish realtime event error:", err);
+    return null;
+  }
+}
+
+// ผู้ใช้คนนี้ (permissions = Set ของสิทธิ์) ควรได้ event นี้ไหม
+export function canReceive(user, permissions, event) {
+  if (event.user_id != null) return Number(event.user_id) === Number(user.id);
+  if (event.permission && !permissions.has(event.permission)) return false;
+  return canSeeRow(user, event);
+}
+
+// event หลัง lastId (เรียงตาม id) สำหรับ resume
+export async function fetchEventsSince(lastId, limit = MAX_REPLAY_EVENTS) {
+  const [rows] = await pool.query(
+    `SELECT * FROM realtime_events
+     WHERE id > ? AND created_at >= NOW() - INTERVAL ? HOUR
+     ORDER BY id
+     LIMIT ?`,
+    [lastId, EVENT_RETENTION_HOURS, limit]
+  );
+  return rows.map(toEvent);
+}
+
+// id ของ event ล่าสุด (0 ถ้ายังไม่มี) ใช้เป็นจุดเริ่มรับต่อหลัง resync
+export async function fetchLatestEventId() {
+  const [[row]] = await pool.query("SELECT MAX(id) AS id FROM realtime_events");
+  return Number(row.id) || 0;
+}
+
+// คืนฟังก์ชันยกเลิก
+export function subscribe(listener) {
+  bus.on("event", listener);
+  return () => bus.off("event", listener);
+}
+
+export async function purgeExpiredEvents() {
+  const [result] = await pool.query(
+    "DELETE FROM realtime_events WHERE created_at < NOW() - INTERVAL ? HOUR",
+    [EVENT_RETENTION_HOURS]
+  );
+  return result.affectedRows;
+}
+
+// เรียกครั้งเดียวตอน server start
+export function startRealtimeMaintenance() {
+  const run = () =>
+    purgeExpiredEvents().catch((err) => console.error("Realtime purge error:", err));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
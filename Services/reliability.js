@@ -0,0 +1,232 @@
+// ---- Reliability metrics ----
+// คำนวณจาก elevator_state_history (ช่วงเวลาที่อยู่ในแต่ละสถานะ) + tickets + maintenance_jobs
+//   up       = normal
+//   planned  = in_maintenance ที่ผูกกับงาน planned (ไม่นับเป็น downtime)
+//   down     = สถานะอื่นทั้งหมด (fault / waiting_* / in_maintenance ที่ไม่ใช่งานตามแผน)
+// uptime %  = up / (เวลาที่มีข้อมูล - planned)
+// failure   = เปลี่ยนจาก up / planned ไป down, repair = จาก down กลับเป็น normal
+// MTBF      = เวลา up / จำนวน failure, MTTR = เวลาเฉลี่ยของช่วง down ที่ซ่อมเสร็จในช่วงที่ขอ
+// failure นับตามเวลาที่เริ่มเสีย repair นับตามเวลาที่ซ่อมเสร็จ (ต้องอยู่ใน from–to ทั้งคู่)
+// repair ใช้ระยะเวลาเต็มของช่วงที่เสีย แม้เริ่มเสียก่อน from (ไม่งั้น MTTR ต่ำกว่าจริง)
+// เวลา up / down / planned นับเฉพาะภายในช่วง from–to (ช่วงที่เริ่มก่อน from ถูกตัดที่ from)
+import pool from "../DB/db.js";
+
+export const RELIABILITY_GROUPS = ["elevator", "building", "customer"];
+
+function classify(row) {
+  if (row.to_state === "normal") return "up";
+  if (row.to_state === "in_maintenance" && row.job_type === "planned") return "planned";
+  return "down";
+}
+
+function emptyTotals() {
+  return {
+    observed_seconds: 0,
+    up_seconds: 0,
+    down_seconds: 0,
+    planned_seconds: 0,
+    failures: 0,
+    repairs: 0,
+    repair_seconds: 0,
+    tickets: 0,
+    emergency_jobs: 0,
+    emergency_job_seconds: 0,
+    planned_jobs: 0,
+  };
+}
+
+// แปลงผลรวมเป็นตัวเลขที่แสดงในรายงาน
+function finalize(totals) {
+  const available = totals.observed_seconds - totals.planned_seconds;
+  const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+  return {
+    ...totals,
+    uptime_percent: available > 0 ? round((totals.up_seconds / available) * 100, 3) : null,
+    mtbf_hours: totals.failures > 0 ? round(totals.up_seconds / totals.failures / 3600) : null,
+    mttr_hours: totals.repairs > 0 ? round(totals.repair_seconds / totals.repairs / 3600) : null,
+    mean_emergency_job_hours:
+      totals.emergency_jobs > 0
+        ? round(totals.emergency_job_seconds / totals.emergency_jobs / 3600)
+        : null,
+  };
+}
+
+function addTotals(target, source) {
+  for (const key of Object.keys(target)) target[key] += source[key];
+  return target;
+}
+
+// เดินตามประวัติสถานะของลิฟต์หนึ่งตัว (เรียงเก่า → ใหม่)
+// แถวแรกๆ อาจอยู่ก่อน from: ตั้งแต่ครั้งล่าสุดที่เป็น normal ก่อน from เพื่อให้รู้ว่าช่วงที่เสียอยู่เริ่มเมื่อไหร่
+function measureHistory(rows, from, to) {
+  const totals = emptyTotals();
+  let downSince = null;
+
+  rows.forEach((row, i) => {
+    const changedAt = new Date(row.changed_at).getTime();
+    const start = Math.max(changedAt, from.getTime());
+    const nextChange = rows[i + 1] ? new Date(rows[i + 1].changed_at).getTime() : to.getTime();
+    const end = Math.min(nextChange, to.getTime());
+    const kind = classify(row);
+    const inPeriod = changedAt >= from.getTime();
+
+    // งานตามแผนระหว่างที่เสียอยู่ไม่ตัดช่วงซ่อม (นับจนกลับเป็น normal)
+    if (kind === "down" && downSince === null) {
+      downSince = changedAt;
+      if (inPeriod && i > 0) totals.failures += 1;
+    }
+    if (kind === "up" && downSince !== null) {
+      if (inPeriod) {
+        totals.repairs += 1;
+        totals.repair_seconds += (changedAt - downSince) / 1000;
+      }
+      downSince = null;
+    }
+
+    if (end <= start) return;
+    const seconds = (end - start) / 1000;
+    totals.observed_seconds += seconds;
+    totals[`${kind}_seconds`] += seconds;
+  });
+
+  return totals;
+}
+
+// ลิฟต์ที่อยู่ใน report (กรองตาม scope ที่ route ส่งมาแล้ว)
+async function fetchElevators(filters, scope) {
+  const where = [];
+  const params = [];
+  if (filters.customer_id) {
+    where.push("b.customer_id = ?");
+    params.push(filters.customer_id);
+  }
+  if (filters.building_id) {
+    where.push("e.building_id = ?");
+    params.push(filters.building_id);
+  }
+  if (filters.elevator_id) {
+    where.push("e.id = ?");
+    params.push(filters.elevator_id);
+  }
+  if (scope.sql) {
+    where.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT e.id AS elevator_id, e.name AS elevator_name,
+            b.id AS building_id, b.name AS building_name,
+            c.id AS customer_id, c.name AS customer_name
+     FROM elevators e
+     LEFT JOIN buildings b ON e.building_id = b.id
+     LEFT JOIN customers c ON b.customer_id = c.id
+     ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY e.id`,
+    params
+  );
+  return rows;
+}
+
+// scope = rowScope(user, { customer: "b.customer_id", elevator: "e.id" })
+export async function getReliabilityReport({ from, to, groupBy, filters = {}, scope }) {
+  // ไม่นับอนาคต
+  const until = new Date(Math.min(to.getTime(), Date.now()));
+  const elevators = await fetchElevators(filters, scope);
+  const perElevator = new Map(elevators.map((e) => [String(e.elevator_id), emptyTotals()]));
+  const ids = elevators.map((e) => e.elevator_id);
+
+  if (ids.length > 0 && until > from) {
+    // ตั้งแต่ครั้งล่าสุดที่เป็น normal ก่อน from (ไม่เคย normal = ทั้งหมด) + ทุกแถวในช่วง
+    // ได้ทั้งสถานะตอนเริ่มช่วง และเวลาที่ช่วงที่เสียอยู่ตอน from เริ่มต้นจริง
+    const [history] = await pool.query(
+      `SELECT h.elevator_id, h.to_state, h.changed_at, mj.job_type
+       FROM elevator_state_history h
+       LEFT JOIN maintenance_jobs mj ON h.job_id = mj.id
+       WHERE h.elevator_id IN (?)
+         AND h.changed_at < ?
+         AND h.changed_at >= COALESCE(
+           (SELECT MAX(h2.changed_at) FROM elevator_state_history h2
+            WHERE h2.elevator_id = h.elevator_id AND h2.changed_at <= ? AND h2.to_state = 'normal'),
+           (SELECT MIN(h3.changed_at) FROM elevator_state_history h3
+            WHERE h3.elevator_id = h.elevator_id))
+       ORDER BY h.elevator_id, h.changed_at, h.id`,
+      [ids, until, from]
+    );
+
+    const byElevator = new Map();
+    for (const row of history) {
+      const key = String(row.elevator_id);
+      if (!byElevator.has(key)) byElevator.set(key, []);
+      byElevator.get(key).push(row);
+    }
+    for (const [key, rows] of byElevator) {
+      addTotals(perElevator.get(key), measureHistory(rows, from, until));
+    }
+
+    const [tickets] = await pool.query(
+      `SELECT elevator_id, COUNT(*) AS count
+       FROM tickets
+       WHERE elevator_id IN (?) AND created_at >= ? AND created_at < ?
+       GROUP BY elevator_id`,
+      [ids, from, until]
+    );
+    for (const row of tickets) {
+      perElevator.get(String(row.elevator_id)).tickets += Number(row.count);
+    }
+
+    const [jobs] = await pool.query(
+      `SELECT elevator_id,
+              SUM(job_type = 'emergency') AS emergency_jobs,
+              SUM(CASE WHEN job_type = 'emergency' AND started_at IS NOT NULL
+                       THEN TIMESTAMPDIFF(SECOND, started_at, finished_at) ELSE 0 END)
+                AS emergency_job_seconds,
+              SUM(job_type = 'planned') AS planned_jobs
+       FROM maintenance_jobs
+       WHERE elevator_id IN (?) AND finished_at >= ? AND finished_at < ?
+       GROUP BY elevator_id`,
+      [ids, from, until]
+    );
+    for (const row of jobs) {
+      const totals = perElevator.get(String(row.elevator_id));
+      totals.emergency_jobs += Number(row.emergency_jobs || 0);
+      totals.emergency_job_seconds += Number(row.emergency_job_seconds || 0);
+      totals.planned_jobs += Number(row.planned_jobs || 0);
+    }
+  }
+
+  const groups = new Map();
+  for (const elevator of elevators) {
+    const key = String(elevator[`${groupBy}_id`]);
+    if (!groups.has(key)) {
+      const info = { [`${groupBy}_id`]: elevator[`${groupBy}_id`] };
+      info[`${groupBy}_name`] = elevator[`${groupBy}_name`];
+      if (groupBy !== "customer") {
+        info.customer_id = elevator.customer_id;
+        info.customer_name = elevator.customer_name;
+      }
+      if (groupBy === "elevator") {
+        info.building_id = elevator.building_id;
+        info.building_name = elevator.building_name;
+      }
+      groups.set(key, { info, elevators: 0, totals: emptyTotals() });
+    }
+    const group = groups.get(key);
+    group.elevators += 1;
+    addTotals(group.totals, perElevator.get(String(elevator.elevator_id)));
+  }
+
+  const overall = emptyTotals();
+  const items = [...groups.values()].map((group) => {
+    addTotals(overall, group.totals);
+    return { ...group.info, elevators: group.elevators, ...finalize(group.totals) };
+  });
+
+  return {
+    from,
+    to: until,
+    group_by: groupBy,
+    totals: { elevators: elevators.length, ...finalize(overall) },
+    items,
+  };
+}
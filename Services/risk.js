@@ -0,0 +1,269 @@
+// ---- Predictive maintenance risk score ----
+// คะแนน 0–100 ต่อลิฟต์ (ยิ่งสูงยิ่งควรดึงงานบำรุงรักษาเข้ามาเร็วขึ้น) รวมจาก 5 ปัจจัย
+// แต่ละปัจจัยแปลงเป็น 0–1 แล้วคูณน้ำหนักใน RISK_WEIGHTS (รวม 100)
+//   age          อายุลิฟต์จาก install_year              (0 ปี → 0, ≥ 25 ปี → 1)
+//   maintenance  วันนับจาก last_maintenance_at          (≤ 30 วัน → 0, ≥ 180 วัน → 1, เลย next_maintenance_at ≥ 0.8)
+//   faults       ticket + การเข้า fault ใน 90 วัน       (≥ 5 ครั้ง → 1)
+//   parts        งานที่มีค่าอะไหล่ใน 365 วัน              (≥ 6 งาน → 1)
+//   telemetry    alert จาก telemetry ใน 30 วัน (critical = 3, อื่นๆ = 1 แต้ม, ≥ 10 แต้ม → 1)
+// RISK_AUTO_JOB_THRESHOLD > 0 → ทุกวันสร้างงาน planned ที่แนะนำให้ลิฟต์ที่คะแนนถึงเกณฑ์ (ถ้ายังไม่มีงานค้าง)
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+
+dotenv.config();
+
+export const RISK_AUTO_JOB_THRESHOLD = Number(process.env.RISK_AUTO_JOB_THRESHOLD) || 0;
+const AUTO_JOB_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const RISK_WEIGHTS = {
+  age: 15,
+  maintenance: 25,
+  faults: 25,
+  parts: 10,
+  telemetry: 25,
+};
+
+const FAULT_LOOKBACK_DAYS = 90;
+const PARTS_LOOKBACK_DAYS = 365;
+const TELEMETRY_LOOKBACK_DAYS = 30;
+
+export const RISK_LEVELS = [
+  { level: "high", min: 70 },
+  { level: "medium", min: 40 },
+  { level: "low", min: 0 },
+];
+
+// 0 ที่ low, 1 ที่ high, เส้นตรงระหว่างนั้น
+function scale(value, low, high) {
+  if (value <= low) return 0;
+  if (value >= high) return 1;
+  return (value - low) / (high - low);
+}
+
+function ageFactor(elevator, now) {
+  if (!elevator.install_year) {
+    return { value: null, normalized: 0.5, detail: "ไม่ทราบปีที่ติดตั้ง" };
+  }
+  const years = now.getFullYear() - Number(elevator.install_year);
+  return { value: years, normalized: scale(years, 0, 25), detail: `อายุ ${years} ปี` };
+}
+
+function maintenanceFactor(elevator, now) {
+  const overdue =
+    elevator.next_maintenance_at && new Date(elevator.next_maintenance_at) < now;
+
+  if (!elevator.last_maintenance_at) {
+    return { value: null, normalized: 1, detail: "ไม่มีประวัติบำรุงรักษา" };
+  }
+  const days = Math.floor((now - new Date(elevator.last_maintenance_at)) / 86400000);
+  let normalized = scale(days, 30, 180);
+  let detail = `บำรุงรักษาล่าสุด ${days} วันก่อน`;
+  if (overdue) {
+    normalized = Math.max(normalized, 0.8);
+    detail += " (เลยกำหนดรอบถัดไปแล้ว)";
+  }
+  return { value: days, normalized, detail };
+}
+
+function countFactor(count, high, detail) {
+  return { value: count, normalized: scale(count, 0, high), detail };
+}
+
+export function riskLevel(score) {
+  return RISK_LEVELS.find((l) => score >= l.min).level;
+}
+
+// นับ ticket / fault / อะไหล่ / alert ต่อลิฟต์ คืน Map(elevator_id → counts)
+async function fetchCounts(ids) {
+  const counts = new Map(
+    ids.map((id) => [
+      String(id),
+      { tickets: 0, fault_entries: 0, parts_jobs: 0, parts_cost: 0, alert_points: 0, alerts: 0 },
+    ])
+  );
+  if (ids.length === 0) return counts;
+
+  const [tickets] = await pool.query(
+    `SELECT elevator_id, COUNT(*) AS count
+     FROM tickets
+     WHERE elevator_id IN (?) AND created_at >= NOW() - INTERVAL ? DAY
+     GROUP BY elevator_id`,
+    [ids, FAULT_LOOKBACK_DAYS]
+  );
+  tickets.forEach((r) => (counts.get(String(r.elevator_id)).tickets = Number(r.count)));
+
+  const [faults] = await pool.query(
+    `SELECT elevator_id, COUNT(*) AS count
+     FROM elevator_state_history
+     WHERE elevator_id IN (?) AND to_state = 'fault' AND from_state IS NOT NULL
+       AND changed_at >= NOW() - INTERVAL ? DAY
+     GROUP BY elevator_id`,
+    [ids, FAULT_LOOKBACK_DAYS]
+  );
+  faults.forEach((r) => (counts.get(String(r.elevator_id)).fault_entries = Number(r.count)));
+
+  const [parts] = await pool.query(
+    `SELECT elevator_id, COUNT(*) AS jobs, SUM(parts_cost) AS cost
+     FROM maintenance_jobs
+     WHERE elevator_id IN (?) AND parts_cost > 0
+       AND COALESCE(finished_at, created_at) >= NOW() - INTERVAL ? DAY
+     GROUP BY elevator_id`,
+    [ids, PARTS_LOOKBACK_DAYS]
+  );
+  parts.forEach((r) => {
+    const c = counts.get(String(r.elevator_id));
+    c.parts_jobs = Number(r.jobs);
+    c.parts_cost = Number(r.cost || 0);
+  });
+
+  const [alerts] = await pool.query(
+    `SELECT elevator_id, COUNT(*) AS count,
+            SUM(CASE WHEN severity = 'critical' THEN 3 ELSE 1 END) AS points
+     FROM alerts
+     WHERE elevator_id IN (?) AND created_at >= NOW() - INTERVAL ? DAY
+     GROUP BY elevator_id`,
+    [ids, TELEMETRY_LOOKBACK_DAYS]
+  );
+  alerts.forEach((r) => {
+    const c = counts.get(String(r.elevator_id));
+    c.alerts = Number(r.count);
+    c.alert_points = Number(r.points || 0);
+  });
+
+  return counts;
+}
+
+// คะแนน + ปัจจัยที่มีผล (เรียงจากมีผลมากสุด)
+function scoreElevator(elevator, counts, now) {
+  // ticket กับการเข้า fault มักเป็นเหตุการณ์เดียวกัน → ใช้ค่าที่มากกว่า
+  const faultEvents = Math.max(counts.tickets, counts.fault_entries);
+
+  const factors = {
+    age: ageFactor(elevator, now),
+    maintenance: maintenanceFactor(elevator, now),
+    faults: countFactor(
+      faultEvents,
+      5,
+      `แจ้งเสีย ${counts.tickets} ครั้ง / เข้าสถานะ fault ${counts.fault_entries} ครั้ง ใน ${FAULT_LOOKBACK_DAYS} วัน`
+    ),
+    parts: countFactor(
+      counts.parts_jobs,
+      6,
+      `เปลี่ยนอะไหล่ ${counts.parts_jobs} งาน (${counts.parts_cost} บาท) ใน ${PARTS_LOOKBACK_DAYS} วัน`
+    ),
+    telemetry: countFactor(
+      counts.alert_points,
+      10,
+      `alert จาก telemetry ${counts.alerts} รายการ ใน ${TELEMETRY_LOOKBACK_DAYS} วัน`
+    ),
+  };
+
+  const explained = Object.entries(factors)
+    .map(([factor, f]) => ({
+      factor,
+      value: f.value,
+      weight: RISK_WEIGHTS[factor],
+      points: Math.round(f.normalized * RISK_WEIGHTS[factor] * 10) / 10,
+      detail: f.detail,
+    }))
+    .sort((a, b) => b.points - a.points);
+
+  const score = Math.round(explained.reduce((sum, f) => sum + f.points, 0) * 10) / 10;
+  return { score, level: riskLevel(score), factors: explained };
+}
+
+// ranking ลิฟต์ตามคะแนน (scope = rowScope(user, { customer: "b.customer_id", elevator: "e.id" }))
+export async function rankElevatorsByRisk({ filters = {}, scope, minScore = 0, limit = 100 }) {
+  const where = [];
+  const params = [];
+  if (filters.customer_id) {
+    where.push("b.customer_id = ?");
+    params.push(filters.customer_id);
+  }
+  if (filters.building_id) {
+    where.push("e.building_id = ?");
+    params.push(filters.building_id);
+  }
+  if (scope?.sql) {
+    where.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  const [elevators] = await pool.query(
+    `SELECT e.id, e.name, e.state, e.install_year,
+            e.last_maintenance_at, e.next_maintenance_at,
+            e.building_id, b.name AS building_name, b.customer_id
+     FROM elevators e
+     LEFT JOIN buildings b ON e.building_id = b.id
+     ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}`,
+    params
+  );
+
+  const now = new Date();
+  const counts = await fetchCounts(elevators.map((e) => e.id));
+
+  return elevators
+    .map((e) => ({
+      elevator_id: e.id,
+      elevator_name: e.name,
+      building_id: e.building_id,
+      building_name: e.building_name,
+      customer_id: e.customer_id,
+      state: e.state,
+      ...scoreElevator(e, counts.get(String(e.id)), now),
+    }))
+    .filter((r) => r.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// สร้างงาน planned ที่แนะนำให้ลิฟต์ที่คะแนน ≥ threshold และยังไม่มีงานค้าง (finished_at IS NULL)
+// คืนรายการงานที่สร้าง [{ job_id, elevator_id, score }]
+export async function createSuggestedJobs({ threshold, scope }) {
+  const ranked = await rankElevatorsByRisk({ scope, minScore: threshold, limit: 1000 });
+  if (ranked.length === 0) return [];
+
+  const [openJobs] = await pool.query(
+    `SELECT DISTINCT elevator_id FROM maintenance_jobs
+     WHERE elevator_id IN (?) AND finished_at IS NULL`,
+    [ranked.map((r) => r.elevator_id)]
+  );
+  const busy = new Set(openJobs.map((r) => String(r.elevator_id)));
+
+  const created = [];
+  for (const risk of ranked) {
+    if (busy.has(String(risk.elevator_id))) continue;
+
+    const reasons = risk.factors
+      .filter((f) => f.points > 0)
+      .slice(0, 3)
+      .map((f) => f.detail)
+      .join(", ");
+    const [result] = await pool.query(
+      `INSERT INTO maintenance_jobs (elevator_id, job_type, remarks, risk_score)
+       VALUES (?, 'planned', ?, ?)`,
+      [
+        risk.elevator_id,
+        `งานแนะนำจาก risk score ${risk.score}: ${reasons}`.slice(0, 500),
+        risk.score,
+      ]
+    );
+    created.push({ job_id: result.insertId, elevator_id: risk.elevator_id, score: risk.score });
+  }
+  return created;
+}
+
+// เรียกครั้งเดียวตอน server start (ปิดอยู่ถ้า RISK_AUTO_JOB_THRESHOLD = 0)
+export function startRiskAutoJobs() {
+  if (!RISK_AUTO_JOB_THRESHOLD) return;
+
+  const run = () =>
+    createSuggestedJobs({ threshold: RISK_AUTO_JOB_THRESHOLD })
+      .then((jobs) => {
+        if (jobs.length > 0) console.log(`🛠️ created ${jobs.length} suggested maintenance jobs`);
+      })
+      .catch((err) => console.error("Risk auto job error:", err));
+
+  run();
+  setInterval(run, AUTO_JOB_INTERVAL_MS).unref();
+}
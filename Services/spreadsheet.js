@@ -0,0 +1,167 @@
+// ---- CSV / XLSX ----
+// อ่าน/เขียนตารางแบบง่าย: แถวแรกเป็นหัวคอลัมน์ ที่เหลือเป็นข้อมูล
+// ค่าที่อ่านได้เป็น string ทั้งหมด (ตัด space หัวท้าย, ช่องว่าง = "")
+// CSV ที่เขียนออกมีใส่ BOM ไว้ให้ Excel เปิดภาษาไทยได้ถูก
+// ข้อความที่ขึ้นต้นด้วย = + - @ ถูกเติม ' ข้างหน้าตอนเขียน (กัน Excel มองเป็นสูตร) และตัดออกตอนอ่านกลับ
+import ExcelJS from "exceljs";
+
+export const SHEET_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// หา format จาก ?format= หรือ Content-Type ของไฟล์ที่อัปโหลด
+export function detectFormat(format, contentType = "") {
+  if (format) return SHEET_FORMATS[format] ? format : null;
+  if (contentType.includes("spreadsheetml")) return "xlsx";
+  if (contentType.includes("csv") || contentType.startsWith("text/plain")) return "csv";
+  return null;
+}
+
+// ตัวอักษรที่ Excel / LibreOffice มองเป็นจุดเริ่มสูตร (tab / CR ด้วย ตาม OWASP CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER_PATTERN = /^[+-]?\d+(\.\d+)?$/;
+
+// ค่าที่จะเขียนลงไฟล์: ข้อความที่ขึ้นต้นเหมือนสูตร → เติม ' (ตัวเลขติดลบ เช่น DECIMAL จาก MySQL ไม่ต้อง)
+function escapeFormula(value) {
+  if (typeof value !== "string") return value;
+  return FORMULA_PREFIX.test(value) && !NUMBER_PATTERN.test(value) ? `'${value}` : value;
+}
+
+// กลับด้านของ escapeFormula ตอนนำเข้าไฟล์ที่ export ไป
+function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// เซลล์วันที่ของ Excel มาเป็น Date แบบ UTC → ใช้ค่า UTC ตรงๆ ตามที่เห็นในไฟล์
+function formatSheetDate(d) {
+  const date = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+  const time = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+  return time === "00:00:00" ? date : `${date} ${time}`;
+}
+
+function cellText(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return formatSheetDate(value);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if (value.text != null) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.error) return "";
+  }
+  return String(value).trim();
+}
+
+// CSV ตาม RFC 4180 (รองรับ "..." ที่มี , / ขึ้นบรรทัดใหม่ / "" ข้างใน)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map((r) => r.map((v) => v.trim()));
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return `\uFEFF${rows.map((r) => r.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+// คืน { headers: [..], rows: [{ row: เลขแถวในไฟล์, values: { header: value } }] }
+// ข้ามแถวที่ว่างทั้งแถว
+export async function readSheet(buffer, format) {
+  let table;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    table = [];
+    sheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      // row.values เริ่มที่ index 1
+      table[rowNumber - 1] = row.values.slice(1).map(cellText);
+    });
+    table = Array.from(table, (r) => r || []);
+  } else {
+    table = parseCsv(buffer.toString("utf8"));
+  }
+
+  const headers = (table[0] || []).map((h) => h.toLowerCase());
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    if (!cells.some((v) => v !== "")) return;
+    const values = {};
+    headers.forEach((h, i) => {
+      if (h) values[h] = unescapeFormula(cells[i] ?? "");
+    });
+    rows.push({ row: index + 2, values });
+  });
+
+  return { headers, rows };
+}
+
+// columns: ["id", "name", ...], rows: [{ id, name, ... }] → Buffer
+export async function writeSheet(columns, rows, format, sheetName = "Sheet1") {
+  const table = rows.map((r) => columns.map((c) => escapeFormula(r[c] ?? "")));
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.addRow(columns).font = { bold: true };
+    table.forEach((r) => sheet.addRow(r));
+    // ไล่หาความกว้างทีละแถว (spread ทั้งคอลัมน์เข้า Math.max จะ stack ล้นเมื่อมีเป็นแสนแถว)
+    const widths = columns.map((c) => c.length);
+    for (const r of table) {
+      r.forEach((value, i) => {
+        widths[i] = Math.max(widths[i], String(value).length);
+      });
+    }
+    sheet.columns.forEach((col, i) => {
+      col.width = Math.min(widths[i] + 2, 50);
+    });
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  return Buffer.from(toCsv([columns, ...table]), "utf8");
+}
@@ -0,0 +1,71 @@
+// ---- File storage ----
+// เก็บไฟล์แนบ (เอกสารลิฟต์ / อาคาร) ผ่าน driver ที่สลับได้ ค่าเริ่มต้น = local disk
+// driver ต้องมี put(key, buffer, { contentType }) / get(key) → Readable หรือ null / remove(key)
+// เพิ่ม driver ใหม่ (เช่น S3) ด้วย registerStorageDriver("s3", (options) => driver) แล้วตั้ง STORAGE_DRIVER=s3
+// แต่ละไฟล์จำชื่อ driver ที่ใช้ตอนเก็บไว้ เปลี่ยน STORAGE_DRIVER ภายหลังไฟล์เก่ายังโหลดจาก driver เดิมได้
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+const STORAGE_LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+function localDriver({ root }) {
+  // key มาจาก createStorageKey เท่านั้น แต่กัน path หลุดออกนอก root ไว้อีกชั้น
+  function resolve(key) {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  }
+
+  return {
+    async put(key, buffer) {
+      const full = resolve(key);
+      await fsp.mkdir(path.dirname(full), { recursive: true });
+      await fsp.writeFile(full, buffer, { flag: "wx" });
+    },
+
+    async get(key) {
+      const full = resolve(key);
+      try {
+        await fsp.access(full);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(full);
+    },
+
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+const factories = new Map([["local", () => localDriver({ root: STORAGE_LOCAL_DIR })]]);
+const instances = new Map();
+
+export function registerStorageDriver(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+export function getStorage(name = STORAGE_DRIVER) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+// documents/2025/06/<random>.pdf — ไม่ใช้ชื่อไฟล์จากผู้ใช้ใน key
+export function createStorageKey(prefix, extension) {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const random = crypto.randomBytes(16).toString("hex");
+  return `${prefix}/${now.getFullYear()}/${month}/${random}${extension ? `.${extension}` : ""}`;
+}
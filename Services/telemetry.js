@@ -0,0 +1,396 @@
+// ---- Elevator telemetry ----
+// รับ sample จาก controller (ชั้น / น้ำหนัก / สถานะประตู / ความเร็ว / error code) เก็บเป็น time series
+//   ค่าดิบ     → elevator_telemetry        เก็บ TELEMETRY_RAW_RETENTION_DAYS วัน
+//   รายชั่วโมง → elevator_telemetry_hourly เก็บ TELEMETRY_ROLLUP_RETENTION_DAYS วัน
+// งาน downsample + ลบข้อมูลเก่ารันทุกชั่วโมง (startTelemetryMaintenance ใน server.js)
+import dotenv from "dotenv";
+import pool from "../DB/db.js";
+import { evaluateAlertRules } from "./alertRules.js";
+
+dotenv.config();
+
+const RAW_RETENTION_DAYS = Number(process.env.TELEMETRY_RAW_RETENTION_DAYS) || 7;
+const ROLLUP_RETENTION_DAYS =
+  Number(process.env.TELEMETRY_ROLLUP_RETENTION_DAYS) || 365;
+export const MAX_BATCH_SIZE = Number(process.env.TELEMETRY_MAX_BATCH) || 1000;
+
+// sample ที่ timestamp ล้ำอนาคตเกินนี้ถือว่านาฬิกา controller เพี้ยน
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// downsample ย้อนหลังกี่ชั่วโมงทุกรอบ (เผื่อ sample ที่ส่งมาช้า)
+const ROLLUP_LOOKBACK_HOURS = 48;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 10000;
+const MAX_RAW_POINTS = 5000;
+
+export const DOOR_STATES = ["open", "closed", "opening", "closing", "blocked"];
+
+// ขนาด bucket (วินาที) ของแต่ละ resolution, raw = ไม่รวม
+export const RESOLUTIONS = { raw: 0, "1m": 60, "5m": 300, "1h": 3600, "1d": 86400 };
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// ตรวจ / แปลง sample จาก controller คืน { sample } หรือ { error }
+export function normalizeSample(raw) {
+  if (!raw || typeof raw !== "object") return { error: "sample ต้องเป็น object" };
+
+  const ts = raw.timestamp ?? raw.recorded_at;
+  const recordedAt = ts == null ? new Date() : new Date(ts);
+  if (Number.isNaN(recordedAt.getTime())) {
+    return { error: "timestamp ไม่ถูกต้อง" };
+  }
+  if (recordedAt.getTime() - Date.now() > MAX_CLOCK_SKEW_MS) {
+    return { error: "timestamp อยู่ในอนาคต" };
+  }
+  if (Date.now() - recordedAt.getTime() > RAW_RETENTION_DAYS * 86400 * 1000) {
+    return { error: `timestamp เก่ากว่า ${RAW_RETENTION_DAYS} วัน` };
+  }
+
+  const floor = optionalNumber(raw.floor);
+  if (Number.isNaN(floor) || (floor !== null && !Number.isInteger(floor))) {
+    return { error: "floor ต้องเป็นจำนวนเต็ม" };
+  }
+
+  const load = optionalNumber(raw.load ?? raw.load_kg);
+  if (Number.isNaN(load) || load < 0) {
+    return { error: "load ต้องเป็นตัวเลขไม่ติดลบ" };
+  }
+
+  const speed = optionalNumber(raw.speed ?? raw.speed_mps);
+  if (Number.isNaN(speed) || speed < 0) {
+    return { error: "speed ต้องเป็นตัวเลขไม่ติดลบ" };
+  }
+
+  const doorState = raw.door_state ?? raw.doorState ?? null;
+  if (doorState !== null && !DOOR_STATES.includes(doorState)) {
+    return { error: `door_state ต้องเป็น ${DOOR_STATES.join(" / ")}` };
+  }
+
+  let errorCodes = raw.error_codes ?? raw.errorCodes ?? null;
+  if (Array.isArray(errorCodes)) errorCodes = errorCodes.map(String).join(",");
+  if (errorCodes !== null) {
+    errorCodes = String(errorCodes).trim().slice(0, 255) || null;
+  }
+
+  if (floor === null && load === null && speed === null && !doorState && !errorCodes) {
+    return { error: "sample ต้องมีค่าอย่างน้อย 1 อย่าง" };
+  }
+
+  return {
+    sample: {
+      recorded_at: recordedAt,
+      floor,
+      load_kg: load,
+      door_state: doorState,
+      speed_mps: speed,
+      error_codes: errorCodes,
+    },
+  };
+}
+
+// บันทึก sample (ผ่าน normalizeSample แล้ว) ของลิฟต์ตัวเดียว
+// อัปเดต elevators.current_floor / current_load จาก sample ล่าสุด แล้วประเมิน alert rules
+export async function ingestSamples(user, elevatorId, samples) {
+  if (samples.length === 0) return 0;
+
+  await pool.query(
+    `INSERT INTO elevator_telemetry
+       (elevator_id, recorded_at, floor, load_kg, door_state, speed_mps,
+        error_codes, api_key_id, user_id)
+     VALUES ?`,
+    [
+      samples.map((s) => [
+        elevatorId,
+        s.recorded_at,
+        s.floor,
+        s.load_kg,
+        s.door_state,
+        s.speed_mps,
+        s.error_codes,
+        user.api_key_id || null,
+        user.id || null,
+      ]),
+    ]
+  );
+
+  const latest = samples.reduce((a, b) => (b.recorded_at > a.recorded_at ? b : a));
+  // sample ที่มาช้ากว่า sample ที่บันทึกไปแล้วไม่ทับค่าปัจจุบัน
+  await pool.query(
+    `UPDATE elevators
+     SET current_floor = COALESCE(?, current_floor),
+         current_load = COALESCE(?, current_load),
+         last_telemetry_at = ?
+     WHERE id = ?
+       AND (last_telemetry_at IS NULL OR last_telemetry_at <= ?)`,
+    [latest.floor, latest.load_kg, latest.recorded_at, elevatorId, latest.recorded_at]
+  );
+
+  // เปิด / ปิด alert ตามข้อมูลใหม่ (พลาดก็ไม่ทำให้การรับ sample ล้ม)
+  try {
+    await evaluateAlertRules(elevatorId);
+  } catch (err) {
+    console.error("Evaluate alert rules error:", err);
+  }
+
+  return samples.length;
+}
+
+// เลือก resolution อัตโนมัติตามช่วงเวลาที่ขอ
+export function pickResolution(from, to) {
+  const hours = (to - from) / 3600000;
+  if (hours <= 2) return "raw";
+  if (hours <= 48) return "5m";
+  if (hours <= 24 * 60) return "1h";
+  return "1d";
+}
+
+const AGGREGATE_COLUMNS = `
+  COUNT(*) AS sample_count,
+  MIN(floor) AS floor_min,
+  MAX(floor) AS floor_max,
+  AVG(load_kg) AS load_avg,
+  MAX(load_kg) AS load_max,
+  AVG(speed_mps) AS speed_avg,
+  MAX(speed_mps) AS speed_max,
+  SUM(door_state = 'open') AS door_open_count,
+  SUM(error_codes IS NOT NULL) AS error_count
+`;
+
+// รวมจาก rollup รายชั่วโมง (ค่าเฉลี่ยถ่วงด้วยจำนวน sample)
+const ROLLUP_AGGREGATE_COLUMNS = `
+  SUM(sample_count) AS sample_count,
+  MIN(floor_min) AS floor_min,
+  MAX(floor_max) AS floor_max,
+  SUM(load_avg * sample_count) / SUM(sample_count) AS load_avg,
+  MAX(load_max) AS load_max,
+  SUM(speed_avg * sample_count) / SUM(sample_count) AS speed_avg,
+  MAX(speed_max) AS speed_max,
+  SUM(door_open_count) AS door_open_count,
+  SUM(error_count) AS error_count
+`;
+
+function numberOrNull(value) {
+  return value == null ? null : Number(value);
+}
+
+function formatAggregate(row) {
+  return {
+    ...row,
+    sample_count: Number(row.sample_count || 0),
+    load_avg: numberOrNull(row.load_avg),
+    load_max: numberOrNull(row.load_max),
+    speed_avg: numberOrNull(row.speed_avg),
+    speed_max: numberOrNull(row.speed_max),
+    door_open_count: Number(row.door_open_count || 0),
+    error_count: Number(row.error_count || 0),
+  };
+}
+
+// รวมผลสรุปสองก้อนของ bucket / ช่วงเดียวกัน (rollup ฝั่งเก่า + ค่าดิบฝั่งใหม่)
+function mergeAggregates(a, b) {
+  const pick = (fn, field) => {
+    const values = [a[field], b[field]].filter((v) => v != null);
+    return values.length > 0 ? fn(...values) : null;
+  };
+  const weighted = (field) => {
+    const parts = [a, b].filter((x) => x[field] != null && x.sample_count > 0);
+    const count = parts.reduce((sum, x) => sum + x.sample_count, 0);
+    return count > 0
+      ? parts.reduce((sum, x) => sum + x[field] * x.sample_count, 0) / count
+      : null;
+  };
+
+  return {
+    ...a,
+    sample_count: a.sample_count + b.sample_count,
+    floor_min: pick(Math.min, "floor_min"),
+    floor_max: pick(Math.max, "floor_max"),
+    load_avg: weighted("load_avg"),
+    load_max: pick(Math.max, "load_max"),
+    speed_avg: weighted("speed_avg"),
+    speed_max: pick(Math.max, "speed_max"),
+    door_open_count: a.door_open_count + b.door_open_count,
+    error_count: a.error_count + b.error_count,
+  };
+}
+
+// ดึงข้อมูลช่วงเวลา + สรุปรวมทั้งช่วง สำหรับกราฟ
+// ช่วงที่เก่ากว่าที่เก็บค่าดิบไว้จะใช้ rollup รายชั่วโมงแทน (ละเอียดสุด 1h)
+// rollup มีแค่ชั่วโมงที่งาน maintenance รันผ่านแล้ว → ตั้งแต่ชั่วโมงแรกที่ค่าดิบยังครบไปจนถึง to
+// คำนวณจากค่าดิบเป็นรายชั่วโมงเอง แล้วต่อกับ rollup (bucket ที่คร่อมรอยต่อ เช่น 1d จะรวมเป็นก้อนเดียว)
+export async function queryTelemetry(elevatorId, { from, to, resolution }) {
+  const rawCutoff = new Date(Date.now() - RAW_RETENTION_DAYS * 86400 * 1000);
+  const useRollup = from < rawCutoff;
+  let effective = resolution;
+  if (useRollup && RESOLUTIONS[effective] < RESOLUTIONS["1h"]) effective = "1h";
+
+  let points;
+  let truncated = false;
+  let summary;
+
+  if (useRollup) {
+    // ชั่วโมงเต็มแรกหลัง rawCutoff: ค่าดิบตั้งแต่ตรงนี้ยังไม่ถูกลบ ก่อนหน้านี้ใช้ rollup
+    const split = new Date(Math.min(Math.ceil(rawCutoff / 3600000) * 3600000, to));
+    const rollupBucket = effective === "1d" ? "DATE(bucket_start)" : "bucket_start";
+    const rawBucket =
+      effective === "1d"
+        ? "DATE(recorded_at)"
+        : "FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(recorded_at) / 3600) * 3600)";
+
+    const [[rollupRows], [rawRows], [[rollupTotal]], [[rawTotal]]] = await Promise.all([
+      pool.query(
+        `SELECT ${rollupBucket} AS bucket_start, ${ROLLUP_AGGREGATE_COLUMNS}
+         FROM elevator_telemetry_hourly
+         WHERE elevator_id = ? AND bucket_start >= ? AND bucket_start < ?
+         GROUP BY ${rollupBucket}
+         ORDER BY ${rollupBucket}`,
+        [elevatorId, from, split]
+      ),
+      pool.query(
+        `SELECT ${rawBucket} AS bucket_start, ${AGGREGATE_COLUMNS}
+         FROM elevator_telemetry
+         WHERE elevator_id = ? AND recorded_at >= ? AND recorded_at < ?
+         GROUP BY bucket_start
+         ORDER BY bucket_start`,
+        [elevatorId, split, to]
+      ),
+      pool.query(
+        `SELECT ${ROLLUP_AGGREGATE_COLUMNS}
+         FROM elevator_telemetry_hourly
+         WHERE elevator_id = ? AND bucket_start >= ? AND bucket_start < ?`,
+        [elevatorId, from, split]
+      ),
+      pool.query(
+        `SELECT ${AGGREGATE_COLUMNS}
+         FROM elevator_telemetry
+         WHERE elevator_id = ? AND recorded_at >= ? AND recorded_at < ?`,
+        [elevatorId, split, to]
+      ),
+    ]);
+
+    const buckets = new Map();
+    for (const row of [...rollupRows, ...rawRows].map(formatAggregate)) {
+      const key = new Date(row.bucket_start).getTime();
+      const existing = buckets.get(key);
+      buckets.set(key, existing ? mergeAggregates(existing, row) : row);
+    }
+    points = [...buckets.values()];
+    summary = mergeAggregates(formatAggregate(rollupTotal), formatAggregate(rawTotal));
+  } else {
+    if (effective === "raw") {
+      const [rows] = await pool.query(
+        `SELECT recorded_at, floor, load_kg, door_state, speed_mps, error_codes
+         FROM elevator_telemetry
+         WHERE elevator_id = ? AND recorded_at >= ? AND recorded_at < ?
+         ORDER BY recorded_at
+         LIMIT ?`,
+        [elevatorId, from, to, MAX_RAW_POINTS + 1]
+      );
+      truncated = rows.length > MAX_RAW_POINTS;
+      points = rows.slice(0, MAX_RAW_POINTS).map((row) => ({
+        ...row,
+        load_kg: numberOrNull(row.load_kg),
+        speed_mps: numberOrNull(row.speed_mps),
+        error_codes: row.error_codes ? row.error_codes.split(",") : [],
+      }));
+    } else {
+      const size = RESOLUTIONS[effective];
+      const bucket = `FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(recorded_at) / ${size}) * ${size})`;
+      const [rows] = await pool.query(
+        `SELECT ${bucket} AS bucket_start, ${AGGREGATE_COLUMNS}
+         FROM elevator_telemetry
+         WHERE elevator_id = ? AND recorded_at >= ? AND recorded_at < ?
+         GROUP BY bucket_start
+         ORDER BY bucket_start`,
+        [elevatorId, from, to]
+      );
+      points = rows.map(formatAggregate);
+    }
+
+    const [[total]] = await pool.query(
+      `SELECT ${AGGREGATE_COLUMNS}
+       FROM elevator_telemetry
+       WHERE elevator_id = ? AND recorded_at >= ? AND recorded_at < ?`,
+      [elevatorId, from, to]
+    );
+    summary = formatAggregate(total);
+  }
+
+  return {
+    elevator_id: elevatorId,
+    from,
+    to,
+    resolution: effective,
+    source: useRollup ? "hourly" : "raw",
+    truncated,
+    summary,
+    points,
+  };
+}
+
+// downsample ค่าดิบเป็นรายชั่วโมง (คำนวณชั่วโมงที่จบแล้วใหม่ย้อนหลัง ROLLUP_LOOKBACK_HOURS)
+export async function rollupTelemetry() {
+  const [result] = await pool.query(
+    `INSERT INTO elevator_telemetry_hourly
+       (elevator_id, bucket_start, sample_count, floor_min, floor_max,
+        load_avg, load_max, speed_avg, speed_max, door_open_count, error_count)
+     SELECT elevator_id,
+            DATE_FORMAT(recorded_at, '%Y-%m-%d %H:00:00') AS bucket,
+            ${AGGREGATE_COLUMNS}
+     FROM elevator_telemetry
+     WHERE recorded_at >= DATE_FORMAT(NOW() - INTERVAL ? HOUR, '%Y-%m-%d %H:00:00')
+       AND recorded_at < DATE_FORMAT(NOW(), '%Y-%m-%d %H:00:00')
+     GROUP BY elevator_id, bucket
+     ON DUPLICATE KEY UPDATE
+       sample_count = VALUES(sample_count),
+       floor_min = VALUES(floor_min),
+       floor_max = VALUES(floor_max),
+       load_avg = VALUES(load_avg),
+       load_max = VALUES(load_max),
+       speed_avg = VALUES(speed_avg),
+       speed_max = VALUES(speed_max),
+       door_open_count = VALUES(door_open_count),
+       error_count = VALUES(error_count)`,
+    [ROLLUP_LOOKBACK_HOURS]
+  );
+  return result.affectedRows;
+}
+
+async function deleteInBatches(sql, params) {
+  let total = 0;
+  for (;;) {
+    const [result] = await pool.query(`${sql} LIMIT ?`, [...params, PURGE_BATCH_SIZE]);
+    total += result.affectedRows;
+    if (result.affectedRows < PURGE_BATCH_SIZE) return total;
+  }
+}
+
+export async function purgeExpiredTelemetry() {
+  const raw = await deleteInBatches(
+    "DELETE FROM elevator_telemetry WHERE recorded_at < NOW() - INTERVAL ? DAY",
+    [RAW_RETENTION_DAYS]
+  );
+  const hourly = await deleteInBatches(
+    "DELETE FROM elevator_telemetry_hourly WHERE bucket_start < NOW() - INTERVAL ? DAY",
+    [ROLLUP_RETENTION_DAYS]
+  );
+  return { raw, hourly };
+}
+
+// เรียกครั้งเดียวตอน server start → rollup + purge ทันที แล้วทุกชั่วโมง
+export function startTelemetryMaintenance() {
+  const run = async () => {
+    try {
+      await rollupTelemetry();
+      await purgeExpiredTelemetry();
+    } catch (err) {
+      console.error("Telemetry maintenance error:", err);
+    }
+  };
+
+  run();
+  setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+}
@@ -0,0 +1,70 @@
+// ---- Tickets (แจ้งซ่อม) ----
+// สถานะ: pending (รอรับเรื่อง) → in_progress (กำลังดำเนินการ) → resolved (แก้ไขแล้ว) → closed
+// ทุกครั้งที่สร้าง / เปลี่ยนสถานะ push event ticket.* ให้ผู้ที่เห็น ticket นั้น (Services/realtime.js)
+// ticket เร่งด่วน (EMERGENCY_PRIORITIES) แจ้งทีมงาน + ช่างทันทีเป็น notification ชนิด ticket_emergency
+import pool from "../DB/db.js";
+import { publishEvent } from "./realtime.js";
+import { notify } from "./notifications.js";
+import { findOnCall } from "./escalation.js";
+
+export const TICKET_STATUSES = ["pending", "in_progress", "resolved", "closed"];
+export const EMERGENCY_PRIORITIES = ["critical"];
+
+// ticket = แถวจากตาราง tickets + building_customer_id (ลูกค้าเจ้าของอาคาร), type = created / status_changed
+// กรองผู้รับด้วยลูกค้าของอาคารเหมือน REST ไม่ใช่ tickets.customer_id (ticket เก่าเป็น NULL)
+export function publishTicketEvent(type, ticket, extra = {}) {
+  return publishEvent({
+    type: `ticket.${type}`,
+    payload: {
+      id: ticket.id,
+      elevator_id: ticket.elevator_id,
+      elevator_name: ticket.elevator_name,
+      title: ticket.title,
+      status: ticket.status,
+      priority: ticket.priority,
+      source: ticket.source,
+      ...extra,
+    },
+    customerId: ticket.building_customer_id,
+    elevatorId: ticket.elevator_id,
+    permission: "tickets:read",
+  });
+}
+
+// แจ้ง admin / manager, ช่างที่มีงานค้างกับลิฟต์ และช่างเวร (ลิฟต์ที่ยังไม่มีงานค้างก็มีคนรับเรื่อง)
+// ไม่ใช่ critical ของ notify() ผู้รับเลือกช่องทาง / quiet hours / digest ของชนิดนี้เองได้
+export async function notifyEmergencyTicket(ticket) {
+  if (!EMERGENCY_PRIORITIES.includes(ticket.priority)) return [];
+
+  const [rows] = await pool.query(
+    `SELECT e.name AS elevator_name, b.name AS building_name, b.customer_id, b.region
+     FROM elevators e
+     LEFT JOIN buildings b ON e.building_id = b.id
+     WHERE e.id = ?`,
+    [ticket.elevator_id]
+  );
+  const place = rows[0] || {};
+  const onCall = await findOnCall("technician", {
+    customerId: place.customer_id,
+    region: place.region,
+  });
+
+  return notify({
+    type: "ticket_emergency",
+    template: "ticket_emergency",
+    variables: {
+      elevator_name: place.elevator_name || ticket.elevator_id,
+      building_name: place.building_name || "-",
+      description: ticket.title || ticket.description,
+      ticket_id: ticket.id,
+    },
+    entityType: "ticket",
+    entityId: ticket.id,
+    recipients: {
+      relations: ["admins", "managers", "assigned_technicians"],
+      elevatorId: ticket.elevator_id,
+      userIds: onCall ? [onCall.user_id] : [],
+      excludeUserIds: ticket.reporter_id ? [ticket.reporter_id] : [],
+    },
+  });
+}
@@ -12,6 +12,29 @@ import main from "./Routes/Core.js";
 import contract from "./Routes/Contracts.js";
 import maintain from "./Routes/Maintenance.js";
 import parts from "./Routes/Parts.js";
+import users from "./Routes/Users.js";
+import roles from "./Routes/Roles.js";
+import apiKeys from "./Routes/ApiKeys.js";
+import audit from "./Routes/Audit.js";
+import telemetry from "./Routes/Telemetry.js";
+import alerts from "./Routes/Alerts.js";
+import escalations from "./Routes/Escalations.js";
+import reports from "./Routes/Reports.js";
+import risk from "./Routes/Risk.js";
+import qrReports from "./Routes/QrReports.js";
+import bulkData from "./Routes/BulkData.js";
+import documents from "./Routes/Documents.js";
+import events from "./Routes/Events.js";
+import notifications from "./Routes/Notifications.js";
+import notificationTemplates from "./Routes/NotificationTemplates.js";
+import { startAuditRetention } from "./Services/audit.js";
+import { startTelemetryMaintenance } from "./Services/telemetry.js";
+import { startAlertEscalation } from "./Services/escalation.js";
+import { startRiskAutoJobs } from "./Services/risk.js";
+import { startDocumentExpiryReminders } from "./Services/documents.js";
+import { startContractRenewalReminders } from "./Services/contracts.js";
+import { startRealtimeMaintenance } from "./Services/realtime.js";
+import { startNotificationDelivery } from "./Services/notificationDelivery.js";
 
 dotenv.config();
 
@@ -62,10 +85,40 @@ app.use(
 
 // ---- Routes ----
 app.use("/auth", Routes);
-app.use("/api", main, contract, maintain, parts);
+// risk ต้องมาก่อน main ไม่งั้น GET /elevators/:id จะรับ /elevators/risk ไปก่อน
+app.use(
+  "/api",
+  risk,
+  main,
+  contract,
+  maintain,
+  parts,
+  users,
+  roles,
+  apiKeys,
+  audit,
+  telemetry,
+  alerts,
+  escalations,
+  reports,
+  qrReports,
+  bulkData,
+  documents,
+  events,
+  notifications,
+  notificationTemplates
+);
 
 // ---- Start ----
 app.listen(PORT, () => {
   console.log(`✅ LiftCare backend running at http://localhost:${PORT}`);
   console.log(`FRONTEND_ORIGIN (unused for now): ${FRONTEND_ORIGIN}`);
+  startAuditRetention();
+  startTelemetryMaintenance();
+  startAlertEscalation();
+  startRiskAutoJobs();
+  startDocumentExpiryReminders();
+  startContractRenewalReminders();
+  startRealtimeMaintenance();
+  startNotificationDelivery();
 });
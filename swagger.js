@@ -30,6 +30,12 @@ const options = {
           bearerFormat: 'JWT',
           description: 'JWT Authorization header',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Api-Key',
+          description: 'Machine API key (IoT gateway / BMS) created at /api/api-keys',
+        },
       },
       schemas: {
         Customer: {
@@ -54,6 +60,7 @@ const options = {
             name: { type: 'string' },
             address: { type: 'string' },
             building_type: { type: 'string' },
+            region: { type: 'string' },
             customer_name: { type: 'string' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' },
@@ -75,6 +82,7 @@ const options = {
             current_load: { type: 'integer' },
             last_maintenance_at: { type: 'string', format: 'date-time' },
             next_maintenance_at: { type: 'string', format: 'date-time' },
+            qr_version: { type: 'integer', description: 'Bumped when the QR label is rotated' },
           },
         },
         Part: {
@@ -133,6 +141,7 @@ const options = {
             labor_cost: { type: 'number' },
             parts_cost: { type: 'number' },
             total_cost: { type: 'number' },
+            risk_score: { type: 'number', description: 'Set when the job was suggested by the risk score' },
             elevator_name: { type: 'string' },
             building_name: { type: 'string' },
             technician_name: { type: 'string' },
@@ -155,6 +164,41 @@ const options = {
             created_at: { type: 'string', format: 'date-time' },
           },
         },
+        TelemetrySample: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'string', format: 'date-time', description: 'Default: time received' },
+            floor: { type: 'integer', example: 5 },
+            load: { type: 'number', example: 420, description: 'kg' },
+            door_state: { type: 'string', enum: ['open', 'closed', 'opening', 'closing', 'blocked'] },
+            speed: { type: 'number', example: 1.5, description: 'm/s' },
+            error_codes: { type: 'array', items: { type: 'string' }, example: ['E21'] },
+          },
+        },
+        Alert: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            elevator_id: { type: 'string' },
+            elevator_name: { type: 'string' },
+            rule: { type: 'string', enum: ['overload', 'stuck', 'repeated_error', 'door_fault'] },
+            severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+            message: { type: 'string' },
+            details: { type: 'object' },
+            occurrence_count: { type: 'integer' },
+            created_at: { type: 'string', format: 'date-time' },
+            last_seen_at: { type: 'string', format: 'date-time' },
+            acknowledged_at: { type: 'string', format: 'date-time' },
+            acknowledged_by: { type: 'integer' },
+            resolved_at: { type: 'string', format: 'date-time' },
+            resolved_by: { type: 'integer', description: 'null when resolved automatically' },
+            resolution_note: { type: 'string' },
+            escalation_policy_id: { type: 'integer' },
+            escalation_step: { type: 'integer', description: 'Number of escalation steps already run' },
+            escalation_next_at: { type: 'string', format: 'date-time' },
+            escalation_done_at: { type: 'string', format: 'date-time' },
+          },
+        },
         ErrorResponse: {
           type: 'object',
           properties: {
@@ -174,6 +218,21 @@ const options = {
     './Routes/Contracts.js',
     './Routes/Maintenance.js',
     './Routes/Parts.js',
+    './Routes/Users.js',
+    './Routes/Roles.js',
+    './Routes/ApiKeys.js',
+    './Routes/Audit.js',
+    './Routes/Telemetry.js',
+    './Routes/Alerts.js',
+    './Routes/Escalations.js',
+    './Routes/Reports.js',
+    './Routes/Risk.js',
+    './Routes/QrReports.js',
+    './Routes/BulkData.js',
+    './Routes/Documents.js',
+    './Routes/Events.js',
+    './Routes/Notifications.js',
+    './Routes/NotificationTemplates.js',
     './Auth/Auth.js',
   ],
 };